@@ -32,9 +32,13 @@ def calculate_line_item(item: Dict[str, Any]) -> Dict[str, Any]:
     3. Stone Charges = (if applicable)
     4. Wastage Charges = (if applicable)
     5. Subtotal = Gold Value + Making + Stone + Wastage - Item Discount
-    6. VAT = Subtotal × VAT %
+    6. VAT = Taxable Amount × VAT %
     7. Line Total = Subtotal + VAT
     
+    Taxable Amount is the whole subtotal unless the item says otherwise:
+    vat_on_gold=False leaves the gold value out (zero-rated gold), and
+    vat_on_making=False leaves out making, stone and wastage less the item discount.
+    
     Args:
         item: Dictionary containing item details
         
@@ -68,8 +72,14 @@ def calculate_line_item(item: Dict[str, Any]) -> Dict[str, Any]:
     )
     
     # Step 3: Calculate VAT
-    # VAT Amount = Subtotal × (VAT % / 100)
-    vat_amount = round_money(subtotal_before_vat * (vat_percent / 100))
+    # VAT Amount = Taxable Amount × (VAT % / 100), split into the gold and making parts
+    vat_on_gold = item.get('vat_on_gold', True)
+    vat_on_making = item.get('vat_on_making', True)
+    charges_value = round_money(subtotal_before_vat - gold_value)
+    taxable_amount = round_money((gold_value if vat_on_gold else 0) + (charges_value if vat_on_making else 0))
+    vat_amount = round_money(taxable_amount * (vat_percent / 100))
+    gold_vat_amount = round_money(gold_value * (vat_percent / 100)) if vat_on_gold and vat_on_making else (vat_amount if vat_on_gold else 0.0)
+    making_vat_amount = round_money(vat_amount - gold_vat_amount)
     
     # Step 4: Calculate Line Total
     # Line Total = Subtotal + VAT
@@ -83,7 +93,10 @@ def calculate_line_item(item: Dict[str, Any]) -> Dict[str, Any]:
         'net_gold_weight': net_gold_weight,
         'gold_value': gold_value,
         'subtotal_before_vat': subtotal_before_vat,
+        'taxable_amount': taxable_amount,
         'vat_amount': vat_amount,
+        'gold_vat_amount': gold_vat_amount,
+        'making_vat_amount': making_vat_amount,
         'line_total': line_total
     })
     
@@ -186,6 +199,29 @@ def calculate_payment_summary(grand_total: float, paid_amount: float = 0.0) -> D
     }
 
 
+def calculate_payment_reversal_deltas(transactions: List[Dict[str, Any]]) -> Dict[str, float]:
+    """
+    Account balance changes that undo an invoice's payment postings
+    
+    Invoice payments increase every account they post to by the amount
+    (cash/bank and Gold Received debits as well as the Sales Income credit),
+    so each posting is undone with -amount whatever its transaction type.
+    
+    Args:
+        transactions: Invoice transactions (account_id, amount)
+        
+    Returns:
+        Dictionary of account_id -> balance change
+    """
+    deltas: Dict[str, float] = {}
+    for txn in transactions:
+        account_id = txn.get('account_id')
+        if not account_id:
+            continue
+        deltas[account_id] = round_money(deltas.get(account_id, 0.0) - float(txn.get('amount') or 0))
+    return deltas
+
+
 def calculate_tax_breakdown(vat_total: float, tax_type: str = 'cgst_sgst', gst_percent: float = 5.0) -> Dict[str, float]:
     """
     Calculate tax breakdown (CGST/SGST or IGST)
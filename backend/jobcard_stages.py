@@ -0,0 +1,40 @@
+"""
+Job card item stages
+
+Each line on a job card moves through its own work stages; the card status is
+derived from where its items are. Kept free of FastAPI and database imports so
+the rules can be reused and tested on their own.
+"""
+
+# Work stages of a single job card item, in order
+JOBCARD_ITEM_STAGES = ["received", "at_worker", "qc", "ready"]
+# Stage an item starts in for each card status (also used for items saved before stages existed)
+JOBCARD_STATUS_ITEM_STAGE = {
+    "created": "received",
+    "pending": "received",
+    "in_progress": "at_worker",
+    "completed": "ready",
+    "delivered": "ready"
+}
+
+
+def get_item_stage(item: dict, card_status: str) -> str:
+    """Stage of a job card item; items saved before stages existed follow the card status"""
+    if item.get("stage") in JOBCARD_ITEM_STAGES:
+        return item["stage"]
+    return JOBCARD_STATUS_ITEM_STAGE.get(card_status, "received")
+
+
+def derive_jobcard_status(items: list, current_status: str) -> str:
+    """
+    Card status from its items: all ready -> completed, any item started -> in_progress,
+    none started -> created/pending as before. Delivery is a card-level hand-over and is kept.
+    """
+    if current_status == "delivered" or not items:
+        return current_status
+    stages = [get_item_stage(item, current_status) for item in items]
+    if all(stage == "ready" for stage in stages):
+        return "completed"
+    if any(stage != "received" for stage in stages):
+        return "in_progress"
+    return current_status if current_status in ("created", "pending") else "pending"
@@ -0,0 +1,84 @@
+"""
+Sender adapters for the customer notification outbox (SMS / WhatsApp)
+
+The outbox in server.py renders a message, stores it and hands it to the
+active adapter. An adapter delivers one message and returns a reference from
+the provider, or raises NotificationSendError.
+
+Pick the adapter with the NOTIFICATION_SENDER env var:
+- console: log messages (default, nothing leaves the server)
+- file:    append messages as JSON lines to NOTIFICATION_OUTBOX_FILE
+A real gateway is added as another NotificationSender subclass registered in SENDERS.
+"""
+
+import json
+import logging
+import os
+import uuid
+from datetime import datetime, timezone
+from pathlib import Path
+
+logger = logging.getLogger(__name__)
+
+DEFAULT_OUTBOX_FILE = Path(__file__).parent / "notifications" / "outbox.jsonl"
+
+
+class NotificationSendError(Exception):
+    """Raised by an adapter when a message could not be delivered"""
+
+
+class NotificationSender:
+    """Base adapter - subclasses implement send()"""
+    name = "base"
+
+    def send(self, channel: str, phone: str, message: str) -> str:
+        """Deliver a message and return the provider's reference for it"""
+        raise NotImplementedError
+
+
+class ConsoleSender(NotificationSender):
+    """Writes messages to the server log instead of sending them"""
+    name = "console"
+
+    def send(self, channel: str, phone: str, message: str) -> str:
+        logger.info(f"[{channel.upper()} -> {phone}] {message}")
+        return f"console-{uuid.uuid4().hex[:12]}"
+
+
+class FileSender(NotificationSender):
+    """Appends messages to a JSON-lines file, e.g. for a gateway script to pick up"""
+    name = "file"
+
+    def __init__(self, path: str = None):
+        self.path = Path(path or os.getenv("NOTIFICATION_OUTBOX_FILE") or DEFAULT_OUTBOX_FILE)
+
+    def send(self, channel: str, phone: str, message: str) -> str:
+        reference = f"file-{uuid.uuid4().hex[:12]}"
+        try:
+            self.path.parent.mkdir(parents=True, exist_ok=True)
+            with open(self.path, "a", encoding="utf-8") as outbox:
+                outbox.write(json.dumps({
+                    "reference": reference,
+                    "channel": channel,
+                    "phone": phone,
+                    "message": message,
+                    "written_at": datetime.now(timezone.utc).isoformat()
+                }, ensure_ascii=False) + "\n")
+        except OSError as e:
+            raise NotificationSendError(f"Could not write to {self.path}: {e}")
+        return reference
+
+
+SENDERS = {
+    ConsoleSender.name: ConsoleSender,
+    FileSender.name: FileSender,
+}
+
+
+def get_sender(name: str = None) -> NotificationSender:
+    """Adapter named by `name`, or by NOTIFICATION_SENDER (default console)"""
+    name = (name or os.getenv("NOTIFICATION_SENDER") or ConsoleSender.name).strip().lower()
+    sender_class = SENDERS.get(name)
+    if not sender_class:
+        raise NotificationSendError(f"Unknown notification sender '{name}'. Available: {', '.join(SENDERS)}")
+    return sender_class()
@@ -1,8 +1,9 @@
-from fastapi import FastAPI, APIRouter, Depends, HTTPException, status, Response, Request, Cookie
+from fastapi import FastAPI, APIRouter, Depends, HTTPException, status, Response, Request, Cookie, UploadFile, File, Form
 from fastapi.security import HTTPBearer, HTTPAuthorizationCredentials
-from fastapi.responses import JSONResponse
+from fastapi.responses import JSONResponse, FileResponse
 from dotenv import load_dotenv
 from motor.motor_asyncio import AsyncIOMotorClient
+from pymongo import ReturnDocument
 from slowapi import Limiter, _rate_limit_exceeded_handler
 from slowapi.util import get_remote_address
 from slowapi.errors import RateLimitExceeded
@@ -10,7 +11,7 @@ import os
 import re
 import logging
 from pathlib import Path
-from pydantic import BaseModel, Field, ConfigDict
+from pydantic import BaseModel, Field, ConfigDict, computed_field
 from typing import List, Optional, Dict, Any
 import uuid
 from datetime import datetime, timezone, timedelta
@@ -20,7 +21,10 @@ from decimal import Decimal
 from bson import Decimal128, ObjectId
 import secrets
 import json
+import io
+import asyncio
 from fastapi.encoders import ENCODERS_BY_TYPE
+from PIL import Image
 
 ROOT_DIR = Path(__file__).parent
 load_dotenv(ROOT_DIR / '.env')
@@ -347,7 +351,10 @@ class SecurityHeadersMiddleware(BaseHTTPMiddleware):
 # INPUT SANITIZATION MIDDLEWARE
 # ============================================================================
 
-from validators import sanitize_html, sanitize_text_field, PartyValidator
+from validators import sanitize_html, sanitize_text_field, validate_oman_vatin, PartyValidator
+from invoice_calculator import calculate_line_item, calculate_invoice_totals, calculate_payment_reversal_deltas
+from notification_senders import get_sender
+from jobcard_stages import JOBCARD_ITEM_STAGES, JOBCARD_STATUS_ITEM_STAGE, get_item_stage, derive_jobcard_status
 import json
 
 class InputSanitizationMiddleware(BaseHTTPMiddleware):
@@ -549,6 +556,7 @@ PERMISSIONS = {
     'invoices.create': 'Create invoices',
     'invoices.finalize': 'Finalize invoices',
     'invoices.delete': 'Delete invoices',
+    'invoices.cancel': 'Cancel finalized invoices (issue credit notes)',
     
     # Purchase Management
     'purchases.view': 'View purchases',
@@ -564,6 +572,8 @@ PERMISSIONS = {
     # Inventory Management
     'inventory.view': 'View inventory',
     'inventory.adjust': 'Adjust inventory',
+    'inventory.stocktake': 'Count stock in stock-take sessions',
+    'inventory.stocktake_approve': 'Approve stock-take sessions',
     
     # Job Cards
     'jobcards.view': 'View job cards',
@@ -582,6 +592,9 @@ PERMISSIONS = {
     'returns.create': 'Create returns',
     'returns.finalize': 'Finalize returns',
     'returns.delete': 'Delete returns',
+    
+    # Gold Rate Board
+    'gold_rates.publish': 'Publish daily gold rates',
 }
 
 # Role-Permission Mappings
@@ -590,26 +603,28 @@ ROLE_PERMISSIONS = {
         # Admin has all permissions
         'users.view', 'users.create', 'users.update', 'users.delete',
         'parties.view', 'parties.create', 'parties.update', 'parties.delete',
-        'invoices.view', 'invoices.create', 'invoices.finalize', 'invoices.delete',
+        'invoices.view', 'invoices.create', 'invoices.finalize', 'invoices.delete', 'invoices.cancel',
         'purchases.view', 'purchases.create', 'purchases.finalize', 'purchases.delete',
         'finance.view', 'finance.create', 'finance.delete',
-        'inventory.view', 'inventory.adjust',
+        'inventory.view', 'inventory.adjust', 'inventory.stocktake', 'inventory.stocktake_approve',
         'jobcards.view', 'jobcards.create', 'jobcards.update', 'jobcards.delete',
         'reports.view',
         'audit.view',
         'returns.view', 'returns.create', 'returns.finalize', 'returns.delete',
+        'gold_rates.publish',
     ],
     'manager': [
         # Manager has most permissions except user deletion and audit logs
         'users.view', 'users.create', 'users.update',
         'parties.view', 'parties.create', 'parties.update', 'parties.delete',
-        'invoices.view', 'invoices.create', 'invoices.finalize',
+        'invoices.view', 'invoices.create', 'invoices.finalize', 'invoices.cancel',
         'purchases.view', 'purchases.create', 'purchases.finalize',
         'finance.view', 'finance.create',
-        'inventory.view', 'inventory.adjust',
+        'inventory.view', 'inventory.adjust', 'inventory.stocktake', 'inventory.stocktake_approve',
         'jobcards.view', 'jobcards.create', 'jobcards.update', 'jobcards.delete',
         'reports.view',
         'returns.view', 'returns.create', 'returns.finalize',
+        'gold_rates.publish',
     ],
     'staff': [
         # Staff has limited permissions - mostly view and create
@@ -617,7 +632,7 @@ ROLE_PERMISSIONS = {
         'invoices.view', 'invoices.create',
         'purchases.view', 'purchases.create',
         'finance.view',
-        'inventory.view',
+        'inventory.view', 'inventory.stocktake',
         'jobcards.view', 'jobcards.create', 'jobcards.update',
         'reports.view',
         'returns.view', 'returns.create',
@@ -654,6 +669,21 @@ def safe_float(value):
     except (ValueError, TypeError):
         return 0.0
 
+def purity_to_fineness(purity) -> float:
+    """
+    Purity as parts per 1000. Gold deposits are recorded in karats (18, 22, 24),
+    everything else in fineness (750, 916, 999).
+    """
+    value = safe_float(purity)
+    return value * 1000 / 24 if 0 < value <= 24 else value
+
+def calculate_fine_weight(weight, purity) -> float:
+    """
+    Fine gold (24K equivalent) in a weight: weight × purity / 1000.
+    Lets balances held at different purities (916, 999, ...) be compared and added.
+    """
+    return round(safe_float(weight) * purity_to_fineness(purity) / 1000, 3)
+
 def float_to_decimal128(value):
     if value is None:
         return None
@@ -799,6 +829,26 @@ def convert_gold_ledger_to_decimal(ledger_data: dict) -> dict:
         ledger_data['weight_grams'] = _safe_decimal128(ledger_data['weight_grams'], '0.001')
     return ledger_data
 
+def convert_worker_gold_to_decimal(transaction_data: dict) -> dict:
+    """
+    Convert float values in worker gold transactions to Decimal128 for precise storage.
+    Weights use 3 decimal precision.
+    """
+    for field in ['weight_grams', 'finished_weight', 'scrap_weight', 'wastage_weight',
+                  'allowed_wastage_weight', 'excess_wastage_weight', 'balance_delta']:
+        if field in transaction_data and transaction_data[field] is not None:
+            transaction_data[field] = _safe_decimal128(transaction_data[field], '0.001')
+    return transaction_data
+
+def convert_worker_payment_to_decimal(payment_data: dict) -> dict:
+    """
+    Convert float values in worker payments to Decimal128 for precise storage.
+    Amount uses 3 decimal precision (Oman Baisa).
+    """
+    if 'amount' in payment_data and payment_data['amount'] is not None:
+        payment_data['amount'] = _safe_decimal128(payment_data['amount'], '0.001')
+    return payment_data
+
 def convert_daily_closing_to_decimal(closing_data: dict) -> dict:
     """
     Convert float values in daily closing data to Decimal128 for precise storage.
@@ -811,6 +861,38 @@ def convert_daily_closing_to_decimal(closing_data: dict) -> dict:
             closing_data[field] = _safe_decimal128(closing_data[field], '0.001')
     return closing_data
 
+def convert_gold_rate_to_decimal(rate_data: dict) -> dict:
+    """
+    Convert float values in gold rate board data to Decimal128 for precise storage.
+    Rates use 3 decimal precision (Oman Baisa).
+    """
+    for item in rate_data.get('rates') or []:
+        for field in ['buy_rate', 'sell_rate']:
+            if field in item and item[field] is not None:
+                item[field] = _safe_decimal128(item[field], '0.001')
+    return rate_data
+
+def convert_tagged_item_to_decimal(item_data: dict) -> dict:
+    """
+    Convert float values in tagged item data to Decimal128 for precise storage.
+    Weights and making charge use 3 decimal precision.
+    """
+    for field in ['gross_weight', 'stone_weight', 'net_weight', 'making_charge']:
+        if field in item_data and item_data[field] is not None:
+            item_data[field] = _safe_decimal128(item_data[field], '0.001')
+    return item_data
+
+def convert_stock_take_to_decimal(session_data: dict) -> dict:
+    """
+    Convert float values in stock-take lines to Decimal128 for precise storage.
+    Weights use 3 decimal precision.
+    """
+    for line in session_data.get('lines', []):
+        for field in ['system_weight', 'counted_weight', 'weight_variance']:
+            if field in line and line[field] is not None:
+                line[field] = _safe_decimal128(line[field], '0.001')
+    return session_data
+
 def convert_return_to_decimal(return_data: dict) -> dict:
     """
     Convert float values in return data to Decimal128 for precise storage.
@@ -841,6 +923,20 @@ def convert_return_to_decimal(return_data: dict) -> dict:
     
     return return_data
 
+def convert_payment_voucher_to_decimal(voucher_data: dict) -> dict:
+    """
+    Convert float values in a payment voucher to Decimal128 for precise storage.
+    Amounts, balances, rates and gold weights use 3 decimal precision.
+    """
+    for field in ['total_amount', 'balance_before', 'balance_after']:
+        if field in voucher_data and voucher_data[field] is not None:
+            voucher_data[field] = _safe_decimal128(voucher_data[field], '0.001')
+    for tender in voucher_data.get('tenders', []):
+        for field in ['amount', 'gold_weight_grams', 'rate_per_gram']:
+            if field in tender and tender[field] is not None:
+                tender[field] = _safe_decimal128(tender[field], '0.001')
+    return voucher_data
+
 # Status transition validation rules
 STATUS_TRANSITIONS = {
     "jobcard": {
@@ -1123,6 +1219,8 @@ class InventoryHeader(BaseModel):
     name: str
     current_qty: float = 0.0  # Direct stock tracking
     current_weight: float = 0.0  # Direct weight tracking in grams
+    min_qty: Optional[float] = None  # Reorder level - below it the category is low stock
+    min_weight: Optional[float] = None  # Reorder level in grams
     is_active: bool = True
     created_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
     created_by: str
@@ -1147,6 +1245,13 @@ class StockMovement(BaseModel):
     confirmation_reason: Optional[str] = None  # Required for manual adjustments
     is_deleted: bool = False
 
+class StockMovementView(StockMovement):
+    """Stock movement as listed - fine weight is worked out on read, never stored"""
+    @computed_field
+    @property
+    def fine_weight(self) -> float:
+        return calculate_fine_weight(self.weight_delta, self.purity)
+
 class Party(BaseModel):
     model_config = ConfigDict(extra="ignore")
     id: str = Field(default_factory=lambda: str(uuid.uuid4()))
@@ -1156,10 +1261,21 @@ class Party(BaseModel):
     address: Optional[str] = None
     party_type: str
     notes: Optional[str] = None
+    vatin: Optional[str] = None  # Oman VAT registration number (OM + 10 digits) for VAT-registered customers
     created_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
     created_by: str
     is_deleted: bool = False
 
+# Labour is paid by gram of metal worked or by piece
+LABOUR_RATE_TYPES = ["per_gram", "per_piece"]
+
+class WorkerLabourRate(BaseModel):
+    """Worker's labour rate for one work type (matched to job card items by name)"""
+    model_config = ConfigDict(extra="ignore")
+    work_type: str
+    rate_type: str = "per_piece"  # per_gram | per_piece
+    rate: float = 0.0  # OMR, 3 decimal precision
+
 class Worker(BaseModel):
     model_config = ConfigDict(extra="ignore")
     id: str = Field(default_factory=lambda: str(uuid.uuid4()))
@@ -1167,6 +1283,8 @@ class Worker(BaseModel):
     phone: Optional[str] = None
     role: str
     active: bool = True
+    allowed_wastage_percent: float = 0.0  # Loss tolerated on gold issued for a job, e.g. 1.5
+    labour_rates: List[WorkerLabourRate] = []
     created_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
     created_by: str
     is_deleted: bool = False
@@ -1184,6 +1302,28 @@ class WorkType(BaseModel):
     deleted_at: Optional[datetime] = None
     deleted_by: Optional[str] = None
 
+PHOTO_STAGES = ["intake", "delivery"]
+
+class ItemPhoto(BaseModel):
+    """Photo of a physical piece, attached to a job card, invoice or return line"""
+    model_config = ConfigDict(extra="ignore")
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    file_name: str  # Stored file name under the photo upload directory
+    content_type: str
+    size: int
+    stage: str = "intake"  # 'intake' (received from customer) or 'delivery' (handed over)
+    caption: Optional[str] = None
+    uploaded_by: str
+    uploaded_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+
+class JobCardItemStageEvent(BaseModel):
+    stage: str
+    at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    worker_id: Optional[str] = None  # Worker handling the item at this point
+    worker_name: Optional[str] = None
+    by: Optional[str] = None  # Username of the staff member who moved it
+    notes: Optional[str] = None
+
 class JobCardItem(BaseModel):
     id: str = Field(default_factory=lambda: str(uuid.uuid4()))
     category: str
@@ -1199,6 +1339,12 @@ class JobCardItem(BaseModel):
     inches: Optional[float] = None  # Required when making_charge_type is 'per_inch'
     vat_percent: Optional[float] = None
     vat_amount: Optional[float] = None
+    photos: List[ItemPhoto] = []
+    stage: str = "received"  # One of JOBCARD_ITEM_STAGES
+    worker_id: Optional[str] = None  # Worker who has / last had the item
+    worker_name: Optional[str] = None
+    stage_history: List[JobCardItemStageEvent] = []
+    labour: Optional[Dict[str, Any]] = None  # Worker, rate and amount fixed when the card completed
 
 class JobCard(BaseModel):
     model_config = ConfigDict(extra="ignore")
@@ -1239,6 +1385,8 @@ class JobCard(BaseModel):
     # Template-specific fields
     template_name: Optional[str] = None  # Required when card_type='template'
     delivery_days_offset: Optional[int] = None  # For templates: days from creation to delivery
+    quotation_id: Optional[str] = None  # Set when the job card was converted from a quotation
+    quotation_number: Optional[str] = None
 
 class InvoiceItem(BaseModel):
     id: str = Field(default_factory=lambda: str(uuid.uuid4()))
@@ -1251,6 +1399,8 @@ class InvoiceItem(BaseModel):
     net_gold_weight: float = 0.0  # Calculated: gross_weight - stone_weight
     weight: float  # Legacy field, maps to net_gold_weight for compatibility
     purity: int
+    tagged_item_id: Optional[str] = None  # Set when the line is a piece from the tagged item register
+    tag_number: Optional[str] = None
     metal_rate: float  # Gold rate per gram
     gold_value: float  # net_gold_weight * metal_rate
     # Charges breakdown
@@ -1262,8 +1412,12 @@ class InvoiceItem(BaseModel):
     item_discount: float = 0.0  # Item-level discount
     # Tax
     vat_percent: float
+    taxable_amount: Optional[float] = None  # Part of the line VAT applies to (see ShopSettings VAT basis)
     vat_amount: float
+    gold_vat_amount: float = 0.0  # VAT on the gold value
+    making_vat_amount: float = 0.0  # VAT on making, stone and wastage charges
     line_total: float  # gold_value + making_value + stone_charges + wastage_charges + vat_amount - item_discount
+    photos: List[ItemPhoto] = []
 
 class Invoice(BaseModel):
     model_config = ConfigDict(extra="ignore")
@@ -1278,22 +1432,29 @@ class Invoice(BaseModel):
     customer_oman_id: Optional[str] = None  # Customer ID (Oman National ID / Resident ID) - Optional
     customer_phone: Optional[str] = None  # Customer phone (from party or walk-in)
     customer_address: Optional[str] = None  # Customer address (from party)
-    customer_gstin: Optional[str] = None  # Customer GSTIN (from party)
+    customer_gstin: Optional[str] = None  # Customer GSTIN (from party) - legacy GST invoices
+    customer_vatin: Optional[str] = None  # Customer Oman VATIN (from party), stamped on finalize
+    shop_vatin: Optional[str] = None  # Shop Oman VATIN at the time the invoice was finalized
     walk_in_name: Optional[str] = None  # For walk-in customers only
     walk_in_phone: Optional[str] = None  # For walk-in customers only
     worker_id: Optional[str] = None  # Worker assigned to the job (from job card)
     worker_name: Optional[str] = None  # Worker name (from job card)
     invoice_type: str = "sale"
     payment_status: str = "unpaid"
-    status: str = "draft"  # "draft" or "finalized" - controls when stock is deducted
+    status: str = "draft"  # "draft", "finalized" (stock deducted) or "cancelled" (reversed by a credit note)
     finalized_at: Optional[datetime] = None  # Set when invoice is finalized
     finalized_by: Optional[str] = None
+    cancelled_at: Optional[datetime] = None
+    cancelled_by: Optional[str] = None
+    cancel_reason: Optional[str] = None
+    credit_note_id: Optional[str] = None  # Credit note that reversed this invoice
+    credit_note_number: Optional[str] = None
     paid_at: Optional[datetime] = None  # Set when balance becomes zero (first full payment)
     items: List[InvoiceItem] = []
     subtotal: float = 0
     discount_amount: float = 0.0  # Invoice-level discount amount
     # Tax breakdown
-    tax_type: str = "cgst_sgst"  # "cgst_sgst" or "igst"
+    tax_type: str = "oman_vat"  # "oman_vat" (single VAT, bilingual tax invoice); legacy "cgst_sgst" or "igst"
     gst_percent: float = 5.0  # Default 5% GST
     cgst_total: float = 0.0  # CGST amount (for intra-state)
     sgst_total: float = 0.0  # SGST amount (for intra-state)
@@ -1310,7 +1471,45 @@ class Invoice(BaseModel):
     gold_received_purpose: Optional[str] = None  # "advance" or "exchange"
     notes: Optional[str] = None
     jobcard_id: Optional[str] = None
+    quotation_id: Optional[str] = None  # Set when the invoice was converted from a quotation
+    quotation_number: Optional[str] = None
+    created_by: str
+    is_deleted: bool = False
+
+QUOTATION_STATUSES = ["open", "converted"]
+
+class Quotation(BaseModel):
+    """Price estimate for a customer. Lines use the invoice item structure so they convert as-is."""
+    model_config = ConfigDict(extra="ignore")
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    quotation_number: str
+    date: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    valid_until: str  # Date-only (YYYY-MM-DD), last day the quote can be converted
+    rate_locked: bool = False  # True: quoted gold rates are honoured until valid_until; False: re-priced on conversion
+    status: str = "open"  # "open", "converting" (claimed by a conversion in progress) or "converted"; expiry is derived from valid_until
+    customer_type: str = "saved"  # "saved" or "walk_in"
+    customer_id: Optional[str] = None
+    customer_name: Optional[str] = None
+    customer_phone: Optional[str] = None
+    customer_oman_id: Optional[str] = None
+    customer_vatin: Optional[str] = None
+    walk_in_name: Optional[str] = None
+    walk_in_phone: Optional[str] = None
+    items: List[InvoiceItem] = []
+    subtotal: float = 0
+    discount_amount: float = 0.0
+    vat_total: float = 0
+    grand_total: float = 0
+    notes: Optional[str] = None
+    # Set on conversion
+    converted_to: Optional[str] = None  # "jobcard" or "invoice"
+    converted_id: Optional[str] = None
+    converted_number: Optional[str] = None
+    converted_at: Optional[datetime] = None
+    converted_by: Optional[str] = None
     created_by: str
+    created_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    updated_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
     is_deleted: bool = False
 
 class Account(BaseModel):
@@ -1352,6 +1551,71 @@ class Transaction(BaseModel):
     created_by: str
     is_deleted: bool = False
 
+# Checkout tenders that are not plain money: old gold handed over at the counter,
+# and gold the customer already holds with the shop (their gold ledger balance)
+GOLD_TENDER_MODES = ["OLD_GOLD", "GOLD_EXCHANGE"]
+
+class PaymentTender(BaseModel):
+    """One part of a split-tender payment"""
+    payment_mode: str  # Cash, Card, Bank Transfer, UPI/Online, Cheque, OLD_GOLD or GOLD_EXCHANGE
+    amount: float  # OMR value applied to the invoice
+    account_id: Optional[str] = None
+    account_name: Optional[str] = None
+    gold_weight_grams: Optional[float] = None  # Gold tenders only
+    purity: Optional[int] = None
+    rate_per_gram: Optional[float] = None
+    transaction_number: Optional[str] = None  # Debit/income transaction posted for this tender
+    gold_ledger_entry_id: Optional[str] = None
+
+# Voucher numbering: receipts for money in (invoices), payment vouchers for money out (purchases)
+VOUCHER_PREFIXES = {"receipt": "RCT", "payment": "PV"}
+
+class PaymentVoucher(BaseModel):
+    """Numbered receipt / payment voucher for one payment, however many tenders it took"""
+    model_config = ConfigDict(extra="ignore")
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    voucher_type: str  # receipt or payment
+    voucher_number: str  # RCT-YYYY-NNNN / PV-YYYY-NNNN
+    date: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    reference_type: str  # invoice or purchase
+    reference_id: str
+    reference_number: str
+    party_id: Optional[str] = None
+    party_name: str
+    tenders: List[PaymentTender] = []
+    total_amount: float
+    balance_before: float
+    balance_after: float
+    notes: Optional[str] = None
+    created_by: str
+    is_deleted: bool = False
+
+class CreditNote(BaseModel):
+    """
+    Reversal document for a cancelled finalized invoice. The invoice itself is kept
+    (status "cancelled"); the credit note lists what was reversed against it.
+    """
+    model_config = ConfigDict(extra="ignore")
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    credit_note_number: str  # CN-YYYY-NNNN
+    date: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    invoice_id: str
+    invoice_number: str
+    party_id: Optional[str] = None
+    party_name: str
+    reason: str
+    items: List[InvoiceItem] = []  # Copy of the credited invoice lines
+    subtotal: float = 0
+    discount_amount: float = 0.0
+    vat_total: float = 0
+    grand_total: float = 0  # Amount credited (the invoice total)
+    refund_amount: float = 0  # Payments reversed (what the customer had paid)
+    stock_movement_ids: List[str] = []  # Stock IN movements putting the goods back
+    transaction_ids: List[str] = []  # Reversing finance transactions
+    gold_ledger_ids: List[str] = []  # Reversing gold ledger entries
+    created_by: str
+    is_deleted: bool = False
+
 class DailyClosing(BaseModel):
     model_config = ConfigDict(extra="ignore")
     id: str = Field(default_factory=lambda: str(uuid.uuid4()))
@@ -1422,6 +1686,7 @@ class Purchase(BaseModel):
     """
     model_config = ConfigDict(extra="ignore")
     id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    purchase_number: Optional[str] = None  # PUR-YYYY-NNNN; purchases recorded before numbering have none
     
     # Vendor information (either saved vendor OR walk-in)
     vendor_party_id: Optional[str] = None  # Required for saved vendors, None for walk-in
@@ -1472,6 +1737,15 @@ class ReturnItem(BaseModel):
     weight_grams: float  # Input as float, stored as Decimal128 with 3 decimal precision
     purity: int
     amount: float = 0.0  # Input as float, stored as Decimal128 with 2 decimal precision
+    tagged_item_id: Optional[str] = None  # Set when the line is a scanned tagged piece
+    tag_number: Optional[str] = None
+    photos: List[ItemPhoto] = []
+
+def validate_unique_return_tags(items: list):
+    """A tagged piece is a single physical item, so it can only appear once per return"""
+    tag_ids = [item.get('tagged_item_id') for item in items if item.get('tagged_item_id')]
+    if len(tag_ids) != len(set(tag_ids)):
+        raise HTTPException(status_code=400, detail="A tagged piece can only appear once in a return")
 
 class Return(BaseModel):
     """
@@ -1544,8 +1818,28 @@ class ShopSettings(BaseModel):
     phone: str = "+968 1234 5678"
     email: str = "contact@goldjewellery.com"
     gstin: str = "GST1234567890"
+    # Oman VAT
+    vatin: Optional[str] = None  # Shop VAT registration number (OM + 10 digits), printed on tax invoices
+    shop_name_ar: Optional[str] = None  # Arabic trade name for the bilingual tax invoice
+    address_ar: Optional[str] = None
+    vat_on_gold_value: bool = True  # False = gold value zero-rated, VAT only on making/stone/wastage
+    vat_on_making_charges: bool = True
     logo_url: Optional[str] = None
     terms_and_conditions: str = "1. Goods once sold cannot be returned.\n2. Gold purity as per invoice.\n3. Making charges are non-refundable."
+    # Printed on the job card receipt / claim slip handed over with repair work
+    jobcard_terms: str = (
+        "1. Items are returned only against this slip.\n"
+        "2. Weights are as received; stones are not weighed separately unless stated.\n"
+        "3. The shop is not responsible for items not collected within 90 days of the delivery date.\n"
+        "4. Advances are adjusted against the final bill."
+    )
+    # Printed on quotations / estimates
+    quotation_terms: str = (
+        "1. Prices are estimates based on the weights shown; the final bill uses actual weights.\n"
+        "2. Unless the gold rate is locked, the rate on the day of billing applies.\n"
+        "3. This quotation is valid until the date shown."
+    )
+    quotation_validity_days: int = 7  # Default validity for new quotations
     authorized_signatory: str = "Authorized Signatory"
     
     # PURCHASE VALUATION SETTINGS (NEW)
@@ -1554,6 +1848,252 @@ class ShopSettings(BaseModel):
     updated_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
     updated_by: Optional[str] = None
 
+NOTIFICATION_CHANNELS = ["sms", "whatsapp"]
+NOTIFICATION_STATUSES = ["queued", "sent", "failed", "skipped"]
+
+# Customer notification events, the placeholders their templates can use, and the default message
+NOTIFICATION_EVENTS = {
+    "jobcard_completed": {
+        "label": "Job card ready for collection",
+        "placeholders": ["customer_name", "job_card_number", "item_count", "delivery_date", "shop_name", "shop_phone"],
+        "default_body": "Dear {customer_name}, your repair {job_card_number} is ready for collection at {shop_name}. Please bring your claim slip. Tel: {shop_phone}"
+    },
+    "delivery_reminder": {
+        "label": "Delivery date reminder",
+        "placeholders": ["customer_name", "job_card_number", "delivery_date", "shop_name", "shop_phone"],
+        "default_body": "Dear {customer_name}, your job card {job_card_number} is due for delivery on {delivery_date}. {shop_name}, Tel: {shop_phone}"
+    },
+    "invoice_balance_due": {
+        "label": "Invoice finalized with balance due",
+        "placeholders": ["customer_name", "invoice_number", "grand_total", "paid_amount", "balance_due", "shop_name", "shop_phone"],
+        "default_body": "Dear {customer_name}, invoice {invoice_number} for {grand_total} OMR has been issued. Balance due: {balance_due} OMR. {shop_name}"
+    },
+    "payment_received": {
+        "label": "Payment receipt",
+        "placeholders": ["customer_name", "invoice_number", "amount", "payment_mode", "balance_due", "shop_name", "shop_phone"],
+        "default_body": "Dear {customer_name}, we received {amount} OMR ({payment_mode}) against invoice {invoice_number}. Balance due: {balance_due} OMR. Thank you - {shop_name}"
+    },
+}
+
+class NotificationTemplate(BaseModel):
+    """Editable message for a customer notification event"""
+    model_config = ConfigDict(extra="ignore")
+    event: str
+    channel: str = "sms"
+    body: str
+    is_active: bool = True
+    updated_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    updated_by: Optional[str] = None
+
+class Notification(BaseModel):
+    """A customer message in the outbox, with its delivery status"""
+    model_config = ConfigDict(extra="ignore")
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    event: str
+    channel: str
+    recipient_name: Optional[str] = None
+    recipient_phone: Optional[str] = None
+    message: str
+    status: str = "queued"  # queued, sent, failed or skipped (no phone number)
+    attempts: int = 0
+    error: Optional[str] = None
+    sender: Optional[str] = None  # Adapter that handled the last attempt
+    provider_reference: Optional[str] = None
+    reference_type: Optional[str] = None  # jobcard or invoice
+    reference_id: Optional[str] = None
+    reference_number: Optional[str] = None
+    dedupe_key: Optional[str] = None  # Stops the same reminder or completion message being queued twice
+    created_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    created_by: Optional[str] = None
+    sent_at: Optional[datetime] = None
+
+# Standard purities published on the gold rate board (fineness -> karat label)
+GOLD_RATE_PURITIES = {999: "24K", 916: "22K", 875: "21K", 750: "18K"}
+
+class GoldRateItem(BaseModel):
+    """Buy/sell rate for one purity on the gold rate board"""
+    purity: int  # 999 | 916 | 875 | 750
+    karat: str  # "24K" | "22K" | "21K" | "18K"
+    buy_rate: float  # OMR per gram the shop pays for old gold (3 decimal precision)
+    sell_rate: float  # OMR per gram the shop charges on sales (3 decimal precision)
+
+class GoldRate(BaseModel):
+    """
+    Daily gold rate board published by the manager.
+    
+    Every publish creates a new record - older boards are kept as rate history
+    and the latest non-deleted board is the "current" rate used to pre-fill
+    job cards, invoices and purchases.
+    """
+    model_config = ConfigDict(extra="ignore")
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    effective_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    rates: List[GoldRateItem] = []
+    notes: Optional[str] = None
+    created_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    created_by: str
+    created_by_name: Optional[str] = None
+    is_deleted: bool = False
+    deleted_at: Optional[datetime] = None
+    deleted_by: Optional[str] = None
+
+# Lifecycle of a tagged piece. "reserved" pieces sit on a draft invoice (or are held
+# for a customer), "sold" is only set by invoice finalization and "returned_to_vendor"
+# by purchase return finalization.
+TAGGED_ITEM_STATUSES = ["in_stock", "reserved", "sold", "on_approval", "returned", "returned_to_vendor"]
+FINAL_TAGGED_ITEM_STATUSES = ["sold", "returned_to_vendor"]
+# Pieces that can be put on a draft sale invoice
+INVOICEABLE_TAGGED_ITEM_STATUSES = ["in_stock", "on_approval", "returned"]
+
+class TaggedItem(BaseModel):
+    """
+    Individual finished piece in the tagged item register.
+    
+    Category totals (InventoryHeader.current_qty/current_weight) still hold the
+    stock - each tagged piece accounts for 1 qty and its net weight in its category.
+    source_type/source_id point at the Stock IN movement or purchase that brought
+    the piece into stock.
+    """
+    model_config = ConfigDict(extra="ignore")
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    tag_number: str
+    header_id: str
+    header_name: str
+    description: str
+    gross_weight: float
+    stone_weight: float = 0.0
+    net_weight: float  # gross_weight - stone_weight
+    purity: int = 916
+    making_charge_type: str = "flat"  # "flat" or "per_gram"
+    making_charge: float = 0.0
+    status: str = "in_stock"
+    source_type: Optional[str] = None  # "stock_in" or "purchase"
+    source_id: Optional[str] = None
+    invoice_id: Optional[str] = None  # Draft invoice holding the piece, or the invoice it was sold on
+    invoice_number: Optional[str] = None
+    sold_at: Optional[datetime] = None
+    notes: Optional[str] = None
+    created_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    created_by: str
+    updated_at: Optional[datetime] = None
+    is_deleted: bool = False
+    deleted_at: Optional[datetime] = None
+    deleted_by: Optional[str] = None
+
+# Stock-take sessions are counted while "in_progress" and wait for a manager while
+# "submitted". Approval posts the reconciling Adjustment movements.
+STOCK_TAKE_STATUSES = ["in_progress", "submitted", "approved", "cancelled"]
+OPEN_STOCK_TAKE_STATUSES = ["in_progress", "submitted"]
+
+class StockTakeLine(BaseModel):
+    """Counted stock for one inventory category in a stock-take session"""
+    model_config = ConfigDict(extra="ignore")
+    header_id: str
+    header_name: str
+    system_qty: float = 0.0  # Book stock - kept current until the session is approved
+    system_weight: float = 0.0
+    counted_qty: Optional[float] = None  # None = not counted, nothing is posted for the line
+    counted_weight: Optional[float] = None
+    qty_variance: Optional[float] = None  # counted - system, frozen on approval
+    weight_variance: Optional[float] = None
+    scanned_tags: List[str] = []
+    notes: Optional[str] = None
+
+class StockTake(BaseModel):
+    """
+    Physical stock-take (cycle count) session.
+    
+    Staff record counted qty/weight per category, or scan tagged pieces. When a
+    manager approves, each counted category's variance against book stock is
+    posted as one Adjustment movement (reference_type "stock_take") and the
+    session is kept with the movement ids as the audit record.
+    """
+    model_config = ConfigDict(extra="ignore")
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    session_number: str
+    status: str = "in_progress"
+    lines: List[StockTakeLine] = []
+    notes: Optional[str] = None
+    movement_ids: List[str] = []
+    submitted_at: Optional[datetime] = None
+    submitted_by: Optional[str] = None
+    approved_at: Optional[datetime] = None
+    approved_by: Optional[str] = None
+    approved_by_name: Optional[str] = None
+    approval_notes: Optional[str] = None
+    created_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    created_by: str
+    created_by_name: Optional[str] = None
+    updated_at: Optional[datetime] = None
+    is_deleted: bool = False
+
+class WorkerPayment(BaseModel):
+    """
+    Labour paid to a worker. Posted to the accounts as a DEBIT on the cash/bank
+    account and a CREDIT on the "Labour Charges" expense account.
+    """
+    model_config = ConfigDict(extra="ignore")
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    payment_number: str
+    worker_id: str
+    worker_name: str
+    date: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    amount: float
+    payment_mode: str
+    account_id: str
+    account_name: str
+    period_start: Optional[str] = None  # YYYY-MM-DD, period of work being settled
+    period_end: Optional[str] = None
+    transaction_ids: List[str] = []
+    notes: Optional[str] = None
+    created_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    created_by: str
+    created_by_name: Optional[str] = None
+    is_deleted: bool = False
+
+# Gold handed to a worker (karigar) is an "issue"; finished work and scrap coming
+# back is a "receipt".
+WORKER_GOLD_TRANSACTION_TYPES = ["issue", "receipt"]
+
+class WorkerGoldTransaction(BaseModel):
+    """
+    Gold issued to or received back from a worker against a job card.
+    
+    A receipt returns finished work and scrap/dust. A closing receipt books
+    whatever is still outstanding on the job card as wastage and measures it
+    against the worker's allowed wastage on the gold issued for that job.
+    """
+    model_config = ConfigDict(extra="ignore")
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    worker_id: str
+    worker_name: str
+    jobcard_id: str
+    jobcard_number: str
+    transaction_type: str  # issue | receipt
+    date: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    purity: int = 916
+    weight_grams: float = 0.0  # Issue: gold handed over
+    finished_weight: float = 0.0  # Receipt: finished work returned
+    scrap_weight: float = 0.0  # Receipt: scrap/dust returned
+    closes_job: bool = False
+    wastage_weight: float = 0.0  # Closing receipt: outstanding gold written off
+    allowed_wastage_percent: float = 0.0  # Worker's allowance when the job was closed
+    allowed_wastage_weight: float = 0.0
+    excess_wastage_weight: float = 0.0  # Wastage over the allowance, owed by the worker
+    notes: Optional[str] = None
+    created_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    created_by: str
+    created_by_name: Optional[str] = None
+    is_deleted: bool = False
+    deleted_at: Optional[datetime] = None
+    deleted_by: Optional[str] = None
+    
+    @computed_field
+    @property
+    def balance_delta(self) -> float:
+        """Change to the gold the worker holds"""
+        return round(self.weight_grams - self.finished_weight - self.scrap_weight - self.wastage_weight, 3)
+
 async def create_audit_log(user_id: str, user_name: str, module: str, record_id: str, action: str, changes: Optional[Dict] = None, session=None):
     log = AuditLog(
         user_id=user_id,
@@ -2301,6 +2841,42 @@ async def change_password(user_id: str, password_data: dict, current_user: User
     
     return {"message": "Password changed successfully"}
 
+def parse_reorder_levels(header_data: dict) -> dict:
+    """Validate min_qty/min_weight from a request. Blank or null clears the level."""
+    levels = {}
+    for field, label, precision in [('min_qty', 'Minimum quantity', 2), ('min_weight', 'Minimum weight', 3)]:
+        if field not in header_data:
+            continue
+        value = header_data[field]
+        if value is None or value == '':
+            levels[field] = None
+            continue
+        try:
+            value = round(float(value), precision)
+        except (TypeError, ValueError):
+            raise HTTPException(status_code=400, detail=f"{label} must be a number")
+        if value < 0:
+            raise HTTPException(status_code=400, detail=f"{label} cannot be negative")
+        levels[field] = value
+    return levels
+
+def get_stock_shortfall(header: dict) -> dict:
+    """
+    How far a category is below its reorder levels.
+    Categories without min_qty/min_weight are never low stock.
+    """
+    qty_shortfall = 0.0
+    weight_shortfall = 0.0
+    if header.get('min_qty') is not None:
+        qty_shortfall = max(safe_float(header['min_qty']) - safe_float(header.get('current_qty')), 0.0)
+    if header.get('min_weight') is not None:
+        weight_shortfall = max(safe_float(header['min_weight']) - safe_float(header.get('current_weight')), 0.0)
+    return {
+        "is_low_stock": qty_shortfall > 0 or weight_shortfall > 0,
+        "qty_shortfall": round(qty_shortfall, 2),
+        "weight_shortfall": round(weight_shortfall, 3)
+    }
+
 @api_router.get("/inventory/headers")
 async def get_inventory_headers(
     page: int = 1,
@@ -2361,7 +2937,7 @@ async def create_inventory_header(header_data: dict, current_user: User = Depend
             detail=f"Category '{category_name}' already exists. Please use a different name."
         )
     
-    header = InventoryHeader(name=category_name, created_by=current_user.id)
+    header = InventoryHeader(name=category_name, created_by=current_user.id, **parse_reorder_levels(header_data))
     await db.inventory_headers.insert_one(header.model_dump())
     await create_audit_log(current_user.id, current_user.full_name, "inventory_header", header.id, "create")
     return header
@@ -2374,7 +2950,7 @@ async def update_inventory_header(
     current_user: User = Depends(require_permission('inventory.adjust'))
 ):
     """
-    Update an existing inventory header (category name)
+    Update an existing inventory header (category name, active flag, reorder levels)
     Note: current_qty and current_weight are managed through stock movements
     """
     # Find existing header
@@ -2424,6 +3000,7 @@ async def update_inventory_header(
         update_data['name'] = new_name
     if 'is_active' in header_data:
         update_data['is_active'] = header_data['is_active']
+    update_data.update(parse_reorder_levels(header_data))
     
     if not update_data:
         raise HTTPException(status_code=400, detail="No valid fields to update")
@@ -2488,7 +3065,7 @@ async def delete_inventory_header(header_id: str, current_user: User = Depends(r
     
     return {"message": "Inventory header deleted successfully", "id": header_id}
 
-@api_router.get("/inventory/movements", response_model=List[StockMovement])
+@api_router.get("/inventory/movements", response_model=List[StockMovementView])
 async def get_stock_movements(header_id: Optional[str] = None, current_user: User = Depends(require_permission('inventory.view'))):
     if not user_has_permission(current_user, 'inventory.view'):
         raise HTTPException(status_code=status.HTTP_403_FORBIDDEN, detail="You don't have permission to view inventory")
@@ -2636,12 +3213,35 @@ async def delete_stock_movement(movement_id: str, current_user: User = Depends(r
         raise HTTPException(status_code=404, detail="Stock movement not found")
     
     # CRITICAL VALIDATION 1: Check if linked to invoice or purchase
-    if movement.get('reference_type') in ['invoice', 'purchase']:
+    if movement.get('reference_type') in ['invoice', 'purchase', 'return']:
         raise HTTPException(
             status_code=403,
             detail=f"Cannot delete stock movement linked to {movement.get('reference_type')}. This movement is part of an official transaction and must be preserved for audit trail, accounting accuracy, and GST compliance."
         )
     
+    # Tagged pieces own or reference their stock-in - remove the pieces from the register instead
+    if movement.get('reference_type') == 'tagged_item' or await db.tagged_items.find_one(
+        {"source_id": movement_id, "is_deleted": False}, {"_id": 1}
+    ):
+        raise HTTPException(
+            status_code=403,
+            detail="Cannot delete stock movement with tagged pieces. Delete the pieces from the tagged item register instead."
+        )
+    
+    # Stock-take adjustments are part of an approved session's audit record
+    if movement.get('reference_type') == 'stock_take':
+        raise HTTPException(
+            status_code=403,
+            detail="Cannot delete stock movement posted by an approved stock-take. Run a new stock-take to correct the count."
+        )
+    
+    # Credit note stock returns are part of an invoice cancellation record
+    if movement.get('reference_type') == 'credit_note':
+        raise HTTPException(
+            status_code=403,
+            detail="Cannot delete stock movement posted by a credit note. The invoice cancellation it belongs to cannot be undone."
+        )
+    
     # CRITICAL VALIDATION 2: Prevent deletion of Stock OUT movements
     # Stock OUT should NEVER be created manually, but if somehow exists without reference_type, block deletion
     if movement.get('movement_type') == "Stock OUT":
@@ -2714,17 +3314,147 @@ async def get_stock_totals(current_user: User = Depends(require_permission('inve
     
     # Return current stock directly from inventory headers
     headers = await db.inventory_headers.find({"is_deleted": False}, {"_id": 0}).to_list(1000)
+    # Fine weight uses the same average purity as the stock valuation
+    average_purities = await get_category_average_purities()
     # Convert Decimal128 to float before returning
     return [
         decimal_to_float({
             "header_id": h['id'], 
             "header_name": h['name'], 
             "total_qty": h.get('current_qty', 0), 
-            "total_weight": h.get('current_weight', 0)
+            "total_weight": h.get('current_weight', 0),
+            "avg_purity": round(average_purities.get(h['id'], 916), 1),
+            "total_fine_weight": calculate_fine_weight(h.get('current_weight'), average_purities.get(h['id'], 916)),
+            "min_qty": h.get('min_qty'),
+            "min_weight": h.get('min_weight'),
+            **get_stock_shortfall(h)
         })
         for h in headers
     ]
 
+async def get_low_stock_report() -> dict:
+    """Categories below their reorder levels with the quantity/weight needed to get back to them"""
+    headers = await db.inventory_headers.find({"is_deleted": False}, {"_id": 0}).sort("name", 1).to_list(1000)
+    headers = [decimal_to_float(h) for h in headers]
+    with_levels = [h for h in headers if h.get('min_qty') is not None or h.get('min_weight') is not None]
+    
+    items = []
+    for header in with_levels:
+        shortfall = get_stock_shortfall(header)
+        if not shortfall['is_low_stock']:
+            continue
+        items.append({
+            "header_id": header['id'],
+            "header_name": header['name'],
+            "current_qty": round(safe_float(header.get('current_qty')), 2),
+            "current_weight": round(safe_float(header.get('current_weight')), 3),
+            "min_qty": header.get('min_qty'),
+            "min_weight": header.get('min_weight'),
+            "qty_shortfall": shortfall['qty_shortfall'],
+            "weight_shortfall": shortfall['weight_shortfall']
+        })
+    
+    return {
+        "items": items,
+        "categories_with_levels": len(with_levels),
+        "totals": {
+            "qty_shortfall": round(sum(item['qty_shortfall'] for item in items), 2),
+            "weight_shortfall": round(sum(item['weight_shortfall'] for item in items), 3)
+        },
+        "generated_at": datetime.now(timezone.utc).isoformat()
+    }
+
+@api_router.get("/inventory/low-stock")
+async def get_low_stock(current_user: User = Depends(require_permission('inventory.view'))):
+    return await get_low_stock_report()
+
+async def get_category_average_purities() -> dict:
+    """Weight-averaged purity of the stock that came into each category, keyed by header id"""
+    # Summed in the database - valuation and stock totals call this on every load
+    rows = await db.stock_movements.aggregate([
+        {"$match": {"is_deleted": False, "header_id": {"$nin": [None, ""]}, "weight_delta": {"$gt": 0}, "purity": {"$gt": 0}}},
+        {"$group": {
+            "_id": "$header_id",
+            "weighted": {"$sum": {"$multiply": ["$weight_delta", "$purity"]}},
+            "total": {"$sum": "$weight_delta"}
+        }}
+    ]).to_list(None)
+    
+    return {
+        row['_id']: safe_float(row['weighted']) / safe_float(row['total'])
+        for row in decimal_to_float(rows) if safe_float(row['total']) > 0
+    }
+
+async def calculate_inventory_valuation(rate: Optional[float] = None, rate_side: str = "sell") -> dict:
+    """
+    Value current stock as fine gold.
+    
+    Each category's current weight is converted to fine (24K) gold using the
+    weight-averaged purity of the stock that came into it, then valued at the
+    given rate per fine gram. Without a rate, the published 24K rate is used.
+    """
+    if rate_side not in ("buy", "sell"):
+        raise HTTPException(status_code=400, detail="rate_side must be 'buy' or 'sell'")
+    
+    rate_source = "manual"
+    rate_effective_at = None
+    if rate is None:
+        rate_board = await get_current_gold_rate()
+        rate = get_rate_for_purity(rate_board, 999, rate_side)
+        if rate is None:
+            raise HTTPException(status_code=400, detail="No gold rate has been published yet. Enter a rate to value stock.")
+        rate_source = "published"
+        rate_effective_at = rate_board.get('effective_at')
+    elif rate <= 0:
+        raise HTTPException(status_code=400, detail="Rate must be greater than zero")
+    
+    headers = await db.inventory_headers.find({"is_deleted": False}, {"_id": 0}).sort("name", 1).to_list(1000)
+    average_purities = await get_category_average_purities()
+    
+    categories = []
+    for header in headers:
+        weight = safe_float(header.get('current_weight'))
+        avg_purity = average_purities.get(header['id'], 916)
+        fine_weight = calculate_fine_weight(weight, avg_purity)
+        categories.append({
+            "header_id": header['id'],
+            "header_name": header['name'],
+            "qty": round(safe_float(header.get('current_qty')), 2),
+            "weight": round(weight, 3),
+            "avg_purity": round(avg_purity, 1),
+            "fine_weight": fine_weight,
+            "value": round(fine_weight * rate, 3)
+        })
+    
+    return {
+        "rate": round(rate, 3),
+        "rate_side": rate_side,
+        "rate_source": rate_source,
+        "rate_effective_at": rate_effective_at,
+        "categories": categories,
+        "totals": {
+            "qty": round(sum(c['qty'] for c in categories), 2),
+            "weight": round(sum(c['weight'] for c in categories), 3),
+            "fine_weight": round(sum(c['fine_weight'] for c in categories), 3),
+            "value": round(sum(c['value'] for c in categories), 3)
+        },
+        "generated_at": datetime.now(timezone.utc).isoformat()
+    }
+
+@api_router.get("/inventory/valuation")
+async def get_inventory_valuation(
+    rate: Optional[float] = None,
+    rate_side: str = "sell",
+    current_user: User = Depends(require_permission('inventory.view'))
+):
+    """
+    Stock valuation per category and grand total.
+    
+    rate: value per gram of fine (24K) gold. Defaults to the published 24K rate.
+    rate_side: which published rate to use when no rate is given (buy/sell).
+    """
+    return await calculate_inventory_valuation(rate, rate_side)
+
 # ============================================================================
 # NEW ENDPOINTS FOR API COMPLETENESS
 # ============================================================================
@@ -2834,6 +3564,48 @@ async def get_reports_list(current_user: User = Depends(require_permission('repo
             "supports_export": True,
             "export_formats": ["excel", "pdf"]
         },
+        {
+            "id": "inventory-valuation",
+            "name": "Inventory Valuation",
+            "description": "Current stock converted to fine gold and valued at a gold rate",
+            "category": "inventory",
+            "endpoints": {
+                "view": "/api/inventory/valuation",
+                "export_excel": "/api/reports/inventory-valuation-export",
+                "export_pdf": "/api/reports/inventory-valuation-pdf"
+            },
+            "supports_filters": True,
+            "supports_export": True,
+            "export_formats": ["excel", "pdf"]
+        },
+        {
+            "id": "low-stock",
+            "name": "Low Stock Report",
+            "description": "Categories below their reorder levels and how much to reorder",
+            "category": "inventory",
+            "endpoints": {
+                "view": "/api/inventory/low-stock",
+                "export_excel": "/api/reports/low-stock-export",
+                "export_pdf": "/api/reports/low-stock-pdf"
+            },
+            "supports_filters": False,
+            "supports_export": True,
+            "export_formats": ["excel", "pdf"]
+        },
+        {
+            "id": "stock-ledger",
+            "name": "Stock Ledger",
+            "description": "Movements of one category with opening and running balance",
+            "category": "inventory",
+            "endpoints": {
+                "view": "/api/reports/inventory/{header_id}/stock-ledger",
+                "export_excel": "/api/reports/stock-ledger-export",
+                "export_pdf": "/api/reports/stock-ledger-pdf"
+            },
+            "supports_filters": True,
+            "supports_export": True,
+            "export_formats": ["excel", "pdf"]
+        },
         {
             "id": "parties",
             "name": "Parties Report",
@@ -2978,7 +3750,9 @@ async def get_inventory(
                     "is_active": header.get('is_active', True),
                     "created_at": header.get('created_at'),
                     "created_by": header.get('created_by'),
-                    "status": "low_stock" if header.get('current_qty', 0) < 5 else "in_stock"
+                    "min_qty": header.get('min_qty'),
+                    "min_weight": header.get('min_weight'),
+                    "status": "low_stock" if get_stock_shortfall(header)['is_low_stock'] else "in_stock"
                 }
                 inventory_items.append(item)
             
@@ -3013,7 +3787,9 @@ async def get_inventory(
                     "is_active": header.get('is_active', True),
                     "created_at": header.get('created_at'),
                     "created_by": header.get('created_by'),
-                    "status": "low_stock" if header.get('current_qty', 0) < 5 else "in_stock"
+                    "min_qty": header.get('min_qty'),
+                    "min_weight": header.get('min_weight'),
+                    "status": "low_stock" if get_stock_shortfall(header)['is_low_stock'] else "in_stock"
                 }
                 inventory_items.append(item)
         
@@ -3131,23 +3907,201 @@ async def get_outstanding_summary(current_user: User = Depends(require_permissio
     
     return {"total_customer_due": total_customer_due, "top_10_outstanding": top_10}
 
-@api_router.get("/parties/{party_id}", response_model=Party)
-async def get_party(party_id: str, current_user: User = Depends(require_permission('parties.view'))):
-    party = await db.parties.find_one({"id": party_id, "is_deleted": False}, {"_id": 0})
-    if not party:
-        raise HTTPException(status_code=404, detail="Party not found")
-    return Party(**decimal_to_float(party))
+def phone_digits(phone: Optional[str]) -> str:
+    return re.sub(r"\D", "", phone or "")
 
-@api_router.patch("/parties/{party_id}", response_model=Party)
-@api_router.put("/parties/{party_id}", response_model=Party)
-async def update_party(party_id: str, party_data: dict, current_user: User = Depends(require_permission('parties.update'))):
-    if not user_has_permission(current_user, 'parties.update'):
-        raise HTTPException(status_code=status.HTTP_403_FORBIDDEN, detail="You don't have permission to update parties")
-    
-    existing = await db.parties.find_one({"id": party_id, "is_deleted": False})
-    if not existing:
-        raise HTTPException(status_code=404, detail="Party not found")
-    
+def phone_match(phone: str) -> dict:
+    """
+    Mongo condition matching a stored phone with the same digits, whatever spaces,
+    dashes or brackets it was typed with ("9123 4567" matches "91234567")
+    """
+    digits = phone_digits(phone)
+    return {"$regex": "^\\D*" + "\\D*".join(digits) + "\\D*$"}
+
+def walk_in_query(phone: str) -> dict:
+    return {"customer_type": "walk_in", "walk_in_phone": phone_match(phone), "is_deleted": False}
+
+async def find_walk_in_documents(phone: str) -> dict:
+    """Walk-in job cards, invoices and quotations recorded with this phone number, plus returns against those invoices"""
+    query = walk_in_query(phone)
+    jobcards = await db.jobcards.find(
+        {**query, "card_type": {"$ne": "template"}},
+        {"_id": 0, "id": 1, "job_card_number": 1, "created_at": 1, "walk_in_name": 1, "status": 1}
+    ).sort("created_at", -1).to_list(1000)
+    invoices = await db.invoices.find(
+        query,
+        {"_id": 0, "id": 1, "invoice_number": 1, "date": 1, "walk_in_name": 1, "status": 1, "payment_status": 1, "grand_total": 1, "balance_due": 1}
+    ).sort("date", -1).to_list(1000)
+    quotations = await db.quotations.find(
+        query,
+        {"_id": 0, "id": 1, "quotation_number": 1, "date": 1, "walk_in_name": 1, "status": 1, "grand_total": 1}
+    ).sort("date", -1).to_list(1000)
+    returns = []
+    if invoices:
+        returns = await db.returns.find(
+            {"reference_type": "invoice", "reference_id": {"$in": [inv["id"] for inv in invoices]}, "party_id": None, "is_deleted": False},
+            {"_id": 0, "id": 1, "return_number": 1, "date": 1, "reference_number": 1, "status": 1, "total_amount": 1}
+        ).to_list(1000)
+    return {
+        "jobcards": [decimal_to_float(doc) for doc in jobcards],
+        "invoices": [decimal_to_float(doc) for doc in invoices],
+        "quotations": [decimal_to_float(doc) for doc in quotations],
+        "returns": [decimal_to_float(doc) for doc in returns]
+    }
+
+@api_router.get("/parties/walk-in-matches")
+async def get_walk_in_matches(phone: str, current_user: User = Depends(require_permission('parties.view'))):
+    """
+    Walk-in documents sharing a phone number, shown before promoting the walk-in to a saved customer.
+    Also returns the saved party already registered with that phone, if any, so the history can be merged into it.
+    """
+    phone = (phone or "").strip()
+    if not phone_digits(phone):
+        raise HTTPException(status_code=400, detail="Phone number is required")
+    
+    documents = await find_walk_in_documents(phone)
+    existing_party = await db.parties.find_one({"phone": phone_match(phone), "is_deleted": False}, {"_id": 0})
+    names = [doc.get("walk_in_name") for doc in documents["invoices"] + documents["jobcards"] if doc.get("walk_in_name")]
+    
+    return {
+        "phone": phone,
+        "suggested_name": names[0] if names else "",
+        "existing_party": decimal_to_float(existing_party) if existing_party else None,
+        "outstanding": round(sum(inv.get("balance_due", 0) for inv in documents["invoices"] if inv.get("status") == "finalized"), 3),
+        **documents
+    }
+
+@api_router.post("/parties/promote-walk-in")
+async def promote_walk_in(data: dict, current_user: User = Depends(require_permission('parties.create'))):
+    """
+    Promote a repeat walk-in to a saved customer.
+    
+    Creates the party (or uses `party_id` of the party already holding the phone) and re-links every
+    walk-in job card, invoice and quotation with that phone to it. Payments, payment vouchers, returns
+    and credit notes against those invoices are re-linked too, so the party ledger and outstanding
+    balance include the walk-in history.
+    """
+    phone = (data.get("phone") or "").strip()
+    if not phone_digits(phone):
+        raise HTTPException(status_code=400, detail="Phone number is required")
+    
+    if data.get("party_id"):
+        party = await db.parties.find_one({"id": data["party_id"], "is_deleted": False}, {"_id": 0})
+        if not party:
+            raise HTTPException(status_code=404, detail="Party not found")
+        if party.get("party_type") == "vendor":
+            raise HTTPException(status_code=400, detail="Walk-in history can only be merged into a customer")
+        party_created = False
+    else:
+        try:
+            validated_data = PartyValidator(
+                name=data.get("name") or "",
+                phone=phone,
+                oman_id=data.get("oman_id") or None,
+                address=data.get("address") or None,
+                party_type="customer",
+                notes=data.get("notes") or None
+            )
+        except Exception as e:
+            raise HTTPException(status_code=400, detail=str(e))
+        existing_phone = await db.parties.find_one({"phone": phone_match(phone), "is_deleted": False})
+        if existing_phone:
+            raise HTTPException(
+                status_code=400,
+                detail=f"Phone number {phone} is already registered with another party: {existing_phone.get('name', 'Unknown')}. Merge into that party instead."
+            )
+        party_model = Party(**validated_data.dict(), created_by=current_user.id)
+        await db.parties.insert_one(party_model.model_dump())
+        await create_audit_log(current_user.id, current_user.full_name, "party", party_model.id, "create", {"promoted_from_walk_in": phone})
+        party = party_model.model_dump()
+        party_created = True
+    
+    # Every matching document is re-linked, however long the walk-in history is
+    query = walk_in_query(phone)
+    jobcard_query = {**query, "card_type": {"$ne": "template"}}
+    jobcard_ids = await db.jobcards.distinct("id", jobcard_query)
+    invoice_ids = await db.invoices.distinct("id", query)
+    return_ids = await db.returns.distinct(
+        "id", {"reference_type": "invoice", "reference_id": {"$in": invoice_ids}, "party_id": None, "is_deleted": False}
+    ) if invoice_ids else []
+    credit_note_ids = await db.credit_notes.distinct(
+        "id", {"invoice_id": {"$in": invoice_ids}, "party_id": None, "is_deleted": False}
+    ) if invoice_ids else []
+    now = datetime.now(timezone.utc)
+    customer_link = {
+        "customer_type": "saved",
+        "customer_id": party["id"],
+        "customer_name": party["name"],
+        "customer_oman_id": party.get("oman_id"),
+        "walk_in_name": None,
+        "walk_in_phone": None
+    }
+    
+    await db.jobcards.update_many(jobcard_query, {"$set": {**customer_link, "updated_at": now}})
+    await db.invoices.update_many(query, {"$set": {
+        **customer_link,
+        "customer_phone": party.get("phone"),
+        "customer_address": party.get("address")
+    }})
+    quotations_result = await db.quotations.update_many(query, {"$set": {
+        **customer_link,
+        "customer_phone": party.get("phone"),
+        "updated_at": now
+    }})
+    if return_ids:
+        await db.returns.update_many({"id": {"$in": return_ids}}, {"$set": {"party_id": party["id"], "party_name": party["name"]}})
+    if credit_note_ids:
+        await db.credit_notes.update_many({"id": {"$in": credit_note_ids}}, {"$set": {"party_id": party["id"], "party_name": party["name"]}})
+    
+    # Payments, advances, refunds and cancellation reversals were posted without a party while the customer was a walk-in
+    reference_filters = [
+        {"reference_type": "invoice", "reference_id": {"$in": invoice_ids}},
+        {"reference_type": "jobcard", "reference_id": {"$in": jobcard_ids}},
+        {"reference_type": "return", "reference_id": {"$in": return_ids}},
+        {"reference_type": "credit_note", "reference_id": {"$in": credit_note_ids}}
+    ]
+    transactions_result = await db.transactions.update_many(
+        {"$or": reference_filters, "party_id": None, "is_deleted": False},
+        {"$set": {"party_id": party["id"], "party_name": party["name"]}}
+    )
+    # The receipt vouchers printed for those payments follow them to the party
+    vouchers_result = await db.payment_vouchers.update_many(
+        {"$or": reference_filters, "party_id": None, "is_deleted": False},
+        {"$set": {"party_id": party["id"], "party_name": party["name"]}}
+    )
+    
+    summary = {
+        "phone": phone,
+        "party_created": party_created,
+        "jobcards": len(jobcard_ids),
+        "invoices": len(invoice_ids),
+        "quotations": quotations_result.modified_count,
+        "returns": len(return_ids),
+        "credit_notes": len(credit_note_ids),
+        "transactions": transactions_result.modified_count,
+        "payment_vouchers": vouchers_result.modified_count
+    }
+    await create_audit_log(current_user.id, current_user.full_name, "party", party["id"], "merge_walk_in", summary)
+    
+    return {"party": decimal_to_float(party), **summary}
+
+@api_router.get("/parties/{party_id}", response_model=Party)
+async def get_party(party_id: str, current_user: User = Depends(require_permission('parties.view'))):
+    party = await db.parties.find_one({"id": party_id, "is_deleted": False}, {"_id": 0})
+    if not party:
+        raise HTTPException(status_code=404, detail="Party not found")
+    return Party(**decimal_to_float(party))
+
+@api_router.patch("/parties/{party_id}", response_model=Party)
+@api_router.put("/parties/{party_id}", response_model=Party)
+async def update_party(party_id: str, party_data: dict, current_user: User = Depends(require_permission('parties.update'))):
+    if not user_has_permission(current_user, 'parties.update'):
+        raise HTTPException(status_code=status.HTTP_403_FORBIDDEN, detail="You don't have permission to update parties")
+    
+    existing = await db.parties.find_one({"id": party_id, "is_deleted": False})
+    if not existing:
+        raise HTTPException(status_code=404, detail="Party not found")
+    
     # Validate input data using PartyValidator
     # Create a copy with existing values as defaults for partial updates
     update_data = {
@@ -3156,7 +4110,8 @@ async def update_party(party_id: str, party_data: dict, current_user: User = Dep
         'phone': party_data.get('phone', existing.get('phone')),
         'address': party_data.get('address', existing.get('address')),
         'party_type': party_data.get('party_type', existing.get('party_type')),
-        'notes': party_data.get('notes', existing.get('notes'))
+        'notes': party_data.get('notes', existing.get('notes')),
+        'vatin': party_data.get('vatin', existing.get('vatin'))
     }
     
     try:
@@ -3215,15 +4170,13 @@ async def get_party_impact(party_id: str, current_user: User = Depends(require_p
         money_outstanding += inv.get('balance_due', 0)
     
     # Get gold balance
-    gold_entries = await db.gold_ledger.find({"party_id": party_id, "is_deleted": False}, {"_id": 0, "type": 1, "weight_grams": 1}).to_list(1000)
+    gold_entries = await db.gold_ledger.find(
+        {"party_id": party_id, "is_deleted": False}, {"_id": 0, "type": 1, "weight_grams": 1, "purity_entered": 1}
+    ).to_list(1000)
     # Convert Decimal128 to float for calculations
     gold_entries = [decimal_to_float(entry) for entry in gold_entries]
-    gold_balance = 0
-    for entry in gold_entries:
-        if entry.get('type') == 'IN':
-            gold_balance += entry.get('weight_grams', 0)
-        else:
-            gold_balance -= entry.get('weight_grams', 0)
+    gold_summary = summarize_party_gold(gold_entries)
+    gold_balance = gold_summary['net_gold_balance']
     
     impact = {
         "party_name": party.get("name"),
@@ -3238,7 +4191,8 @@ async def get_party_impact(party_id: str, current_user: User = Depends(require_p
                                 linked_jobcards_count + linked_gold_ledger_count + 
                                 linked_transactions_count),
         "money_outstanding": round(money_outstanding, 2),
-        "gold_balance_grams": round(gold_balance, 3),
+        "gold_balance_grams": gold_balance,
+        "fine_gold_balance_grams": gold_summary['net_fine_balance'],
         "has_outstanding_balance": money_outstanding != 0 or gold_balance != 0
     }
     
@@ -3299,6 +4253,109 @@ def validate_worker_name(name: str) -> tuple[bool, str]:
     
     return True, ""
 
+def validate_allowed_wastage(value) -> float:
+    """Allowed wastage percentage for a worker: 0-100, 2 decimal places"""
+    try:
+        percent = round(float(value or 0), 2)
+    except (TypeError, ValueError):
+        raise HTTPException(status_code=400, detail="allowed_wastage_percent must be a number")
+    if percent < 0 or percent > 100:
+        raise HTTPException(status_code=400, detail="allowed_wastage_percent must be between 0 and 100")
+    return percent
+
+def validate_labour_rates(rates) -> list:
+    """Check a worker's labour rates: one per work type, known rate type, non-negative rate"""
+    if rates is None:
+        return []
+    if not isinstance(rates, list):
+        raise HTTPException(status_code=400, detail="labour_rates must be a list")
+    
+    cleaned = []
+    seen = set()
+    for rate in rates:
+        work_type = (rate.get('work_type') or '').strip()
+        if not work_type:
+            raise HTTPException(status_code=400, detail="Each labour rate needs a work type")
+        if work_type.lower() in seen:
+            raise HTTPException(status_code=400, detail=f"Labour rate for '{work_type}' is entered more than once")
+        seen.add(work_type.lower())
+        
+        rate_type = rate.get('rate_type', 'per_piece')
+        if rate_type not in LABOUR_RATE_TYPES:
+            raise HTTPException(status_code=400, detail=f"rate_type must be one of: {', '.join(LABOUR_RATE_TYPES)}")
+        try:
+            amount = round(float(rate.get('rate') or 0), 3)
+        except (TypeError, ValueError):
+            raise HTTPException(status_code=400, detail=f"Labour rate for '{work_type}' must be a number")
+        if amount < 0:
+            raise HTTPException(status_code=400, detail=f"Labour rate for '{work_type}' cannot be negative")
+        cleaned.append(WorkerLabourRate(work_type=work_type, rate_type=rate_type, rate=amount).model_dump())
+    return cleaned
+
+def summarize_worker_gold(transactions: list) -> dict:
+    """
+    Roll worker gold transactions up per job card and in total.
+    
+    Outstanding is gold still held by the worker: issued - finished - scrap - wastage.
+    wastage_percent is measured on the gold issued for closed jobs only, since an
+    open job has not had its loss booked yet.
+    
+    A job's gold is all one purity, so per-job weights are in grams at that purity.
+    Totals span jobs at different purities and are in fine (24K) grams.
+    """
+    jobs = {}
+    for txn in transactions:
+        job = jobs.setdefault(txn['jobcard_id'], {
+            "jobcard_id": txn['jobcard_id'],
+            "jobcard_number": txn.get('jobcard_number'),
+            "purity": txn.get('purity', 916),
+            "issued": 0.0, "finished": 0.0, "scrap": 0.0, "wastage": 0.0,
+            "allowed_wastage": 0.0, "excess_wastage": 0.0,
+            "outstanding": 0.0, "fine_outstanding": 0.0,
+            "closed": False, "last_date": None
+        })
+        issued = safe_float(txn.get('weight_grams'))
+        finished = safe_float(txn.get('finished_weight'))
+        scrap = safe_float(txn.get('scrap_weight'))
+        wastage = safe_float(txn.get('wastage_weight'))
+        delta = issued - finished - scrap - wastage
+        job['issued'] += issued
+        job['finished'] += finished
+        job['scrap'] += scrap
+        job['wastage'] += wastage
+        job['allowed_wastage'] += safe_float(txn.get('allowed_wastage_weight'))
+        job['excess_wastage'] += safe_float(txn.get('excess_wastage_weight'))
+        job['outstanding'] += delta
+        job['fine_outstanding'] += calculate_fine_weight(delta, txn.get('purity', 916))
+        job['closed'] = job['closed'] or bool(txn.get('closes_job'))
+        job['last_date'] = txn.get('date')
+    
+    weight_fields = ['issued', 'finished', 'scrap', 'wastage', 'allowed_wastage', 'excess_wastage', 'outstanding']
+    totals = {field: 0.0 for field in weight_fields}
+    closed_issued = 0.0
+    for job in jobs.values():
+        job['fine_outstanding'] = round(job['fine_outstanding'], 3)
+        for field in weight_fields:
+            job[field] = round(job[field], 3)
+            totals[field] += calculate_fine_weight(job[field], job['purity'])
+        job['wastage_percent'] = round(job['wastage'] / job['issued'] * 100, 2) if job['closed'] and job['issued'] else None
+        if job['closed']:
+            closed_issued += calculate_fine_weight(job['issued'], job['purity'])
+    
+    totals = {field: round(value, 3) for field, value in totals.items()}
+    totals['open_jobs'] = sum(1 for job in jobs.values() if not job['closed'])
+    totals['closed_jobs'] = sum(1 for job in jobs.values() if job['closed'])
+    totals['wastage_percent'] = round(totals['wastage'] / closed_issued * 100, 2) if closed_issued else 0.0
+    return {"jobs": list(jobs.values()), "totals": totals}
+
+async def get_worker_gold_transactions(worker_id: str, jobcard_id: Optional[str] = None) -> list:
+    """Active gold transactions for a worker (optionally one job card), oldest first"""
+    query = {"worker_id": worker_id, "is_deleted": False}
+    if jobcard_id:
+        query['jobcard_id'] = jobcard_id
+    transactions = await db.worker_gold_transactions.find(query, {"_id": 0}).sort([("date", 1), ("created_at", 1)]).to_list(None)
+    return [decimal_to_float(txn) for txn in transactions]
+
 
 @api_router.get("/workers")
 @limiter.limit("1000/hour")
@@ -3315,6 +4372,45 @@ async def get_workers(
     workers = await db.workers.find(query, {"_id": 0}).sort("name", 1).to_list(None)
     return {"items": workers}
 
+@api_router.get("/workers/labour-balances")
+async def get_worker_labour_balances(current_user: User = Depends(require_permission('finance.view'))):
+    """Labour earned, paid and still due for every worker, keyed by worker id"""
+    workers = await db.workers.find({"is_deleted": False}, {"_id": 0}).to_list(None)
+    lines_by_worker = await compute_labour_by_worker(workers)
+    paid_by_worker = {
+        row['_id']: safe_float(row['paid'])
+        for row in decimal_to_float(await db.worker_payments.aggregate([
+            {"$match": {"is_deleted": False}},
+            {"$group": {"_id": "$worker_id", "paid": {"$sum": "$amount"}}}
+        ]).to_list(None))
+    }
+    items = {}
+    for worker in workers:
+        lines = lines_by_worker[worker['id']]
+        earned = round(sum(line['amount'] for line in lines), 3)
+        paid = round(paid_by_worker.get(worker['id'], 0.0), 3)
+        items[worker['id']] = {
+            "earned": earned,
+            "paid": paid,
+            "balance_due": round(earned - paid, 3),
+            "unrated_items": sum(1 for line in lines if line['rate_missing'])
+        }
+    return {"items": items}
+
+@api_router.get("/workers/gold-balances")
+async def get_worker_gold_balances(current_user: User = Depends(require_permission('jobcards.view'))):
+    """Gold position (outstanding, wastage) for every worker, keyed by worker id"""
+    transactions = await db.worker_gold_transactions.find({"is_deleted": False}, {"_id": 0}).sort([("date", 1), ("created_at", 1)]).to_list(None)
+    by_worker = {}
+    for txn in transactions:
+        by_worker.setdefault(txn['worker_id'], []).append(decimal_to_float(txn))
+    return {
+        "items": {
+            worker_id: summarize_worker_gold(worker_transactions)['totals']
+            for worker_id, worker_transactions in by_worker.items()
+        }
+    }
+
 @api_router.post("/workers", response_model=Worker, status_code=201)
 @limiter.limit("1000/hour")
 async def create_worker(request: Request, worker_data: dict, current_user: User = Depends(get_current_user)):
@@ -3353,6 +4449,9 @@ async def create_worker(request: Request, worker_data: dict, current_user: User
                 detail=f"Phone number {phone} is already registered with another worker: {existing_phone.get('name', 'Unknown')}"
             )
     
+    worker_data['allowed_wastage_percent'] = validate_allowed_wastage(worker_data.get('allowed_wastage_percent'))
+    worker_data['labour_rates'] = validate_labour_rates(worker_data.get('labour_rates'))
+    
     worker = Worker(**worker_data, created_by=current_user.id)
     await db.workers.insert_one(worker.model_dump())
     await create_audit_log(current_user.id, current_user.full_name, "worker", worker.id, "create")
@@ -3412,6 +4511,11 @@ async def update_worker(worker_id: str, update_data: dict, current_user: User =
                     detail=f"Phone number {phone} is already registered with another worker: {existing_phone.get('name', 'Unknown')}"
                 )
     
+    if 'allowed_wastage_percent' in update_data:
+        update_data['allowed_wastage_percent'] = validate_allowed_wastage(update_data['allowed_wastage_percent'])
+    if 'labour_rates' in update_data:
+        update_data['labour_rates'] = validate_labour_rates(update_data['labour_rates'])
+    
     await db.workers.update_one({"id": worker_id}, {"$set": update_data})
     await create_audit_log(current_user.id, current_user.full_name, "worker", worker_id, "update", update_data)
     return {"message": "Worker updated successfully"}
@@ -3436,6 +4540,14 @@ async def delete_worker(worker_id: str, current_user: User = Depends(get_current
             detail=f"Cannot delete worker. {active_jobcards} active job card(s) are assigned to this worker. Please reassign or complete them first."
         )
     
+    # Check the worker is not still holding issued gold
+    gold_totals = summarize_worker_gold(await get_worker_gold_transactions(worker_id))['totals']
+    if gold_totals['outstanding'] > 0:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Cannot delete worker. {gold_totals['outstanding']:.3f}g fine of issued gold is still outstanding. Receive or close their jobs first."
+        )
+    
     await db.workers.update_one(
         {"id": worker_id},
         {"$set": {"is_deleted": True, "deleted_at": datetime.now(timezone.utc), "deleted_by": current_user.id}}
@@ -3443,6 +4555,526 @@ async def delete_worker(worker_id: str, current_user: User = Depends(get_current
     await create_audit_log(current_user.id, current_user.full_name, "worker", worker_id, "delete")
     return {"message": "Worker deleted successfully"}
 
+# ============================================================================
+# WORKER GOLD LEDGER ENDPOINTS (Karigar issue / receipt)
+# ============================================================================
+
+async def get_worker_or_404(worker_id: str) -> dict:
+    worker = await db.workers.find_one({"id": worker_id, "is_deleted": False}, {"_id": 0})
+    if not worker:
+        raise HTTPException(status_code=404, detail="Worker not found")
+    return worker
+
+def parse_gold_weight(data: dict, field: str) -> float:
+    try:
+        weight = round(float(data.get(field) or 0), 3)
+    except (TypeError, ValueError):
+        raise HTTPException(status_code=400, detail=f"{field} must be a number")
+    if weight < 0:
+        raise HTTPException(status_code=400, detail=f"{field} cannot be negative")
+    return weight
+
+def parse_gold_transaction_date(data: dict) -> datetime:
+    """Date of a gold issue or receipt - now when not given, and never in the future"""
+    now = datetime.now(timezone.utc)
+    value = data.get('date')
+    if not value:
+        return now
+    try:
+        parsed = datetime.fromisoformat(str(value).replace('Z', '+00:00'))
+    except ValueError:
+        raise HTTPException(status_code=400, detail="Invalid date format. Use ISO format (YYYY-MM-DD)")
+    if parsed.tzinfo is None:
+        parsed = parsed.replace(tzinfo=timezone.utc)
+    if parsed > now:
+        raise HTTPException(status_code=400, detail="Date cannot be in the future")
+    return parsed
+
+@api_router.get("/workers/{worker_id}/gold-ledger")
+async def get_worker_gold_ledger(worker_id: str, current_user: User = Depends(require_permission('jobcards.view'))):
+    """Worker gold transactions with running balance, plus per-job and total position"""
+    worker = await get_worker_or_404(worker_id)
+    transactions = await get_worker_gold_transactions(worker_id)
+    
+    balance = 0.0
+    fine_balance = 0.0
+    entries = []
+    for txn in transactions:
+        entry = WorkerGoldTransaction(**txn).model_dump()
+        entry['fine_weight'] = calculate_fine_weight(entry['balance_delta'], entry['purity'])
+        balance += entry['balance_delta']
+        fine_balance += entry['fine_weight']
+        entry['balance'] = round(balance, 3)
+        entry['fine_balance'] = round(fine_balance, 3)
+        entries.append(entry)
+    
+    summary = summarize_worker_gold(transactions)
+    return {
+        "worker": {
+            "id": worker['id'],
+            "name": worker['name'],
+            "allowed_wastage_percent": safe_float(worker.get('allowed_wastage_percent'))
+        },
+        "entries": entries,
+        "jobs": summary['jobs'],
+        "totals": summary['totals']
+    }
+
+@api_router.post("/workers/{worker_id}/gold-issue", status_code=201)
+async def issue_gold_to_worker(worker_id: str, issue_data: dict, current_user: User = Depends(require_permission('jobcards.update'))):
+    """Hand gold to a worker for a job card"""
+    worker = await get_worker_or_404(worker_id)
+    if not worker.get('active', True):
+        raise HTTPException(status_code=400, detail=f"Worker {worker['name']} is inactive")
+    
+    jobcard_id = issue_data.get('jobcard_id')
+    if not jobcard_id:
+        raise HTTPException(status_code=400, detail="jobcard_id is required")
+    jobcard = await db.jobcards.find_one({"id": jobcard_id, "is_deleted": False, "card_type": {"$ne": "template"}})
+    if not jobcard:
+        raise HTTPException(status_code=404, detail="Job card not found")
+    if jobcard.get('status') in ['completed', 'delivered']:
+        raise HTTPException(status_code=400, detail=f"Cannot issue gold for job card {jobcard['job_card_number']} - it is already {jobcard['status']}")
+    
+    weight = parse_gold_weight(issue_data, 'weight_grams')
+    if weight <= 0:
+        raise HTTPException(status_code=400, detail="weight_grams must be greater than 0")
+    
+    job_summary = summarize_worker_gold(await get_worker_gold_transactions(worker_id, jobcard_id))
+    if job_summary['totals']['closed_jobs']:
+        raise HTTPException(status_code=400, detail=f"Job card {jobcard['job_card_number']} is already closed for {worker['name']}")
+    purity = int(issue_data.get('purity') or 916)
+    if job_summary['jobs'] and job_summary['jobs'][0]['purity'] != purity:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Job card {jobcard['job_card_number']} was issued {job_summary['jobs'][0]['purity']} gold - issue gold of the same purity"
+        )
+    
+    transaction = WorkerGoldTransaction(
+        worker_id=worker_id,
+        worker_name=worker['name'],
+        jobcard_id=jobcard_id,
+        jobcard_number=jobcard['job_card_number'],
+        transaction_type="issue",
+        date=parse_gold_transaction_date(issue_data),
+        purity=purity,
+        weight_grams=weight,
+        notes=issue_data.get('notes'),
+        created_by=current_user.id,
+        created_by_name=current_user.full_name
+    )
+    await db.worker_gold_transactions.insert_one(convert_worker_gold_to_decimal(transaction.model_dump()))
+    await create_audit_log(current_user.id, current_user.full_name, "worker_gold", transaction.id, "issue",
+                          {"worker": worker['name'], "jobcard_number": jobcard['job_card_number'], "weight_grams": weight})
+    return transaction
+
+@api_router.post("/workers/{worker_id}/gold-receipt", status_code=201)
+async def receive_gold_from_worker(worker_id: str, receipt_data: dict, current_user: User = Depends(require_permission('jobcards.update'))):
+    """
+    Receive finished work and scrap back from a worker.
+    
+    With closes_job, whatever is still outstanding on the job card after this
+    receipt is booked as wastage, split into allowed and excess wastage.
+    """
+    worker = await get_worker_or_404(worker_id)
+    
+    jobcard_id = receipt_data.get('jobcard_id')
+    if not jobcard_id:
+        raise HTTPException(status_code=400, detail="jobcard_id is required")
+    
+    job_summary = summarize_worker_gold(await get_worker_gold_transactions(worker_id, jobcard_id))
+    if not job_summary['jobs']:
+        raise HTTPException(status_code=400, detail=f"No gold has been issued to {worker['name']} for this job card")
+    job = job_summary['jobs'][0]
+    if job['closed']:
+        raise HTTPException(status_code=400, detail=f"Job card {job['jobcard_number']} is already closed for {worker['name']}")
+    
+    purity = int(receipt_data.get('purity') or job['purity'])
+    if purity != job['purity']:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Job card {job['jobcard_number']} was issued {job['purity']} gold - receive it back at the same purity"
+        )
+    
+    finished = parse_gold_weight(receipt_data, 'finished_weight')
+    scrap = parse_gold_weight(receipt_data, 'scrap_weight')
+    closes_job = bool(receipt_data.get('closes_job', False))
+    if finished + scrap <= 0 and not closes_job:
+        raise HTTPException(status_code=400, detail="Enter the finished or scrap weight received")
+    
+    remaining = round(job['outstanding'] - finished - scrap, 3)
+    if remaining < 0:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Received weight {finished + scrap:.3f}g is more than the {job['outstanding']:.3f}g outstanding on job card {job['jobcard_number']}"
+        )
+    
+    allowed_percent = safe_float(worker.get('allowed_wastage_percent'))
+    wastage = allowed_wastage = excess_wastage = 0.0
+    if closes_job:
+        wastage = remaining
+        allowed_wastage = round(job['issued'] * allowed_percent / 100, 3)
+        excess_wastage = round(max(wastage - allowed_wastage, 0), 3)
+    
+    transaction = WorkerGoldTransaction(
+        worker_id=worker_id,
+        worker_name=worker['name'],
+        jobcard_id=jobcard_id,
+        jobcard_number=job['jobcard_number'],
+        transaction_type="receipt",
+        date=parse_gold_transaction_date(receipt_data),
+        purity=purity,
+        finished_weight=finished,
+        scrap_weight=scrap,
+        closes_job=closes_job,
+        wastage_weight=wastage,
+        allowed_wastage_percent=allowed_percent if closes_job else 0.0,
+        allowed_wastage_weight=allowed_wastage,
+        excess_wastage_weight=excess_wastage,
+        notes=receipt_data.get('notes'),
+        created_by=current_user.id,
+        created_by_name=current_user.full_name
+    )
+    await db.worker_gold_transactions.insert_one(convert_worker_gold_to_decimal(transaction.model_dump()))
+    await create_audit_log(current_user.id, current_user.full_name, "worker_gold", transaction.id, "receipt", {
+        "worker": worker['name'], "jobcard_number": job['jobcard_number'],
+        "finished_weight": finished, "scrap_weight": scrap,
+        "wastage_weight": wastage, "excess_wastage_weight": excess_wastage
+    })
+    return transaction
+
+@api_router.delete("/workers/{worker_id}/gold-ledger/{transaction_id}")
+async def delete_worker_gold_transaction(worker_id: str, transaction_id: str, current_user: User = Depends(require_permission('jobcards.update'))):
+    """Remove a mistaken entry. A closed job must be reopened (closing receipt deleted) first."""
+    transaction = await db.worker_gold_transactions.find_one({"id": transaction_id, "worker_id": worker_id, "is_deleted": False})
+    if not transaction:
+        raise HTTPException(status_code=404, detail="Worker gold entry not found")
+    
+    if not transaction.get('closes_job'):
+        closing = await db.worker_gold_transactions.find_one({
+            "worker_id": worker_id, "jobcard_id": transaction['jobcard_id'], "closes_job": True, "is_deleted": False
+        })
+        if closing:
+            raise HTTPException(
+                status_code=400,
+                detail=f"Job card {transaction['jobcard_number']} is closed. Delete its closing receipt first."
+            )
+    
+    # Removing an issue must not leave the job with more received back than was handed over
+    if transaction['transaction_type'] == 'issue':
+        job_summary = summarize_worker_gold(await get_worker_gold_transactions(worker_id, transaction['jobcard_id']))
+        job = job_summary['jobs'][0] if job_summary['jobs'] else None
+        if job and round(job['outstanding'] - safe_float(transaction.get('weight_grams')), 3) < 0:
+            raise HTTPException(
+                status_code=400,
+                detail=f"Receipts on job card {transaction['jobcard_number']} already account for this gold. Delete those receipts first."
+            )
+    
+    await db.worker_gold_transactions.update_one(
+        {"id": transaction_id},
+        {"$set": {"is_deleted": True, "deleted_at": datetime.now(timezone.utc), "deleted_by": current_user.id}}
+    )
+    await create_audit_log(current_user.id, current_user.full_name, "worker_gold", transaction_id, "delete",
+                          {"jobcard_number": transaction['jobcard_number'], "transaction_type": transaction['transaction_type']})
+    return {"message": "Worker gold entry deleted successfully"}
+
+# ============================================================================
+# WORKER LABOUR & PAYROLL ENDPOINTS
+# ============================================================================
+
+# Job card statuses where the worker's part is done and labour is earned
+LABOUR_EARNED_STATUSES = ["completed", "delivered", "invoiced"]
+
+def get_labour_rate_map(worker: dict) -> dict:
+    """A worker's labour rates keyed by lower-cased work type"""
+    return {
+        (rate.get('work_type') or '').strip().lower(): rate
+        for rate in worker.get('labour_rates') or []
+    }
+
+def price_item_labour(item: dict, rates: dict) -> dict:
+    """
+    Labour for one job card item at a worker's rates: per gram of finished weight
+    (weight_out, or weight_in when not weighed out) or per piece.
+    """
+    work_type = (item.get('work_type') or '').strip()
+    rate = rates.get(work_type.lower())
+    qty = safe_float(item.get('qty')) or 1
+    weight = safe_float(item.get('weight_out')) or safe_float(item.get('weight_in'))
+    amount = 0.0
+    if rate:
+        units = weight if rate['rate_type'] == 'per_gram' else qty
+        amount = round(units * safe_float(rate['rate']), 3)
+    return {
+        "work_type": work_type,
+        "qty": qty,
+        "weight": round(weight, 3),
+        "rate_type": rate['rate_type'] if rate else None,
+        "rate": safe_float(rate['rate']) if rate else None,
+        "amount": amount
+    }
+
+async def snapshot_item_labour(jobcard: dict, items: list, status: str):
+    """
+    Fix each item's labour when its card completes, at the rate its worker has then,
+    so later rate edits don't reprice finished (and possibly paid) work.
+    The item's own worker is credited, falling back to the card's worker.
+    A card that is reopened drops the snapshot and takes a new one when it completes again.
+    """
+    if status not in LABOUR_EARNED_STATUSES:
+        for item in items:
+            item['labour'] = None
+        return
+    
+    worker_ids = list({item.get('worker_id') or jobcard.get('worker_id') for item in items if not item.get('labour')} - {None, ''})
+    if not worker_ids:
+        return
+    workers = {
+        worker['id']: worker
+        for worker in await db.workers.find({"id": {"$in": worker_ids}}, {"_id": 0, "id": 1, "name": 1, "labour_rates": 1}).to_list(None)
+    }
+    for item in items:
+        worker = workers.get(item.get('worker_id') or jobcard.get('worker_id'))
+        if item.get('labour') or not worker:
+            continue
+        item['labour'] = {
+            "worker_id": worker['id'],
+            "worker_name": worker['name'],
+            **price_item_labour(decimal_to_float(item), get_labour_rate_map(worker)),
+            "priced_at": datetime.now(timezone.utc)
+        }
+
+async def compute_labour_by_worker(workers: list, start: Optional[datetime] = None, end: Optional[datetime] = None) -> dict:
+    """
+    Labour earned on the items of completed job cards, as lines keyed by worker id.
+    
+    Each item is credited to the worker who did it (the item's worker, else the
+    card's) at the rate fixed when the card completed. Items completed with no
+    matching rate are priced at the worker's current rate and listed with
+    rate_missing until one exists, so they can be priced before settling.
+    """
+    workers_by_id = {worker['id']: worker for worker in workers}
+    worker_ids = list(workers_by_id)
+    query = {
+        "is_deleted": False,
+        "card_type": {"$ne": "template"},
+        "status": {"$in": LABOUR_EARNED_STATUSES},
+        "$or": [
+            {"worker_id": {"$in": worker_ids}},
+            {"items.worker_id": {"$in": worker_ids}},
+            {"items.labour.worker_id": {"$in": worker_ids}}
+        ]
+    }
+    if start or end:
+        query['completed_at'] = {}
+        if start:
+            query['completed_at']['$gte'] = start
+        if end:
+            query['completed_at']['$lte'] = end
+    jobcards = await db.jobcards.find(query, {"_id": 0}).sort("completed_at", 1).to_list(None)
+    
+    rates = {worker_id: get_labour_rate_map(worker) for worker_id, worker in workers_by_id.items()}
+    lines = {worker_id: [] for worker_id in worker_ids}
+    for jobcard in jobcards:
+        jobcard = decimal_to_float(jobcard)
+        for item in jobcard.get('items', []):
+            snapshot = item.get('labour') or {}
+            worker_id = snapshot.get('worker_id') or item.get('worker_id') or jobcard.get('worker_id')
+            if worker_id not in lines:
+                continue
+            priced = snapshot if snapshot.get('rate') is not None else price_item_labour(item, rates[worker_id])
+            lines[worker_id].append({
+                "date": jobcard.get('completed_at') or jobcard.get('updated_at') or jobcard.get('created_at'),
+                "jobcard_id": jobcard['id'],
+                "jobcard_number": jobcard.get('job_card_number'),
+                "description": item.get('description') or item.get('category'),
+                "work_type": priced['work_type'],
+                "qty": priced['qty'],
+                "weight": priced['weight'],
+                "rate_type": priced['rate_type'],
+                "rate": priced['rate'],
+                "amount": priced['amount'],
+                "rate_missing": priced['rate'] is None
+            })
+    return lines
+
+async def compute_worker_labour(worker: dict, start: Optional[datetime] = None, end: Optional[datetime] = None) -> list:
+    """Labour lines earned by one worker (see compute_labour_by_worker)"""
+    return (await compute_labour_by_worker([worker], start, end))[worker['id']]
+
+@api_router.get("/workers/{worker_id}/labour-statement")
+async def get_worker_labour_statement(
+    worker_id: str,
+    start_date: Optional[str] = None,
+    end_date: Optional[str] = None,
+    current_user: User = Depends(require_permission('finance.view'))
+):
+    """
+    Work done, labour earned and payments made for a worker over a period,
+    with opening balance and a running balance due.
+    """
+    worker = await get_worker_or_404(worker_id)
+    start = parse_ledger_date(start_date, "start_date")
+    end = parse_ledger_date(end_date, "end_date", end_of_day=True)
+    
+    # Opening balance: earned minus paid before the period
+    opening = 0.0
+    if start:
+        earlier_lines = await compute_worker_labour(worker, end=start - timedelta(microseconds=1))
+        earlier_payments = await db.worker_payments.find(
+            {"worker_id": worker_id, "is_deleted": False, "date": {"$lt": start}}, {"_id": 0, "amount": 1}
+        ).to_list(None)
+        opening = sum(line['amount'] for line in earlier_lines) - sum(safe_float(p.get('amount')) for p in earlier_payments)
+    
+    lines = await compute_worker_labour(worker, start, end)
+    payment_query = {"worker_id": worker_id, "is_deleted": False}
+    if start or end:
+        payment_query['date'] = {}
+        if start:
+            payment_query['date']['$gte'] = start
+        if end:
+            payment_query['date']['$lte'] = end
+    payments = await db.worker_payments.find(payment_query, {"_id": 0}).sort("date", 1).to_list(None)
+    payments = [decimal_to_float(p) for p in payments]
+    
+    # Earned lines and payments in date order with a running balance due
+    rows = [{"type": "earned", **line} for line in lines] + [{
+        "type": "payment",
+        "date": p['date'],
+        "payment_id": p['id'],
+        "payment_number": p['payment_number'],
+        "description": f"Payment via {p['account_name']} ({p['payment_mode']})",
+        "amount": safe_float(p['amount']),
+        "notes": p.get('notes')
+    } for p in payments]
+    rows.sort(key=lambda row: row['date'] if isinstance(row['date'], datetime) else datetime.min)
+    
+    balance = opening
+    for row in rows:
+        balance += row['amount'] if row['type'] == 'earned' else -row['amount']
+        row['balance'] = round(balance, 3)
+    
+    earned = round(sum(line['amount'] for line in lines), 3)
+    paid = round(sum(safe_float(p['amount']) for p in payments), 3)
+    return {
+        "worker": {"id": worker['id'], "name": worker['name'], "labour_rates": worker.get('labour_rates') or []},
+        "period": {"start_date": start_date, "end_date": end_date},
+        "opening_balance": round(opening, 3),
+        "earned": earned,
+        "paid": paid,
+        "closing_balance": round(opening + earned - paid, 3),
+        "jobcards_count": len({line['jobcard_id'] for line in lines}),
+        "items_count": len(lines),
+        "unrated_items": sum(1 for line in lines if line['rate_missing']),
+        "rows": rows
+    }
+
+@api_router.post("/workers/{worker_id}/labour-payments", status_code=201)
+async def create_worker_labour_payment(worker_id: str, payment_data: dict, current_user: User = Depends(require_permission('finance.create'))):
+    """
+    Pay a worker's labour from a cash/bank account.
+    
+    Double entry, as for purchase payments: DEBIT the paying account (money out)
+    and CREDIT the "Labour Charges" expense account.
+    """
+    worker = await get_worker_or_404(worker_id)
+    
+    try:
+        amount = round(float(payment_data.get('amount') or 0), 3)
+    except (TypeError, ValueError):
+        raise HTTPException(status_code=400, detail="amount must be a number")
+    if amount <= 0:
+        raise HTTPException(status_code=400, detail="Payment amount must be greater than 0")
+    
+    payment_mode = payment_data.get('payment_mode')
+    if not payment_mode:
+        raise HTTPException(status_code=400, detail="Payment mode is required")
+    account_id = payment_data.get('account_id')
+    if not account_id:
+        raise HTTPException(status_code=400, detail="Account ID is required")
+    account = await db.accounts.find_one({"id": account_id, "is_deleted": False})
+    if not account:
+        raise HTTPException(status_code=404, detail="Payment account not found")
+    
+    year = datetime.now(timezone.utc).year
+    payment_count = await db.worker_payments.count_documents({"payment_number": {"$regex": f"^WP-{year}-"}})
+    payment_number = f"WP-{year}-{payment_count + 1:04d}"
+    
+    existing_txns = await db.transactions.count_documents({"transaction_number": {"$regex": f"^TXN-{year}-"}})
+    payment_id = str(uuid.uuid4())
+    notes = payment_data.get('notes') or f"Labour payment {payment_number} to {worker['name']}"
+    
+    # Transaction 1: DEBIT Cash/Bank (Money OUT - balance decreases)
+    debit_transaction = Transaction(
+        transaction_number=f"TXN-{year}-{existing_txns + 1:04d}",
+        transaction_type="debit",
+        mode=payment_mode,
+        account_id=account_id,
+        account_name=account['name'],
+        party_name=worker['name'],
+        amount=amount,
+        category="Worker Labour Payment - Cash/Bank (Debit)",
+        reference_type="worker_payment",
+        reference_id=payment_id,
+        notes=notes,
+        created_by=current_user.id
+    )
+    await db.transactions.insert_one(convert_transaction_to_decimal(debit_transaction.model_dump()))
+    await db.accounts.update_one({"id": account_id}, {"$inc": {"current_balance": -amount}})
+    
+    # Transaction 2: CREDIT Labour Charges expense account (Double-Entry counterpart)
+    labour_account = await db.accounts.find_one({"name": "Labour Charges", "is_deleted": False})
+    if not labour_account:
+        labour_account = {
+            "id": str(uuid.uuid4()),
+            "name": "Labour Charges",
+            "account_type": "expense",
+            "opening_balance": 0,
+            "current_balance": 0,
+            "created_at": datetime.now(timezone.utc),
+            "created_by": current_user.username,
+            "is_deleted": False
+        }
+        await db.accounts.insert_one(labour_account)
+    
+    credit_transaction = Transaction(
+        transaction_number=f"TXN-{year}-{existing_txns + 2:04d}",
+        transaction_type="credit",
+        mode=payment_mode,
+        account_id=labour_account['id'],
+        account_name="Labour Charges",
+        party_name=worker['name'],
+        amount=amount,
+        category="Worker Labour Payment - Labour Charges (Credit)",
+        reference_type="worker_payment",
+        reference_id=payment_id,
+        notes=notes,
+        created_by=current_user.id
+    )
+    await db.transactions.insert_one(convert_transaction_to_decimal(credit_transaction.model_dump()))
+    await db.accounts.update_one({"id": labour_account['id']}, {"$inc": {"current_balance": amount}})
+    
+    payment = WorkerPayment(
+        id=payment_id,
+        payment_number=payment_number,
+        worker_id=worker_id,
+        worker_name=worker['name'],
+        amount=amount,
+        payment_mode=payment_mode,
+        account_id=account_id,
+        account_name=account['name'],
+        period_start=payment_data.get('period_start'),
+        period_end=payment_data.get('period_end'),
+        transaction_ids=[debit_transaction.id, credit_transaction.id],
+        notes=payment_data.get('notes'),
+        created_by=current_user.id,
+        created_by_name=current_user.full_name
+    )
+    await db.worker_payments.insert_one(convert_worker_payment_to_decimal(payment.model_dump()))
+    await create_audit_log(current_user.id, current_user.full_name, "worker_payment", payment_id, "create",
+                          {"worker": worker['name'], "amount": amount, "account": account['name']})
+    return payment
+
 # ============================================================================
 # WORK TYPES ENDPOINTS (Customizable Job Card Work Types)
 # ============================================================================
@@ -3562,7 +5194,9 @@ async def get_party_ledger(party_id: str, current_user: User = Depends(require_p
     for inv in invoices:
         outstanding += inv.get('balance_due', 0)
     
-    return {"invoices": invoices, "transactions": transactions, "outstanding": outstanding}
+    vouchers = await list_payment_vouchers({"party_id": party_id})
+    
+    return {"invoices": invoices, "transactions": transactions, "vouchers": vouchers, "outstanding": outstanding}
 
 # Gold Ledger Endpoints
 @api_router.post("/gold-ledger", response_model=GoldLedgerEntry, status_code=201)
@@ -3644,6 +5278,9 @@ async def get_gold_ledger_entries(
     
     # Get paginated results
     entries = await db.gold_ledger.find(query, {"_id": 0}).sort("date", -1).skip(skip).limit(per_page).to_list(per_page)
+    entries = [decimal_to_float(e) for e in entries]
+    for entry in entries:
+        entry['fine_weight'] = calculate_fine_weight(entry.get('weight_grams'), entry.get('purity_entered'))
     
     return create_pagination_response(entries, total_count, page, per_page)
 
@@ -3773,51 +5410,63 @@ async def get_gold_deposits(
 
 # ============================================================================
 
-@api_router.get("/parties/{party_id}/gold-summary")
-async def get_party_gold_summary(party_id: str, current_user: User = Depends(require_permission('parties.view'))):
-    # Verify party exists
-    party = await db.parties.find_one({"id": party_id, "is_deleted": False})
-    if not party:
-        raise HTTPException(status_code=404, detail="Party not found")
-    
-    # Get all gold ledger entries for this party
-    entries = await db.gold_ledger.find({"party_id": party_id, "is_deleted": False}, {"_id": 0}).to_list(1000)
-    
-    # Convert Decimal128 to float for calculations
-    entries = [decimal_to_float(entry) for entry in entries]
-    
-    # Calculate gold balance
+def summarize_party_gold(entries: list) -> dict:
+    """
+    Gold balances from a party's gold ledger entries, in gross grams and in
+    fine (24K equivalent) grams. Gross grams at different purities are not
+    comparable, so the fine figures are the ones to settle on.
+    """
     gold_due_from_party = 0.0  # Party owes shop (IN entries - shop received from party)
     gold_due_to_party = 0.0     # Shop owes party (OUT entries - shop gave to party)
+    fine_due_from_party = 0.0
+    fine_due_to_party = 0.0
     
     for entry in entries:
-        weight = round(entry.get('weight_grams', 0), 3)
+        weight = round(safe_float(entry.get('weight_grams')), 3)
+        fine = calculate_fine_weight(weight, entry.get('purity_entered'))
         if entry.get('type') == 'IN':
             # Shop received gold from party - party owes shop
             gold_due_from_party += weight
+            fine_due_from_party += fine
         elif entry.get('type') == 'OUT':
             # Shop gave gold to party - shop owes party
             gold_due_to_party += weight
-    
-    # Round to 3 decimal places
-    gold_due_from_party = round(gold_due_from_party, 3)
-    gold_due_to_party = round(gold_due_to_party, 3)
-    net_gold_balance = round(gold_due_from_party - gold_due_to_party, 3)
+            fine_due_to_party += fine
     
     return {
-        "party_id": party_id,
-        "party_name": party.get('name'),
-        "gold_due_from_party": gold_due_from_party,  # Party owes shop
-        "gold_due_to_party": gold_due_to_party,      # Shop owes party
-        "net_gold_balance": net_gold_balance,        # Positive = party owes shop, Negative = shop owes party
-        "total_entries": len(entries)
+        "gold_due_from_party": round(gold_due_from_party, 3),  # Party owes shop
+        "gold_due_to_party": round(gold_due_to_party, 3),      # Shop owes party
+        "net_gold_balance": round(gold_due_from_party - gold_due_to_party, 3),  # Positive = party owes shop, Negative = shop owes party
+        "fine_due_from_party": round(fine_due_from_party, 3),
+        "fine_due_to_party": round(fine_due_to_party, 3),
+        "net_fine_balance": round(fine_due_from_party - fine_due_to_party, 3)
     }
 
-@api_router.get("/parties/{party_id}/summary")
-async def get_party_summary(party_id: str, current_user: User = Depends(require_permission('parties.view'))):
-    """
-    Get comprehensive party summary including both gold and money balances.
-    This endpoint combines gold ledger data and financial data (invoices + transactions).
+@api_router.get("/parties/{party_id}/gold-summary")
+async def get_party_gold_summary(party_id: str, current_user: User = Depends(require_permission('parties.view'))):
+    # Verify party exists
+    party = await db.parties.find_one({"id": party_id, "is_deleted": False})
+    if not party:
+        raise HTTPException(status_code=404, detail="Party not found")
+    
+    # Get all gold ledger entries for this party
+    entries = await db.gold_ledger.find({"party_id": party_id, "is_deleted": False}, {"_id": 0}).to_list(1000)
+    
+    # Convert Decimal128 to float for calculations
+    entries = [decimal_to_float(entry) for entry in entries]
+    
+    return {
+        "party_id": party_id,
+        "party_name": party.get('name'),
+        **summarize_party_gold(entries),
+        "total_entries": len(entries)
+    }
+
+@api_router.get("/parties/{party_id}/summary")
+async def get_party_summary(party_id: str, current_user: User = Depends(require_permission('parties.view'))):
+    """
+    Get comprehensive party summary including both gold and money balances.
+    This endpoint combines gold ledger data and financial data (invoices + transactions).
     """
     # Verify party exists
     party = await db.parties.find_one({"id": party_id, "is_deleted": False})
@@ -3831,19 +5480,7 @@ async def get_party_summary(party_id: str, current_user: User = Depends(require_
     gold_entries = [decimal_to_float(entry) for entry in gold_entries]
     
     # Calculate gold balances
-    gold_due_from_party = 0.0  # Party owes shop (IN entries)
-    gold_due_to_party = 0.0     # Shop owes party (OUT entries)
-    
-    for entry in gold_entries:
-        weight = round(entry.get('weight_grams', 0), 3)
-        if entry.get('type') == 'IN':
-            gold_due_from_party += weight
-        elif entry.get('type') == 'OUT':
-            gold_due_to_party += weight
-    
-    gold_due_from_party = round(gold_due_from_party, 3)
-    gold_due_to_party = round(gold_due_to_party, 3)
-    net_gold_balance = round(gold_due_from_party - gold_due_to_party, 3)
+    gold_summary = summarize_party_gold(gold_entries)
     
     # Get invoices for money calculations - ONLY FINALIZED invoices
     invoices = await db.invoices.find({"customer_id": party_id, "is_deleted": False, "status": "finalized"}, {"_id": 0}).to_list(1000)
@@ -3892,9 +5529,7 @@ async def get_party_summary(party_id: str, current_user: User = Depends(require_
     return {
         "party": party_clean,
         "gold": {
-            "gold_due_from_party": gold_due_from_party,
-            "gold_due_to_party": gold_due_to_party,
-            "net_gold_balance": net_gold_balance,
+            **gold_summary,
             "total_entries": len(gold_entries)
         },
         "money": {
@@ -3911,6 +5546,10 @@ async def get_party_summary(party_id: str, current_user: User = Depends(require_
 # PURCHASES MODULE (Stock IN + Vendor Payable)
 # ===========================
 
+def purchase_display_number(purchase: dict) -> str:
+    """Document number shown on vouchers and returns; older purchases fall back to their short id"""
+    return purchase.get("purchase_number") or purchase["id"][:8].upper()
+
 @api_router.post("/purchases", response_model=Purchase, status_code=201)
 @limiter.limit("1000/hour")  # General authenticated rate limit: 1000 requests per hour
 async def create_purchase(request: Request, purchase_data: dict, current_user: User = Depends(require_permission('purchases.create'))):
@@ -4146,6 +5785,12 @@ async def create_purchase(request: Request, purchase_data: dict, current_user: U
         purchase_data["locked_at"] = None
         purchase_data["locked_by"] = None
     
+    year = datetime.now(timezone.utc).year
+    sequence = await next_sequence(
+        f"purchase-{year}", await db.purchases.count_documents({"purchase_number": {"$regex": f"^PUR-{year}"}})
+    )
+    purchase_data["purchase_number"] = f"PUR-{year}-{str(sequence).zfill(4)}"
+    
     # Create Purchase model instance
     purchase = Purchase(**purchase_data)
     purchase_id = purchase.id
@@ -4661,6 +6306,18 @@ async def add_payment_to_purchase(
         {"$set": update_data}
     )
     
+    voucher = await create_payment_voucher(
+        "payment", "purchase", purchase_id, purchase_display_number(existing), vendor_party_id, vendor_name,
+        [PaymentTender(
+            payment_mode=payment_mode,
+            amount=payment_amount,
+            account_id=account_id,
+            account_name=account["name"],
+            transaction_number=payment_txn_number
+        )],
+        purchase.balance_due_money, new_balance_due, current_user.id, payment_data.get('notes') or None
+    )
+    
     # Create audit log
     await create_audit_log(
         user_id=current_user.id,
@@ -4680,7 +6337,8 @@ async def add_payment_to_purchase(
             "previous_status": purchase.status,
             "new_status": new_status,
             "locked": should_lock,
-            "transaction_number": payment_txn_number
+            "transaction_number": payment_txn_number,
+            "voucher_number": voucher.voucher_number
         }
     )
     
@@ -4691,6 +6349,7 @@ async def add_payment_to_purchase(
         "message": "Payment added successfully",
         "purchase": decimal_to_float(updated_purchase),
         "transaction_number": payment_txn_number,
+        "voucher": voucher.model_dump(),
         "locked": should_lock
     }
 
@@ -4763,6 +6422,13 @@ async def get_purchases(
     
     return create_pagination_response(purchases, total_count, page, page_size)
 
+@api_router.get("/purchases/{purchase_id}")
+async def get_purchase(purchase_id: str, current_user: User = Depends(require_permission('purchases.view'))):
+    purchase = await db.purchases.find_one({"id": purchase_id, "is_deleted": False}, {"_id": 0})
+    if not purchase:
+        raise HTTPException(status_code=404, detail="Purchase not found")
+    return decimal_to_float(purchase)
+
 @api_router.patch("/purchases/{purchase_id}")
 @api_router.put("/purchases/{purchase_id}")
 async def update_purchase(
@@ -4788,6 +6454,7 @@ async def update_purchase(
             status_code=400,
             detail="Cannot edit locked purchase. Purchase is finalized and fully paid. Locked purchases are immutable to maintain financial integrity."
         )
+    updates.pop("purchase_number", None)  # Assigned once at creation
     
     # Validate walk-in or saved vendor fields
     is_walk_in = updates.get("is_walk_in", existing.get("is_walk_in", False))
@@ -5088,26 +6755,209 @@ async def finalize_purchase(purchase_id: str, current_user: User = Depends(requi
         detail="This endpoint is deprecated. All purchases are auto-finalized on creation."
     )
 
+# Per-item work stages (jobcard_stages.py). Each line on a job card moves through these
+# on its own; the card status is derived from where its items are.
+def move_item_stage(item: dict, stage: str, moved_by: str, worker: Optional[dict] = None, notes: Optional[str] = None):
+    """Put an item in a stage and record the move in its timeline"""
+    if worker is not None:
+        item["worker_id"] = worker.get("id")
+        item["worker_name"] = worker.get("name")
+    item["stage"] = stage
+    item.setdefault("stage_history", [])
+    item["stage_history"] = list(item["stage_history"]) + [JobCardItemStageEvent(
+        stage=stage,
+        worker_id=item.get("worker_id"),
+        worker_name=item.get("worker_name"),
+        by=moved_by,
+        notes=notes
+    ).model_dump()]
+
 @api_router.get("/jobcards")
 async def get_jobcards(
+    status: Optional[str] = None,
+    worker_id: Optional[str] = None,
+    search: Optional[str] = None,
+    delivery_from: Optional[str] = None,
+    delivery_to: Optional[str] = None,
     page: int = 1,
     page_size: int = 10,
     current_user: User = Depends(require_permission('jobcards.view'))
 ):
-    """Get job cards with pagination support"""
+    """
+    Get job cards with pagination support
+    
+    Filters:
+    - status: Comma-separated statuses (e.g. "created,in_progress")
+    - worker_id: Assigned worker, or "unassigned" for cards without a worker
+    - search: Job card number, customer name or walk-in name/phone (partial, case-insensitive)
+    - delivery_from / delivery_to: Promised delivery date range (YYYY-MM-DD, inclusive).
+      Cards without a delivery date are left out and results are sorted by delivery date.
+    """
     query = {"is_deleted": False, "card_type": {"$ne": "template"}}
     
+    if search and search.strip():
+        pattern = {"$regex": re.escape(search.strip()), "$options": "i"}
+        query["$or"] = [
+            {"job_card_number": pattern},
+            {"customer_name": pattern},
+            {"walk_in_name": pattern},
+            {"walk_in_phone": pattern}
+        ]
+    
+    if status:
+        statuses = [s.strip() for s in status.split(",") if s.strip()]
+        query["status"] = {"$in": statuses}
+    
+    if worker_id == "unassigned":
+        query["worker_id"] = {"$in": [None, ""]}
+    elif worker_id:
+        query["worker_id"] = worker_id
+    
+    sort = [("created_at", -1)]
+    if delivery_from or delivery_to:
+        # delivery_date is stored as a YYYY-MM-DD string, so string comparison orders by date
+        date_query = {"$gt": ""}
+        for value, operator, field in ((delivery_from, "$gte", "delivery_from"), (delivery_to, "$lte", "delivery_to")):
+            if not value:
+                continue
+            try:
+                datetime.strptime(value, "%Y-%m-%d")
+            except ValueError:
+                raise HTTPException(status_code=400, detail=f"Invalid {field} format. Use YYYY-MM-DD")
+            date_query[operator] = value
+        query["delivery_date"] = date_query
+        sort = [("delivery_date", 1), ("created_at", 1)]
+    
     # Calculate skip value
     skip = (page - 1) * page_size
     
     # Get total count for pagination
     total_count = await db.jobcards.count_documents(query)
     
-    # Get paginated results, sorted by creation date (newest first)
-    jobcards = await db.jobcards.find(query, {"_id": 0}).sort("created_at", -1).skip(skip).limit(page_size).to_list(page_size)
+    # Get paginated results, newest first (or soonest delivery first for a delivery range)
+    jobcards = await db.jobcards.find(query, {"_id": 0}).sort(sort).skip(skip).limit(page_size).to_list(page_size)
     
     return create_pagination_response(jobcards, total_count, page, page_size)
 
+@api_router.get("/jobcards/delivery-alerts")
+async def get_jobcard_delivery_alerts(
+    today: Optional[str] = None,
+    days: int = 7,
+    worker_id: Optional[str] = None,
+    current_user: User = Depends(require_permission('jobcards.view'))
+):
+    """
+    Open job cards that are overdue, due today, or due in the rest of the next `days` days,
+    with the customer's phone so the counter can call ahead.
+    `today` is the caller's local date (YYYY-MM-DD); defaults to today in UTC.
+    Completed and delivered cards are excluded - the work is finished.
+    """
+    if today:
+        try:
+            today_date = datetime.strptime(today, "%Y-%m-%d").date()
+        except ValueError:
+            raise HTTPException(status_code=400, detail="Invalid today format. Use YYYY-MM-DD")
+    else:
+        today_date = datetime.now(timezone.utc).date()
+    if days < 1 or days > 31:
+        raise HTTPException(status_code=400, detail="days must be between 1 and 31")
+    
+    today_str = today_date.isoformat()
+    horizon = (today_date + timedelta(days=days - 1)).isoformat()
+    query = {
+        "is_deleted": False,
+        "card_type": {"$ne": "template"},
+        "status": {"$in": ["created", "pending", "in_progress"]},
+        "delivery_date": {"$gt": "", "$lte": horizon}
+    }
+    if worker_id == "unassigned":
+        query["worker_id"] = {"$in": [None, ""]}
+    elif worker_id:
+        query["worker_id"] = worker_id
+    
+    jobcards = await db.jobcards.find(query, {"_id": 0}).sort([("delivery_date", 1), ("created_at", 1)]).to_list(1000)
+    
+    party_ids = list({jc["customer_id"] for jc in jobcards if jc.get("customer_id")})
+    phones = {}
+    if party_ids:
+        async for party in db.parties.find({"id": {"$in": party_ids}}, {"_id": 0, "id": 1, "phone": 1}):
+            phones[party["id"]] = party.get("phone")
+    
+    groups = {"overdue": [], "due_today": [], "due_week": []}
+    for jc in jobcards:
+        delivery_date = jc["delivery_date"][:10]
+        try:
+            days_until = (datetime.strptime(delivery_date, "%Y-%m-%d").date() - today_date).days
+        except ValueError:
+            continue
+        is_walk_in = jc.get("customer_type") == "walk_in"
+        entry = {
+            "id": jc["id"],
+            "job_card_number": jc.get("job_card_number"),
+            "status": jc.get("status"),
+            "delivery_date": delivery_date,
+            "days_until": days_until,
+            "customer_name": jc.get("walk_in_name") if is_walk_in else jc.get("customer_name"),
+            "customer_phone": jc.get("walk_in_phone") if is_walk_in else phones.get(jc.get("customer_id")),
+            "customer_type": jc.get("customer_type"),
+            "worker_id": jc.get("worker_id"),
+            "worker_name": jc.get("worker_name"),
+            "item_count": len(jc.get("items", []))
+        }
+        if days_until < 0:
+            groups["overdue"].append(entry)
+        elif days_until == 0:
+            groups["due_today"].append(entry)
+        else:
+            groups["due_week"].append(entry)
+    
+    return {
+        "today": today_str,
+        "days": days,
+        **groups,
+        "counts": {key: len(value) for key, value in groups.items()}
+    }
+
+@api_router.get("/jobcards/board-counts")
+async def get_jobcard_board_counts(
+    today: Optional[str] = None,
+    worker_id: Optional[str] = None,
+    current_user: User = Depends(require_permission('jobcards.view'))
+):
+    """
+    Job card count per status for the board, and how many are past their delivery date.
+    The board pages through each column, so these totals come from the database.
+    
+    Past the date means overdue for open cards and uncollected for completed ones -
+    the work is done but the customer has not picked it up. Delivered cards are never late.
+    `today` is the caller's local date (YYYY-MM-DD); defaults to today in UTC.
+    """
+    if today:
+        try:
+            datetime.strptime(today, "%Y-%m-%d")
+        except ValueError:
+            raise HTTPException(status_code=400, detail="Invalid today format. Use YYYY-MM-DD")
+    else:
+        today = datetime.now(timezone.utc).date().isoformat()
+    
+    query = {"is_deleted": False, "card_type": {"$ne": "template"}}
+    if worker_id == "unassigned":
+        query["worker_id"] = {"$in": [None, ""]}
+    elif worker_id:
+        query["worker_id"] = worker_id
+    
+    # delivery_date is a YYYY-MM-DD string, so string comparison orders by date
+    late = {"$and": [{"$gt": ["$delivery_date", ""]}, {"$lt": ["$delivery_date", today]}, {"$ne": ["$status", "delivered"]}]}
+    rows = await db.jobcards.aggregate([
+        {"$match": query},
+        {"$group": {"_id": "$status", "total": {"$sum": 1}, "late": {"$sum": {"$cond": [late, 1, 0]}}}}
+    ]).to_list(None)
+    
+    return {
+        "today": today,
+        "statuses": {row["_id"]: {"total": row["total"], "late": row["late"]} for row in rows if row["_id"]}
+    }
+
 @api_router.get("/jobcards/{jobcard_id}")
 async def get_jobcard(jobcard_id: str, current_user: User = Depends(require_permission('jobcards.view'))):
     """Get a single job card by ID"""
@@ -5197,9 +7047,15 @@ async def create_jobcard(jobcard_data: dict, current_user: User = Depends(requir
         raise HTTPException(status_code=400, detail="At least one item is required")
     
     # Generate IDs for items if not provided
+    card_worker = {"id": jobcard_data.get("worker_id"), "name": jobcard_data.get("worker_name")} if jobcard_data.get("worker_id") else None
     for item in jobcard_data["items"]:
         if "id" not in item:
             item["id"] = str(uuid.uuid4())
+        item["photos"] = await normalize_item_photos(item.get("photos"))
+        item["stage_history"] = []
+        item["labour"] = None
+        move_item_stage(item, JOBCARD_STATUS_ITEM_STAGE[status], current_user.username, card_worker)
+    await snapshot_item_labour(jobcard_data, jobcard_data["items"], status)
     
     # Validate advance_cash field
     advance_cash = jobcard_data.get("advance_cash")
@@ -5354,6 +7210,48 @@ async def update_jobcard(jobcard_id: str, update_data: dict, current_user: User
         for item in update_data["items"]:
             if "id" not in item:
                 item["id"] = str(uuid.uuid4())
+            item["photos"] = await normalize_item_photos(item.get("photos"))
+    
+    # Item stages only move through the stage endpoint or with a card status change,
+    # so an edit keeps the stored stages and new items start as received
+    old_status = existing.get("status", "created")
+    if "items" in update_data or update_data.get("status", old_status) != old_status:
+        stored_items = {item.get("id"): item for item in existing.get("items", [])}
+        items = update_data.get("items", [dict(item) for item in existing.get("items", [])])
+        for item in items:
+            stored = stored_items.get(item["id"])
+            if stored:
+                item["stage"] = get_item_stage(stored, old_status)
+                item["stage_history"] = stored.get("stage_history", [])
+                item["worker_id"] = stored.get("worker_id")
+                item["worker_name"] = stored.get("worker_name")
+                item["labour"] = stored.get("labour")
+            else:
+                item["stage_history"] = []
+                item["labour"] = None
+                move_item_stage(item, "received", current_user.username)
+        
+        new_status = update_data.get("status", old_status)
+        if new_status != old_status:
+            # Status set on the whole card (e.g. dragged on the board) - move the items with it
+            card_worker_id = update_data.get("worker_id", existing.get("worker_id"))
+            card_worker = {"id": card_worker_id, "name": update_data.get("worker_name", existing.get("worker_name"))} if card_worker_id else None
+            for item in items:
+                if new_status == "in_progress" and item["stage"] == "received":
+                    move_item_stage(item, "at_worker", current_user.username, None if item.get("worker_id") else card_worker)
+                elif new_status in ("completed", "delivered") and item["stage"] != "ready":
+                    move_item_stage(item, "ready", current_user.username)
+        else:
+            derived_status = derive_jobcard_status(items, old_status)
+            if derived_status != old_status:
+                update_data["status"] = derived_status
+                if derived_status == "completed" and not existing.get("completed_at"):
+                    update_data["completed_at"] = datetime.now(timezone.utc)
+                elif old_status == "completed":
+                    # An item went back from ready - the card is no longer complete
+                    update_data["completed_at"] = None
+        await snapshot_item_labour({**existing, **update_data}, items, update_data.get("status", old_status))
+        update_data["items"] = items
     
     # Update the job card
     await db.jobcards.update_one({"id": jobcard_id}, {"$set": update_data})
@@ -5361,6 +7259,11 @@ async def update_jobcard(jobcard_id: str, update_data: dict, current_user: User
     # Create audit log
     await create_audit_log(current_user.id, current_user.full_name, "jobcard", jobcard_id, "update", update_data)
     
+    # Let the customer know the work is ready for collection
+    if update_data.get("status") == "completed" and existing.get("status") != "completed":
+        updated = await db.jobcards.find_one({"id": jobcard_id}, {"_id": 0})
+        await notify_jobcard_completed(updated, current_user.username)
+    
     return {"message": "Job card updated successfully"}
 
 @api_router.delete("/jobcards/{jobcard_id}")
@@ -5416,6 +7319,71 @@ async def delete_jobcard(jobcard_id: str, current_user: User = Depends(require_p
     await create_audit_log(current_user.id, current_user.full_name, "jobcard", jobcard_id, "delete")
     return {"message": "Job card deleted successfully"}
 
+@api_router.post("/jobcards/{jobcard_id}/items/{item_id}/stage")
+async def update_jobcard_item_stage(jobcard_id: str, item_id: str, stage_data: dict, current_user: User = Depends(require_permission('jobcards.update'))):
+    """
+    Move one job card item to a work stage (received, at_worker, qc, ready) and record it on
+    the item's timeline. Items may move back, e.g. QC returning a piece to the worker.
+    The card status is then derived from all of its items.
+    """
+    jobcard = await db.jobcards.find_one({"id": jobcard_id, "is_deleted": False}, {"_id": 0})
+    if not jobcard:
+        raise HTTPException(status_code=404, detail="Job card not found")
+    if jobcard.get("locked", False):
+        raise HTTPException(status_code=403, detail="Cannot update locked job card. This job card is linked to a finalized invoice.")
+    if jobcard.get("status") == "delivered":
+        raise HTTPException(status_code=400, detail="Job card has been delivered - item stages can no longer change")
+    
+    stage = stage_data.get("stage")
+    if stage not in JOBCARD_ITEM_STAGES:
+        raise HTTPException(status_code=400, detail=f"Invalid stage. Must be one of: {', '.join(JOBCARD_ITEM_STAGES)}")
+    items = jobcard.get("items", [])
+    item = next((i for i in items if i.get("id") == item_id), None)
+    if not item:
+        raise HTTPException(status_code=404, detail="Item not found on this job card")
+    
+    old_status = jobcard.get("status", "created")
+    current_stage = get_item_stage(item, old_status)
+    worker = None
+    if stage == "at_worker":
+        worker_id = stage_data.get("worker_id") or item.get("worker_id") or jobcard.get("worker_id")
+        if not worker_id:
+            raise HTTPException(status_code=400, detail="Choose the worker the item is handed to")
+        worker = await db.workers.find_one({"id": worker_id, "is_deleted": False}, {"_id": 0, "id": 1, "name": 1})
+        if not worker:
+            raise HTTPException(status_code=404, detail="Worker not found")
+    # Re-sending at_worker with another worker is a hand-over between workers
+    if stage == current_stage and (worker is None or worker["id"] == item.get("worker_id")):
+        raise HTTPException(status_code=400, detail=f"Item is already at stage '{stage}'")
+    
+    item["stage"] = current_stage
+    move_item_stage(item, stage, current_user.username, worker, (stage_data.get("notes") or "").strip() or None)
+    
+    now = datetime.now(timezone.utc)
+    update = {"items": items, "updated_at": now}
+    new_status = derive_jobcard_status(items, old_status)
+    if new_status != old_status:
+        update["status"] = new_status
+        if new_status == "completed" and not jobcard.get("completed_at"):
+            update["completed_at"] = now
+        elif old_status == "completed":
+            # An item went back from ready - the card is no longer complete
+            update["completed_at"] = None
+    await snapshot_item_labour(jobcard, items, new_status)
+    await db.jobcards.update_one({"id": jobcard_id}, {"$set": update})
+    await create_audit_log(current_user.id, current_user.full_name, "jobcard", jobcard_id, "item_stage", {
+        "item_id": item_id,
+        "from": current_stage,
+        "to": stage,
+        "worker_name": item.get("worker_name"),
+        "status": new_status
+    })
+    
+    updated = await db.jobcards.find_one({"id": jobcard_id}, {"_id": 0})
+    if new_status == "completed" and old_status != "completed":
+        await notify_jobcard_completed(updated, current_user.username)
+    return decimal_to_float(updated)
+
 @api_router.get("/jobcards/{jobcard_id}/impact")
 async def get_jobcard_impact(jobcard_id: str, current_user: User = Depends(require_permission('jobcards.view'))):
     """
@@ -5502,12 +7470,16 @@ async def convert_jobcard_to_invoice(jobcard_id: str, invoice_data: dict, curren
     invoice_items = []
     subtotal = 0
     
-    # MODULE 8: Get metal_rate - Priority: invoice_data override > jobcard gold_rate > default 20.0
-    metal_rate = invoice_data.get('metal_rate') or jobcard.get('gold_rate_at_jobcard') or 20.0
-    metal_rate = round(float(metal_rate), 2)  # Ensure 2 decimal precision for rate
+    # MODULE 8: Get metal_rate - Priority: invoice_data override > jobcard gold_rate >
+    # published sell rate for the item's purity > default 20.0
+    fixed_metal_rate = invoice_data.get('metal_rate') or jobcard.get('gold_rate_at_jobcard')
+    current_gold_rate = None if fixed_metal_rate else await get_current_gold_rate()
     
     # First pass: Create invoice items and calculate subtotal
     for item in jobcard.get('items', []):
+        metal_rate = fixed_metal_rate or get_rate_for_purity(current_gold_rate, item.get('purity', 916)) or 20.0
+        metal_rate = round(float(metal_rate), 2)  # Ensure 2 decimal precision for rate
+        
         weight = item.get('weight_out') or item.get('weight_in') or 0
         weight = float(weight) if weight else 0.0
         gold_value = round(weight * metal_rate, 3)
@@ -5546,6 +7518,7 @@ async def convert_jobcard_to_invoice(jobcard_id: str, invoice_data: dict, curren
             'making_value': making_value,
             'inches': item.get('inches'),
             'vat_percent': item_vat_percent,
+            'photos': item.get('photos') or [],
         })
         
         subtotal += gold_value + making_value
@@ -5566,15 +7539,17 @@ async def convert_jobcard_to_invoice(jobcard_id: str, invoice_data: dict, curren
     
     # FIX: Calculate VAT total from individual item VAT percentages, not a single hardcoded rate
     # Each item can have its own vat_percent (e.g., 0 for no VAT, 5 for 5% VAT)
-    # VAT is distributed proportionally based on each item's subtotal contribution
+    # VAT is distributed proportionally based on each item's subtotal contribution,
+    # on the gold value and/or making charge as the shop's VAT basis says
+    vat_basis = await get_vat_basis()
+    discount_factor = (taxable / subtotal) if subtotal > 0 else 0
     vat_total = 0.0
     for item_data in invoice_items:
-        item_subtotal = item_data['gold_value'] + item_data['making_value']
+        item_vat_base = (item_data['gold_value'] if vat_basis['vat_on_gold'] else 0) + (item_data['making_value'] if vat_basis['vat_on_making'] else 0)
         item_vat_pct = item_data.get('vat_percent', 0)
-        if subtotal > 0 and item_vat_pct > 0:
+        if item_vat_pct > 0:
             # Calculate proportional taxable amount for this item after discount
-            item_taxable = (item_subtotal / subtotal) * taxable
-            vat_total += item_taxable * (item_vat_pct / 100)
+            vat_total += item_vat_base * discount_factor * (item_vat_pct / 100)
     vat_total = round(vat_total, 3)
     
     # MODULE 7: Calculate grand total = taxable + VAT
@@ -5612,11 +7587,15 @@ async def convert_jobcard_to_invoice(jobcard_id: str, invoice_data: dict, curren
         item_subtotal = item_data['gold_value'] + item_data['making_value']
         item_vat_pct = item_data.get('vat_percent', 0)
         # Calculate item's VAT based on its own vat_percent and proportional taxable amount
-        if subtotal > 0 and item_vat_pct > 0:
-            item_taxable = (item_subtotal / subtotal) * taxable
+        item_gold_taxable = item_data['gold_value'] * discount_factor if vat_basis['vat_on_gold'] else 0
+        item_making_taxable = item_data['making_value'] * discount_factor if vat_basis['vat_on_making'] else 0
+        item_taxable = round(item_gold_taxable + item_making_taxable, 3)
+        if item_vat_pct > 0:
             item_vat_amount = round(item_taxable * (item_vat_pct / 100), 3)
+            item_gold_vat = round(item_gold_taxable * (item_vat_pct / 100), 3) if vat_basis['vat_on_making'] else item_vat_amount
         else:
             item_vat_amount = 0.0
+            item_gold_vat = 0.0
         # Line total includes item's VAT
         item_line_total = round(item_subtotal + item_vat_amount, 3)
         
@@ -5632,8 +7611,12 @@ async def convert_jobcard_to_invoice(jobcard_id: str, invoice_data: dict, curren
             making_value=item_data['making_value'],
             inches=item_data.get('inches'),
             vat_percent=item_data['vat_percent'],
+            taxable_amount=item_taxable,
             vat_amount=item_vat_amount,
-            line_total=item_line_total
+            gold_vat_amount=item_gold_vat,
+            making_vat_amount=round(item_vat_amount - item_gold_vat, 3),
+            line_total=item_line_total,
+            photos=item_data['photos']
         ))
     
     invoice_items = final_invoice_items
@@ -5791,6 +7774,551 @@ async def delete_jobcard_template(template_id: str, current_user: User = Depends
     
     return {"message": "Template deleted successfully"}
 
+# ============================================================================
+# PAYMENT VOUCHERS (numbered receipts for invoices, payment vouchers for purchases)
+# ============================================================================
+
+async def create_payment_voucher(
+    voucher_type: str,
+    reference_type: str,
+    reference_id: str,
+    reference_number: str,
+    party_id: Optional[str],
+    party_name: str,
+    tenders: List[PaymentTender],
+    balance_before: float,
+    balance_after: float,
+    created_by: str,
+    notes: Optional[str] = None,
+    session=None
+) -> PaymentVoucher:
+    """Number and store the voucher for a payment that has just been posted"""
+    year = datetime.now(timezone.utc).year
+    prefix = VOUCHER_PREFIXES[voucher_type]
+    count = await db.payment_vouchers.count_documents({"voucher_number": {"$regex": f"^{prefix}-{year}"}}, session=session)
+    voucher = PaymentVoucher(
+        voucher_type=voucher_type,
+        voucher_number=f"{prefix}-{year}-{str(count + 1).zfill(4)}",
+        reference_type=reference_type,
+        reference_id=reference_id,
+        reference_number=reference_number,
+        party_id=party_id,
+        party_name=party_name,
+        tenders=tenders,
+        total_amount=round(sum(t.amount for t in tenders), 3),
+        balance_before=round(max(0, balance_before), 3),
+        balance_after=round(max(0, balance_after), 3),
+        notes=notes,
+        created_by=created_by
+    )
+    await db.payment_vouchers.insert_one(convert_payment_voucher_to_decimal(voucher.model_dump()), session=session)
+    return voucher
+
+async def list_payment_vouchers(query: dict) -> list:
+    vouchers = await db.payment_vouchers.find({**query, "is_deleted": False}, {"_id": 0}).sort("date", 1).to_list(1000)
+    return [decimal_to_float(v) for v in vouchers]
+
+@api_router.get("/invoices/{invoice_id}/vouchers")
+async def get_invoice_vouchers(invoice_id: str, current_user: User = Depends(require_permission('invoices.view'))):
+    """Receipt vouchers issued against an invoice, oldest first (for reprinting)"""
+    return await list_payment_vouchers({"reference_type": "invoice", "reference_id": invoice_id})
+
+@api_router.get("/purchases/{purchase_id}/vouchers")
+async def get_purchase_vouchers(purchase_id: str, current_user: User = Depends(require_permission('purchases.view'))):
+    """Payment vouchers issued against a purchase, oldest first (for reprinting)"""
+    return await list_payment_vouchers({"reference_type": "purchase", "reference_id": purchase_id})
+
+# ============================================================================
+# SALE LINE HELPERS (shared by quotations and counter-sale invoices)
+# ============================================================================
+
+SALE_MAKING_CHARGE_TYPES = ["flat", "per_gram", "per_inch"]
+
+async def get_vat_basis() -> dict:
+    """Which parts of a sale line Oman VAT applies to, from shop settings"""
+    settings = await db.shop_settings.find_one({}, {"_id": 0, "vat_on_gold_value": 1, "vat_on_making_charges": 1}) or {}
+    return {
+        "vat_on_gold": settings.get("vat_on_gold_value", True),
+        "vat_on_making": settings.get("vat_on_making_charges", True)
+    }
+
+def price_sale_line(line: dict, metal_rate: float, vat_basis: Optional[dict] = None) -> dict:
+    """Recalculate a sale line at a gold rate with invoice_calculator, returning an InvoiceItem dict"""
+    gross_weight = safe_float(line.get("gross_weight"))
+    stone_weight = safe_float(line.get("stone_weight"))
+    net_weight = round(max(gross_weight - stone_weight, 0), 3)
+    item = calculate_line_item({
+        "qty": line.get("qty", 1),
+        "weight": net_weight,
+        "gross_weight": gross_weight,
+        "stone_weight": stone_weight,
+        "net_gold_weight": net_weight,
+        "metal_rate": metal_rate,
+        "making_value": safe_float(line.get("making_value")),
+        "stone_charges": safe_float(line.get("stone_charges")),
+        "wastage_charges": safe_float(line.get("wastage_charges")),
+        "item_discount": safe_float(line.get("item_discount")),
+        "vat_percent": line.get("vat_percent"),
+        **(vat_basis or {})
+    })
+    return InvoiceItem(
+        id=line.get("id") or str(uuid.uuid4()),
+        category=line.get("category") or None,
+        description=line["description"],
+        qty=line.get("qty", 1),
+        gross_weight=item["gross_weight"],
+        stone_weight=item["stone_weight"],
+        net_gold_weight=item["net_gold_weight"],
+        weight=net_weight,
+        purity=line.get("purity", 916),
+        metal_rate=metal_rate,
+        gold_value=item["gold_value"],
+        making_charge_type=line.get("making_charge_type"),
+        making_value=item["making_value"],
+        inches=line.get("inches"),
+        stone_charges=item["stone_charges"],
+        wastage_charges=item["wastage_charges"],
+        item_discount=item["item_discount"],
+        vat_percent=float(line["vat_percent"]) if line.get("vat_percent") is not None else 5.0,
+        taxable_amount=item["taxable_amount"],
+        vat_amount=item["vat_amount"],
+        gold_vat_amount=item["gold_vat_amount"],
+        making_vat_amount=item["making_vat_amount"],
+        line_total=item["line_total"],
+        photos=line.get("photos") or []
+    ).model_dump()
+
+async def resolve_sale_customer(data: dict) -> tuple:
+    """Customer fields for a quotation or invoice payload, plus the saved party (None for walk-ins)"""
+    customer_type = data.get("customer_type", "saved")
+    if customer_type == "saved":
+        if not data.get("customer_id"):
+            raise HTTPException(status_code=400, detail="customer_id is required for saved customers")
+        customer = await db.parties.find_one({"id": data["customer_id"], "is_deleted": False}, {"_id": 0})
+        if not customer:
+            raise HTTPException(status_code=404, detail="Customer not found")
+        fields = {
+            "customer_type": "saved",
+            "customer_id": customer["id"],
+            "customer_name": customer.get("name"),
+            "customer_phone": customer.get("phone"),
+            "walk_in_name": None,
+            "walk_in_phone": None
+        }
+    elif customer_type == "walk_in":
+        if not (data.get("walk_in_name") or "").strip():
+            raise HTTPException(status_code=400, detail="walk_in_name is required for walk-in customers")
+        customer = None
+        fields = {
+            "customer_type": "walk_in",
+            "customer_id": None,
+            "customer_name": None,
+            "customer_phone": data.get("walk_in_phone") or None,
+            "walk_in_name": data["walk_in_name"].strip(),
+            "walk_in_phone": data.get("walk_in_phone") or None
+        }
+    else:
+        raise HTTPException(status_code=400, detail="customer_type must be either 'saved' or 'walk_in'")
+    fields["customer_oman_id"] = data.get("customer_oman_id") or (customer or {}).get("oman_id")
+    try:
+        fields["customer_vatin"] = validate_oman_vatin(data.get("customer_vatin")) or (customer or {}).get("vatin")
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=f"Customer {e}")
+    return fields, customer
+
+async def price_sale_lines(lines: list) -> list:
+    """
+    Validate sale lines and price them. Lines without a gold rate are priced at
+    today's published sell rate for their purity.
+    """
+    if not lines:
+        raise HTTPException(status_code=400, detail="At least one item is required")
+    rate_board = await get_current_gold_rate()
+    vat_basis = await get_vat_basis()
+    items = []
+    for index, line in enumerate(lines, start=1):
+        if not (line.get("description") or "").strip():
+            raise HTTPException(status_code=400, detail=f"Item {index}: description is required")
+        try:
+            qty = int(line.get("qty") or 1)
+            purity = int(line.get("purity") or 916)
+            numbers = {key: safe_float(line.get(key)) for key in ["gross_weight", "stone_weight", "making_value", "stone_charges", "wastage_charges", "item_discount"]}
+        except (TypeError, ValueError):
+            raise HTTPException(status_code=400, detail=f"Item {index}: quantities, weights and charges must be numbers")
+        if qty < 1:
+            raise HTTPException(status_code=400, detail=f"Item {index}: qty must be at least 1")
+        if any(value < 0 for value in numbers.values()):
+            raise HTTPException(status_code=400, detail=f"Item {index}: weights and charges cannot be negative")
+        if numbers["stone_weight"] > numbers["gross_weight"]:
+            raise HTTPException(status_code=400, detail=f"Item {index}: stone weight cannot exceed gross weight")
+        try:
+            vat_percent = float(line["vat_percent"]) if line.get("vat_percent") not in (None, "") else 5.0
+            inches = float(line["inches"]) if line.get("inches") not in (None, "") else None
+        except (TypeError, ValueError):
+            raise HTTPException(status_code=400, detail=f"Item {index}: VAT % and inches must be numbers")
+        making_charge_type = line.get("making_charge_type") or "flat"
+        if making_charge_type not in SALE_MAKING_CHARGE_TYPES:
+            raise HTTPException(status_code=400, detail=f"Item {index}: making_charge_type must be one of {', '.join(SALE_MAKING_CHARGE_TYPES)}")
+        metal_rate = safe_float(line.get("metal_rate")) or get_rate_for_purity(rate_board, purity)
+        if not metal_rate or metal_rate <= 0:
+            raise HTTPException(status_code=400, detail=f"Item {index}: enter a gold rate - none is published for purity {purity}")
+        items.append(price_sale_line({
+            **line,
+            **numbers,
+            "description": line["description"].strip(),
+            "qty": qty,
+            "purity": purity,
+            "vat_percent": vat_percent,
+            "inches": inches,
+            "making_charge_type": making_charge_type,
+            "photos": await normalize_item_photos(line.get("photos"))
+        }, round(metal_rate, 3), vat_basis))
+    return items
+
+def total_sale_lines(items: list, discount_amount) -> dict:
+    """Invoice-level discount and totals for priced sale lines"""
+    discount_amount = round(safe_float(discount_amount), 3)
+    totals = calculate_invoice_totals(items, discount_amount)
+    if discount_amount < 0:
+        raise HTTPException(status_code=400, detail="Discount amount cannot be negative")
+    if discount_amount > totals["subtotal"]:
+        raise HTTPException(status_code=400, detail=f"Discount amount ({discount_amount:.3f}) cannot exceed subtotal ({totals['subtotal']:.3f})")
+    return {
+        "items": items,
+        "subtotal": totals["subtotal"],
+        "discount_amount": discount_amount,
+        "vat_total": totals["vat_total"],
+        "grand_total": totals["grand_total"]
+    }
+
+# ============================================================================
+# QUOTATION ENDPOINTS (estimates that convert into job cards or draft invoices)
+# ============================================================================
+
+def parse_today(today: Optional[str]):
+    """Caller's local date (YYYY-MM-DD), or today in UTC when not given"""
+    if not today:
+        return datetime.now(timezone.utc).date()
+    try:
+        return datetime.strptime(today, "%Y-%m-%d").date()
+    except ValueError:
+        raise HTTPException(status_code=400, detail="Invalid today format. Use YYYY-MM-DD")
+
+def get_quotation_status(quotation: dict, today_str: str) -> str:
+    """Open quotations past their valid_until date are shown as expired"""
+    if quotation.get("status") == "open" and (quotation.get("valid_until") or "") < today_str:
+        return "expired"
+    return quotation.get("status", "open")
+
+async def build_quotation_fields(data: dict) -> dict:
+    """Validate a quotation payload and return its customer, validity, priced lines and totals"""
+    fields = {"rate_locked": bool(data.get("rate_locked", False)), "notes": data.get("notes") or None}
+    
+    customer_fields, _ = await resolve_sale_customer(data)
+    fields.update(customer_fields)
+    
+    valid_until = data.get("valid_until")
+    if valid_until:
+        try:
+            datetime.strptime(valid_until, "%Y-%m-%d")
+        except (TypeError, ValueError):
+            raise HTTPException(status_code=400, detail="Invalid valid_until format. Use YYYY-MM-DD")
+    else:
+        settings = await db.shop_settings.find_one({}, {"_id": 0})
+        validity_days = ShopSettings(**decimal_to_float(settings)).quotation_validity_days if settings else ShopSettings().quotation_validity_days
+        valid_until = (datetime.now(timezone.utc).date() + timedelta(days=validity_days)).isoformat()
+    fields["valid_until"] = valid_until
+    
+    items = await price_sale_lines(data.get("items") or [])
+    fields.update(total_sale_lines(items, data.get("discount_amount")))
+    return fields
+
+async def get_convertible_quotation(quotation_id: str, today: Optional[str]) -> dict:
+    """
+    Claim an open, unexpired quotation for conversion by moving it to "converting".
+    Only one request can win the claim, so a double-click cannot create two documents.
+    The caller must finish with mark_quotation_converted or release_quotation_claim.
+    """
+    quotation = await db.quotations.find_one({"id": quotation_id, "is_deleted": False}, {"_id": 0})
+    if not quotation:
+        raise HTTPException(status_code=404, detail="Quotation not found")
+    quotation = decimal_to_float(quotation)
+    if quotation.get("status") == "converted":
+        raise HTTPException(
+            status_code=400,
+            detail=f"This quotation has already been converted to {quotation.get('converted_to')} {quotation.get('converted_number')}"
+        )
+    today_str = parse_today(today).isoformat()
+    if get_quotation_status(quotation, today_str) == "expired":
+        raise HTTPException(status_code=400, detail=f"Quotation expired on {quotation['valid_until']}. Extend its validity before converting.")
+    
+    claimed = await db.quotations.find_one_and_update(
+        {"id": quotation_id, "is_deleted": False, "status": "open", "valid_until": {"$gte": today_str}},
+        {"$set": {"status": "converting", "updated_at": datetime.now(timezone.utc)}},
+        projection={"_id": 0},
+        return_document=ReturnDocument.AFTER
+    )
+    if not claimed:
+        raise HTTPException(status_code=409, detail="This quotation is already being converted. Refresh to see the result.")
+    return decimal_to_float(claimed)
+
+async def release_quotation_claim(quotation_id: str):
+    """Put a quotation back to open after its conversion failed"""
+    await db.quotations.update_one(
+        {"id": quotation_id, "status": "converting"},
+        {"$set": {"status": "open", "updated_at": datetime.now(timezone.utc)}}
+    )
+
+async def mark_quotation_converted(quotation: dict, converted_to: str, converted_id: str, converted_number: str, current_user: User):
+    await db.quotations.update_one(
+        {"id": quotation["id"], "status": "converting"},
+        {"$set": {
+            "status": "converted",
+            "converted_to": converted_to,
+            "converted_id": converted_id,
+            "converted_number": converted_number,
+            "converted_at": datetime.now(timezone.utc),
+            "converted_by": current_user.id,
+            "updated_at": datetime.now(timezone.utc)
+        }}
+    )
+    await create_audit_log(
+        current_user.id, current_user.full_name, "quotation", quotation["id"], f"converted_to_{converted_to}",
+        {f"{converted_to}_id": converted_id, f"{converted_to}_number": converted_number}
+    )
+
+@api_router.get("/quotations")
+async def get_quotations(
+    page: int = 1,
+    page_size: int = 10,
+    status: Optional[str] = None,
+    search: Optional[str] = None,
+    today: Optional[str] = None,
+    current_user: User = Depends(require_permission('invoices.view'))
+):
+    """
+    Get quotations (newest first) with pagination.
+    status: open, expired or converted - expiry is judged against `today` (caller's local date).
+    """
+    today_str = parse_today(today).isoformat()
+    query = {"is_deleted": False}
+    if status == "open":
+        query.update({"status": "open", "valid_until": {"$gte": today_str}})
+    elif status == "expired":
+        query.update({"status": "open", "valid_until": {"$lt": today_str}})
+    elif status == "converted":
+        query["status"] = "converted"
+    elif status:
+        raise HTTPException(status_code=400, detail="status must be one of: open, expired, converted")
+    if search:
+        pattern = re.escape(search.strip())
+        query["$or"] = [
+            {"quotation_number": {"$regex": pattern, "$options": "i"}},
+            {"customer_name": {"$regex": pattern, "$options": "i"}},
+            {"walk_in_name": {"$regex": pattern, "$options": "i"}},
+            {"customer_phone": {"$regex": pattern, "$options": "i"}}
+        ]
+    
+    skip = (page - 1) * page_size
+    total_count = await db.quotations.count_documents(query)
+    quotations = await db.quotations.find(query, {"_id": 0}).sort("date", -1).skip(skip).limit(page_size).to_list(page_size)
+    quotations = [decimal_to_float(q) for q in quotations]
+    for quotation in quotations:
+        quotation["display_status"] = get_quotation_status(quotation, today_str)
+    return create_pagination_response(quotations, total_count, page, page_size)
+
+@api_router.get("/quotations/{quotation_id}")
+async def get_quotation(quotation_id: str, today: Optional[str] = None, current_user: User = Depends(require_permission('invoices.view'))):
+    quotation = await db.quotations.find_one({"id": quotation_id, "is_deleted": False}, {"_id": 0})
+    if not quotation:
+        raise HTTPException(status_code=404, detail="Quotation not found")
+    quotation = decimal_to_float(quotation)
+    quotation["display_status"] = get_quotation_status(quotation, parse_today(today).isoformat())
+    return quotation
+
+@api_router.post("/quotations", status_code=201)
+async def create_quotation(quotation_data: dict, current_user: User = Depends(require_permission('invoices.create'))):
+    """Create a quotation. Lines without a gold rate are priced at the published sell rate for their purity."""
+    fields = await build_quotation_fields(quotation_data)
+    
+    year = datetime.now(timezone.utc).year
+    count = await db.quotations.count_documents({"quotation_number": {"$regex": f"^QTN-{year}"}})
+    quotation = Quotation(**fields, quotation_number=f"QTN-{year}-{str(count + 1).zfill(4)}", created_by=current_user.id)
+    
+    await db.quotations.insert_one(convert_invoice_to_decimal(quotation.model_dump()))
+    await create_audit_log(current_user.id, current_user.full_name, "quotation", quotation.id, "create", {"quotation_number": quotation.quotation_number})
+    return quotation
+
+@api_router.patch("/quotations/{quotation_id}")
+@api_router.put("/quotations/{quotation_id}")
+async def update_quotation(quotation_id: str, quotation_data: dict, current_user: User = Depends(require_permission('invoices.create'))):
+    """Edit an open quotation (also how an expired quotation's validity is extended)"""
+    existing = await db.quotations.find_one({"id": quotation_id, "is_deleted": False}, {"_id": 0})
+    if not existing:
+        raise HTTPException(status_code=404, detail="Quotation not found")
+    if existing.get("status") == "converted":
+        raise HTTPException(status_code=400, detail="Converted quotations cannot be edited")
+    if existing.get("status") == "converting":
+        raise HTTPException(status_code=409, detail="This quotation is being converted and cannot be edited")
+    
+    fields = await build_quotation_fields(quotation_data)
+    fields["updated_at"] = datetime.now(timezone.utc)
+    await db.quotations.update_one({"id": quotation_id}, {"$set": convert_invoice_to_decimal(fields)})
+    await create_audit_log(current_user.id, current_user.full_name, "quotation", quotation_id, "update", {
+        "valid_until": fields["valid_until"], "grand_total": fields["grand_total"]
+    })
+    
+    updated = await db.quotations.find_one({"id": quotation_id}, {"_id": 0})
+    return decimal_to_float(updated)
+
+@api_router.delete("/quotations/{quotation_id}")
+async def delete_quotation(quotation_id: str, current_user: User = Depends(require_permission('invoices.delete'))):
+    existing = await db.quotations.find_one({"id": quotation_id, "is_deleted": False}, {"_id": 0})
+    if not existing:
+        raise HTTPException(status_code=404, detail="Quotation not found")
+    if existing.get("status") == "converted":
+        raise HTTPException(status_code=400, detail=f"Quotation was converted to {existing.get('converted_to')} {existing.get('converted_number')} and cannot be deleted")
+    if existing.get("status") == "converting":
+        raise HTTPException(status_code=409, detail="This quotation is being converted and cannot be deleted")
+    
+    await db.quotations.update_one(
+        {"id": quotation_id},
+        {"$set": {"is_deleted": True, "deleted_at": datetime.now(timezone.utc), "deleted_by": current_user.id}}
+    )
+    await create_audit_log(current_user.id, current_user.full_name, "quotation", quotation_id, "delete")
+    return {"message": "Quotation deleted successfully"}
+
+@api_router.post("/quotations/{quotation_id}/convert-to-jobcard")
+async def convert_quotation_to_jobcard(quotation_id: str, convert_data: dict, current_user: User = Depends(require_permission('jobcards.create'))):
+    """
+    Open a job card for the quoted work. Estimated net weights become the intake weights.
+    A locked quote whose lines share one gold rate carries that rate to the job card.
+    """
+    work_type = (convert_data.get("work_type") or "").strip()
+    if not work_type:
+        raise HTTPException(status_code=400, detail="work_type is required")
+    quotation = await get_convertible_quotation(quotation_id, convert_data.get("today"))
+    try:
+        return await create_jobcard_from_quotation(quotation, work_type, convert_data, current_user)
+    except Exception:
+        await release_quotation_claim(quotation["id"])
+        raise
+
+async def create_jobcard_from_quotation(quotation: dict, work_type: str, convert_data: dict, current_user: User) -> dict:
+    """Build and save the job card for a claimed quotation, then mark the quotation converted"""
+    items = []
+    for line in quotation["items"]:
+        net_weight = safe_float(line.get("net_gold_weight") or line.get("weight"))
+        making_charge_type = line.get("making_charge_type") or "flat"
+        making_value = safe_float(line.get("making_value"))
+        # Job cards hold the making charge as a rate; quotations hold the line amount
+        if making_charge_type == "per_gram" and net_weight > 0:
+            making_charge_value = round(making_value / net_weight, 3)
+        elif making_charge_type == "per_inch" and safe_float(line.get("inches")) > 0:
+            making_charge_value = round(making_value / safe_float(line.get("inches")), 3)
+        else:
+            making_charge_type, making_charge_value = "flat", making_value
+        items.append({
+            "category": line.get("category") or "",
+            "description": line.get("description", ""),
+            "qty": line.get("qty", 1),
+            "weight_in": net_weight,
+            "purity": line.get("purity", 916),
+            "work_type": work_type,
+            "remarks": f"Quoted {safe_float(line.get('line_total')):.3f} OMR",
+            "making_charge_type": making_charge_type,
+            "making_charge_value": making_charge_value,
+            "inches": line.get("inches"),
+            "vat_percent": line.get("vat_percent"),
+            "photos": line.get("photos") or []
+        })
+    
+    jobcard_data = {
+        "customer_type": quotation.get("customer_type", "saved"),
+        "customer_id": quotation.get("customer_id"),
+        "customer_oman_id": quotation.get("customer_oman_id"),
+        "walk_in_name": quotation.get("walk_in_name"),
+        "walk_in_phone": quotation.get("walk_in_phone"),
+        "worker_id": convert_data.get("worker_id") or None,
+        "delivery_date": convert_data.get("delivery_date") or None,
+        "items": items,
+        "notes": " | ".join(filter(None, [f"From quotation {quotation['quotation_number']}", quotation.get("notes")])),
+        "quotation_id": quotation["id"],
+        "quotation_number": quotation["quotation_number"]
+    }
+    quoted_rates = {safe_float(line.get("metal_rate")) for line in quotation["items"]}
+    if quotation.get("rate_locked") and len(quoted_rates) == 1:
+        jobcard_data["gold_rate_at_jobcard"] = quoted_rates.pop()
+    
+    result = await create_jobcard(jobcard_data, current_user)
+    await mark_quotation_converted(quotation, "jobcard", result["id"], result["job_card_number"], current_user)
+    return {
+        "message": f"Quotation converted to job card {result['job_card_number']}",
+        "jobcard_id": result["id"],
+        "job_card_number": result["job_card_number"]
+    }
+
+@api_router.post("/quotations/{quotation_id}/convert-to-invoice")
+async def convert_quotation_to_invoice(quotation_id: str, convert_data: dict, current_user: User = Depends(require_permission('invoices.create'))):
+    """
+    Create a draft invoice from a quotation. Locked quotes keep their quoted gold rates;
+    otherwise each line is re-priced at today's published sell rate for its purity.
+    """
+    quotation = await get_convertible_quotation(quotation_id, convert_data.get("today"))
+    try:
+        return await create_invoice_from_quotation(quotation, current_user)
+    except Exception:
+        await release_quotation_claim(quotation["id"])
+        raise
+
+async def create_invoice_from_quotation(quotation: dict, current_user: User) -> dict:
+    """Price and save the draft invoice for a claimed quotation, then mark the quotation converted"""
+    rate_board = None if quotation.get("rate_locked") else await get_current_gold_rate()
+    vat_basis = await get_vat_basis()
+    items = []
+    for line in quotation["items"]:
+        metal_rate = safe_float(line.get("metal_rate"))
+        if not quotation.get("rate_locked"):
+            metal_rate = get_rate_for_purity(rate_board, line.get("purity", 916)) or metal_rate
+        items.append(price_sale_line(line, round(metal_rate, 3), vat_basis))
+    totals = calculate_invoice_totals(items, safe_float(quotation.get("discount_amount")))
+    
+    year = datetime.now(timezone.utc).year
+    count = await db.invoices.count_documents({"invoice_number": {"$regex": f"^INV-{year}"}})
+    invoice = Invoice(
+        invoice_number=f"INV-{year}-{str(count + 1).zfill(4)}",
+        customer_type=quotation.get("customer_type", "saved"),
+        customer_id=quotation.get("customer_id"),
+        customer_name=quotation.get("customer_name"),
+        customer_phone=quotation.get("customer_phone"),
+        customer_oman_id=quotation.get("customer_oman_id"),
+        customer_vatin=quotation.get("customer_vatin"),
+        walk_in_name=quotation.get("walk_in_name"),
+        walk_in_phone=quotation.get("walk_in_phone"),
+        invoice_type="sale",
+        items=items,
+        subtotal=totals["subtotal"],
+        discount_amount=totals["discount_amount"],
+        vat_total=totals["vat_total"],
+        grand_total=totals["grand_total"],
+        balance_due=totals["grand_total"],
+        notes=" | ".join(filter(None, [f"From quotation {quotation['quotation_number']}", quotation.get("notes")])),
+        quotation_id=quotation["id"],
+        quotation_number=quotation["quotation_number"],
+        created_by=current_user.id
+    )
+    
+    await db.invoices.insert_one(convert_invoice_to_decimal(invoice.model_dump()))
+    await create_audit_log(current_user.id, current_user.full_name, "invoice", invoice.id, "create_from_quotation", {"quotation_id": quotation["id"]})
+    await mark_quotation_converted(quotation, "invoice", invoice.id, invoice.invoice_number, current_user)
+    return {
+        "message": f"Quotation converted to draft invoice {invoice.invoice_number}",
+        "invoice_id": invoice.id,
+        "invoice_number": invoice.invoice_number,
+        "grand_total": invoice.grand_total,
+        "quoted_total": quotation.get("grand_total")
+    }
+
 @api_router.get("/invoices")
 @limiter.limit("1000/hour")  # General authenticated rate limit: 1000 requests per hour
 async def get_invoices(
@@ -5988,6 +8516,8 @@ async def get_invoice_returnable_items(
             
             returnable_items.append({
                 'item_id': item.get('id', ''),
+                'tagged_item_id': item.get('tagged_item_id'),
+                'tag_number': item.get('tag_number'),
                 'description': item_desc,
                 'purity': item_purity,
                 'category': item.get('category', ''),
@@ -6022,6 +8552,7 @@ async def update_invoice(invoice_id: str, update_data: dict, current_user: User
     existing = await db.invoices.find_one({"id": invoice_id, "is_deleted": False})
     if not existing:
         raise HTTPException(status_code=404, detail="Invoice not found")
+    ensure_invoice_not_cancelled(existing)
     
     # CRITICAL: Only allow editing draft invoices - finalized invoices are immutable
     if existing.get("status") == "finalized":
@@ -6037,6 +8568,39 @@ async def update_invoice(invoice_id: str, update_data: dict, current_user: User
         del update_data["finalized_at"]
     if "finalized_by" in update_data:
         del update_data["finalized_by"]
+    # Totals and payment fields are worked out here and by the payment endpoints, never taken from the client
+    for field in ['subtotal', 'vat_total', 'grand_total', 'balance_due', 'paid_amount', 'payment_status', 'paid_at']:
+        update_data.pop(field, None)
+    
+    if "items" in update_data or "discount_amount" in update_data:
+        stored_items = {item.get("id"): item for item in decimal_to_float(existing.get("items", []))}
+        items = list(stored_items.values())
+        if "items" in update_data:
+            sent_items = [item for item in (update_data["items"] or []) if isinstance(item, dict)]
+            # Tagged pieces are reserved and released by the tag scanner endpoints only
+            stored_tags = {item_id: item["tagged_item_id"] for item_id, item in stored_items.items() if item.get("tagged_item_id")}
+            sent_tags = {item.get("id"): item["tagged_item_id"] for item in sent_items if item.get("tagged_item_id")}
+            if sent_tags != stored_tags:
+                raise HTTPException(
+                    status_code=400,
+                    detail="Tagged pieces are added and removed with the tag scanner, not by editing the invoice lines"
+                )
+            untagged = [item for item in sent_items if not item.get("tagged_item_id")]
+            if existing.get("invoice_type", "sale") == "sale":
+                # Counter-sale lines are re-priced as on create
+                untagged = await price_sale_lines(untagged) if untagged else []
+            else:
+                for item in untagged:
+                    if item.get("photos"):
+                        item["photos"] = await normalize_item_photos(item["photos"])
+            priced = iter(untagged)
+            items = [stored_items[item["id"]] if item.get("tagged_item_id") else next(priced) for item in sent_items]
+            if not items:
+                raise HTTPException(status_code=400, detail="At least one item is required")
+        totals = total_sale_lines(items, update_data.get("discount_amount", existing.get("discount_amount")))
+        update_data.update(totals)
+        update_data["balance_due"] = round(totals["grand_total"] - safe_float(existing.get("paid_amount")), 3)
+        update_data = convert_invoice_to_decimal(update_data)
     
     await db.invoices.update_one({"id": invoice_id}, {"$set": update_data})
     await create_audit_log(current_user.id, current_user.full_name, "invoice", invoice_id, "update", update_data)
@@ -6078,6 +8642,7 @@ async def finalize_invoice(invoice_id: str, current_user: User = Depends(require
     existing = await db.invoices.find_one({"id": invoice_id, "is_deleted": False})
     if not existing:
         raise HTTPException(status_code=404, detail="Invoice not found")
+    ensure_invoice_not_cancelled(existing)
     
     # Validate invoice is in draft state
     current_status = existing.get("status", "draft")
@@ -6106,9 +8671,31 @@ async def finalize_invoice(invoice_id: str, current_user: User = Depends(require
                 detail=f"Cannot finalize sale invoice with total weight {round(total_weight, 3)}g. Sale invoice must have valid item weights for stock deduction."
             )
 
+    # VALIDATION: Tagged pieces must still be available (not sold or held by another invoice)
+    tagged_item_ids = [item.tagged_item_id for item in invoice.items if item.tagged_item_id]
+    if tagged_item_ids:
+        pieces = await db.tagged_items.find({"id": {"$in": tagged_item_ids}, "is_deleted": False}, {"_id": 0}).to_list(len(tagged_item_ids))
+        available = {
+            p['id'] for p in pieces
+            if p.get('status') != 'sold' and p.get('invoice_id') in (None, invoice_id)
+        }
+        unavailable = [item.tag_number for item in invoice.items if item.tagged_item_id and item.tagged_item_id not in available]
+        if unavailable:
+            raise HTTPException(
+                status_code=400,
+                detail=f"Tagged pieces no longer available: {', '.join(unavailable)}"
+            )
+
     # ATOMIC OPERATION: Finalize invoice with all required operations
     finalized_at = datetime.now(timezone.utc)
     
+    # The tax invoice carries the VAT numbers in force when it is issued
+    shop_settings = await db.shop_settings.find_one({}, {"_id": 0, "vatin": 1}) or {}
+    customer_vatin = invoice.customer_vatin
+    if invoice.customer_type == "saved" and invoice.customer_id and not customer_vatin:
+        party = await db.parties.find_one({"id": invoice.customer_id}, {"_id": 0, "vatin": 1}) or {}
+        customer_vatin = party.get("vatin")
+    
     # Step 1: Update invoice to finalized status
     await db.invoices.update_one(
         {"id": invoice_id},
@@ -6116,7 +8703,9 @@ async def finalize_invoice(invoice_id: str, current_user: User = Depends(require
             "$set": {
                 "status": "finalized",
                 "finalized_at": finalized_at,
-                "finalized_by": current_user.id
+                "finalized_by": current_user.id,
+                "shop_vatin": shop_settings.get("vatin"),
+                "customer_vatin": customer_vatin
             }
         }
     )
@@ -6194,6 +8783,19 @@ async def finalize_invoice(invoice_id: str, current_user: User = Depends(require
                 status_code=400,
                 detail=f"Insufficient stock: {'; '.join(stock_errors)}"
             )
+        
+        # Tagged pieces leave the register as sold - their weight went out with the category Stock OUT above
+        if tagged_item_ids:
+            await db.tagged_items.update_many(
+                {"id": {"$in": tagged_item_ids}},
+                {"$set": {
+                    "status": "sold",
+                    "invoice_id": invoice_id,
+                    "invoice_number": invoice.invoice_number,
+                    "sold_at": finalized_at,
+                    "updated_at": finalized_at
+                }}
+            )
     
     # Step 3: Lock the linked job card (make it read-only)
     if invoice.jobcard_id:
@@ -6245,8 +8847,12 @@ async def finalize_invoice(invoice_id: str, current_user: User = Depends(require
     )
     
     # Fetch and return updated invoice
-    updated_invoice = await db.invoices.find_one({"id": invoice_id}, {"_id": 0})
-    return decimal_to_float(updated_invoice)
+    updated_invoice = decimal_to_float(await db.invoices.find_one({"id": invoice_id}, {"_id": 0}))
+    
+    # Tell the customer what is still owed
+    await notify_invoice_balance_due(updated_invoice, current_user.username)
+    
+    return updated_invoice
 
 @api_router.post("/invoices/{invoice_id}/add-payment")
 async def add_payment_to_invoice(
@@ -6278,6 +8884,7 @@ async def add_payment_to_invoice(
         existing = await db.invoices.find_one({"id": invoice_id, "is_deleted": False})
         if not existing:
             raise HTTPException(status_code=404, detail="Invoice not found")
+        ensure_invoice_not_cancelled(existing)
     except HTTPException:
         raise
     except Exception as e:
@@ -6619,6 +9226,22 @@ async def add_payment_to_invoice(
             {"$set": update_data}
         )
         
+        voucher = await create_payment_voucher(
+            "receipt", "invoice", invoice_id, invoice.invoice_number, party_id, party_name,
+            [PaymentTender(
+                payment_mode="GOLD_EXCHANGE",
+                amount=payment_amount,
+                account_id=account_id,
+                account_name=account_name,
+                gold_weight_grams=gold_weight_grams,
+                purity=purity_entered,
+                rate_per_gram=rate_per_gram,
+                transaction_number=credit_txn_number,
+                gold_ledger_entry_id=gold_ledger_entry.id
+            )],
+            invoice.balance_due, new_balance_due, current_user.id, payment_data.get('notes') or None
+        )
+        
         # Create audit logs
         await create_audit_log(
             current_user.id,
@@ -6663,16 +9286,20 @@ async def add_payment_to_invoice(
                 "new_paid_amount": new_paid_amount,
                 "new_balance_due": max(0, new_balance_due),
                 "gold_balance_before": gold_balance,
-                "gold_balance_after": round(gold_balance - gold_weight_grams, 3)
+                "gold_balance_after": round(gold_balance - gold_weight_grams, 3),
+                "voucher_number": voucher.voucher_number
             }
         )
         
+        await notify_payment_received(invoice.model_dump(), payment_amount, "Gold Exchange", new_balance_due, current_user.username)
+        
         # Return success response with GOLD_EXCHANGE details
         return {
             "message": "Gold exchange payment added successfully (revenue recognized)",
             "transaction_id": credit_transaction.id,
             "transaction_number": credit_txn_number,
             "gold_ledger_entry_id": gold_ledger_entry.id,
+            "voucher": voucher.model_dump(),
             "gold_weight_grams": gold_weight_grams,
             "rate_per_gram": rate_per_gram,
             "gold_money_value": payment_amount,
@@ -6958,6 +9585,18 @@ async def add_payment_to_invoice(
             {"$set": update_data}
         )
         
+        voucher = await create_payment_voucher(
+            "receipt", "invoice", invoice_id, invoice.invoice_number, party_id, party_name,
+            [PaymentTender(
+                payment_mode=payment_data['payment_mode'],
+                amount=payment_amount,
+                account_id=payment_data['account_id'],
+                account_name=account['name'],
+                transaction_number=debit_txn_number
+            )],
+            invoice.balance_due, new_balance_due, current_user.id, payment_data.get('notes') or None
+        )
+        
         # Create audit logs for both transactions (double-entry)
         await create_audit_log(
             current_user.id,
@@ -6998,10 +9637,13 @@ async def add_payment_to_invoice(
                 "new_paid_amount": new_paid_amount,
                 "new_balance_due": max(0, new_balance_due),
                 "payment_mode": payment_data['payment_mode'],
-                "double_entry": True
+                "double_entry": True,
+                "voucher_number": voucher.voucher_number
             }
         )
         
+        await notify_payment_received(invoice.model_dump(), payment_amount, payment_data['payment_mode'], new_balance_due, current_user.username)
+        
         # Return success response with updated invoice details
         return {
             "message": "Payment added successfully (double-entry recorded)",
@@ -7010,6 +9652,7 @@ async def add_payment_to_invoice(
             "credit_transaction_id": credit_transaction.id,
             "debit_transaction_number": debit_txn_number,
             "credit_transaction_number": credit_txn_number,
+            "voucher": voucher.model_dump(),
             "new_paid_amount": new_paid_amount,
             "new_balance_due": max(0, new_balance_due),
             "payment_status": new_payment_status,
@@ -7017,10 +9660,310 @@ async def add_payment_to_invoice(
         }
 
 
-@api_router.get("/invoices/{invoice_id}/impact")
-async def get_invoice_impact(invoice_id: str, current_user: User = Depends(require_permission('invoices.view'))):
-    """
-    Get impact summary for invoice actions (finalization or deletion).
+@api_router.post("/invoices/{invoice_id}/checkout")
+async def checkout_invoice(
+    invoice_id: str,
+    checkout_data: dict,
+    current_user: User = Depends(require_permission('invoices.create'))
+):
+    """
+    Split-tender checkout: settle an invoice with several tenders in one go.
+    
+    Each tender in checkout_data["tenders"] is routed on its own:
+    - Cash / Card / Bank Transfer / UPI/Online / Cheque: DEBIT the chosen account, CREDIT Sales Income
+    - OLD_GOLD: gold handed over at the counter (weight × rate), DEBIT Gold Received, CREDIT Sales Income
+    - GOLD_EXCHANGE: customer's gold held by the shop, gold ledger OUT + CREDIT Gold Exchange Income
+      (saved customers only)
+    
+    Every tender is validated before anything is written, then all postings, the invoice
+    update and one combined receipt voucher are written in a single transaction.
+    A draft invoice that becomes fully paid is finalized afterwards; if finalization fails
+    (e.g. insufficient stock) the payment stands and the error is returned.
+    """
+    existing = await db.invoices.find_one({"id": invoice_id, "is_deleted": False})
+    if not existing:
+        raise HTTPException(status_code=404, detail="Invoice not found")
+    ensure_invoice_not_cancelled(existing)
+    
+    invoice = Invoice(**decimal_to_float(existing))
+    raw_tenders = checkout_data.get('tenders') or []
+    if not raw_tenders:
+        raise HTTPException(status_code=400, detail="At least one tender is required")
+    
+    is_saved_customer = invoice.customer_type == "saved" and bool(invoice.customer_id)
+    
+    # Validate and value every tender before writing anything
+    tenders = []
+    for index, raw in enumerate(raw_tenders, start=1):
+        payment_mode = raw.get('payment_mode')
+        if not payment_mode:
+            raise HTTPException(status_code=400, detail=f"Tender {index}: payment mode is required")
+        
+        if payment_mode in GOLD_TENDER_MODES:
+            if payment_mode == "GOLD_EXCHANGE" and not is_saved_customer:
+                raise HTTPException(
+                    status_code=400,
+                    detail="GOLD_EXCHANGE payment mode is only available for saved customers (not walk-in)"
+                )
+            gold_weight_grams = round(safe_float(raw.get('gold_weight_grams')), 3)
+            rate_per_gram = round(safe_float(raw.get('rate_per_gram')), 3)
+            if gold_weight_grams <= 0:
+                raise HTTPException(status_code=400, detail=f"Tender {index}: gold weight must be greater than 0")
+            if rate_per_gram <= 0:
+                raise HTTPException(status_code=400, detail=f"Tender {index}: rate per gram must be greater than 0")
+            tenders.append(PaymentTender(
+                payment_mode=payment_mode,
+                amount=round(gold_weight_grams * rate_per_gram, 3),
+                gold_weight_grams=gold_weight_grams,
+                purity=int(raw.get('purity') or 916),
+                rate_per_gram=rate_per_gram
+            ))
+        else:
+            amount = round(safe_float(raw.get('amount')), 3)
+            if amount <= 0:
+                raise HTTPException(status_code=400, detail=f"Tender {index}: amount must be greater than 0")
+            if not raw.get('account_id'):
+                raise HTTPException(status_code=400, detail=f"Tender {index}: account is required for {payment_mode}")
+            account = await db.accounts.find_one({"id": raw['account_id'], "is_deleted": False}, {"_id": 0})
+            if not account:
+                raise HTTPException(status_code=404, detail=f"Account with ID {raw['account_id']} not found")
+            tenders.append(PaymentTender(
+                payment_mode=payment_mode,
+                amount=amount,
+                account_id=account['id'],
+                account_name=account['name']
+            ))
+    
+    total_amount = round(sum(t.amount for t in tenders), 3)
+    balance_before = round(invoice.grand_total - invoice.paid_amount, 3)
+    if total_amount > balance_before + 0.01:  # Allow small rounding errors
+        raise HTTPException(
+            status_code=400,
+            detail=f"Tenders total ({total_amount:.3f} OMR) exceeds remaining balance ({balance_before:.3f} OMR)"
+        )
+    
+    gold_exchange_weight = round(sum(t.gold_weight_grams for t in tenders if t.payment_mode == "GOLD_EXCHANGE"), 3)
+    
+    if is_saved_customer:
+        party_id = invoice.customer_id
+        party_name = invoice.customer_name or "Unknown Customer"
+    else:
+        party_id = None
+        party_name = f"{invoice.walk_in_name or 'Walk-in Customer'} (Walk-in)"
+    
+    new_paid_amount = round(invoice.paid_amount + total_amount, 3)
+    new_balance_due = max(0, round(invoice.grand_total - new_paid_amount, 3))
+    new_payment_status = "paid" if new_balance_due < 0.01 else "partial"
+    notes = (checkout_data.get('notes') or '').strip()
+    
+    async def find_or_create_account(name: str, account_type: str, session):
+        account = await db.accounts.find_one({"name": name, "is_deleted": False}, {"_id": 0}, session=session)
+        if not account:
+            account = {
+                "id": str(uuid.uuid4()),
+                "name": name,
+                "account_type": account_type,
+                "opening_balance": 0,
+                "current_balance": 0,
+                "created_at": datetime.now(timezone.utc),
+                "created_by": current_user.id,
+                "is_deleted": False
+            }
+            await db.accounts.insert_one(account, session=session)
+        return account
+    
+    async def post_checkout(session):
+        nonlocal balance_before, new_paid_amount, new_balance_due, new_payment_status
+        # Re-read the invoice so a payment posted since the tenders were validated is counted
+        current = await db.invoices.find_one({"id": invoice_id, "is_deleted": False}, {"_id": 0}, session=session)
+        if not current:
+            raise HTTPException(status_code=404, detail="Invoice not found")
+        ensure_invoice_not_cancelled(current)
+        paid_before = round(safe_float(current.get("paid_amount")), 3)
+        balance_before = round(safe_float(current.get("grand_total")) - paid_before, 3)
+        if total_amount > balance_before + 0.01:
+            raise HTTPException(
+                status_code=400,
+                detail=f"Tenders total ({total_amount:.3f} OMR) exceeds remaining balance ({balance_before:.3f} OMR)"
+            )
+        new_paid_amount = round(paid_before + total_amount, 3)
+        new_balance_due = max(0, round(safe_float(current.get("grand_total")) - new_paid_amount, 3))
+        new_payment_status = "paid" if new_balance_due < 0.01 else "partial"
+        
+        # The gold balance is checked inside the transaction. Writing to the party first
+        # makes two checkouts spending the same customer's gold conflict, so the second
+        # one re-reads the balance after the first has taken its gold.
+        gold_balance = None
+        if gold_exchange_weight > 0:
+            await db.parties.update_one(
+                {"id": invoice.customer_id},
+                {"$set": {"last_gold_tender_at": datetime.now(timezone.utc)}},
+                session=session
+            )
+            gold_summary_list = await db.gold_ledger.aggregate([
+                {"$match": {"party_id": invoice.customer_id, "is_deleted": False}},
+                {"$group": {
+                    "_id": None,
+                    "gold_in": {"$sum": {"$cond": [{"$eq": ["$type", "IN"]}, "$weight_grams", 0]}},
+                    "gold_out": {"$sum": {"$cond": [{"$eq": ["$type", "OUT"]}, "$weight_grams", 0]}}
+                }}
+            ], session=session).to_list(length=1)
+            gold_balance = 0
+            if gold_summary_list:
+                gold_balance = round(safe_float(gold_summary_list[0].get("gold_in")) - safe_float(gold_summary_list[0].get("gold_out")), 3)
+            if gold_balance < gold_exchange_weight:
+                raise HTTPException(
+                    status_code=400,
+                    detail=f"Insufficient gold balance. Customer has {gold_balance:.3f}g available, but {gold_exchange_weight:.3f}g requested for payment"
+                )
+        
+        update_data = {
+            "paid_amount": new_paid_amount,
+            "balance_due": new_balance_due,
+            "payment_status": new_payment_status
+        }
+        if new_payment_status == "paid" and not current.get("paid_at"):
+            update_data["paid_at"] = datetime.now(timezone.utc)
+        # Only applies if nobody has paid against the invoice since it was read above.
+        # Written before any posting so a losing checkout leaves nothing behind.
+        claim = await db.invoices.update_one(
+            {"id": invoice_id, "paid_amount": current.get("paid_amount")},
+            {"$set": update_data},
+            session=session
+        )
+        if claim.matched_count == 0:
+            raise HTTPException(status_code=409, detail="Another payment was just recorded on this invoice. Reload it and try again.")
+        
+        year = datetime.now(timezone.utc).year
+        txn_count = await db.transactions.count_documents({"transaction_number": {"$regex": f"^TXN-{year}"}}, session=session)
+        sales_account = await find_or_create_account("Sales Income", "income", session)
+        
+        async def post_transaction(transaction_type: str, mode: str, account: dict, amount: float, category: str, tx_notes: str):
+            nonlocal txn_count
+            txn_count += 1
+            transaction = Transaction(
+                transaction_number=f"TXN-{year}-{str(txn_count).zfill(4)}",
+                transaction_type=transaction_type,
+                mode=mode,
+                account_id=account['id'],
+                account_name=account['name'],
+                party_id=party_id,
+                party_name=party_name,
+                amount=amount,
+                category=category,
+                notes=f"{tx_notes} {notes}".strip(),
+                reference_type="invoice",
+                reference_id=invoice_id,
+                created_by=current_user.id
+            )
+            await db.transactions.insert_one(convert_transaction_to_decimal(transaction.model_dump()), session=session)
+            await db.accounts.update_one({"id": account['id']}, {"$inc": {"current_balance": amount}}, session=session)
+            return transaction
+        
+        for tender in tenders:
+            if tender.payment_mode == "GOLD_EXCHANGE":
+                gold_entry = GoldLedgerEntry(
+                    party_id=invoice.customer_id,
+                    type="OUT",  # Customer uses the gold the shop holds for them
+                    weight_grams=tender.gold_weight_grams,
+                    purity_entered=tender.purity,
+                    purpose="exchange",
+                    reference_type="invoice",
+                    reference_id=invoice_id,
+                    notes=f"Gold exchange payment for invoice {invoice.invoice_number}. Rate: {tender.rate_per_gram:.3f} OMR/g",
+                    created_by=current_user.id
+                )
+                await db.gold_ledger.insert_one(convert_gold_ledger_to_decimal(gold_entry.model_dump()), session=session)
+                tender.gold_ledger_entry_id = gold_entry.id
+                exchange_account = await find_or_create_account("Gold Exchange Income", "income", session)
+                credit = await post_transaction(
+                    "credit", "GOLD_EXCHANGE", exchange_account, tender.amount,
+                    "Invoice Payment - Gold Exchange Income (Credit)",
+                    f"Gold exchange revenue for {invoice.invoice_number}. {tender.gold_weight_grams:.3f}g @ {tender.rate_per_gram:.3f} OMR/g."
+                )
+                tender.account_id = exchange_account['id']
+                tender.account_name = exchange_account['name']
+                tender.transaction_number = credit.transaction_number
+                continue
+            
+            if tender.payment_mode == "OLD_GOLD":
+                debit_account = await find_or_create_account("Gold Received", "asset", session)
+                tender.account_id = debit_account['id']
+                tender.account_name = debit_account['name']
+                debit_notes = f"Old gold for {invoice.invoice_number}. {tender.gold_weight_grams:.3f}g ({tender.purity}) @ {tender.rate_per_gram:.3f} OMR/g."
+            else:
+                debit_account = {"id": tender.account_id, "name": tender.account_name}
+                debit_notes = f"Payment for {invoice.invoice_number}."
+            debit = await post_transaction(
+                "debit", tender.payment_mode, debit_account, tender.amount,
+                "Invoice Payment - Cash/Bank (Debit)", debit_notes
+            )
+            await post_transaction(
+                "credit", tender.payment_mode, sales_account, tender.amount,
+                "Invoice Payment - Sales Income (Credit)", f"Revenue for {invoice.invoice_number}."
+            )
+            tender.transaction_number = debit.transaction_number
+        
+        voucher = await create_payment_voucher(
+            "receipt", "invoice", invoice_id, invoice.invoice_number, party_id, party_name,
+            tenders, balance_before, new_balance_due, current_user.id, notes or None, session=session
+        )
+        
+        await create_audit_log(
+            current_user.id,
+            current_user.full_name,
+            "invoice",
+            invoice_id,
+            "checkout",
+            {
+                "voucher_number": voucher.voucher_number,
+                "tenders": [
+                    {"payment_mode": t.payment_mode, "amount": t.amount, "account": t.account_name, "gold_weight_grams": t.gold_weight_grams}
+                    for t in tenders
+                ],
+                "total_amount": total_amount,
+                "new_paid_amount": new_paid_amount,
+                "new_balance_due": new_balance_due,
+                "gold_balance_before": gold_balance
+            },
+            session=session
+        )
+        return voucher
+    
+    voucher = await execute_in_transaction(post_checkout)
+    
+    # AUTO-FINALIZE: a fully paid draft goes through the normal finalization path
+    finalize_error = None
+    if new_payment_status == "paid" and existing.get("status", "draft") == "draft":
+        try:
+            await finalize_invoice(invoice_id, current_user)
+        except HTTPException as e:
+            finalize_error = e.detail
+            await create_audit_log(
+                current_user.id,
+                current_user.full_name,
+                "invoice",
+                invoice_id,
+                "auto_finalize_failed",
+                {"reason": e.detail, "payment_applied": True, "voucher_number": voucher.voucher_number}
+            )
+    
+    modes = ", ".join(dict.fromkeys(t.payment_mode.replace("_", " ").title() if t.payment_mode in GOLD_TENDER_MODES else t.payment_mode for t in tenders))
+    await notify_payment_received(invoice.model_dump(), total_amount, modes, new_balance_due, current_user.username)
+    
+    updated_invoice = decimal_to_float(await db.invoices.find_one({"id": invoice_id}, {"_id": 0}))
+    return {
+        "message": f"Checkout recorded on receipt {voucher.voucher_number}",
+        "voucher": voucher.model_dump(),
+        "invoice": updated_invoice,
+        "finalize_error": finalize_error
+    }
+
+
+@api_router.get("/invoices/{invoice_id}/impact")
+async def get_invoice_impact(invoice_id: str, current_user: User = Depends(require_permission('invoices.view'))):
+    """
+    Get impact summary for invoice actions (finalization or deletion).
     Shows decision-critical data: items, totals, linked data, what will be locked.
     """
     invoice = await db.invoices.find_one({"id": invoice_id, "is_deleted": False}, {"_id": 0})
@@ -7078,6 +10021,7 @@ async def delete_invoice(invoice_id: str, current_user: User = Depends(require_p
     existing = await db.invoices.find_one({"id": invoice_id, "is_deleted": False})
     if not existing:
         raise HTTPException(status_code=404, detail="Invoice not found")
+    ensure_invoice_not_cancelled(existing)
     
     # CRITICAL: Only allow deleting draft invoices
     # Finalized invoices should not be deleted to maintain financial integrity
@@ -7091,9 +10035,267 @@ async def delete_invoice(invoice_id: str, current_user: User = Depends(require_p
         {"id": invoice_id},
         {"$set": {"is_deleted": True}}
     )
+    # Pieces reserved on this draft go back in stock
+    await release_tagged_items(
+        [item.get('tagged_item_id') for item in existing.get('items', []) if item.get('tagged_item_id')],
+        invoice_id
+    )
     await create_audit_log(current_user.id, current_user.full_name, "invoice", invoice_id, "delete")
     return {"message": "Invoice deleted successfully"}
 
+# ============================================================================
+# INVOICE CANCELLATION / CREDIT NOTES
+# ============================================================================
+
+def ensure_invoice_not_cancelled(invoice: dict):
+    """A cancelled invoice is kept for the record only - nothing may change it"""
+    if invoice.get("status") == "cancelled":
+        raise HTTPException(
+            status_code=400,
+            detail=f"Invoice {invoice.get('invoice_number')} is cancelled (credit note {invoice.get('credit_note_number')})"
+        )
+
+@api_router.post("/invoices/{invoice_id}/cancel")
+async def cancel_invoice(invoice_id: str, cancel_data: dict, current_user: User = Depends(require_permission('invoices.cancel'))):
+    """
+    Cancel (void) a finalized invoice by issuing a numbered credit note.
+    
+    Drafts are deleted instead; finalized invoices are never deleted. Cancelling:
+    1. Posts a Stock IN for every Stock OUT the invoice made and puts the stock back
+    2. Posts an opposite transaction for every payment transaction on the invoice
+    3. Posts an opposite gold ledger entry for every gold entry on the invoice
+    4. Returns sold tagged pieces to stock and unlocks the linked job card
+    5. Marks the invoice "cancelled" (it stays visible) and links the credit note
+    All of it runs in one transaction, which starts by claiming the invoice.
+    """
+    reason = (cancel_data.get('reason') or '').strip()
+    if not reason:
+        raise HTTPException(status_code=400, detail="A cancellation reason is required")
+    
+    existing = await db.invoices.find_one({"id": invoice_id, "is_deleted": False}, {"_id": 0})
+    if not existing:
+        raise HTTPException(status_code=404, detail="Invoice not found")
+    ensure_invoice_not_cancelled(existing)
+    if existing.get("status", "draft") != "finalized":
+        raise HTTPException(status_code=400, detail="Only finalized invoices can be cancelled. Delete the draft instead.")
+    
+    # Returns already reverse part of the sale; cancelling on top would reverse it twice
+    returns = await db.returns.find(
+        {"reference_type": "invoice", "reference_id": invoice_id, "is_deleted": False, "status": {"$ne": "draft"}},
+        {"_id": 0, "return_number": 1}
+    ).to_list(100)
+    if returns:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Invoice has returns ({', '.join(r['return_number'] for r in returns)}) and cannot be cancelled"
+        )
+    
+    invoice = Invoice(**decimal_to_float(existing))
+    if invoice.customer_type == "saved":
+        party_id = invoice.customer_id
+        party_name = invoice.customer_name or "Unknown Customer"
+    else:
+        party_id = None
+        party_name = f"{invoice.walk_in_name or 'Walk-in Customer'} (Walk-in)"
+    
+    async def post_cancellation(session):
+        now = datetime.now(timezone.utc)
+        year = now.year
+        cn_count = await db.credit_notes.count_documents({"credit_note_number": {"$regex": f"^CN-{year}"}}, session=session)
+        credit_note_id = str(uuid.uuid4())
+        credit_note_number = f"CN-{year}-{str(cn_count + 1).zfill(4)}"
+        
+        # Claim the invoice first: only one cancellation can move it out of "finalized",
+        # so a second request fails here before reversing anything twice.
+        # It stays on record as cancelled with nothing left to collect.
+        claim = await db.invoices.update_one(
+            {"id": invoice_id, "status": "finalized", "is_deleted": False},
+            {"$set": {
+                "status": "cancelled",
+                "cancelled_at": now,
+                "cancelled_by": current_user.id,
+                "cancel_reason": reason,
+                "credit_note_id": credit_note_id,
+                "credit_note_number": credit_note_number,
+                "balance_due": 0
+            }},
+            session=session
+        )
+        if claim.matched_count == 0:
+            raise HTTPException(status_code=409, detail=f"Invoice {invoice.invoice_number} was changed or cancelled by someone else. Reload it.")
+        
+        # 1. Stock back in
+        stock_movement_ids = []
+        movements = await db.stock_movements.find(
+            {"reference_type": "invoice", "reference_id": invoice_id, "movement_type": "Stock OUT", "is_deleted": False},
+            {"_id": 0}, session=session
+        ).to_list(1000)
+        for movement in decimal_to_float(movements):
+            reversal = StockMovement(
+                movement_type="Stock IN",
+                header_id=movement.get('header_id'),
+                header_name=movement.get('header_name'),
+                description=f"Credit note {credit_note_number} - Invoice {invoice.invoice_number} cancelled",
+                qty_delta=-safe_float(movement.get('qty_delta')),
+                weight_delta=-safe_float(movement.get('weight_delta')),
+                purity=movement.get('purity') or 916,
+                reference_type="credit_note",
+                reference_id=credit_note_id,
+                created_by=current_user.id
+            )
+            await db.stock_movements.insert_one(convert_stock_movement_to_decimal(reversal.model_dump()), session=session)
+            stock_movement_ids.append(reversal.id)
+            header = await db.inventory_headers.find_one({"id": reversal.header_id}, session=session) if reversal.header_id else None
+            if header:
+                await db.inventory_headers.update_one(
+                    {"id": header['id']},
+                    {"$set": {
+                        "current_qty": safe_float(header.get('current_qty')) + reversal.qty_delta,
+                        "current_weight": safe_float(header.get('current_weight')) + reversal.weight_delta
+                    }},
+                    session=session
+                )
+        
+        # 2. Opposite transaction for every payment posting
+        transaction_ids = []
+        refund_amount = 0.0
+        transactions = await db.transactions.find(
+            {"reference_type": "invoice", "reference_id": invoice_id, "is_deleted": False}, {"_id": 0}, session=session
+        ).to_list(1000)
+        txn_count = await db.transactions.count_documents({"transaction_number": {"$regex": f"^TXN-{year}"}}, session=session)
+        for txn in decimal_to_float(transactions):
+            amount = safe_float(txn.get('amount'))
+            reverse_type = 'credit' if txn.get('transaction_type') == 'debit' else 'debit'
+            txn_count += 1
+            reversal = Transaction(
+                transaction_number=f"TXN-{year}-{str(txn_count).zfill(4)}",
+                transaction_type=reverse_type,
+                mode=txn.get('mode') or "adjustment",
+                account_id=txn.get('account_id'),
+                account_name=txn.get('account_name'),
+                party_id=txn.get('party_id'),
+                party_name=txn.get('party_name'),
+                amount=amount,
+                category="Invoice Cancellation - Reversal",
+                notes=f"Credit note {credit_note_number}: reverses {txn.get('transaction_number')} of invoice {invoice.invoice_number}",
+                reference_type="credit_note",
+                reference_id=credit_note_id,
+                created_by=current_user.id
+            )
+            await db.transactions.insert_one(convert_transaction_to_decimal(reversal.model_dump()), session=session)
+            transaction_ids.append(reversal.id)
+            # Money (or gold value) that came in from the customer is what the credit note refunds
+            if txn.get('transaction_type') == 'debit' or txn.get('mode') == 'GOLD_EXCHANGE':
+                refund_amount += amount
+        
+        # Undo the $inc each payment posting made, so accounts return to their pre-payment balance
+        for account_id, balance_delta in calculate_payment_reversal_deltas(decimal_to_float(transactions)).items():
+            await db.accounts.update_one({"id": account_id, "is_deleted": False}, {"$inc": {"current_balance": balance_delta}}, session=session)
+        
+        # 3. Opposite gold ledger entry for gold taken or used on the invoice
+        gold_ledger_ids = []
+        gold_entries = await db.gold_ledger.find(
+            {"reference_type": "invoice", "reference_id": invoice_id, "is_deleted": False}, {"_id": 0}, session=session
+        ).to_list(1000)
+        for entry in decimal_to_float(gold_entries):
+            reversal = GoldLedgerEntry(
+                party_id=entry['party_id'],
+                type="OUT" if entry.get('type') == "IN" else "IN",
+                weight_grams=round(safe_float(entry.get('weight_grams')), 3),
+                purity_entered=entry.get('purity_entered') or 916,
+                purpose="adjustment",
+                reference_type="credit_note",
+                reference_id=credit_note_id,
+                notes=f"Credit note {credit_note_number}: reverses gold entry of invoice {invoice.invoice_number}",
+                created_by=current_user.id
+            )
+            await db.gold_ledger.insert_one(convert_gold_ledger_to_decimal(reversal.model_dump()), session=session)
+            gold_ledger_ids.append(reversal.id)
+        
+        # 4. Sold pieces back in stock, job card open for a new invoice
+        await db.tagged_items.update_many(
+            {"invoice_id": invoice_id, "status": "sold", "is_deleted": False},
+            {"$set": {"status": "in_stock", "invoice_id": None, "invoice_number": None, "sold_at": None, "updated_at": now}},
+            session=session
+        )
+        if invoice.jobcard_id:
+            await db.jobcards.update_one(
+                {"id": invoice.jobcard_id},
+                {"$set": {"status": "completed", "locked": False, "locked_at": None, "locked_by": None, "is_invoiced": False, "invoice_id": None}},
+                session=session
+            )
+        
+        credit_note = CreditNote(
+            id=credit_note_id,
+            credit_note_number=credit_note_number,
+            invoice_id=invoice_id,
+            invoice_number=invoice.invoice_number,
+            party_id=party_id,
+            party_name=party_name,
+            reason=reason,
+            items=invoice.items,
+            subtotal=invoice.subtotal,
+            discount_amount=invoice.discount_amount,
+            vat_total=invoice.vat_total,
+            grand_total=invoice.grand_total,
+            refund_amount=round(refund_amount, 3),
+            stock_movement_ids=stock_movement_ids,
+            transaction_ids=transaction_ids,
+            gold_ledger_ids=gold_ledger_ids,
+            created_by=current_user.id
+        )
+        await db.credit_notes.insert_one(credit_note.model_dump(), session=session)
+        
+        await create_audit_log(
+            current_user.id, current_user.full_name, "invoice", invoice_id, "cancel",
+            {
+                "reason": reason,
+                "credit_note_number": credit_note_number,
+                "stock_movements_reversed": len(stock_movement_ids),
+                "transactions_reversed": len(transaction_ids),
+                "gold_entries_reversed": len(gold_ledger_ids),
+                "refund_amount": round(refund_amount, 3),
+                "jobcard_unlocked": bool(invoice.jobcard_id)
+            },
+            session=session
+        )
+        await create_audit_log(
+            current_user.id, current_user.full_name, "credit_note", credit_note_id, "create",
+            {"invoice_id": invoice_id, "invoice_number": invoice.invoice_number, "grand_total": invoice.grand_total},
+            session=session
+        )
+        return credit_note
+    
+    credit_note = await execute_in_transaction(post_cancellation)
+    return {
+        "message": f"Invoice {invoice.invoice_number} cancelled with credit note {credit_note.credit_note_number}",
+        "credit_note": credit_note.model_dump(),
+        "invoice": decimal_to_float(await db.invoices.find_one({"id": invoice_id}, {"_id": 0}))
+    }
+
+@api_router.get("/credit-notes")
+async def get_credit_notes(
+    page: int = 1,
+    page_size: int = 10,
+    party_id: Optional[str] = None,
+    current_user: User = Depends(require_permission('invoices.view'))
+):
+    """Credit notes, newest first"""
+    query = {"is_deleted": False}
+    if party_id:
+        query["party_id"] = party_id
+    skip = (page - 1) * page_size
+    total_count = await db.credit_notes.count_documents(query)
+    notes = await db.credit_notes.find(query, {"_id": 0}).sort("date", -1).skip(skip).limit(page_size).to_list(page_size)
+    return create_pagination_response([decimal_to_float(n) for n in notes], total_count, page, page_size)
+
+@api_router.get("/credit-notes/{credit_note_id}")
+async def get_credit_note(credit_note_id: str, current_user: User = Depends(require_permission('invoices.view'))):
+    credit_note = await db.credit_notes.find_one({"id": credit_note_id, "is_deleted": False}, {"_id": 0})
+    if not credit_note:
+        raise HTTPException(status_code=404, detail="Credit note not found")
+    return decimal_to_float(credit_note)
+
 @api_router.get("/invoices/{invoice_id}/pdf")
 async def generate_invoice_pdf(invoice_id: str, current_user: User = Depends(require_permission('invoices.view'))):
     from fastapi.responses import StreamingResponse
@@ -7225,7 +10427,7 @@ async def get_invoice_full_details(invoice_id: str, current_user: User = Depends
                 "name": party.get('name'),
                 "phone": party.get('phone'),
                 "address": party.get('address'),
-                "gstin": party.get('gstin')  # If you add GSTIN field to Party model
+                "vatin": party.get('vatin')
             }
     
     return {
@@ -7251,6 +10453,14 @@ async def update_shop_settings(settings_data: dict, current_user: User = Depends
     """
     Update shop settings for invoice printing (admin only)
     """
+    if 'vatin' in settings_data:
+        try:
+            settings_data['vatin'] = validate_oman_vatin(settings_data['vatin'])
+        except ValueError as e:
+            raise HTTPException(status_code=400, detail=str(e))
+    for field in ('vat_on_gold_value', 'vat_on_making_charges'):
+        if field in settings_data and not isinstance(settings_data[field], bool):
+            raise HTTPException(status_code=400, detail=f"{field} must be true or false")
     settings_data['updated_at'] = datetime.now(timezone.utc)
     settings_data['updated_by'] = current_user.id
     
@@ -7274,9 +10484,20 @@ async def create_invoice(invoice_data: dict, current_user: User = Depends(requir
     count = await db.invoices.count_documents({"invoice_number": {"$regex": f"^INV-{year}"}})
     invoice_number = f"INV-{year}-{str(count + 1).zfill(4)}"
     
-    # Remove conflicting keys and add required fields
-    invoice_data_clean = {k: v for k, v in invoice_data.items() if k not in ['invoice_number', 'created_by']}
-    invoice = Invoice(**invoice_data_clean, invoice_number=invoice_number, created_by=current_user.id)
+    # Counter sales: lines and totals are priced here with invoice_calculator, never taken from the client.
+    # New invoices start as unpaid drafts - payments and finalization have their own endpoints.
+    customer_fields, customer = await resolve_sale_customer(invoice_data)
+    items = await price_sale_lines(invoice_data.get("items") or [])
+    totals = total_sale_lines(items, invoice_data.get("discount_amount"))
+    server_fields = ['invoice_number', 'created_by', 'status', 'finalized_at', 'finalized_by', 'payment_status', 'paid_amount', 'balance_due', 'paid_at']
+    invoice_data_clean = {k: v for k, v in invoice_data.items() if k not in server_fields}
+    invoice = Invoice(**{
+        **invoice_data_clean,
+        **customer_fields,
+        **totals,
+        "customer_address": (customer or {}).get("address"),
+        "balance_due": totals["grand_total"]
+    }, invoice_number=invoice_number, created_by=current_user.id)
     
     # Handle Gold Received (Advance Gold or Exchange)
     if invoice.gold_received_weight and invoice.gold_received_weight > 0:
@@ -8157,6 +11378,7 @@ async def export_inventory(
     
     # Get filtered inventory data
     movements = await db.stock_movements.find(query, {"_id": 0}).sort("date", -1).to_list(10000)
+    movements = [decimal_to_float(m) for m in movements]
     
     # Create workbook
     wb = openpyxl.Workbook()
@@ -8164,7 +11386,7 @@ async def export_inventory(
     ws.title = "Inventory Movements"
     
     # Headers
-    headers = ["Date", "Type", "Category", "Description", "Quantity", "Weight (g)", "Purity", "Notes"]
+    headers = ["Date", "Type", "Category", "Description", "Quantity", "Weight (g)", "Purity", "Fine Weight (g)", "Notes"]
     for col, header in enumerate(headers, 1):
         cell = ws.cell(row=1, column=col, value=header)
         cell.font = Font(bold=True)
@@ -8181,10 +11403,11 @@ async def export_inventory(
         ws.cell(row=row_idx, column=5, value=movement.get('qty_delta', 0))
         ws.cell(row=row_idx, column=6, value=movement.get('weight_delta', 0))
         ws.cell(row=row_idx, column=7, value=movement.get('purity', 0))
-        ws.cell(row=row_idx, column=8, value=movement.get('notes', ''))
+        ws.cell(row=row_idx, column=8, value=calculate_fine_weight(movement.get('weight_delta'), movement.get('purity')))
+        ws.cell(row=row_idx, column=9, value=movement.get('notes', ''))
     
     # Adjust column widths
-    for col in range(1, 9):
+    for col in range(1, 10):
         ws.column_dimensions[openpyxl.utils.get_column_letter(col)].width = 15
     
     buffer = BytesIO()
@@ -8197,43 +11420,56 @@ async def export_inventory(
         headers={"Content-Disposition": "attachment; filename=inventory_export.xlsx"}
     )
 
-@api_router.get("/reports/parties-export")
-async def export_parties(
-    party_type: Optional[str] = None,
+@api_router.get("/reports/inventory-valuation-export")
+async def export_inventory_valuation(
+    rate: Optional[float] = None,
+    rate_side: str = "sell",
     current_user: User = Depends(require_permission('reports.view'))
 ):
     from fastapi.responses import StreamingResponse
     from io import BytesIO
     import openpyxl
-    from openpyxl.styles import Font, PatternFill
-    
-    # Build query with filters
-    query = {"is_deleted": False}
-    if party_type:
-        query['party_type'] = party_type
+    from openpyxl.styles import Font, Alignment, PatternFill
     
-    parties = await db.parties.find(query, {"_id": 0}).to_list(10000)
+    data = await calculate_inventory_valuation(rate, rate_side)
     
     wb = openpyxl.Workbook()
     ws = wb.active
-    ws.title = "Parties"
+    ws.title = "Inventory Valuation"
     
-    headers = ["Name", "Phone", "Type", "Address", "Notes", "Created At"]
+    ws.cell(row=1, column=1, value="Inventory Valuation").font = Font(bold=True, size=14)
+    ws.cell(row=2, column=1, value=f"Rate: {data['rate']:.3f} OMR per fine gram ({data['rate_source']} {data['rate_side']} rate)")
+    ws.cell(row=3, column=1, value=f"Generated: {datetime.now().strftime('%Y-%m-%d %H:%M')}")
+    
+    headers = ["Category", "Quantity", "Weight (g)", "Avg Purity", "Fine Weight (g)", "Value (OMR)"]
     for col, header in enumerate(headers, 1):
-        cell = ws.cell(row=1, column=col, value=header)
-        cell.font = Font(bold=True, color="FFFFFF")
+        cell = ws.cell(row=5, column=col, value=header)
         cell.fill = PatternFill(start_color="366092", end_color="366092", fill_type="solid")
+        cell.font = Font(color="FFFFFF", bold=True)
+        cell.alignment = Alignment(horizontal="center")
     
-    for row_idx, party in enumerate(parties, 2):
-        ws.cell(row=row_idx, column=1, value=party.get('name', ''))
-        ws.cell(row=row_idx, column=2, value=party.get('phone', ''))
-        ws.cell(row=row_idx, column=3, value=party.get('party_type', ''))
-        ws.cell(row=row_idx, column=4, value=party.get('address', ''))
-        ws.cell(row=row_idx, column=5, value=party.get('notes', ''))
-        ws.cell(row=row_idx, column=6, value=str(party.get('created_at', ''))[:10])
-    
+    row_idx = 6
+    for category in data['categories']:
+        ws.cell(row=row_idx, column=1, value=category['header_name'])
+        ws.cell(row=row_idx, column=2, value=category['qty'])
+        ws.cell(row=row_idx, column=3, value=category['weight'])
+        ws.cell(row=row_idx, column=4, value=category['avg_purity'])
+        ws.cell(row=row_idx, column=5, value=category['fine_weight'])
+        ws.cell(row=row_idx, column=6, value=category['value'])
+        row_idx += 1
+    
+    totals = data['totals']
+    ws.cell(row=row_idx, column=1, value="TOTAL")
+    ws.cell(row=row_idx, column=2, value=totals['qty'])
+    ws.cell(row=row_idx, column=3, value=totals['weight'])
+    ws.cell(row=row_idx, column=5, value=totals['fine_weight'])
+    ws.cell(row=row_idx, column=6, value=totals['value'])
     for col in range(1, 7):
-        ws.column_dimensions[openpyxl.utils.get_column_letter(col)].width = 20
+        ws.cell(row=row_idx, column=col).font = Font(bold=True)
+    
+    ws.column_dimensions['A'].width = 25
+    for col in range(2, 7):
+        ws.column_dimensions[openpyxl.utils.get_column_letter(col)].width = 16
     
     buffer = BytesIO()
     wb.save(buffer)
@@ -8242,42 +11478,228 @@ async def export_parties(
     return StreamingResponse(
         buffer,
         media_type="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-        headers={"Content-Disposition": "attachment; filename=parties_export.xlsx"}
+        headers={"Content-Disposition": "attachment; filename=inventory_valuation.xlsx"}
     )
 
-@api_router.get("/reports/invoices-export")
-async def export_invoices(
-    start_date: Optional[str] = None,
-    end_date: Optional[str] = None,
-    invoice_type: Optional[str] = None,
-    payment_status: Optional[str] = None,
-    current_user: User = Depends(require_permission('reports.view'))
-):
-    """
-    Enhanced Excel Export with Multiple Sheets:
-    - Sheet 1: Invoice Summary
-    - Sheet 2: Line Items (detailed breakdown)
-    - Sheet 3: Totals & Statistics
-    
-    All numeric columns are proper numbers (not strings) for Excel calculations
-    """
+@api_router.get("/reports/low-stock-export")
+async def export_low_stock(current_user: User = Depends(require_permission('reports.view'))):
     from fastapi.responses import StreamingResponse
     from io import BytesIO
     import openpyxl
-    from openpyxl.styles import Font, PatternFill, Alignment, Border, Side
+    from openpyxl.styles import Font, Alignment, PatternFill
     
-    # Build query with filters
-    query = {"is_deleted": False}
-    if start_date:
-        query['date'] = {"$gte": datetime.fromisoformat(start_date)}
-    if end_date:
-        end_dt = datetime.fromisoformat(end_date)
-        if 'date' in query:
-            query['date']['$lte'] = end_dt
-        else:
-            query['date'] = {"$lte": end_dt}
-    if invoice_type:
-        query['invoice_type'] = invoice_type
+    data = await get_low_stock_report()
+    
+    wb = openpyxl.Workbook()
+    ws = wb.active
+    ws.title = "Low Stock"
+    
+    ws.cell(row=1, column=1, value="Low Stock Report").font = Font(bold=True, size=14)
+    ws.cell(row=2, column=1, value=f"Generated: {datetime.now().strftime('%Y-%m-%d %H:%M')}")
+    
+    headers = ["Category", "Current Qty", "Min Qty", "Reorder Qty", "Current Weight (g)", "Min Weight (g)", "Reorder Weight (g)"]
+    for col, header in enumerate(headers, 1):
+        cell = ws.cell(row=4, column=col, value=header)
+        cell.fill = PatternFill(start_color="366092", end_color="366092", fill_type="solid")
+        cell.font = Font(color="FFFFFF", bold=True)
+        cell.alignment = Alignment(horizontal="center")
+    
+    row_idx = 5
+    for item in data['items']:
+        ws.cell(row=row_idx, column=1, value=item['header_name'])
+        ws.cell(row=row_idx, column=2, value=item['current_qty'])
+        ws.cell(row=row_idx, column=3, value=item['min_qty'])
+        ws.cell(row=row_idx, column=4, value=item['qty_shortfall'])
+        ws.cell(row=row_idx, column=5, value=item['current_weight'])
+        ws.cell(row=row_idx, column=6, value=item['min_weight'])
+        ws.cell(row=row_idx, column=7, value=item['weight_shortfall'])
+        row_idx += 1
+    
+    ws.cell(row=row_idx, column=1, value="TOTAL")
+    ws.cell(row=row_idx, column=4, value=data['totals']['qty_shortfall'])
+    ws.cell(row=row_idx, column=7, value=data['totals']['weight_shortfall'])
+    for col in range(1, 8):
+        ws.cell(row=row_idx, column=col).font = Font(bold=True)
+    
+    ws.column_dimensions['A'].width = 25
+    for col in range(2, 8):
+        ws.column_dimensions[openpyxl.utils.get_column_letter(col)].width = 18
+    
+    buffer = BytesIO()
+    wb.save(buffer)
+    buffer.seek(0)
+    
+    return StreamingResponse(
+        buffer,
+        media_type="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        headers={"Content-Disposition": "attachment; filename=low_stock.xlsx"}
+    )
+
+@api_router.get("/reports/stock-ledger-export")
+async def export_stock_ledger(
+    header_id: str,
+    start_date: Optional[str] = None,
+    end_date: Optional[str] = None,
+    current_user: User = Depends(require_permission('inventory.view'))
+):
+    from fastapi.responses import StreamingResponse
+    from io import BytesIO
+    import openpyxl
+    from openpyxl.styles import Font, Alignment, PatternFill
+    
+    ledger = await build_stock_ledger(header_id, start_date, end_date)
+    
+    wb = openpyxl.Workbook()
+    ws = wb.active
+    ws.title = "Stock Ledger"
+    
+    ws.cell(row=1, column=1, value=f"Stock Ledger - {ledger['header']['name']}").font = Font(bold=True, size=14)
+    ws.cell(row=2, column=1, value=f"Period: {start_date or 'Beginning'} to {end_date or 'Today'}")
+    ws.cell(row=3, column=1, value=f"Generated: {datetime.now().strftime('%Y-%m-%d %H:%M')}")
+    
+    headers = ["Date", "Type", "Document", "Party", "Description", "Purity", "Qty +/-", "Weight +/- (g)", "Fine +/- (g)", "Balance Qty", "Balance Weight (g)", "Balance Fine (g)"]
+    for col, header in enumerate(headers, 1):
+        cell = ws.cell(row=5, column=col, value=header)
+        cell.fill = PatternFill(start_color="366092", end_color="366092", fill_type="solid")
+        cell.font = Font(color="FFFFFF", bold=True)
+        cell.alignment = Alignment(horizontal="center")
+    
+    ws.cell(row=6, column=1, value="Opening Balance")
+    ws.cell(row=6, column=10, value=ledger['opening']['qty'])
+    ws.cell(row=6, column=11, value=ledger['opening']['weight'])
+    ws.cell(row=6, column=12, value=ledger['opening']['fine_weight'])
+    for col in range(1, 13):
+        ws.cell(row=6, column=col).font = Font(bold=True)
+    
+    row_idx = 7
+    for row in ledger['rows']:
+        document = row['document']
+        ws.cell(row=row_idx, column=1, value=row['date'].strftime('%Y-%m-%d %H:%M') if isinstance(row['date'], datetime) else str(row['date'] or ''))
+        ws.cell(row=row_idx, column=2, value=row['movement_type'])
+        ws.cell(row=row_idx, column=3, value=f"{document['label']} {document['number'] or ''}".strip())
+        ws.cell(row=row_idx, column=4, value=document['party'] or '')
+        ws.cell(row=row_idx, column=5, value=row['description'] or '')
+        ws.cell(row=row_idx, column=6, value=row['purity'])
+        ws.cell(row=row_idx, column=7, value=row['qty_delta'])
+        ws.cell(row=row_idx, column=8, value=row['weight_delta'])
+        ws.cell(row=row_idx, column=9, value=row['fine_weight_delta'])
+        ws.cell(row=row_idx, column=10, value=row['balance_qty'])
+        ws.cell(row=row_idx, column=11, value=row['balance_weight'])
+        ws.cell(row=row_idx, column=12, value=row['balance_fine_weight'])
+        row_idx += 1
+    
+    ws.cell(row=row_idx, column=1, value="Closing Balance")
+    ws.cell(row=row_idx, column=10, value=ledger['closing']['qty'])
+    ws.cell(row=row_idx, column=11, value=ledger['closing']['weight'])
+    ws.cell(row=row_idx, column=12, value=ledger['closing']['fine_weight'])
+    for col in range(1, 13):
+        ws.cell(row=row_idx, column=col).font = Font(bold=True)
+    
+    row_idx += 2
+    ws.cell(row=row_idx, column=1, value="Total In").font = Font(bold=True)
+    ws.cell(row=row_idx, column=7, value=ledger['totals']['in_qty'])
+    ws.cell(row=row_idx, column=8, value=ledger['totals']['in_weight'])
+    ws.cell(row=row_idx, column=9, value=ledger['totals']['in_fine_weight'])
+    ws.cell(row=row_idx + 1, column=1, value="Total Out").font = Font(bold=True)
+    ws.cell(row=row_idx + 1, column=7, value=ledger['totals']['out_qty'])
+    ws.cell(row=row_idx + 1, column=8, value=ledger['totals']['out_weight'])
+    ws.cell(row=row_idx + 1, column=9, value=ledger['totals']['out_fine_weight'])
+    
+    widths = [18, 14, 22, 22, 30, 8, 10, 14, 12, 12, 18, 16]
+    for col, col_width in enumerate(widths, 1):
+        ws.column_dimensions[openpyxl.utils.get_column_letter(col)].width = col_width
+    
+    buffer = BytesIO()
+    wb.save(buffer)
+    buffer.seek(0)
+    
+    return StreamingResponse(
+        buffer,
+        media_type="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        headers={"Content-Disposition": "attachment; filename=stock_ledger.xlsx"}
+    )
+
+@api_router.get("/reports/parties-export")
+async def export_parties(
+    party_type: Optional[str] = None,
+    current_user: User = Depends(require_permission('reports.view'))
+):
+    from fastapi.responses import StreamingResponse
+    from io import BytesIO
+    import openpyxl
+    from openpyxl.styles import Font, PatternFill
+    
+    # Build query with filters
+    query = {"is_deleted": False}
+    if party_type:
+        query['party_type'] = party_type
+    
+    parties = await db.parties.find(query, {"_id": 0}).to_list(10000)
+    
+    wb = openpyxl.Workbook()
+    ws = wb.active
+    ws.title = "Parties"
+    
+    headers = ["Name", "Phone", "Type", "Address", "Notes", "Created At"]
+    for col, header in enumerate(headers, 1):
+        cell = ws.cell(row=1, column=col, value=header)
+        cell.font = Font(bold=True, color="FFFFFF")
+        cell.fill = PatternFill(start_color="366092", end_color="366092", fill_type="solid")
+    
+    for row_idx, party in enumerate(parties, 2):
+        ws.cell(row=row_idx, column=1, value=party.get('name', ''))
+        ws.cell(row=row_idx, column=2, value=party.get('phone', ''))
+        ws.cell(row=row_idx, column=3, value=party.get('party_type', ''))
+        ws.cell(row=row_idx, column=4, value=party.get('address', ''))
+        ws.cell(row=row_idx, column=5, value=party.get('notes', ''))
+        ws.cell(row=row_idx, column=6, value=str(party.get('created_at', ''))[:10])
+    
+    for col in range(1, 7):
+        ws.column_dimensions[openpyxl.utils.get_column_letter(col)].width = 20
+    
+    buffer = BytesIO()
+    wb.save(buffer)
+    buffer.seek(0)
+    
+    return StreamingResponse(
+        buffer,
+        media_type="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        headers={"Content-Disposition": "attachment; filename=parties_export.xlsx"}
+    )
+
+@api_router.get("/reports/invoices-export")
+async def export_invoices(
+    start_date: Optional[str] = None,
+    end_date: Optional[str] = None,
+    invoice_type: Optional[str] = None,
+    payment_status: Optional[str] = None,
+    current_user: User = Depends(require_permission('reports.view'))
+):
+    """
+    Enhanced Excel Export with Multiple Sheets:
+    - Sheet 1: Invoice Summary
+    - Sheet 2: Line Items (detailed breakdown)
+    - Sheet 3: Totals & Statistics
+    
+    All numeric columns are proper numbers (not strings) for Excel calculations
+    """
+    from fastapi.responses import StreamingResponse
+    from io import BytesIO
+    import openpyxl
+    from openpyxl.styles import Font, PatternFill, Alignment, Border, Side
+    
+    # Build query with filters
+    query = {"is_deleted": False}
+    if start_date:
+        query['date'] = {"$gte": datetime.fromisoformat(start_date)}
+    if end_date:
+        end_dt = datetime.fromisoformat(end_date)
+        if 'date' in query:
+            query['date']['$lte'] = end_dt
+        else:
+            query['date'] = {"$lte": end_dt}
+    if invoice_type:
+        query['invoice_type'] = invoice_type
     if payment_status:
         query['payment_status'] = payment_status
     
@@ -8671,12 +12093,16 @@ async def view_inventory_report(
     
     # Convert Decimal128 to float for calculations
     movements = [decimal_to_float(m) for m in movements]
+    for m in movements:
+        m['fine_weight'] = calculate_fine_weight(m.get('weight_delta'), m.get('purity'))
     
     # Calculate totals
     total_in = sum(m.get('qty_delta', 0) for m in movements if m.get('qty_delta', 0) > 0)
     total_out = sum(abs(m.get('qty_delta', 0)) for m in movements if m.get('qty_delta', 0) < 0)
     total_weight_in = sum(m.get('weight_delta', 0) for m in movements if m.get('weight_delta', 0) > 0)
     total_weight_out = sum(abs(m.get('weight_delta', 0)) for m in movements if m.get('weight_delta', 0) < 0)
+    total_fine_in = sum(m['fine_weight'] for m in movements if m['fine_weight'] > 0)
+    total_fine_out = sum(abs(m['fine_weight']) for m in movements if m['fine_weight'] < 0)
     
     return {
         "movements": movements,
@@ -8686,7 +12112,10 @@ async def view_inventory_report(
             "total_weight_in": total_weight_in,
             "total_weight_out": total_weight_out,
             "net_quantity": total_in - total_out,
-            "net_weight": total_weight_in - total_weight_out
+            "net_weight": total_weight_in - total_weight_out,
+            "total_fine_in": round(total_fine_in, 3),
+            "total_fine_out": round(total_fine_out, 3),
+            "net_fine_weight": round(total_fine_in - total_fine_out, 3)
         },
         "count": len(movements)
     }
@@ -8977,6 +12406,236 @@ async def get_inventory_stock_report(
         "count": len(movements)
     }
 
+STOCK_LEDGER_DOCUMENT_LABELS = {
+    "invoice": "Invoice",
+    "purchase": "Purchase",
+    "return": "Return",
+    "jobcard": "Job Card",
+    "tagged_item": "Tagged Piece",
+    "stock_take": "Stock Take",
+    "manual": "Manual"
+}
+
+def parse_ledger_date(value: Optional[str], field: str, end_of_day: bool = False) -> Optional[datetime]:
+    if not value:
+        return None
+    try:
+        parsed = datetime.fromisoformat(value.replace('Z', '+00:00'))
+    except ValueError:
+        raise HTTPException(status_code=400, detail=f"Invalid {field} format. Use ISO format (YYYY-MM-DD)")
+    # A bare end date covers the whole day
+    if end_of_day and len(value) == 10:
+        parsed = parsed.replace(hour=23, minute=59, second=59, microsecond=999999)
+    return parsed
+
+async def resolve_stock_ledger_documents(movements: list) -> dict:
+    """Look up the source document of each movement, keyed by (reference_type, reference_id)"""
+    ids_by_type = {}
+    for movement in movements:
+        if movement.get('reference_type') and movement.get('reference_id'):
+            ids_by_type.setdefault(movement['reference_type'], set()).add(movement['reference_id'])
+    
+    documents = {}
+    
+    def add(ref_type, ref_id, number, party=None, jobcard_id=None, jobcard_number=None):
+        documents[(ref_type, ref_id)] = {
+            "type": ref_type,
+            "label": STOCK_LEDGER_DOCUMENT_LABELS.get(ref_type, ref_type.replace('_', ' ').title()),
+            "id": ref_id,
+            "number": number,
+            "party": party,
+            "jobcard_id": jobcard_id,
+            "jobcard_number": jobcard_number
+        }
+    
+    if ids_by_type.get('invoice'):
+        invoices = await db.invoices.find(
+            {"id": {"$in": list(ids_by_type['invoice'])}},
+            {"_id": 0, "id": 1, "invoice_number": 1, "customer_name": 1, "walk_in_name": 1, "jobcard_id": 1}
+        ).to_list(None)
+        jobcard_ids = [inv['jobcard_id'] for inv in invoices if inv.get('jobcard_id')]
+        jobcard_numbers = {}
+        if jobcard_ids:
+            jobcards = await db.jobcards.find(
+                {"id": {"$in": jobcard_ids}}, {"_id": 0, "id": 1, "job_card_number": 1}
+            ).to_list(None)
+            jobcard_numbers = {jc['id']: jc.get('job_card_number') for jc in jobcards}
+        for inv in invoices:
+            add('invoice', inv['id'], inv.get('invoice_number'), inv.get('customer_name') or inv.get('walk_in_name'),
+                inv.get('jobcard_id'), jobcard_numbers.get(inv.get('jobcard_id')))
+    
+    if ids_by_type.get('purchase'):
+        purchases = await db.purchases.find(
+            {"id": {"$in": list(ids_by_type['purchase'])}},
+            {"_id": 0, "id": 1, "purchase_number": 1, "vendor_party_id": 1, "walk_in_vendor_name": 1}
+        ).to_list(None)
+        vendor_ids = [p['vendor_party_id'] for p in purchases if p.get('vendor_party_id')]
+        vendor_names = {}
+        if vendor_ids:
+            vendors = await db.parties.find({"id": {"$in": vendor_ids}}, {"_id": 0, "id": 1, "name": 1}).to_list(None)
+            vendor_names = {v['id']: v.get('name') for v in vendors}
+        for purchase in purchases:
+            add('purchase', purchase['id'], purchase_display_number(purchase),
+                purchase.get('walk_in_vendor_name') or vendor_names.get(purchase.get('vendor_party_id')))
+    
+    if ids_by_type.get('return'):
+        returns = await db.returns.find(
+            {"id": {"$in": list(ids_by_type['return'])}},
+            {"_id": 0, "id": 1, "return_number": 1, "party_name": 1}
+        ).to_list(None)
+        for ret in returns:
+            add('return', ret['id'], ret.get('return_number'), ret.get('party_name'))
+    
+    if ids_by_type.get('jobcard'):
+        jobcards = await db.jobcards.find(
+            {"id": {"$in": list(ids_by_type['jobcard'])}},
+            {"_id": 0, "id": 1, "job_card_number": 1, "customer_name": 1, "walk_in_name": 1}
+        ).to_list(None)
+        for jc in jobcards:
+            add('jobcard', jc['id'], jc.get('job_card_number'), jc.get('customer_name') or jc.get('walk_in_name'),
+                jc['id'], jc.get('job_card_number'))
+    
+    if ids_by_type.get('tagged_item'):
+        pieces = await db.tagged_items.find(
+            {"id": {"$in": list(ids_by_type['tagged_item'])}}, {"_id": 0, "id": 1, "tag_number": 1}
+        ).to_list(None)
+        for piece in pieces:
+            add('tagged_item', piece['id'], piece.get('tag_number'))
+    
+    if ids_by_type.get('stock_take'):
+        sessions = await db.stock_takes.find(
+            {"id": {"$in": list(ids_by_type['stock_take'])}}, {"_id": 0, "id": 1, "session_number": 1}
+        ).to_list(None)
+        for session in sessions:
+            add('stock_take', session['id'], session.get('session_number'))
+    
+    return documents
+
+async def build_stock_ledger(header_id: str, start_date: Optional[str] = None, end_date: Optional[str] = None) -> dict:
+    """
+    Stock ledger for one inventory category: opening balance at the start of the
+    range, every movement in it with its source document, and the running
+    qty/weight balance after each row.
+    """
+    header = await db.inventory_headers.find_one({"id": header_id, "is_deleted": False}, {"_id": 0})
+    if not header:
+        raise HTTPException(status_code=404, detail="Inventory category not found")
+    header = decimal_to_float(header)
+    
+    start_dt = parse_ledger_date(start_date, 'start_date')
+    end_dt = parse_ledger_date(end_date, 'end_date', end_of_day=True)
+    if start_dt and end_dt and start_dt > end_dt:
+        raise HTTPException(status_code=400, detail="start_date must be on or before end_date")
+    
+    opening_qty = 0.0
+    opening_weight = 0.0
+    opening_fine = 0.0
+    if start_dt:
+        earlier = await db.stock_movements.find(
+            {"header_id": header_id, "is_deleted": False, "date": {"$lt": start_dt}},
+            {"_id": 0, "qty_delta": 1, "weight_delta": 1, "purity": 1}
+        ).to_list(None)
+        earlier = [decimal_to_float(m) for m in earlier]
+        opening_qty = sum(safe_float(m.get('qty_delta')) for m in earlier)
+        opening_weight = sum(safe_float(m.get('weight_delta')) for m in earlier)
+        opening_fine = sum(calculate_fine_weight(m.get('weight_delta'), m.get('purity')) for m in earlier)
+    
+    query = {"header_id": header_id, "is_deleted": False}
+    date_query = {}
+    if start_dt:
+        date_query['$gte'] = start_dt
+    if end_dt:
+        date_query['$lte'] = end_dt
+    if date_query:
+        query['date'] = date_query
+    
+    movements = await db.stock_movements.find(query, {"_id": 0}).sort([("date", 1), ("created_at", 1)]).to_list(None)
+    movements = [decimal_to_float(m) for m in movements]
+    documents = await resolve_stock_ledger_documents(movements)
+    
+    balance_qty = opening_qty
+    balance_weight = opening_weight
+    balance_fine = opening_fine
+    total_in_qty = total_out_qty = total_in_weight = total_out_weight = total_in_fine = total_out_fine = 0.0
+    rows = []
+    for movement in movements:
+        qty_delta = safe_float(movement.get('qty_delta'))
+        weight_delta = safe_float(movement.get('weight_delta'))
+        fine_delta = calculate_fine_weight(weight_delta, movement.get('purity'))
+        balance_qty += qty_delta
+        balance_weight += weight_delta
+        balance_fine += fine_delta
+        if qty_delta > 0:
+            total_in_qty += qty_delta
+        else:
+            total_out_qty -= qty_delta
+        if weight_delta > 0:
+            total_in_weight += weight_delta
+            total_in_fine += fine_delta
+        else:
+            total_out_weight -= weight_delta
+            total_out_fine -= fine_delta
+        
+        ref_type = movement.get('reference_type')
+        rows.append({
+            "id": movement['id'],
+            "date": movement.get('date'),
+            "movement_type": movement.get('movement_type'),
+            "description": movement.get('description'),
+            "purity": movement.get('purity'),
+            "qty_delta": round(qty_delta, 2),
+            "weight_delta": round(weight_delta, 3),
+            "fine_weight_delta": fine_delta,
+            "balance_qty": round(balance_qty, 2),
+            "balance_weight": round(balance_weight, 3),
+            "balance_fine_weight": round(balance_fine, 3),
+            "reference_type": ref_type,
+            "reference_id": movement.get('reference_id'),
+            "document": documents.get((ref_type, movement.get('reference_id'))) or {
+                "type": ref_type,
+                "label": STOCK_LEDGER_DOCUMENT_LABELS.get(ref_type or 'manual', ref_type),
+                "id": movement.get('reference_id'),
+                "number": None,
+                "party": None,
+                "jobcard_id": None,
+                "jobcard_number": None
+            },
+            "notes": movement.get('notes')
+        })
+    
+    return {
+        "header": {
+            "id": header['id'],
+            "name": header['name'],
+            "current_qty": round(safe_float(header.get('current_qty')), 2),
+            "current_weight": round(safe_float(header.get('current_weight')), 3)
+        },
+        "start_date": start_date,
+        "end_date": end_date,
+        "opening": {"qty": round(opening_qty, 2), "weight": round(opening_weight, 3), "fine_weight": round(opening_fine, 3)},
+        "closing": {"qty": round(balance_qty, 2), "weight": round(balance_weight, 3), "fine_weight": round(balance_fine, 3)},
+        "totals": {
+            "in_qty": round(total_in_qty, 2),
+            "out_qty": round(total_out_qty, 2),
+            "in_weight": round(total_in_weight, 3),
+            "out_weight": round(total_out_weight, 3),
+            "in_fine_weight": round(total_in_fine, 3),
+            "out_fine_weight": round(total_out_fine, 3)
+        },
+        "rows": rows,
+        "count": len(rows)
+    }
+
+@api_router.get("/reports/inventory/{header_id}/stock-ledger")
+async def get_inventory_stock_ledger(
+    header_id: str,
+    start_date: Optional[str] = None,
+    end_date: Optional[str] = None,
+    current_user: User = Depends(require_permission('inventory.view'))
+):
+    """Movement ledger for one category with opening balance and running balance"""
+    return await build_stock_ledger(header_id, start_date, end_date)
+
 @api_router.get("/reports/financial-summary")
 async def get_financial_summary(
     start_date: Optional[str] = None,
@@ -9853,6 +13512,9 @@ async def export_inventory_pdf(
     y_position -= 0.2*inch
     c.drawString(inch, y_position, f"Weight In: {summary['total_weight_in']:.3f} g")
     c.drawString(inch + 2.5*inch, y_position, f"Weight Out: {summary['total_weight_out']:.3f} g")
+    y_position -= 0.2*inch
+    c.drawString(inch, y_position, f"Fine In: {summary['total_fine_in']:.3f} g")
+    c.drawString(inch + 2.5*inch, y_position, f"Fine Out: {summary['total_fine_out']:.3f} g")
     y_position -= 0.5*inch
     
     # Table
@@ -9860,7 +13522,7 @@ async def export_inventory_pdf(
     c.drawString(inch, y_position, "Stock Movements")
     y_position -= 0.3*inch
     
-    table_data = [['Date', 'Category', 'Type', 'Qty', 'Weight', 'Reference']]
+    table_data = [['Date', 'Category', 'Type', 'Qty', 'Weight', 'Fine', 'Reference']]
     for mov in data['movements'][:30]:
         mov_date = mov.get('date', '')
         if isinstance(mov_date, str):
@@ -9874,10 +13536,11 @@ async def export_inventory_pdf(
             (mov.get('movement_type') or '')[:10],
             f"{mov.get('qty_delta', 0):.1f}",
             f"{mov.get('weight_delta', 0):.2f}",
+            f"{mov['fine_weight']:.3f}",
             (mov.get('reference_type') or '')[:12]
         ])
     
-    table = Table(table_data, colWidths=[0.9*inch, 1.3*inch, 1*inch, 0.7*inch, 0.9*inch, 1.2*inch])
+    table = Table(table_data, colWidths=[0.9*inch, 1.2*inch, 0.9*inch, 0.6*inch, 0.8*inch, 0.8*inch, 1.1*inch])
     table.setStyle(TableStyle([
         ('BACKGROUND', (0, 0), (-1, 0), colors.grey),
         ('TEXTCOLOR', (0, 0), (-1, 0), colors.whitesmoke),
@@ -9900,62 +13563,299 @@ async def export_inventory_pdf(
         headers={"Content-Disposition": f"attachment; filename=inventory_report_{datetime.now().strftime('%Y%m%d')}.pdf"}
     )
 
-
-# ============================================================================
-# MODULE 5/10: SALES HISTORY REPORT (Finalized Invoices Only)
-# ============================================================================
-
-@api_router.get("/reports/sales-history")
-async def get_sales_history_report(
-    date_from: Optional[str] = None,
-    date_to: Optional[str] = None,
-    party_id: Optional[str] = None,
-    search: Optional[str] = None,
+@api_router.get("/reports/inventory-valuation-pdf")
+async def export_inventory_valuation_pdf(
+    rate: Optional[float] = None,
+    rate_side: str = "sell",
     current_user: User = Depends(require_permission('reports.view'))
 ):
-    """
-    Get sales history report using SOURCE-OF-TRUTH DATA.
-    
-    CRITICAL FIX: Uses StockMovements and Transactions for accurate reporting
-    - Weight data from StockMovements (type="Stock OUT")
-    - Financial data from Transactions (income account credits)
-    - Sales returns are automatically reflected
+    """Export inventory valuation as PDF"""
+    from fastapi.responses import StreamingResponse
+    from io import BytesIO
+    from reportlab.lib import colors
+    from reportlab.lib.pagesizes import A4
+    from reportlab.platypus import SimpleDocTemplate, Table, TableStyle, Paragraph, Spacer
+    from reportlab.lib.styles import getSampleStyleSheet
+    from reportlab.lib.units import inch
     
-    Filters:
-    - date_from/date_to: Date range filter
-    - party_id: Filter by specific party (or "all" for all parties)
-    - search: Search in customer name, phone, or invoice_id
+    data = await calculate_inventory_valuation(rate, rate_side)
+    totals = data['totals']
     
-    Returns table with:
-    - invoice_id
-    - customer name + phone (handles both saved and walk-in)
-    - date
-    - total_weight_grams (from StockMovements)
-    - purity summary ("Mixed" if multiple purities, otherwise single purity)
-    - grand_total (from Transactions)
-    """
-    # Query for FINALIZED invoices only (for display details)
-    query = {
-        "is_deleted": False,
-        "status": "finalized"  # CRITICAL: Only finalized invoices
-    }
+    buffer = BytesIO()
+    doc = SimpleDocTemplate(buffer, pagesize=A4, rightMargin=inch, leftMargin=inch, topMargin=inch, bottomMargin=inch)
+    styles = getSampleStyleSheet()
+    elements = [
+        Paragraph("Inventory Valuation", styles['Heading1']),
+        Paragraph(
+            f"<b>Generated:</b> {datetime.now().strftime('%Y-%m-%d %H:%M')} | "
+            f"<b>Rate:</b> {data['rate']:.3f} OMR per fine gram ({data['rate_source']} {data['rate_side']} rate)",
+            styles['Normal']
+        ),
+        Paragraph(
+            f"<b>Total Stock Value:</b> {totals['value']:.3f} OMR | "
+            f"<b>Gross Weight:</b> {totals['weight']:.3f} g | <b>Fine Weight:</b> {totals['fine_weight']:.3f} g",
+            styles['Normal']
+        ),
+        Spacer(1, 0.2 * inch)
+    ]
     
-    # Date filters
-    if date_from:
-        query['date'] = {"$gte": datetime.fromisoformat(date_from)}
-    if date_to:
-        end_dt = datetime.fromisoformat(date_to)
-        if 'date' in query:
-            query['date']['$lte'] = end_dt
-        else:
-            query['date'] = {"$lte": end_dt}
+    table_data = [['Category', 'Qty', 'Weight (g)', 'Purity', 'Fine (g)', 'Value (OMR)']]
+    for category in data['categories']:
+        table_data.append([
+            (category['header_name'] or '')[:22],
+            f"{category['qty']:.0f}",
+            f"{category['weight']:.3f}",
+            f"{category['avg_purity']:.0f}",
+            f"{category['fine_weight']:.3f}",
+            f"{category['value']:.3f}"
+        ])
+    table_data.append([
+        'TOTAL',
+        f"{totals['qty']:.0f}",
+        f"{totals['weight']:.3f}",
+        '',
+        f"{totals['fine_weight']:.3f}",
+        f"{totals['value']:.3f}"
+    ])
+    
+    # repeatRows keeps the header on every page when the category list runs over
+    table = Table(table_data, colWidths=[1.8*inch, 0.6*inch, 1*inch, 0.7*inch, 1*inch, 1.1*inch], repeatRows=1)
+    table.setStyle(TableStyle([
+        ('BACKGROUND', (0, 0), (-1, 0), colors.grey),
+        ('TEXTCOLOR', (0, 0), (-1, 0), colors.whitesmoke),
+        ('ALIGN', (1, 0), (-1, -1), 'RIGHT'),
+        ('FONTNAME', (0, 0), (-1, 0), 'Helvetica-Bold'),
+        ('FONTNAME', (0, -1), (-1, -1), 'Helvetica-Bold'),
+        ('FONTSIZE', (0, 0), (-1, 0), 9),
+        ('FONTSIZE', (0, 1), (-1, -1), 8),
+        ('GRID', (0, 0), (-1, -1), 1, colors.black)
+    ]))
+    elements.append(table)
     
-    # Party filter
-    if party_id and party_id != 'all':
-        query['customer_id'] = party_id
+    doc.build(elements)
+    buffer.seek(0)
     
-    # Get invoices
-    invoices = await db.invoices.find(query, {"_id": 0}).sort("date", -1).to_list(10000)
+    return StreamingResponse(
+        buffer,
+        media_type="application/pdf",
+        headers={"Content-Disposition": f"attachment; filename=inventory_valuation_{datetime.now().strftime('%Y%m%d')}.pdf"}
+    )
+
+@api_router.get("/reports/low-stock-pdf")
+async def export_low_stock_pdf(current_user: User = Depends(require_permission('reports.view'))):
+    """Export low stock / reorder list as PDF"""
+    from fastapi.responses import StreamingResponse
+    from io import BytesIO
+    from reportlab.lib import colors
+    from reportlab.lib.pagesizes import A4
+    from reportlab.platypus import SimpleDocTemplate, Table, TableStyle, Paragraph, Spacer
+    from reportlab.lib.styles import getSampleStyleSheet
+    from reportlab.lib.units import inch
+    
+    data = await get_low_stock_report()
+    
+    buffer = BytesIO()
+    doc = SimpleDocTemplate(buffer, pagesize=A4, rightMargin=inch, leftMargin=inch, topMargin=inch, bottomMargin=inch)
+    styles = getSampleStyleSheet()
+    elements = [
+        Paragraph("Low Stock Report", styles['Heading1']),
+        Paragraph(
+            f"<b>Generated:</b> {datetime.now().strftime('%Y-%m-%d %H:%M')} | "
+            f"{len(data['items'])} of {data['categories_with_levels']} categories with reorder levels are below them",
+            styles['Normal']
+        ),
+        Spacer(1, 0.2 * inch)
+    ]
+    
+    if not data['items']:
+        elements.append(Paragraph("All categories are at or above their reorder levels.", styles['Normal']))
+    else:
+        def level(value, fmt):
+            return fmt.format(value) if value is not None else '-'
+        
+        table_data = [['Category', 'Qty', 'Min Qty', 'Reorder', 'Weight (g)', 'Min (g)', 'Reorder (g)']]
+        for item in data['items']:
+            table_data.append([
+                (item['header_name'] or '')[:22],
+                f"{item['current_qty']:.0f}",
+                level(item['min_qty'], "{:.0f}"),
+                f"{item['qty_shortfall']:.0f}",
+                f"{item['current_weight']:.3f}",
+                level(item['min_weight'], "{:.3f}"),
+                f"{item['weight_shortfall']:.3f}"
+            ])
+        table_data.append([
+            'TOTAL', '', '', f"{data['totals']['qty_shortfall']:.0f}", '', '', f"{data['totals']['weight_shortfall']:.3f}"
+        ])
+        
+        table = Table(table_data, colWidths=[1.6*inch, 0.5*inch, 0.7*inch, 0.7*inch, 0.9*inch, 0.8*inch, 0.9*inch], repeatRows=1)
+        table.setStyle(TableStyle([
+            ('BACKGROUND', (0, 0), (-1, 0), colors.grey),
+            ('TEXTCOLOR', (0, 0), (-1, 0), colors.whitesmoke),
+            ('ALIGN', (1, 0), (-1, -1), 'RIGHT'),
+            ('FONTNAME', (0, 0), (-1, 0), 'Helvetica-Bold'),
+            ('FONTNAME', (0, -1), (-1, -1), 'Helvetica-Bold'),
+            ('FONTSIZE', (0, 0), (-1, 0), 9),
+            ('FONTSIZE', (0, 1), (-1, -1), 8),
+            ('GRID', (0, 0), (-1, -1), 1, colors.black)
+        ]))
+        elements.append(table)
+    
+    doc.build(elements)
+    buffer.seek(0)
+    
+    return StreamingResponse(
+        buffer,
+        media_type="application/pdf",
+        headers={"Content-Disposition": f"attachment; filename=low_stock_{datetime.now().strftime('%Y%m%d')}.pdf"}
+    )
+
+
+@api_router.get("/reports/stock-ledger-pdf")
+async def export_stock_ledger_pdf(
+    header_id: str,
+    start_date: Optional[str] = None,
+    end_date: Optional[str] = None,
+    current_user: User = Depends(require_permission('inventory.view'))
+):
+    """Export a category's stock ledger with running balance as PDF"""
+    from fastapi.responses import StreamingResponse
+    from io import BytesIO
+    from reportlab.lib import colors
+    from reportlab.lib.pagesizes import A4, landscape
+    from reportlab.platypus import SimpleDocTemplate, Table, TableStyle, Paragraph, Spacer
+    from reportlab.lib.styles import getSampleStyleSheet
+    from reportlab.lib.units import inch
+    
+    ledger = await build_stock_ledger(header_id, start_date, end_date)
+    
+    buffer = BytesIO()
+    doc = SimpleDocTemplate(buffer, pagesize=landscape(A4), rightMargin=30, leftMargin=30, topMargin=30, bottomMargin=30)
+    styles = getSampleStyleSheet()
+    elements = [
+        Paragraph(f"Stock Ledger - {ledger['header']['name']}", styles['Heading1']),
+        Paragraph(
+            f"<b>Period:</b> {start_date or 'Beginning'} to {end_date or 'Today'} | "
+            f"<b>Generated:</b> {datetime.now().strftime('%Y-%m-%d %H:%M')}",
+            styles['Normal']
+        ),
+        Spacer(1, 0.2 * inch)
+    ]
+    
+    table_data = [
+        ['Date', 'Type', 'Document', 'Party', 'Purity', 'Qty', 'Weight (g)', 'Fine (g)', 'Bal Qty', 'Bal Wt (g)', 'Bal Fine (g)'],
+        ['Opening Balance', '', '', '', '', '', '', '', f"{ledger['opening']['qty']:.0f}",
+         f"{ledger['opening']['weight']:.3f}", f"{ledger['opening']['fine_weight']:.3f}"]
+    ]
+    for row in ledger['rows']:
+        document = row['document']
+        table_data.append([
+            row['date'].strftime('%Y-%m-%d') if isinstance(row['date'], datetime) else str(row['date'] or '')[:10],
+            (row['movement_type'] or '')[:12],
+            f"{document['label']} {document['number'] or ''}".strip()[:24],
+            (document['party'] or '')[:20],
+            str(row['purity'] or ''),
+            f"{row['qty_delta']:+.0f}",
+            f"{row['weight_delta']:+.3f}",
+            f"{row['fine_weight_delta']:+.3f}",
+            f"{row['balance_qty']:.0f}",
+            f"{row['balance_weight']:.3f}",
+            f"{row['balance_fine_weight']:.3f}"
+        ])
+    table_data.append([
+        'Closing Balance', '', '', '', '', '', '', '', f"{ledger['closing']['qty']:.0f}",
+        f"{ledger['closing']['weight']:.3f}", f"{ledger['closing']['fine_weight']:.3f}"
+    ])
+    
+    table = Table(
+        table_data,
+        colWidths=[0.9*inch, 0.9*inch, 1.6*inch, 1.4*inch, 0.5*inch, 0.5*inch, 0.9*inch, 0.9*inch, 0.6*inch, 0.9*inch, 0.9*inch],
+        repeatRows=1
+    )
+    table.setStyle(TableStyle([
+        ('BACKGROUND', (0, 0), (-1, 0), colors.grey),
+        ('TEXTCOLOR', (0, 0), (-1, 0), colors.whitesmoke),
+        ('ALIGN', (4, 0), (-1, -1), 'RIGHT'),
+        ('FONTNAME', (0, 0), (-1, 1), 'Helvetica-Bold'),
+        ('FONTNAME', (0, -1), (-1, -1), 'Helvetica-Bold'),
+        ('FONTSIZE', (0, 0), (-1, -1), 8),
+        ('GRID', (0, 0), (-1, -1), 0.5, colors.black)
+    ]))
+    elements.append(table)
+    elements.append(Spacer(1, 0.2 * inch))
+    elements.append(Paragraph(
+        f"<b>Total In:</b> {ledger['totals']['in_qty']:.0f} pcs / {ledger['totals']['in_weight']:.3f} g "
+        f"({ledger['totals']['in_fine_weight']:.3f} g fine) &nbsp;&nbsp; "
+        f"<b>Total Out:</b> {ledger['totals']['out_qty']:.0f} pcs / {ledger['totals']['out_weight']:.3f} g "
+        f"({ledger['totals']['out_fine_weight']:.3f} g fine)",
+        styles['Normal']
+    ))
+    
+    doc.build(elements)
+    buffer.seek(0)
+    
+    return StreamingResponse(
+        buffer,
+        media_type="application/pdf",
+        headers={"Content-Disposition": f"attachment; filename=stock_ledger_{datetime.now().strftime('%Y%m%d')}.pdf"}
+    )
+
+
+# ============================================================================
+# MODULE 5/10: SALES HISTORY REPORT (Finalized Invoices Only)
+# ============================================================================
+
+@api_router.get("/reports/sales-history")
+async def get_sales_history_report(
+    date_from: Optional[str] = None,
+    date_to: Optional[str] = None,
+    party_id: Optional[str] = None,
+    search: Optional[str] = None,
+    current_user: User = Depends(require_permission('reports.view'))
+):
+    """
+    Get sales history report using SOURCE-OF-TRUTH DATA.
+    
+    CRITICAL FIX: Uses StockMovements and Transactions for accurate reporting
+    - Weight data from StockMovements (type="Stock OUT")
+    - Financial data from Transactions (income account credits)
+    - Sales returns are automatically reflected
+    
+    Filters:
+    - date_from/date_to: Date range filter
+    - party_id: Filter by specific party (or "all" for all parties)
+    - search: Search in customer name, phone, or invoice_id
+    
+    Returns table with:
+    - invoice_id
+    - customer name + phone (handles both saved and walk-in)
+    - date
+    - total_weight_grams (from StockMovements)
+    - purity summary ("Mixed" if multiple purities, otherwise single purity)
+    - grand_total (from Transactions)
+    """
+    # Query for FINALIZED invoices only (for display details)
+    query = {
+        "is_deleted": False,
+        "status": "finalized"  # CRITICAL: Only finalized invoices
+    }
+    
+    # Date filters
+    if date_from:
+        query['date'] = {"$gte": datetime.fromisoformat(date_from)}
+    if date_to:
+        end_dt = datetime.fromisoformat(date_to)
+        if 'date' in query:
+            query['date']['$lte'] = end_dt
+        else:
+            query['date'] = {"$lte": end_dt}
+    
+    # Party filter
+    if party_id and party_id != 'all':
+        query['customer_id'] = party_id
+    
+    # Get invoices
+    invoices = await db.invoices.find(query, {"_id": 0}).sort("date", -1).to_list(10000)
     # Convert Decimal128 to float for calculations
     invoices = [decimal_to_float(inv) for inv in invoices]
     
@@ -11092,6 +14992,33 @@ async def health_check(request: Request):
 # WORKFLOW CONTROL - IMPACT SUMMARY ENDPOINTS
 # ========================================
 
+@api_router.get("/jobcards/{jobcard_id}/start-impact")
+async def get_jobcard_start_impact(jobcard_id: str, current_user: User = Depends(require_permission('jobcards.view'))):
+    """Get impact summary before moving a job card into progress"""
+    jobcard = await db.jobcards.find_one({"id": jobcard_id, "is_deleted": False})
+    if not jobcard:
+        raise HTTPException(status_code=404, detail="Job card not found")
+    
+    # Convert Decimal128 to float for calculations
+    jobcard = decimal_to_float(jobcard)
+    
+    items = jobcard.get("items", [])
+    total_weight = sum(item.get("weight_in", 0) for item in items)
+    
+    return {
+        "action": "Start Job Card",
+        "item_count": len(items),
+        "total_weight": round(total_weight, 3),
+        "status_change": f"{jobcard.get('status', 'created')} → in_progress",
+        "worker_name": jobcard.get("worker_name"),
+        "warning": (
+            "The job card will move to In Progress and can still be edited until it is completed."
+            if jobcard.get("worker_id")
+            else "No worker is assigned to this job card yet. Assign one before work starts."
+        ),
+        "can_proceed": jobcard.get("status") in ["created", "pending"]
+    }
+
 @api_router.get("/jobcards/{jobcard_id}/complete-impact")
 async def get_jobcard_complete_impact(jobcard_id: str, current_user: User = Depends(require_permission('jobcards.view'))):
     """Get impact summary before completing a job card"""
@@ -11472,6 +15399,10 @@ async def delete_transaction(
     # Convert Decimal128 to float for calculations
     transaction = decimal_to_float(transaction)
     
+    # Credit note reversals are part of the cancellation record
+    if transaction.get("reference_type") == "credit_note":
+        raise HTTPException(status_code=400, detail="Credit note reversal transactions cannot be deleted")
+    
     # Handle invoice payment transactions (double-entry)
     if transaction.get("reference_type") == "invoice":
         invoice_id = transaction.get("reference_id")
@@ -11482,6 +15413,7 @@ async def delete_transaction(
         invoice = await db.invoices.find_one({"id": invoice_id, "is_deleted": False})
         if not invoice:
             raise HTTPException(status_code=404, detail="Related invoice not found")
+        ensure_invoice_not_cancelled(invoice)
         
         # Convert Decimal128 to float for calculations
         invoice = decimal_to_float(invoice)
@@ -11886,7 +15818,7 @@ async def create_return(
                 party_name = f"Vendor-{party_id[:8] if party_id else 'unknown'}"
             
             party_type = 'vendor'
-            reference_number = reference_id  # Purchases don't have human-readable numbers yet
+            reference_number = purchase_display_number(reference_doc)
         else:
             raise HTTPException(status_code=400, detail="Invalid reference_type. Must be 'invoice' or 'purchase'")
         
@@ -11897,6 +15829,7 @@ async def create_return(
         
         # Convert Decimal128 to float for calculations
         items = [decimal_to_float(item) for item in items]
+        validate_unique_return_tags(items)
         
         # Calculate totals from items
         total_weight_grams = sum(float(item.get('weight_grams', 0)) for item in items)
@@ -12110,6 +16043,7 @@ async def update_return(
         
         # Update items if provided
         if 'items' in return_data:
+            validate_unique_return_tags(return_data['items'])
             items = [ReturnItem(**item) for item in return_data['items']]
             update_fields['items'] = [item.model_dump() for item in items]
             # Recalculate totals
@@ -12190,6 +16124,58 @@ async def update_return(
         raise HTTPException(status_code=500, detail=f"Error updating return: {str(e)}")
 
 
+async def post_returned_piece_stock(return_doc: dict, pieces: list, current_user: User) -> List[str]:
+    """
+    Move tagged pieces on a finalized return through their category stock, so the
+    category totals stay in step with the tag register. Sale returns bring each
+    piece back in, purchase returns send it out to the vendor.
+    Returns the ids of the stock movements posted.
+    """
+    direction = 1 if return_doc.get('return_type') == 'sale_return' else -1
+    
+    # Check every category before posting anything, so a shortfall leaves no partial movements
+    headers = {}
+    for piece in pieces:
+        header = headers.get(piece['header_id']) or await db.inventory_headers.find_one({"id": piece['header_id']}, {"_id": 0})
+        if not header:
+            continue
+        header['current_qty'] = safe_float(header.get('current_qty')) + direction
+        header['current_weight'] = round(safe_float(header.get('current_weight')) + direction * safe_float(piece.get('net_weight')), 3)
+        if header['current_qty'] < 0 or header['current_weight'] < 0:
+            raise HTTPException(
+                status_code=400,
+                detail=f"Insufficient stock in {header['name']} to return {piece['tag_number']} to the vendor"
+            )
+        headers[header['id']] = header
+    
+    movement_ids = []
+    for piece in pieces:
+        header = headers.get(piece['header_id'])
+        if not header:
+            continue
+        net_weight = round(safe_float(piece.get('net_weight')), 3)
+        movement = StockMovement(
+            movement_type="Stock IN" if direction > 0 else "Stock OUT",
+            header_id=header['id'],
+            header_name=header['name'],
+            description=f"Return {return_doc.get('return_number')} - Tagged piece {piece['tag_number']}",
+            qty_delta=direction,
+            weight_delta=direction * net_weight,
+            purity=piece.get('purity', 916),
+            reference_type="return",
+            reference_id=return_doc['id'],
+            created_by=current_user.id
+        )
+        await db.stock_movements.insert_one(convert_stock_movement_to_decimal(movement.model_dump()))
+        movement_ids.append(movement.id)
+    for header in headers.values():
+        await db.inventory_headers.update_one(
+            {"id": header['id']},
+            {"$set": {"current_qty": header['current_qty'], "current_weight": header['current_weight']}}
+        )
+    return movement_ids
+
+
 @api_router.post("/returns/{return_id}/finalize")
 @limiter.limit("30/minute")
 async def finalize_return(
@@ -12268,6 +16254,23 @@ async def finalize_return(
         if not account:
             raise HTTPException(status_code=404, detail="Account not found. Please update the return with a valid account.")
     
+    # Tagged pieces: sold pieces come back from the customer, pieces in stock go back to the vendor
+    return_piece_ids = [item['tagged_item_id'] for item in return_doc.get('items', []) if item.get('tagged_item_id')]
+    return_pieces = []
+    if return_piece_ids:
+        return_pieces = decimal_to_float(await db.tagged_items.find(
+            {"id": {"$in": return_piece_ids}, "is_deleted": False}, {"_id": 0}
+        ).to_list(1000))
+        if return_doc.get('return_type') == 'purchase_return':
+            for piece in return_pieces:
+                if piece.get('status') not in ("in_stock", "returned"):
+                    raise HTTPException(
+                        status_code=400,
+                        detail=f"{piece['tag_number']} is {piece.get('status')} and cannot be returned to the vendor"
+                    )
+        else:
+            return_pieces = [piece for piece in return_pieces if piece.get('status') == "sold"]
+    
     # ==========================================================================
     
     # Use status lock + rollback for safety (MongoDB transactions require replica set)
@@ -12310,10 +16313,12 @@ async def finalize_return(
                 if isinstance(qty, Decimal128):
                     qty = float(qty.to_decimal())
                 
-                if weight_grams > 0:
+                # Tagged pieces post their own stock movement below
+                if weight_grams > 0 and not item.get('tagged_item_id'):
                     # Store pending adjustment (NO automatic inventory update)
                     pending_adjustments.append({
                         "item_description": item.get('description'),
+                        "tag_number": item.get('tag_number'),
                         "qty": qty,
                         "weight_grams": round(weight_grams, 3),
                         "purity": item.get('purity'),
@@ -12321,6 +16326,14 @@ async def finalize_return(
                         "notes": f"Sales Return - {return_doc.get('return_number')} - Requires manual inventory adjustment after inspection"
                     })
             
+            # Tagged pieces come back into their category stock and the register as returned
+            if return_pieces:
+                stock_movement_ids.extend(await post_returned_piece_stock(return_doc, return_pieces, current_user))
+                await db.tagged_items.update_many(
+                    {"id": {"$in": [piece['id'] for piece in return_pieces]}, "status": "sold", "is_deleted": False},
+                    {"$set": {"status": "returned", "updated_at": datetime.now(timezone.utc)}}
+                )
+            
             # Store pending adjustments in return document for reference
             if pending_adjustments:
                 await db.returns.update_one(
@@ -12480,10 +16493,12 @@ async def finalize_return(
                 if isinstance(qty, Decimal128):
                     qty = float(qty.to_decimal())
                 
-                if weight_grams > 0:
+                # Tagged pieces post their own stock movement below
+                if weight_grams > 0 and not item.get('tagged_item_id'):
                     # Store pending adjustment (NO automatic inventory update)
                     pending_adjustments.append({
                         "item_description": item.get('description'),
+                        "tag_number": item.get('tag_number'),
                         "qty": -qty,  # Negative because stock goes out
                         "weight_grams": -round(weight_grams, 3),  # Negative because stock goes out
                         "purity": item.get('purity'),
@@ -12491,6 +16506,14 @@ async def finalize_return(
                         "notes": f"Purchase Return - {return_doc.get('return_number')} - Requires manual inventory adjustment after physical verification"
                     })
             
+            # Tagged pieces leave their category stock and can no longer be sold
+            if return_pieces:
+                stock_movement_ids.extend(await post_returned_piece_stock(return_doc, return_pieces, current_user))
+                await db.tagged_items.update_many(
+                    {"id": {"$in": [piece['id'] for piece in return_pieces]}, "is_deleted": False},
+                    {"$set": {"status": "returned_to_vendor", "updated_at": datetime.now(timezone.utc)}}
+                )
+            
             # Store pending adjustments in return document for reference
             if pending_adjustments:
                 await db.returns.update_one(
@@ -12631,6 +16654,7 @@ async def finalize_return(
         details = {
             "inventory_action_status": "manual_action_required",
             "pending_inventory_adjustments": len(pending_adjustments) if 'pending_adjustments' in locals() else 0,
+            "tagged_piece_stock_movements": len(stock_movement_ids),
             "transaction_created": transaction_id is not None,
             "gold_ledger_created": gold_ledger_id is not None,
             "notice": "Inventory has NOT been updated automatically. Please perform manual stock adjustment after inspecting returned items."
@@ -12669,10 +16693,22 @@ async def finalize_return(
                 }
             )
             
-            # 2. Delete any stock movements created
+            # 2. Delete any stock movements created (tagged pieces also moved their category stock)
             if stock_movement_ids:
                 for movement_id in stock_movement_ids:
+                    movement = await db.stock_movements.find_one({"id": movement_id}, {"_id": 0})
+                    header = await db.inventory_headers.find_one({"id": movement.get('header_id')}, {"_id": 0}) if movement else None
+                    if header:
+                        await db.inventory_headers.update_one(
+                            {"id": header['id']},
+                            {"$set": {
+                                "current_qty": safe_float(header.get('current_qty')) - safe_float(movement.get('qty_delta')),
+                                "current_weight": round(safe_float(header.get('current_weight')) - safe_float(movement.get('weight_delta')), 3)
+                            }}
+                        )
                     await db.stock_movements.delete_one({"id": movement_id})
+            for piece in return_pieces:
+                await db.tagged_items.update_one({"id": piece['id']}, {"$set": {"status": piece.get('status')}})
             
             # 3. Delete transaction if created
             if transaction_id:
@@ -12856,6 +16892,996 @@ async def get_return_finalize_impact(
     return impact
 
 
+# ============================================================================
+# GOLD RATE BOARD API ENDPOINTS
+# ============================================================================
+
+async def get_current_gold_rate() -> Optional[dict]:
+    """Return the latest published gold rate board (floats), or None if nothing is published"""
+    rate = await db.gold_rates.find_one({"is_deleted": False}, {"_id": 0}, sort=[("effective_at", -1)])
+    return decimal_to_float(rate) if rate else None
+
+def get_rate_for_purity(rate_board: Optional[dict], purity, side: str = "sell") -> Optional[float]:
+    """
+    Look up the published buy/sell rate for a purity on a rate board.
+    
+    Standard purities (999/916/875/750) are read directly from the board.
+    Other purities (e.g. 995) are derived from the 24K rate by fineness.
+    Returns None if no board is available.
+    """
+    if not rate_board:
+        return None
+    field = 'buy_rate' if side == 'buy' else 'sell_rate'
+    rates = {int(r['purity']): safe_float(r.get(field)) for r in rate_board.get('rates', [])}
+    try:
+        purity = int(purity)
+    except (TypeError, ValueError):
+        purity = 916
+    if purity in rates:
+        return round(rates[purity], 3)
+    if 999 in rates and purity > 0:
+        return round(rates[999] * purity / 999, 3)
+    return None
+
+@api_router.get("/gold-rates")
+async def get_gold_rates(
+    page: int = 1,
+    page_size: int = 20,
+    current_user: User = Depends(get_current_user)
+):
+    """Get published gold rate boards (newest first) with pagination"""
+    query = {"is_deleted": False}
+    skip = (page - 1) * page_size
+    total_count = await db.gold_rates.count_documents(query)
+    rates = await db.gold_rates.find(query, {"_id": 0}).sort("effective_at", -1).skip(skip).limit(page_size).to_list(page_size)
+    return create_pagination_response(rates, total_count, page, page_size)
+
+@api_router.get("/gold-rates/current")
+async def get_current_gold_rate_board(current_user: User = Depends(get_current_user)):
+    """Get the latest published gold rate board - used to pre-fill rates in job cards, invoices and purchases"""
+    rate = await get_current_gold_rate()
+    if not rate:
+        raise HTTPException(status_code=404, detail="No gold rate has been published yet")
+    return rate
+
+@api_router.get("/gold-rates/trend")
+async def get_gold_rate_trend(days: int = 30, current_user: User = Depends(get_current_user)):
+    """Get gold rate boards published in the last N days (oldest first) for the rate trend chart"""
+    if days < 1 or days > 365:
+        raise HTTPException(status_code=400, detail="days must be between 1 and 365")
+    
+    start = datetime.now(timezone.utc) - timedelta(days=days)
+    rates = await db.gold_rates.find(
+        {"is_deleted": False, "effective_at": {"$gte": start}},
+        {"_id": 0}
+    ).sort("effective_at", 1).to_list(5000)
+    return {
+        "days": days,
+        "start": start.isoformat(),
+        "points": [decimal_to_float(r) for r in rates]
+    }
+
+@api_router.get("/gold-rates/at")
+async def get_gold_rate_at(at: str, purity: int = 916, current_user: User = Depends(get_current_user)):
+    """
+    Look up the gold rate that was in effect at a point in time.
+    
+    Used to answer customer disputes about old job cards and invoices.
+    `at` accepts an ISO datetime, or a date (YYYY-MM-DD) meaning the end of that day (UTC).
+    Returns the latest board published on or before that moment.
+    """
+    try:
+        if len(at) == 10:
+            requested_at = datetime.strptime(at, "%Y-%m-%d").replace(
+                hour=23, minute=59, second=59, microsecond=999999, tzinfo=timezone.utc
+            )
+        else:
+            requested_at = datetime.fromisoformat(at.replace('Z', '+00:00'))
+            if requested_at.tzinfo is None:
+                requested_at = requested_at.replace(tzinfo=timezone.utc)
+    except ValueError:
+        raise HTTPException(status_code=400, detail="Invalid date format. Use YYYY-MM-DD or an ISO datetime")
+    
+    rate = await db.gold_rates.find_one(
+        {"is_deleted": False, "effective_at": {"$lte": requested_at}},
+        {"_id": 0},
+        sort=[("effective_at", -1)]
+    )
+    if not rate:
+        raise HTTPException(status_code=404, detail=f"No gold rate was published on or before {at}")
+    
+    rate = decimal_to_float(rate)
+    return {
+        "requested_at": requested_at.isoformat(),
+        "purity": purity,
+        "buy_rate": get_rate_for_purity(rate, purity, 'buy'),
+        "sell_rate": get_rate_for_purity(rate, purity, 'sell'),
+        "rate": rate
+    }
+
+@api_router.post("/gold-rates", status_code=201)
+async def publish_gold_rate(rate_data: dict, current_user: User = Depends(require_permission('gold_rates.publish'))):
+    """
+    Publish today's gold rate board.
+    
+    Requires buy and sell rates for every standard purity (24K/22K/21K/18K).
+    A new record is created on every publish so the rate history is preserved.
+    """
+    submitted = {}
+    for item in rate_data.get('rates') or []:
+        try:
+            submitted[int(item.get('purity'))] = item
+        except (TypeError, ValueError):
+            raise HTTPException(status_code=400, detail=f"Invalid purity: {item.get('purity')}")
+    
+    rate_items = []
+    for purity, karat in GOLD_RATE_PURITIES.items():
+        item = submitted.get(purity)
+        if not item:
+            raise HTTPException(status_code=400, detail=f"Rates for {karat} ({purity}) are required")
+        try:
+            buy_rate = round(float(item.get('buy_rate')), 3)
+            sell_rate = round(float(item.get('sell_rate')), 3)
+        except (TypeError, ValueError):
+            raise HTTPException(status_code=400, detail=f"Buy and sell rates for {karat} ({purity}) must be numbers")
+        if buy_rate <= 0 or sell_rate <= 0:
+            raise HTTPException(status_code=400, detail=f"Buy and sell rates for {karat} ({purity}) must be greater than 0")
+        if buy_rate > sell_rate:
+            raise HTTPException(
+                status_code=400,
+                detail=f"Buy rate for {karat} ({buy_rate:.3f} OMR/g) cannot be higher than the sell rate ({sell_rate:.3f} OMR/g)"
+            )
+        rate_items.append(GoldRateItem(purity=purity, karat=karat, buy_rate=buy_rate, sell_rate=sell_rate))
+    
+    notes = rate_data.get('notes')
+    gold_rate = GoldRate(
+        rates=rate_items,
+        notes=notes.strip() if isinstance(notes, str) and notes.strip() else None,
+        created_by=current_user.id,
+        created_by_name=current_user.full_name
+    )
+    await db.gold_rates.insert_one(convert_gold_rate_to_decimal(gold_rate.model_dump()))
+    await create_audit_log(
+        current_user.id,
+        current_user.full_name,
+        "gold_rate",
+        gold_rate.id,
+        "publish",
+        {"rates": {r.karat: {"buy": r.buy_rate, "sell": r.sell_rate} for r in rate_items}}
+    )
+    return gold_rate
+
+@api_router.delete("/gold-rates/{rate_id}")
+async def delete_gold_rate(rate_id: str, current_user: User = Depends(require_permission('gold_rates.publish'))):
+    """Soft delete a wrongly published gold rate board (the previous board becomes current again)"""
+    existing = await db.gold_rates.find_one({"id": rate_id, "is_deleted": False}, {"_id": 0})
+    if not existing:
+        raise HTTPException(status_code=404, detail="Gold rate not found")
+    
+    await db.gold_rates.update_one(
+        {"id": rate_id},
+        {"$set": {"is_deleted": True, "deleted_at": datetime.now(timezone.utc), "deleted_by": current_user.id}}
+    )
+    await create_audit_log(current_user.id, current_user.full_name, "gold_rate", rate_id, "delete")
+    return {"message": "Gold rate deleted successfully", "id": rate_id}
+
+
+# ============================================================================
+# TAGGED ITEM REGISTER API ENDPOINTS
+# ============================================================================
+
+async def generate_tag_number() -> str:
+    """Next free TAG-000001 style tag number"""
+    count = await db.tagged_items.count_documents({"tag_number": {"$regex": "^TAG-"}})
+    while True:
+        count += 1
+        tag_number = f"TAG-{str(count).zfill(6)}"
+        if not await db.tagged_items.find_one({"tag_number": tag_number}, {"_id": 1}):
+            return tag_number
+
+async def get_tagged_source_capacity(source_type: str, source_id: str, header_id: str) -> tuple:
+    """
+    Qty and weight a stock-in movement or purchase brought into a category.
+    Tagged pieces linked to the source cannot exceed this.
+    """
+    if source_type == "stock_in":
+        query = {"id": source_id, "is_deleted": False}
+    elif source_type == "purchase":
+        query = {"reference_type": "purchase", "reference_id": source_id, "is_deleted": False}
+    else:
+        raise HTTPException(status_code=400, detail="source_type must be 'stock_in' or 'purchase'")
+    query["header_id"] = header_id
+    query["weight_delta"] = {"$gt": 0}
+    movements = await db.stock_movements.find(query, {"_id": 0}).to_list(1000)
+    if not movements:
+        raise HTTPException(status_code=404, detail="No stock-in for this category found on the selected source")
+    return (
+        sum(safe_float(m.get('qty_delta')) for m in movements),
+        sum(safe_float(m.get('weight_delta')) for m in movements)
+    )
+
+def build_tagged_invoice_item(piece: dict, metal_rate: float, vat_percent: float, vat_basis: dict) -> dict:
+    """Invoice line for a tagged piece - weights, purity and making charge come from the register"""
+    net_weight = safe_float(piece.get('net_weight'))
+    making_charge = safe_float(piece.get('making_charge'))
+    making_value = making_charge * net_weight if piece.get('making_charge_type') == 'per_gram' else making_charge
+    item = calculate_line_item({
+        "qty": 1,
+        "weight": net_weight,
+        "gross_weight": safe_float(piece.get('gross_weight')),
+        "stone_weight": safe_float(piece.get('stone_weight')),
+        "net_gold_weight": net_weight,
+        "metal_rate": metal_rate,
+        "making_value": round(making_value, 3),
+        "vat_percent": vat_percent,
+        **vat_basis
+    })
+    return InvoiceItem(
+        category=piece['header_name'],
+        description=f"{piece['description']} ({piece['tag_number']})",
+        qty=1,
+        gross_weight=item['gross_weight'],
+        stone_weight=item['stone_weight'],
+        net_gold_weight=item['net_gold_weight'],
+        weight=net_weight,
+        purity=piece.get('purity', 916),
+        tagged_item_id=piece['id'],
+        tag_number=piece['tag_number'],
+        metal_rate=metal_rate,
+        gold_value=item['gold_value'],
+        making_charge_type=piece.get('making_charge_type'),
+        making_value=item['making_value'],
+        vat_percent=vat_percent,
+        taxable_amount=item['taxable_amount'],
+        vat_amount=item['vat_amount'],
+        gold_vat_amount=item['gold_vat_amount'],
+        making_vat_amount=item['making_vat_amount'],
+        line_total=item['line_total']
+    ).model_dump()
+
+async def save_invoice_items(invoice_id: str, existing: dict, items: list):
+    """Store a draft invoice's items and recalculate its totals"""
+    totals = calculate_invoice_totals(items, safe_float(existing.get('discount_amount')))
+    balance_due = round(totals['grand_total'] - safe_float(existing.get('paid_amount')), 3)
+    update = convert_invoice_to_decimal({
+        "items": items,
+        "subtotal": totals['subtotal'],
+        "vat_total": totals['vat_total'],
+        "grand_total": totals['grand_total'],
+        "balance_due": balance_due
+    })
+    await db.invoices.update_one({"id": invoice_id}, {"$set": update})
+
+async def release_tagged_items(item_ids: list, invoice_id: str):
+    """Put pieces reserved on a draft invoice back in stock"""
+    if not item_ids:
+        return
+    await db.tagged_items.update_many(
+        {"id": {"$in": item_ids}, "invoice_id": invoice_id, "status": "reserved"},
+        {"$set": {"status": "in_stock", "invoice_id": None, "invoice_number": None, "updated_at": datetime.now(timezone.utc)}}
+    )
+
+@api_router.get("/inventory/items")
+async def get_tagged_items(
+    page: int = 1,
+    page_size: int = 20,
+    status: Optional[str] = None,
+    header_id: Optional[str] = None,
+    source_id: Optional[str] = None,
+    search: Optional[str] = None,
+    current_user: User = Depends(require_permission('inventory.view'))
+):
+    """Get tagged pieces with filters and pagination (newest first)"""
+    query = {"is_deleted": False}
+    if status:
+        query['status'] = status
+    if header_id:
+        query['header_id'] = header_id
+    if source_id:
+        query['source_id'] = source_id
+    if search:
+        pattern = re.escape(search.strip())
+        query['$or'] = [
+            {"tag_number": {"$regex": pattern, "$options": "i"}},
+            {"description": {"$regex": pattern, "$options": "i"}}
+        ]
+    
+    skip = (page - 1) * page_size
+    total_count = await db.tagged_items.count_documents(query)
+    items = await db.tagged_items.find(query, {"_id": 0}).sort("created_at", -1).skip(skip).limit(page_size).to_list(page_size)
+    return create_pagination_response([decimal_to_float(i) for i in items], total_count, page, page_size)
+
+@api_router.get("/inventory/items/by-tag/{tag_number}")
+async def get_tagged_item_by_tag(tag_number: str, current_user: User = Depends(require_permission('inventory.view'))):
+    """Look up a piece by its tag number (case-insensitive) - used when picking pieces onto invoices"""
+    piece = await db.tagged_items.find_one(
+        {"tag_number": tag_number.strip().upper(), "is_deleted": False},
+        {"_id": 0}
+    )
+    if not piece:
+        raise HTTPException(status_code=404, detail=f"No piece found with tag {tag_number}")
+    return decimal_to_float(piece)
+
+@api_router.post("/inventory/items", status_code=201)
+async def create_tagged_item(item_data: dict, current_user: User = Depends(require_permission('inventory.adjust'))):
+    """
+    Register a tagged piece.
+    
+    Without a source, the piece is new stock: a Stock IN movement of 1 qty and
+    its net weight is posted to the category.
+    With source_type/source_id, the piece tags stock that a Stock IN movement or
+    purchase already added, so category totals are left untouched.
+    """
+    header = await db.inventory_headers.find_one({"id": item_data.get('header_id'), "is_deleted": False}, {"_id": 0})
+    if not header:
+        raise HTTPException(status_code=404, detail="Inventory category not found")
+    
+    description = (item_data.get('description') or '').strip()
+    if not description:
+        raise HTTPException(status_code=400, detail="Description is required")
+    
+    gross_weight = round(safe_float(item_data.get('gross_weight')), 3)
+    stone_weight = round(safe_float(item_data.get('stone_weight')), 3)
+    if gross_weight <= 0:
+        raise HTTPException(status_code=400, detail="Gross weight must be greater than zero")
+    if stone_weight < 0 or stone_weight >= gross_weight:
+        raise HTTPException(status_code=400, detail="Stone weight must be zero or more and less than the gross weight")
+    net_weight = round(gross_weight - stone_weight, 3)
+    
+    making_charge_type = item_data.get('making_charge_type') or 'flat'
+    if making_charge_type not in ('flat', 'per_gram'):
+        raise HTTPException(status_code=400, detail="making_charge_type must be 'flat' or 'per_gram'")
+    making_charge = round(safe_float(item_data.get('making_charge')), 3)
+    if making_charge < 0:
+        raise HTTPException(status_code=400, detail="Making charge cannot be negative")
+    
+    tag_number = (item_data.get('tag_number') or '').strip().upper()
+    if tag_number:
+        if await db.tagged_items.find_one({"tag_number": tag_number, "is_deleted": False}, {"_id": 1}):
+            raise HTTPException(status_code=400, detail=f"Tag number {tag_number} is already in use")
+    else:
+        tag_number = await generate_tag_number()
+    
+    source_type = item_data.get('source_type')
+    source_id = item_data.get('source_id')
+    if source_id:
+        capacity_qty, capacity_weight = await get_tagged_source_capacity(source_type, source_id, header['id'])
+        tagged = await db.tagged_items.find(
+            {"source_id": source_id, "header_id": header['id'], "is_deleted": False},
+            {"_id": 0, "net_weight": 1}
+        ).to_list(10000)
+        tagged_weight = sum(safe_float(t.get('net_weight')) for t in tagged)
+        if len(tagged) + 1 > capacity_qty or tagged_weight + net_weight > capacity_weight + 0.001:
+            raise HTTPException(
+                status_code=400,
+                detail=f"Source only brought in {capacity_qty:g} pcs / {capacity_weight:.3f}g of {header['name']}. "
+                       f"{len(tagged)} pcs / {tagged_weight:.3f}g are already tagged."
+            )
+    
+    piece = TaggedItem(
+        tag_number=tag_number,
+        header_id=header['id'],
+        header_name=header['name'],
+        description=description,
+        gross_weight=gross_weight,
+        stone_weight=stone_weight,
+        net_weight=net_weight,
+        purity=int(item_data.get('purity') or 916),
+        making_charge_type=making_charge_type,
+        making_charge=making_charge,
+        source_type=source_type if source_id else "stock_in",
+        source_id=source_id,
+        notes=item_data.get('notes'),
+        created_by=current_user.id
+    )
+    
+    if not source_id:
+        # New stock - post it to the category so totals stay in sync with the register
+        movement = StockMovement(
+            movement_type="Stock IN",
+            header_id=header['id'],
+            header_name=header['name'],
+            description=f"Tagged piece {tag_number} - {description}",
+            qty_delta=1,
+            weight_delta=net_weight,
+            purity=piece.purity,
+            reference_type="tagged_item",
+            reference_id=piece.id,
+            created_by=current_user.id
+        )
+        await db.stock_movements.insert_one(convert_stock_movement_to_decimal(movement.model_dump()))
+        await db.inventory_headers.update_one(
+            {"id": header['id']},
+            {"$set": {
+                "current_qty": safe_float(header.get('current_qty')) + 1,
+                "current_weight": round(safe_float(header.get('current_weight')) + net_weight, 3)
+            }}
+        )
+        piece.source_id = movement.id
+    
+    await db.tagged_items.insert_one(convert_tagged_item_to_decimal(piece.model_dump()))
+    await create_audit_log(
+        current_user.id,
+        current_user.full_name,
+        "tagged_item",
+        piece.id,
+        "create",
+        {"tag_number": tag_number, "header_name": header['name'], "net_weight": net_weight, "purity": piece.purity}
+    )
+    return piece
+
+@api_router.patch("/inventory/items/{item_id}")
+async def update_tagged_item(item_id: str, update_data: dict, current_user: User = Depends(require_permission('inventory.adjust'))):
+    """
+    Update a piece's description, making charge, notes or status.
+    
+    Weights and category are fixed once tagged (they are already in the category
+    totals) - delete and re-tag the piece to change them.
+    Status can move between in_stock, reserved, on_approval and returned.
+    "sold" is only set by invoice finalization, "returned_to_vendor" by purchase
+    return finalization.
+    """
+    piece = await db.tagged_items.find_one({"id": item_id, "is_deleted": False}, {"_id": 0})
+    if not piece:
+        raise HTTPException(status_code=404, detail="Tagged piece not found")
+    
+    for field in ['gross_weight', 'stone_weight', 'net_weight', 'header_id', 'tag_number']:
+        if field in update_data:
+            raise HTTPException(status_code=400, detail=f"{field} cannot be changed once a piece is tagged. Delete and re-tag it instead.")
+    
+    changes = {}
+    if 'description' in update_data:
+        description = (update_data.get('description') or '').strip()
+        if not description:
+            raise HTTPException(status_code=400, detail="Description is required")
+        changes['description'] = description
+    if 'making_charge_type' in update_data:
+        if update_data['making_charge_type'] not in ('flat', 'per_gram'):
+            raise HTTPException(status_code=400, detail="making_charge_type must be 'flat' or 'per_gram'")
+        changes['making_charge_type'] = update_data['making_charge_type']
+    if 'making_charge' in update_data:
+        making_charge = round(safe_float(update_data.get('making_charge')), 3)
+        if making_charge < 0:
+            raise HTTPException(status_code=400, detail="Making charge cannot be negative")
+        changes['making_charge'] = making_charge
+    if 'notes' in update_data:
+        changes['notes'] = update_data.get('notes')
+    if 'status' in update_data and update_data['status'] != piece.get('status'):
+        new_status = update_data['status']
+        if new_status not in TAGGED_ITEM_STATUSES:
+            raise HTTPException(status_code=400, detail=f"Invalid status. Allowed: {', '.join(TAGGED_ITEM_STATUSES)}")
+        if new_status in FINAL_TAGGED_ITEM_STATUSES or piece.get('status') in FINAL_TAGGED_ITEM_STATUSES:
+            raise HTTPException(status_code=400, detail="Sold and returned-to-vendor status are controlled by invoice and return finalization")
+        if piece.get('status') == "reserved" and piece.get('invoice_id'):
+            raise HTTPException(
+                status_code=400,
+                detail=f"Piece is on draft invoice {piece.get('invoice_number')}. Remove it from the invoice first."
+            )
+        changes['status'] = new_status
+    
+    if not changes:
+        raise HTTPException(status_code=400, detail="Nothing to update")
+    
+    changes['updated_at'] = datetime.now(timezone.utc)
+    await db.tagged_items.update_one({"id": item_id}, {"$set": convert_tagged_item_to_decimal(changes)})
+    await create_audit_log(
+        current_user.id, current_user.full_name, "tagged_item", item_id, "update",
+        {k: v for k, v in changes.items() if k != 'updated_at'}
+    )
+    updated = await db.tagged_items.find_one({"id": item_id}, {"_id": 0})
+    return decimal_to_float(updated)
+
+@api_router.delete("/inventory/items/{item_id}")
+async def delete_tagged_item(item_id: str, current_user: User = Depends(require_permission('inventory.adjust'))):
+    """
+    Remove a piece from the register.
+    
+    Pieces that came in as their own Stock IN have that movement reversed.
+    Pieces tagged against an existing stock-in or purchase stay in the category
+    totals as untagged stock.
+    """
+    piece = await db.tagged_items.find_one({"id": item_id, "is_deleted": False}, {"_id": 0})
+    if not piece:
+        raise HTTPException(status_code=404, detail="Tagged piece not found")
+    if piece.get('status') not in ("in_stock", "returned"):
+        raise HTTPException(status_code=400, detail=f"Only pieces in stock can be deleted. This piece is {piece.get('status')}.")
+    
+    own_movement = await db.stock_movements.find_one(
+        {"reference_type": "tagged_item", "reference_id": item_id, "is_deleted": False},
+        {"_id": 0}
+    )
+    if own_movement:
+        header = await db.inventory_headers.find_one({"id": own_movement['header_id']}, {"_id": 0})
+        if header:
+            new_qty = safe_float(header.get('current_qty')) - safe_float(own_movement.get('qty_delta'))
+            new_weight = round(safe_float(header.get('current_weight')) - safe_float(own_movement.get('weight_delta')), 3)
+            if new_qty < 0 or new_weight < 0:
+                raise HTTPException(status_code=400, detail="Cannot delete piece: would result in negative category stock")
+            await db.inventory_headers.update_one(
+                {"id": header['id']},
+                {"$set": {"current_qty": new_qty, "current_weight": new_weight}}
+            )
+        await db.stock_movements.update_one({"id": own_movement['id']}, {"$set": {"is_deleted": True}})
+    
+    await db.tagged_items.update_one(
+        {"id": item_id},
+        {"$set": {"is_deleted": True, "deleted_at": datetime.now(timezone.utc), "deleted_by": current_user.id}}
+    )
+    await create_audit_log(
+        current_user.id, current_user.full_name, "tagged_item", item_id, "delete",
+        {"tag_number": piece.get('tag_number'), "stock_reversed": bool(own_movement)}
+    )
+    return {"message": "Tagged piece deleted successfully", "id": item_id, "stock_reversed": bool(own_movement)}
+
+@api_router.post("/invoices/{invoice_id}/tagged-items")
+async def add_tagged_item_to_invoice(invoice_id: str, data: dict, current_user: User = Depends(require_permission('invoices.create'))):
+    """
+    Add a tagged piece to a draft sale invoice by tag number.
+    
+    Weights, purity and making charge are filled in from the register and the
+    piece is reserved until the invoice is finalized (sold) or the line removed.
+    metal_rate defaults to the published sell rate for the piece's purity.
+    """
+    existing = await db.invoices.find_one({"id": invoice_id, "is_deleted": False}, {"_id": 0})
+    if not existing:
+        raise HTTPException(status_code=404, detail="Invoice not found")
+    ensure_invoice_not_cancelled(existing)
+    if existing.get("status") == "finalized":
+        raise HTTPException(status_code=400, detail="Cannot add items to a finalized invoice")
+    if existing.get("invoice_type", "sale") != "sale":
+        raise HTTPException(status_code=400, detail="Tagged pieces can only be added to sale invoices")
+    
+    tag_number = (data.get('tag_number') or '').strip().upper()
+    piece = await db.tagged_items.find_one({"tag_number": tag_number, "is_deleted": False}, {"_id": 0})
+    if not piece:
+        raise HTTPException(status_code=404, detail=f"No piece found with tag {tag_number}")
+    piece = decimal_to_float(piece)
+    
+    items = decimal_to_float(existing.get('items', []))
+    if any(item.get('tagged_item_id') == piece['id'] for item in items):
+        raise HTTPException(status_code=400, detail=f"{tag_number} is already on this invoice")
+    if piece.get('status') not in INVOICEABLE_TAGGED_ITEM_STATUSES:
+        detail = f"{tag_number} is {piece.get('status')}"
+        if piece.get('invoice_number'):
+            detail += f" on invoice {piece.get('invoice_number')}"
+        raise HTTPException(status_code=400, detail=detail)
+    
+    metal_rate = data.get('metal_rate')
+    if not metal_rate:
+        metal_rate = get_rate_for_purity(await get_current_gold_rate(), piece.get('purity', 916))
+    if not metal_rate or float(metal_rate) <= 0:
+        raise HTTPException(status_code=400, detail="Enter a metal rate - no gold rate has been published yet")
+    vat_percent = data.get('vat_percent')
+    vat_percent = float(vat_percent) if vat_percent is not None else 5.0
+    
+    items.append(build_tagged_invoice_item(piece, round(float(metal_rate), 3), vat_percent, await get_vat_basis()))
+    # Reserve only if the piece is still available - another counter may have scanned it meanwhile
+    result = await db.tagged_items.update_one(
+        {"id": piece['id'], "status": {"$in": INVOICEABLE_TAGGED_ITEM_STATUSES}, "is_deleted": False},
+        {"$set": {
+            "status": "reserved",
+            "invoice_id": invoice_id,
+            "invoice_number": existing.get('invoice_number'),
+            "updated_at": datetime.now(timezone.utc)
+        }}
+    )
+    if result.matched_count == 0:
+        raise HTTPException(status_code=409, detail=f"{tag_number} was just put on another invoice")
+    try:
+        await save_invoice_items(invoice_id, existing, items)
+    except Exception:
+        await release_tagged_items([piece['id']], invoice_id)
+        raise
+    await create_audit_log(
+        current_user.id, current_user.full_name, "invoice", invoice_id, "add_tagged_item",
+        {"tag_number": tag_number, "metal_rate": float(metal_rate)}
+    )
+    updated = await db.invoices.find_one({"id": invoice_id}, {"_id": 0})
+    return decimal_to_float(updated)
+
+@api_router.delete("/invoices/{invoice_id}/items/{item_id}")
+async def remove_invoice_item(invoice_id: str, item_id: str, current_user: User = Depends(require_permission('invoices.create'))):
+    """Remove a line from a draft invoice. A tagged piece on the line goes back in stock."""
+    existing = await db.invoices.find_one({"id": invoice_id, "is_deleted": False}, {"_id": 0})
+    if not existing:
+        raise HTTPException(status_code=404, detail="Invoice not found")
+    ensure_invoice_not_cancelled(existing)
+    if existing.get("status") == "finalized":
+        raise HTTPException(status_code=400, detail="Cannot remove items from a finalized invoice")
+    
+    items = decimal_to_float(existing.get('items', []))
+    removed = next((item for item in items if item.get('id') == item_id), None)
+    if not removed:
+        raise HTTPException(status_code=404, detail="Invoice item not found")
+    
+    await save_invoice_items(invoice_id, existing, [item for item in items if item.get('id') != item_id])
+    if removed.get('tagged_item_id'):
+        await release_tagged_items([removed['tagged_item_id']], invoice_id)
+    await create_audit_log(
+        current_user.id, current_user.full_name, "invoice", invoice_id, "remove_item",
+        {"description": removed.get('description'), "tag_number": removed.get('tag_number')}
+    )
+    updated = await db.invoices.find_one({"id": invoice_id}, {"_id": 0})
+    return decimal_to_float(updated)
+
+
+# ============================================================================
+# STOCK TAKE API ENDPOINTS
+# ============================================================================
+
+# Tagged pieces that should be on the premises during a count
+COUNTABLE_TAGGED_ITEM_STATUSES = ["in_stock", "reserved", "returned"]
+
+def add_stock_take_variances(session: dict) -> dict:
+    """Work out line variances and the session summary (counted - book stock)"""
+    qty_variance = 0.0
+    weight_variance = 0.0
+    counted_lines = 0
+    variance_lines = 0
+    for line in session.get('lines', []):
+        if line.get('counted_qty') is None or line.get('counted_weight') is None:
+            line['qty_variance'] = None
+            line['weight_variance'] = None
+            continue
+        line['qty_variance'] = round(safe_float(line['counted_qty']) - safe_float(line.get('system_qty')), 2)
+        line['weight_variance'] = round(safe_float(line['counted_weight']) - safe_float(line.get('system_weight')), 3)
+        counted_lines += 1
+        if line['qty_variance'] != 0 or line['weight_variance'] != 0:
+            variance_lines += 1
+        qty_variance += line['qty_variance']
+        weight_variance += line['weight_variance']
+    
+    session['summary'] = {
+        "total_lines": len(session.get('lines', [])),
+        "counted_lines": counted_lines,
+        "variance_lines": variance_lines,
+        "qty_variance": round(qty_variance, 2),
+        "weight_variance": round(weight_variance, 3)
+    }
+    return session
+
+async def refresh_stock_take(session: dict) -> dict:
+    """
+    Bring book stock on an open session up to date, list tagged pieces not yet
+    scanned in categories being counted by scan, and add variances.
+    Approved and cancelled sessions keep the figures they were closed with.
+    """
+    session = decimal_to_float(session)
+    lines = session.get('lines', [])
+    if session.get('status') in OPEN_STOCK_TAKE_STATUSES:
+        header_ids = [line['header_id'] for line in lines]
+        headers = await db.inventory_headers.find({"id": {"$in": header_ids}}, {"_id": 0}).to_list(1000)
+        headers_by_id = {header['id']: header for header in headers}
+        for line in lines:
+            header = headers_by_id.get(line['header_id'])
+            if header:
+                line['system_qty'] = round(safe_float(header.get('current_qty')), 2)
+                line['system_weight'] = round(safe_float(header.get('current_weight')), 3)
+        
+        scanned_header_ids = [line['header_id'] for line in lines if line.get('scanned_tags')]
+        if scanned_header_ids:
+            pieces = await db.tagged_items.find(
+                {"header_id": {"$in": scanned_header_ids}, "status": {"$in": COUNTABLE_TAGGED_ITEM_STATUSES}, "is_deleted": False},
+                {"_id": 0, "header_id": 1, "tag_number": 1}
+            ).to_list(10000)
+            for line in lines:
+                if line.get('scanned_tags'):
+                    scanned = set(line['scanned_tags'])
+                    line['missing_tags'] = sorted(
+                        piece['tag_number'] for piece in pieces
+                        if piece['header_id'] == line['header_id'] and piece['tag_number'] not in scanned
+                    )
+    return add_stock_take_variances(session)
+
+async def get_stock_take_or_404(session_id: str) -> dict:
+    session = await db.stock_takes.find_one({"id": session_id, "is_deleted": False}, {"_id": 0})
+    if not session:
+        raise HTTPException(status_code=404, detail="Stock-take not found")
+    return session
+
+def require_stock_take_status(session: dict, allowed: list, action: str):
+    if session.get('status') not in allowed:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Cannot {action} stock-take {session['session_number']} while it is {session.get('status', '').replace('_', ' ')}"
+        )
+
+@api_router.get("/inventory/stock-takes")
+async def get_stock_takes(
+    page: int = 1,
+    page_size: int = 10,
+    status: Optional[str] = None,
+    current_user: User = Depends(require_permission('inventory.view'))
+):
+    """Get stock-take sessions with pagination (newest first)"""
+    query = {"is_deleted": False}
+    if status:
+        query['status'] = status
+    
+    skip = (page - 1) * page_size
+    total_count = await db.stock_takes.count_documents(query)
+    sessions = await db.stock_takes.find(query, {"_id": 0}).sort("created_at", -1).skip(skip).limit(page_size).to_list(page_size)
+    sessions = [add_stock_take_variances(decimal_to_float(session)) for session in sessions]
+    return create_pagination_response(sessions, total_count, page, page_size)
+
+@api_router.get("/inventory/stock-takes/current")
+async def get_current_stock_take(current_user: User = Depends(require_permission('inventory.view'))):
+    """The open (in progress or submitted) stock-take, or null"""
+    session = await db.stock_takes.find_one(
+        {"status": {"$in": OPEN_STOCK_TAKE_STATUSES}, "is_deleted": False}, {"_id": 0}
+    )
+    return await refresh_stock_take(session) if session else None
+
+@api_router.get("/inventory/stock-takes/{session_id}")
+async def get_stock_take(session_id: str, current_user: User = Depends(require_permission('inventory.view'))):
+    return await refresh_stock_take(await get_stock_take_or_404(session_id))
+
+async def next_sequence(name: str, existing_count: int) -> int:
+    """
+    Atomically take the next number of a document series from db.counters.
+    The counter is first raised to existing_count so series numbered before it existed carry on.
+    """
+    await db.counters.update_one({"_id": name}, {"$max": {"seq": existing_count}}, upsert=True)
+    counter = await db.counters.find_one_and_update(
+        {"_id": name}, {"$inc": {"seq": 1}}, return_document=ReturnDocument.AFTER
+    )
+    return counter["seq"]
+
+@api_router.post("/inventory/stock-takes", status_code=201)
+async def create_stock_take(session_data: dict, current_user: User = Depends(require_permission('inventory.stocktake'))):
+    """
+    Start a stock-take covering every category, or only header_ids for a cycle count.
+    
+    Only one session can be open at a time so counts don't overlap.
+    """
+    open_session = await db.stock_takes.find_one(
+        {"status": {"$in": OPEN_STOCK_TAKE_STATUSES}, "is_deleted": False}, {"_id": 0, "session_number": 1}
+    )
+    if open_session:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Stock-take {open_session['session_number']} is still open. Approve or cancel it before starting another."
+        )
+    
+    query = {"is_deleted": False}
+    header_ids = session_data.get('header_ids')
+    if header_ids:
+        query['id'] = {"$in": header_ids}
+    headers = await db.inventory_headers.find(query, {"_id": 0}).sort("name", 1).to_list(1000)
+    if not headers:
+        raise HTTPException(status_code=400, detail="No inventory categories to count")
+    
+    sequence = await next_sequence("stock_take", await db.stock_takes.count_documents({}))
+    session = StockTake(
+        session_number=f"ST-{sequence:05d}",
+        lines=[
+            StockTakeLine(
+                header_id=header['id'],
+                header_name=header['name'],
+                system_qty=round(safe_float(header.get('current_qty')), 2),
+                system_weight=round(safe_float(header.get('current_weight')), 3)
+            )
+            for header in headers
+        ],
+        notes=session_data.get('notes'),
+        created_by=current_user.id,
+        created_by_name=current_user.full_name
+    )
+    await db.stock_takes.insert_one(convert_stock_take_to_decimal(session.model_dump()))
+    await create_audit_log(
+        current_user.id, current_user.full_name, "stock_take", session.id, "create",
+        {"session_number": session.session_number, "categories": len(headers)}
+    )
+    return await refresh_stock_take(session.model_dump())
+
+@api_router.patch("/inventory/stock-takes/{session_id}")
+async def update_stock_take(session_id: str, update_data: dict, current_user: User = Depends(require_permission('inventory.stocktake'))):
+    """
+    Save counts on an in-progress stock-take.
+    
+    lines: [{header_id, counted_qty, counted_weight, notes}] - a blank count
+    marks the category as not counted.
+    """
+    session = await get_stock_take_or_404(session_id)
+    require_stock_take_status(session, ["in_progress"], "update counts on")
+    
+    lines = decimal_to_float(session.get('lines', []))
+    lines_by_header = {line['header_id']: line for line in lines}
+    for entry in update_data.get('lines', []):
+        line = lines_by_header.get(entry.get('header_id'))
+        if not line:
+            raise HTTPException(status_code=400, detail="Category is not part of this stock-take")
+        for field, precision in [('counted_qty', 2), ('counted_weight', 3)]:
+            if field not in entry:
+                continue
+            value = entry[field]
+            if value is None or value == '':
+                line[field] = None
+                continue
+            try:
+                value = round(float(value), precision)
+            except (TypeError, ValueError):
+                raise HTTPException(status_code=400, detail=f"Counted {field.split('_')[1]} for {line['header_name']} must be a number")
+            if value < 0:
+                raise HTTPException(status_code=400, detail=f"Counted {field.split('_')[1]} for {line['header_name']} cannot be negative")
+            line[field] = value
+        if 'notes' in entry:
+            line['notes'] = entry['notes']
+    
+    update = {"lines": lines, "updated_at": datetime.now(timezone.utc)}
+    if 'notes' in update_data:
+        update['notes'] = update_data['notes']
+    await db.stock_takes.update_one({"id": session_id}, {"$set": convert_stock_take_to_decimal(update)})
+    return await get_stock_take(session_id, current_user)
+
+@api_router.post("/inventory/stock-takes/{session_id}/scan")
+async def scan_stock_take_tag(session_id: str, scan_data: dict, current_user: User = Depends(require_permission('inventory.stocktake'))):
+    """Count a tagged piece - adds 1 qty and its net weight to its category's count"""
+    session = await get_stock_take_or_404(session_id)
+    require_stock_take_status(session, ["in_progress"], "scan into")
+    
+    tag_number = (scan_data.get('tag_number') or '').strip().upper()
+    if not tag_number:
+        raise HTTPException(status_code=400, detail="Tag number is required")
+    piece = await db.tagged_items.find_one({"tag_number": tag_number, "is_deleted": False}, {"_id": 0})
+    if not piece:
+        raise HTTPException(status_code=404, detail=f"No piece found with tag {tag_number}")
+    
+    lines = decimal_to_float(session.get('lines', []))
+    if any(tag_number in line.get('scanned_tags', []) for line in lines):
+        raise HTTPException(status_code=400, detail=f"{tag_number} has already been counted in this stock-take")
+    if piece.get('status') not in COUNTABLE_TAGGED_ITEM_STATUSES:
+        raise HTTPException(
+            status_code=400,
+            detail=f"{tag_number} is marked {piece.get('status', '').replace('_', ' ')} in the register. Check the piece before counting it."
+        )
+    line = next((line for line in lines if line['header_id'] == piece['header_id']), None)
+    if not line:
+        raise HTTPException(status_code=400, detail=f"{piece['header_name']} is not part of this stock-take")
+    
+    line['counted_qty'] = round(safe_float(line.get('counted_qty')) + 1, 2)
+    line['counted_weight'] = round(safe_float(line.get('counted_weight')) + safe_float(piece.get('net_weight')), 3)
+    line['scanned_tags'] = line.get('scanned_tags', []) + [tag_number]
+    await db.stock_takes.update_one(
+        {"id": session_id},
+        {"$set": convert_stock_take_to_decimal({"lines": lines, "updated_at": datetime.now(timezone.utc)})}
+    )
+    return await get_stock_take(session_id, current_user)
+
+@api_router.post("/inventory/stock-takes/{session_id}/submit")
+async def submit_stock_take(session_id: str, current_user: User = Depends(require_permission('inventory.stocktake'))):
+    """Hand a counted stock-take to a manager for approval"""
+    session = await get_stock_take_or_404(session_id)
+    require_stock_take_status(session, ["in_progress"], "submit")
+    
+    lines = decimal_to_float(session.get('lines', []))
+    for line in lines:
+        if (line.get('counted_qty') is None) != (line.get('counted_weight') is None):
+            raise HTTPException(status_code=400, detail=f"Enter both counted qty and weight for {line['header_name']}")
+    if not any(line.get('counted_qty') is not None for line in lines):
+        raise HTTPException(status_code=400, detail="Count at least one category before submitting")
+    
+    await db.stock_takes.update_one(
+        {"id": session_id},
+        {"$set": {
+            "status": "submitted",
+            "submitted_at": datetime.now(timezone.utc),
+            "submitted_by": current_user.id,
+            "updated_at": datetime.now(timezone.utc)
+        }}
+    )
+    await create_audit_log(current_user.id, current_user.full_name, "stock_take", session_id, "submit",
+                          {"session_number": session['session_number']})
+    return await get_stock_take(session_id, current_user)
+
+@api_router.post("/inventory/stock-takes/{session_id}/reject")
+async def reject_stock_take(session_id: str, reject_data: dict, current_user: User = Depends(require_permission('inventory.stocktake_approve'))):
+    """Send a submitted stock-take back for recounting"""
+    session = await get_stock_take_or_404(session_id)
+    require_stock_take_status(session, ["submitted"], "send back")
+    
+    reason = (reject_data.get('reason') or '').strip()
+    if not reason:
+        raise HTTPException(status_code=400, detail="Give a reason for sending the stock-take back")
+    await db.stock_takes.update_one(
+        {"id": session_id},
+        {"$set": {"status": "in_progress", "approval_notes": reason, "updated_at": datetime.now(timezone.utc)}}
+    )
+    await create_audit_log(current_user.id, current_user.full_name, "stock_take", session_id, "reject",
+                          {"session_number": session['session_number'], "reason": reason})
+    return await get_stock_take(session_id, current_user)
+
+@api_router.post("/inventory/stock-takes/{session_id}/approve")
+async def approve_stock_take(session_id: str, approve_data: dict, current_user: User = Depends(require_permission('inventory.stocktake_approve'))):
+    """
+    Approve a submitted stock-take and post its reconciling adjustments.
+    
+    Variances are taken against book stock at approval time, so movements made
+    while counting are accounted for. Each counted category with a variance
+    gets one Adjustment movement (negative for shortages) and its stock is set
+    to the counted figures. Book figures and variances are frozen on the session.
+    """
+    session = await get_stock_take_or_404(session_id)
+    require_stock_take_status(session, ["submitted"], "approve")
+    
+    session = await refresh_stock_take(session)
+    average_purities = await get_category_average_purities()
+    approval_reason = f"Stock-take {session['session_number']} approved by {current_user.full_name}"
+    movement_ids = []
+    for line in session['lines']:
+        if line.get('qty_variance') is None or (line['qty_variance'] == 0 and line['weight_variance'] == 0):
+            continue
+        header = await db.inventory_headers.find_one({"id": line['header_id'], "is_deleted": False}, {"_id": 0})
+        if not header:
+            continue
+        movement = StockMovement(
+            movement_type="Adjustment",
+            header_id=header['id'],
+            header_name=header['name'],
+            description=f"Stock-take {session['session_number']} variance",
+            qty_delta=line['qty_variance'],
+            weight_delta=line['weight_variance'],
+            purity=int(round(average_purities.get(header['id'], 916))),
+            reference_type="stock_take",
+            reference_id=session_id,
+            notes=line.get('notes'),
+            confirmation_reason=approval_reason,
+            created_by=current_user.id
+        )
+        await db.stock_movements.insert_one(convert_stock_movement_to_decimal(movement.model_dump()))
+        await db.inventory_headers.update_one(
+            {"id": header['id']},
+            {"$set": {"current_qty": line['counted_qty'], "current_weight": line['counted_weight']}}
+        )
+        movement_ids.append(movement.id)
+    
+    lines = [StockTakeLine(**line).model_dump() for line in session['lines']]
+    now = datetime.now(timezone.utc)
+    await db.stock_takes.update_one(
+        {"id": session_id},
+        {"$set": convert_stock_take_to_decimal({
+            "status": "approved",
+            "lines": lines,
+            "movement_ids": movement_ids,
+            "approved_at": now,
+            "approved_by": current_user.id,
+            "approved_by_name": current_user.full_name,
+            "approval_notes": approve_data.get('approval_notes'),
+            "updated_at": now
+        })}
+    )
+    await create_audit_log(
+        current_user.id, current_user.full_name, "stock_take", session_id, "approve",
+        {
+            "session_number": session['session_number'],
+            "adjustments": len(movement_ids),
+            "qty_variance": session['summary']['qty_variance'],
+            "weight_variance": session['summary']['weight_variance']
+        }
+    )
+    return await get_stock_take(session_id, current_user)
+
+@api_router.post("/inventory/stock-takes/{session_id}/cancel")
+async def cancel_stock_take(session_id: str, current_user: User = Depends(require_permission('inventory.stocktake'))):
+    """Abandon an open stock-take - nothing is posted"""
+    session = await get_stock_take_or_404(session_id)
+    require_stock_take_status(session, OPEN_STOCK_TAKE_STATUSES, "cancel")
+    # A submitted count is waiting on a manager - only an approver can throw it away
+    if session.get('status') == "submitted" and not user_has_permission(current_user, 'inventory.stocktake_approve'):
+        raise HTTPException(
+            status_code=status.HTTP_403_FORBIDDEN,
+            detail=f"Stock-take {session['session_number']} is waiting for approval - only an approver can cancel it"
+        )
+    
+    await db.stock_takes.update_one(
+        {"id": session_id},
+        {"$set": {"status": "cancelled", "updated_at": datetime.now(timezone.utc)}}
+    )
+    await create_audit_log(current_user.id, current_user.full_name, "stock_take", session_id, "cancel",
+                          {"session_number": session['session_number']})
+    return await get_stock_take(session_id, current_user)
+
+
 # ============================================================================
 # BACKUP & RESTORE API ENDPOINTS
 # ============================================================================
@@ -13009,6 +18035,476 @@ async def verify_backup(
         )
 
 
+# ============================================================================
+# CUSTOMER NOTIFICATION ENDPOINTS (SMS / WhatsApp outbox)
+# ============================================================================
+
+# Hours between automatic delivery reminder runs; 0 turns the background run off
+NOTIFICATION_REMINDER_INTERVAL_HOURS = float(os.environ.get("NOTIFICATION_REMINDER_INTERVAL_HOURS", "6"))
+# Reminders go out this many days before the promised delivery date
+NOTIFICATION_REMINDER_DAYS_AHEAD = 1
+
+def render_notification_template(body: str, context: dict) -> str:
+    """Fill {placeholders}; unknown ones are left as typed so a template mistake is visible"""
+    return re.sub(
+        r"\{(\w+)\}",
+        lambda m: str(context[m.group(1)]) if context.get(m.group(1)) is not None else m.group(0),
+        body
+    )
+
+def format_notification_date(value) -> str:
+    if not value:
+        return "-"
+    try:
+        return datetime.strptime(str(value)[:10], "%Y-%m-%d").strftime("%d %b %Y")
+    except ValueError:
+        return str(value)
+
+async def get_notification_templates() -> dict:
+    """Saved templates by event, with the default message for events never edited"""
+    saved = {t["event"]: t for t in await db.notification_templates.find({}, {"_id": 0}).to_list(100)}
+    templates = {}
+    for event, config in NOTIFICATION_EVENTS.items():
+        template = saved.get(event) or NotificationTemplate(event=event, body=config["default_body"]).model_dump()
+        templates[event] = {**template, "label": config["label"], "placeholders": config["placeholders"]}
+    return templates
+
+async def get_customer_contact(doc: dict) -> tuple:
+    """(name, phone) of a job card or invoice customer - walk-ins carry their own phone"""
+    if doc.get("customer_type") == "walk_in":
+        return doc.get("walk_in_name"), doc.get("walk_in_phone")
+    name = doc.get("customer_name")
+    phone = None
+    if doc.get("customer_id"):
+        party = await db.parties.find_one({"id": doc["customer_id"]}, {"_id": 0, "name": 1, "phone": 1})
+        if party:
+            name = name or party.get("name")
+            phone = party.get("phone")
+    return name, phone
+
+async def dispatch_notification(notification: dict) -> dict:
+    """Hand a message to the active sender adapter and record the outcome"""
+    update = {"attempts": notification.get("attempts", 0) + 1}
+    try:
+        sender = get_sender()
+        update["sender"] = sender.name
+        # Adapters are synchronous (file writes, HTTP calls), so keep them off the event loop
+        reference = await asyncio.to_thread(sender.send, notification["channel"], notification["recipient_phone"], notification["message"])
+        update.update({"status": "sent", "provider_reference": reference, "error": None, "sent_at": datetime.now(timezone.utc)})
+    except Exception as e:
+        logger.warning(f"Notification {notification['id']} failed: {e}")
+        update.update({"status": "failed", "error": str(e)})
+    await db.notifications.update_one({"id": notification["id"]}, {"$set": update})
+    return {**notification, **update}
+
+async def queue_customer_notification(
+    event: str,
+    customer_doc: dict,
+    context: dict,
+    reference_type: str,
+    reference_id: str,
+    reference_number: Optional[str] = None,
+    created_by: Optional[str] = None,
+    dedupe_key: Optional[str] = None
+) -> Optional[dict]:
+    """
+    Render the event's template into the outbox and try to send it straight away.
+    Never raises: a messaging problem must not undo the sale, payment or job card
+    update that triggered it.
+    """
+    try:
+        template = (await get_notification_templates())[event]
+        if not template.get("is_active", True):
+            return None
+        if dedupe_key and await db.notifications.find_one({"dedupe_key": dedupe_key}, {"_id": 1}):
+            return None
+        
+        name, phone = await get_customer_contact(customer_doc)
+        shop = ShopSettings(**decimal_to_float(await db.shop_settings.find_one({}, {"_id": 0}) or {}))
+        full_context = {"customer_name": name or "Customer", "shop_name": shop.shop_name, "shop_phone": shop.phone, **context}
+        
+        notification = Notification(
+            event=event,
+            channel=template.get("channel", "sms"),
+            recipient_name=name,
+            recipient_phone=(phone or "").strip() or None,
+            message=render_notification_template(template["body"], full_context),
+            reference_type=reference_type,
+            reference_id=reference_id,
+            reference_number=reference_number,
+            dedupe_key=dedupe_key,
+            created_by=created_by
+        )
+        if not notification.recipient_phone:
+            notification.status = "skipped"
+            notification.error = "Customer has no phone number"
+        await db.notifications.insert_one(notification.model_dump())
+        
+        if notification.status == "queued":
+            return await dispatch_notification(notification.model_dump())
+        return notification.model_dump()
+    except Exception as e:
+        logger.error(f"Could not queue {event} notification for {reference_type} {reference_id}: {e}")
+        return None
+
+async def notify_jobcard_completed(jobcard: dict, created_by: Optional[str] = None):
+    await queue_customer_notification(
+        "jobcard_completed",
+        jobcard,
+        {
+            "job_card_number": jobcard.get("job_card_number"),
+            "item_count": len(jobcard.get("items", [])),
+            "delivery_date": format_notification_date(jobcard.get("delivery_date"))
+        },
+        "jobcard", jobcard["id"], jobcard.get("job_card_number"), created_by,
+        # A card moved back for rework and completed again must not message the customer twice
+        dedupe_key=f"jobcard_completed:{jobcard['id']}"
+    )
+
+async def notify_invoice_balance_due(invoice: dict, created_by: Optional[str] = None):
+    balance_due = safe_float(invoice.get("balance_due"))
+    if balance_due <= 0.001:
+        return
+    await queue_customer_notification(
+        "invoice_balance_due",
+        invoice,
+        {
+            "invoice_number": invoice.get("invoice_number"),
+            "grand_total": f"{safe_float(invoice.get('grand_total')):.3f}",
+            "paid_amount": f"{safe_float(invoice.get('paid_amount')):.3f}",
+            "balance_due": f"{balance_due:.3f}"
+        },
+        "invoice", invoice["id"], invoice.get("invoice_number"), created_by
+    )
+
+async def notify_payment_received(invoice: dict, amount: float, payment_mode: str, balance_due: float, created_by: Optional[str] = None):
+    await queue_customer_notification(
+        "payment_received",
+        invoice,
+        {
+            "invoice_number": invoice.get("invoice_number"),
+            "amount": f"{amount:.3f}",
+            "payment_mode": payment_mode,
+            "balance_due": f"{max(0, balance_due):.3f}"
+        },
+        "invoice", invoice["id"], invoice.get("invoice_number"), created_by
+    )
+
+async def send_delivery_reminders(today_date, days_ahead: int = NOTIFICATION_REMINDER_DAYS_AHEAD, created_by: Optional[str] = None) -> dict:
+    """
+    Queue a reminder for every open job card promised for delivery `days_ahead` days
+    from today. Safe to run repeatedly - each card gets one reminder per delivery date.
+    """
+    target = (today_date + timedelta(days=days_ahead)).isoformat()
+    jobcards = await db.jobcards.find({
+        "is_deleted": False,
+        "card_type": {"$ne": "template"},
+        "status": {"$in": ["created", "pending", "in_progress"]},
+        "delivery_date": {"$regex": f"^{target}"}
+    }, {"_id": 0}).to_list(1000)
+    
+    queued = 0
+    for jc in jobcards:
+        result = await queue_customer_notification(
+            "delivery_reminder",
+            jc,
+            {"job_card_number": jc.get("job_card_number"), "delivery_date": format_notification_date(jc.get("delivery_date"))},
+            "jobcard", jc["id"], jc.get("job_card_number"), created_by,
+            dedupe_key=f"delivery_reminder:{jc['id']}:{target}"
+        )
+        if result:
+            queued += 1
+    return {"delivery_date": target, "jobcards_due": len(jobcards), "reminders_queued": queued}
+
+async def delivery_reminder_loop():
+    """Background task: send delivery reminders every NOTIFICATION_REMINDER_INTERVAL_HOURS"""
+    while True:
+        try:
+            result = await send_delivery_reminders(datetime.now(timezone.utc).date(), created_by="system")
+            if result["reminders_queued"]:
+                logger.info(f"Delivery reminders queued: {result['reminders_queued']} for {result['delivery_date']}")
+        except Exception as e:
+            logger.error(f"Delivery reminder run failed: {e}")
+        await asyncio.sleep(NOTIFICATION_REMINDER_INTERVAL_HOURS * 3600)
+
+@api_router.get("/notifications/templates")
+async def list_notification_templates(current_user: User = Depends(require_permission('users.update'))):
+    """Message templates for every notification event"""
+    templates = await get_notification_templates()
+    return {"items": list(templates.values()), "channels": NOTIFICATION_CHANNELS}
+
+@api_router.put("/notifications/templates/{event}")
+async def update_notification_template(event: str, template_data: dict, current_user: User = Depends(require_permission('users.update'))):
+    """Edit the message, channel or on/off switch of an event's template"""
+    if event not in NOTIFICATION_EVENTS:
+        raise HTTPException(status_code=404, detail="Unknown notification event")
+    current = (await get_notification_templates())[event]
+    
+    body = template_data.get("body", current["body"])
+    if not body or not str(body).strip():
+        raise HTTPException(status_code=400, detail="Message body is required")
+    channel = template_data.get("channel", current.get("channel", "sms"))
+    if channel not in NOTIFICATION_CHANNELS:
+        raise HTTPException(status_code=400, detail=f"Invalid channel. Must be one of: {', '.join(NOTIFICATION_CHANNELS)}")
+    
+    template = NotificationTemplate(
+        event=event,
+        channel=channel,
+        body=str(body).strip(),  # Plain text for SMS / WhatsApp - HTML-escaping would send &amp; to the customer
+        is_active=bool(template_data.get("is_active", current.get("is_active", True))),
+        updated_by=current_user.username
+    )
+    await db.notification_templates.update_one({"event": event}, {"$set": template.model_dump()}, upsert=True)
+    await create_audit_log(current_user.id, current_user.full_name, "settings", f"notification_template:{event}", "update", template.model_dump())
+    
+    return {**template.model_dump(), "label": NOTIFICATION_EVENTS[event]["label"], "placeholders": NOTIFICATION_EVENTS[event]["placeholders"]}
+
+@api_router.get("/notifications/outbox")
+async def get_notification_outbox(
+    status: Optional[str] = None,
+    event: Optional[str] = None,
+    page: int = 1,
+    page_size: int = 20,
+    current_user: User = Depends(require_permission('users.update'))
+):
+    """Messages in the outbox, newest first, with the active sender adapter"""
+    query = {}
+    if status:
+        query["status"] = status
+    if event:
+        query["event"] = event
+    
+    skip = (page - 1) * page_size
+    total_count = await db.notifications.count_documents(query)
+    items = await db.notifications.find(query, {"_id": 0}).sort("created_at", -1).skip(skip).limit(page_size).to_list(page_size)
+    
+    response = create_pagination_response(items, total_count, page, page_size)
+    try:
+        response["sender"] = get_sender().name
+    except Exception as e:
+        response["sender"] = None
+        response["sender_error"] = str(e)
+    return response
+
+@api_router.post("/notifications/{notification_id}/retry")
+async def retry_notification(notification_id: str, retry_data: dict = None, current_user: User = Depends(require_permission('users.update'))):
+    """Send a failed or skipped message again, optionally to a corrected phone number"""
+    notification = await db.notifications.find_one({"id": notification_id}, {"_id": 0})
+    if not notification:
+        raise HTTPException(status_code=404, detail="Notification not found")
+    if notification["status"] == "sent":
+        raise HTTPException(status_code=400, detail="Notification has already been sent")
+    
+    phone = ((retry_data or {}).get("recipient_phone") or notification.get("recipient_phone") or "").strip()
+    if not phone:
+        raise HTTPException(status_code=400, detail="A phone number is required to send this notification")
+    notification["recipient_phone"] = phone
+    await db.notifications.update_one({"id": notification_id}, {"$set": {"recipient_phone": phone}})
+    
+    result = await dispatch_notification(notification)
+    await create_audit_log(current_user.id, current_user.full_name, "notification", notification_id, "retry", {"status": result["status"]})
+    return result
+
+@api_router.post("/notifications/delivery-reminders/run")
+async def run_delivery_reminders(run_data: dict = None, current_user: User = Depends(require_permission('users.update'))):
+    """
+    Queue delivery reminders now instead of waiting for the background run.
+    Body (optional): today (caller's local YYYY-MM-DD), days_ahead (default 1).
+    """
+    run_data = run_data or {}
+    today_date = datetime.now(timezone.utc).date()
+    if run_data.get("today"):
+        try:
+            today_date = datetime.strptime(run_data["today"], "%Y-%m-%d").date()
+        except ValueError:
+            raise HTTPException(status_code=400, detail="Invalid today format. Use YYYY-MM-DD")
+    try:
+        days_ahead = int(run_data.get("days_ahead", NOTIFICATION_REMINDER_DAYS_AHEAD))
+    except (TypeError, ValueError):
+        raise HTTPException(status_code=400, detail="days_ahead must be a whole number")
+    if days_ahead < 0 or days_ahead > 30:
+        raise HTTPException(status_code=400, detail="days_ahead must be between 0 and 30")
+    
+    return await send_delivery_reminders(today_date, days_ahead, created_by=current_user.username)
+
+
+# ============================================================================
+# ITEM PHOTO ENDPOINTS (job card, invoice and return line photos)
+# ============================================================================
+
+PHOTO_DIR = ROOT_DIR / "uploads" / "photos"
+PHOTO_DIR.mkdir(parents=True, exist_ok=True)
+PHOTO_CONTENT_TYPES = {"image/jpeg": ".jpg", "image/png": ".png", "image/webp": ".webp"}
+MAX_PHOTO_BYTES = 5 * 1024 * 1024
+
+# Documents whose lines can carry photos, with the permission needed to add or remove one.
+# Photos are evidence of the piece, so they can still be added once a document is locked,
+# but only removed while it is open.
+PHOTO_PARENTS = {
+    "jobcards": {"label": "Job card", "permission": "jobcards.update", "audit_module": "jobcard"},
+    "invoices": {"label": "Invoice", "permission": "invoices.create", "audit_module": "invoice"},
+    "returns": {"label": "Return", "permission": "returns.create", "audit_module": "returns"},
+}
+
+async def normalize_item_photos(photos) -> list:
+    """
+    Resolve the photos sent with a line item to their uploaded records.
+    Only the photo id is taken from the client - file name, content type and
+    the rest come from db.photos, so a line can only point at a real upload.
+    """
+    if not photos:
+        return []
+    if not isinstance(photos, list):
+        raise HTTPException(status_code=400, detail="Item photos must be a list")
+    photo_ids = []
+    for photo in photos:
+        photo_id = photo.get("id") if isinstance(photo, dict) else None
+        if not photo_id:
+            raise HTTPException(status_code=400, detail="Invalid item photo")
+        if photo_id not in photo_ids:
+            photo_ids.append(photo_id)
+    
+    stored = {p["id"]: p for p in await db.photos.find({"id": {"$in": photo_ids}}, {"_id": 0}).to_list(len(photo_ids))}
+    missing = [photo_id for photo_id in photo_ids if photo_id not in stored]
+    if missing:
+        raise HTTPException(status_code=400, detail="Item photo not found - upload it again")
+    return [ItemPhoto(**stored[photo_id]).model_dump() for photo_id in photo_ids]
+
+def photo_parent_is_open(parent: str, doc: dict) -> bool:
+    """True while a document's line photos may still be removed"""
+    if parent == "invoices":
+        return doc.get("status") == "draft"
+    if parent == "jobcards":
+        return not doc.get("locked") and doc.get("status") != "delivered"
+    return doc.get("status") == "draft"
+
+async def get_photo_parent_item(parent: str, doc_id: str, item_id: str, current_user: User) -> tuple:
+    """Load the document and line a photo is attached to, checking the caller may change it"""
+    config = PHOTO_PARENTS.get(parent)
+    if not config:
+        raise HTTPException(status_code=404, detail="Photos are not supported for this document type")
+    if not user_has_permission(current_user, config["permission"]):
+        raise HTTPException(status_code=403, detail=f"Permission denied: {config['permission']} required")
+    
+    doc = await db[parent].find_one({"id": doc_id, "is_deleted": False}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail=f"{config['label']} not found")
+    item = next((i for i in doc.get("items", []) if i.get("id") == item_id), None)
+    if not item:
+        raise HTTPException(status_code=404, detail="Item not found")
+    return doc, item
+
+@api_router.post("/photos", status_code=201)
+async def upload_photo(
+    file: UploadFile = File(...),
+    stage: str = Form("intake"),
+    caption: Optional[str] = Form(None),
+    current_user: User = Depends(get_current_user)
+):
+    """
+    Upload a photo of a piece and store it on local disk.
+    The returned photo is then attached to a line item, either inside the item
+    sent with a job card or through the item photo endpoint.
+    """
+    if stage not in PHOTO_STAGES:
+        raise HTTPException(status_code=400, detail=f"Invalid stage. Must be one of: {', '.join(PHOTO_STAGES)}")
+    extension = PHOTO_CONTENT_TYPES.get(file.content_type)
+    if not extension:
+        raise HTTPException(status_code=400, detail="Only JPEG, PNG or WebP photos can be uploaded")
+    
+    data = await file.read()
+    if not data:
+        raise HTTPException(status_code=400, detail="Photo file is empty")
+    if len(data) > MAX_PHOTO_BYTES:
+        raise HTTPException(status_code=400, detail=f"Photo is larger than {MAX_PHOTO_BYTES // (1024 * 1024)} MB")
+    try:
+        Image.open(io.BytesIO(data)).verify()
+    except Exception:
+        raise HTTPException(status_code=400, detail="File is not a valid image")
+    
+    photo_id = str(uuid.uuid4())
+    photo = ItemPhoto(
+        id=photo_id,
+        file_name=f"{photo_id}{extension}",
+        content_type=file.content_type,
+        size=len(data),
+        stage=stage,
+        caption=sanitize_text_field(caption) if caption else None,
+        uploaded_by=current_user.username
+    )
+    (PHOTO_DIR / photo.file_name).write_bytes(data)
+    await db.photos.insert_one(photo.model_dump())
+    
+    return photo.model_dump()
+
+@api_router.get("/photos/{photo_id}")
+async def get_photo(photo_id: str, current_user: User = Depends(get_current_user)):
+    """Serve a stored photo"""
+    photo = await db.photos.find_one({"id": photo_id}, {"_id": 0})
+    if not photo:
+        raise HTTPException(status_code=404, detail="Photo not found")
+    path = PHOTO_DIR / photo["file_name"]
+    if not path.is_file():
+        raise HTTPException(status_code=404, detail="Photo file is missing")
+    return FileResponse(path, media_type=photo["content_type"])
+
+@api_router.post("/{parent}/{doc_id}/items/{item_id}/photos", status_code=201)
+async def add_item_photo(
+    parent: str,
+    doc_id: str,
+    item_id: str,
+    data: dict,
+    current_user: User = Depends(get_current_user)
+):
+    """Attach an uploaded photo to a job card, invoice or return line"""
+    _, item = await get_photo_parent_item(parent, doc_id, item_id, current_user)
+    
+    photo = await db.photos.find_one({"id": data.get("photo_id")}, {"_id": 0})
+    if not photo:
+        raise HTTPException(status_code=404, detail="Photo not found")
+    if any(p.get("id") == photo["id"] for p in item.get("photos") or []):
+        raise HTTPException(status_code=400, detail="Photo is already attached to this item")
+    
+    photo = ItemPhoto(**photo).model_dump()
+    await db[parent].update_one(
+        {"id": doc_id, "items.id": item_id},
+        {"$push": {"items.$.photos": photo}}
+    )
+    await create_audit_log(
+        current_user.id, current_user.full_name, PHOTO_PARENTS[parent]["audit_module"], doc_id, "add_item_photo",
+        {"item_id": item_id, "photo_id": photo["id"], "stage": photo["stage"]}
+    )
+    return photo
+
+@api_router.delete("/{parent}/{doc_id}/items/{item_id}/photos/{photo_id}")
+async def remove_item_photo(
+    parent: str,
+    doc_id: str,
+    item_id: str,
+    photo_id: str,
+    current_user: User = Depends(get_current_user)
+):
+    """Detach a photo from a line. The stored file is kept for the audit trail."""
+    doc, item = await get_photo_parent_item(parent, doc_id, item_id, current_user)
+    if not any(p.get("id") == photo_id for p in item.get("photos") or []):
+        raise HTTPException(status_code=404, detail="Photo is not attached to this item")
+    if not photo_parent_is_open(parent, doc):
+        raise HTTPException(
+            status_code=400,
+            detail=f"{PHOTO_PARENTS[parent]['label']} is locked - its photos can no longer be removed"
+        )
+    
+    await db[parent].update_one(
+        {"id": doc_id, "items.id": item_id},
+        {"$pull": {"items.$.photos": {"id": photo_id}}}
+    )
+    await create_audit_log(
+        current_user.id, current_user.full_name, PHOTO_PARENTS[parent]["audit_module"], doc_id, "remove_item_photo",
+        {"item_id": item_id, "photo_id": photo_id}
+    )
+    return {"message": "Photo removed"}
+
+
 app.include_router(api_router)
 
 
@@ -13137,6 +18633,15 @@ async def startup_db_init():
     except Exception as e:
         logger.warning(f"Database initialization warning: {e}")
 
+@app.on_event("startup")
+async def start_delivery_reminders():
+    """Run job card delivery reminders in the background (see NOTIFICATION_REMINDER_INTERVAL_HOURS)"""
+    if NOTIFICATION_REMINDER_INTERVAL_HOURS > 0:
+        app.state.delivery_reminder_task = asyncio.create_task(delivery_reminder_loop())
+
 @app.on_event("shutdown")
 async def shutdown_db_client():
+    task = getattr(app.state, "delivery_reminder_task", None)
+    if task:
+        task.cancel()
     client.close()
\ No newline at end of file
@@ -109,6 +109,18 @@ def validate_percentage(percentage: float) -> float:
         raise ValueError('Percentage must be between 0 and 100')
     return percentage
 
+def validate_oman_vatin(vatin: Optional[str]) -> Optional[str]:
+    """
+    Normalise an Oman VAT registration number (VATIN): "OM" followed by 10 digits.
+    Spaces are dropped and the prefix upper-cased; empty means not registered.
+    """
+    if vatin is None:
+        return None
+    vatin = re.sub(r'\s', '', sanitize_html(vatin)).upper()
+    if vatin and not re.match(r'^OM\d{10}$', vatin):
+        raise ValueError('VATIN must be "OM" followed by 10 digits, e.g. OM1100012345')
+    return vatin or None
+
 def validate_purity(purity: int) -> int:
     """
     Validate gold purity is within acceptable range (1-999).
@@ -125,6 +137,7 @@ class PartyValidator(BaseModel):
     address: Optional[str] = Field(None, max_length=500)
     party_type: str = Field(..., pattern="^(customer|vendor|worker)$")
     notes: Optional[str] = Field(None, max_length=1000)
+    vatin: Optional[str] = Field(None, max_length=20)  # Oman VAT registration number - business customers only
     
     @validator('name')
     def sanitize_name(cls, v):
@@ -155,6 +168,10 @@ class PartyValidator(BaseModel):
     @validator('notes')
     def sanitize_notes(cls, v):
         return sanitize_text_field(v, max_length=1000)
+    
+    @validator('vatin')
+    def check_vatin(cls, v):
+        return validate_oman_vatin(v)
 
 class StockMovementValidator(BaseModel):
     movement_type: str = Field(..., pattern="^(Stock IN|Stock OUT|Adjustment IN|Adjustment OUT|Transfer)$")
@@ -12,6 +12,8 @@ import Dashboard from './pages/Dashboard';
 import InventoryPage from './pages/InventoryPage';
 import JobCardsPage from './pages/JobCardsPage';
 import InvoicesPage from './pages/InvoicesPage';
+import QuotationsPage from './pages/QuotationsPage';
+import CreditNotesPage from './pages/CreditNotesPage';
 import PartiesPage from './pages/PartiesPage';
 import FinancePage from './pages/FinancePage';
 import DailyClosingPage from './pages/DailyClosingPage';
@@ -22,6 +24,10 @@ import PurchasesPage from './pages/PurchasesPage';
 import WorkersPage from './pages/WorkersPage';
 import ReturnsPage from './pages/ReturnsPage';
 import WorkTypesPage from './pages/WorkTypesPage';
+import GoldRatesPage from './pages/GoldRatesPage';
+import TaggedItemsPage from './pages/TaggedItemsPage';
+import StockTakePage from './pages/StockTakePage';
+import StockLedgerPage from './pages/StockLedgerPage';
 
 function App() {
   return (
@@ -52,6 +58,42 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/inventory/items"
+            element={
+              <ProtectedRoute>
+                <PermissionProtectedRoute permission="inventory.view">
+                  <DashboardLayout>
+                    <TaggedItemsPage />
+                  </DashboardLayout>
+                </PermissionProtectedRoute>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/inventory/stock-take"
+            element={
+              <ProtectedRoute>
+                <PermissionProtectedRoute permission="inventory.view">
+                  <DashboardLayout>
+                    <StockTakePage />
+                  </DashboardLayout>
+                </PermissionProtectedRoute>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/inventory/ledger"
+            element={
+              <ProtectedRoute>
+                <PermissionProtectedRoute permission="inventory.view">
+                  <DashboardLayout>
+                    <StockLedgerPage />
+                  </DashboardLayout>
+                </PermissionProtectedRoute>
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/jobcards"
             element={
@@ -76,6 +118,30 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/quotations"
+            element={
+              <ProtectedRoute>
+                <PermissionProtectedRoute permission="invoices.view">
+                  <DashboardLayout>
+                    <QuotationsPage />
+                  </DashboardLayout>
+                </PermissionProtectedRoute>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/credit-notes"
+            element={
+              <ProtectedRoute>
+                <PermissionProtectedRoute permission="invoices.view">
+                  <DashboardLayout>
+                    <CreditNotesPage />
+                  </DashboardLayout>
+                </PermissionProtectedRoute>
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/parties"
             element={
@@ -190,6 +256,16 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/gold-rates"
+            element={
+              <ProtectedRoute>
+                <DashboardLayout>
+                  <GoldRatesPage />
+                </DashboardLayout>
+              </ProtectedRoute>
+            }
+          />
           <Route path="/" element={<Navigate to="/login" replace />} />
         </Routes>
       </BrowserRouter>
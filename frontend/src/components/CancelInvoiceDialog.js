@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+import { API } from '../contexts/AuthContext';
+import { formatCurrency } from '../utils/numberFormat';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from './ui/dialog';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { toast } from 'sonner';
+import { AlertTriangle, Ban } from 'lucide-react';
+
+/**
+ * Cancels a finalized invoice: the server issues a numbered credit note and
+ * reverses its stock, payments and gold entries. The invoice itself is kept.
+ */
+export const CancelInvoiceDialog = ({ invoice, onOpenChange, onCancelled }) => {
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (invoice) setReason('');
+  }, [invoice]);
+
+  const handleConfirm = async () => {
+    if (!reason.trim()) {
+      toast.error('Enter the reason for cancelling');
+      return;
+    }
+    try {
+      setSaving(true);
+      const response = await API.post(`/api/invoices/${invoice.id}/cancel`, { reason: reason.trim() });
+      toast.success(response.data.message);
+      onOpenChange(false);
+      if (onCancelled) onCancelled(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to cancel invoice');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!invoice} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Cancel Invoice {invoice?.invoice_number}</DialogTitle>
+        </DialogHeader>
+        {invoice && (
+          <div className="space-y-4 mt-2">
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+              <AlertTriangle className="w-5 h-5 text-red-600 mt-0.5 flex-shrink-0" />
+              <div className="text-sm text-red-800 space-y-1">
+                <p className="font-semibold">A credit note will be issued for {formatCurrency(invoice.grand_total)} OMR</p>
+                <p>Sold stock goes back in, the {formatCurrency(invoice.paid_amount)} OMR received is reversed from its accounts and any gold used is returned to the customer's balance. The invoice stays on record as cancelled.</p>
+              </div>
+            </div>
+            <div>
+              <Label>Reason *</Label>
+              <Textarea
+                data-testid="cancel-invoice-reason"
+                rows={3}
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="e.g., Customer returned the full order"
+              />
+            </div>
+            <div className="flex gap-3">
+              <Button variant="outline" className="flex-1" onClick={() => onOpenChange(false)} disabled={saving}>
+                Keep Invoice
+              </Button>
+              <Button
+                data-testid="confirm-cancel-invoice"
+                className="flex-1 bg-red-600 hover:bg-red-700"
+                onClick={handleConfirm}
+                disabled={saving}
+              >
+                <Ban className="w-4 h-4 mr-2" /> {saving ? 'Cancelling...' : 'Cancel & Issue Credit Note'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default CancelInvoiceDialog;
@@ -351,6 +351,7 @@ export function ConfirmationDialog({
                       Outstanding Balances: {impact.money_outstanding > 0 && `${impact.money_outstanding} OMR`}
                       {impact.money_outstanding > 0 && impact.gold_balance_grams !== 0 && ', '}
                       {impact.gold_balance_grams !== 0 && `${Math.abs(impact.gold_balance_grams)}g gold`}
+                      {impact.gold_balance_grams !== 0 && impact.fine_gold_balance_grams != null && ` (${Math.abs(impact.fine_gold_balance_grams)}g fine)`}
                     </p>
                   )}
                 </div>
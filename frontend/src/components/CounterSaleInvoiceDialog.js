@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { API } from '../contexts/AuthContext';
+import { formatCurrency } from '../utils/numberFormat';
+import { useCurrentGoldRate } from '../hooks/useCurrentGoldRate';
+import { emptySaleLine, getSaleTotals, getVatBasis, toSaleLinePayload } from '../utils/saleLines';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from './ui/dialog';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { SaleLinesEditor } from './SaleLinesEditor';
+import { toast } from 'sonner';
+
+const emptyForm = () => ({
+  customer_type: 'walk_in',
+  customer_id: '',
+  walk_in_name: '',
+  walk_in_phone: '',
+  customer_vatin: '',
+  discount_amount: '',
+  notes: '',
+  items: [emptySaleLine()]
+});
+
+/**
+ * Counter sale of ready-made jewellery: builds a draft invoice directly, without a job card.
+ * Totals preview with the same maths the server applies (invoice_calculator.py).
+ */
+export const CounterSaleInvoiceDialog = ({ open, onOpenChange, onCreated }) => {
+  const { getRate } = useCurrentGoldRate();
+  const [formData, setFormData] = useState(emptyForm());
+  const [parties, setParties] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [vatBasis, setVatBasis] = useState(getVatBasis());
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setFormData(emptyForm());
+    API.get(`/api/parties?party_type=customer&page_size=1000`)
+      .then(response => setParties(response.data.items || []))
+      .catch(() => setParties([]));
+    API.get(`/api/inventory/headers`, { params: { page_size: 1000 } })
+      .then(response => setCategories((response.data.items || []).map(header => header.name)))
+      .catch(() => setCategories([]));
+    API.get(`/api/settings/shop`)
+      .then(response => setVatBasis(getVatBasis(response.data)))
+      .catch(() => setVatBasis(getVatBasis()));
+  }, [open]);
+
+  const totals = getSaleTotals(formData.items, formData.discount_amount, getRate, vatBasis);
+
+  const handleSave = async () => {
+    if (formData.customer_type === 'saved' && !formData.customer_id) {
+      toast.error('Select a customer');
+      return;
+    }
+    if (formData.customer_type === 'walk_in' && !formData.walk_in_name.trim()) {
+      toast.error('Enter the customer name');
+      return;
+    }
+    if (formData.items.some(line => !line.description.trim())) {
+      toast.error('Every item needs a description');
+      return;
+    }
+    if (formData.items.some(line => !(parseFloat(line.metal_rate) > 0) && !getRate(line.purity))) {
+      toast.error('Enter a gold rate - none is published for one of the purities');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await API.post(`/api/invoices`, {
+        invoice_type: 'sale',
+        customer_type: formData.customer_type,
+        customer_id: formData.customer_type === 'saved' ? formData.customer_id : undefined,
+        walk_in_name: formData.customer_type === 'walk_in' ? formData.walk_in_name : undefined,
+        walk_in_phone: formData.customer_type === 'walk_in' ? formData.walk_in_phone : undefined,
+        customer_vatin: formData.customer_type === 'walk_in' ? formData.customer_vatin || undefined : undefined,
+        discount_amount: parseFloat(formData.discount_amount) || 0,
+        notes: formData.notes,
+        items: formData.items.map(toSaleLinePayload)
+      });
+      toast.success(`Draft invoice ${response.data.invoice_number} created`);
+      onOpenChange(false);
+      if (onCreated) onCreated(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to create invoice');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-6xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>New Counter Sale Invoice</DialogTitle>
+        </DialogHeader>
+        <div className="space-y-4 mt-2">
+          <div className="flex gap-6">
+            {[['walk_in', 'Walk-in Customer'], ['saved', 'Saved Customer']].map(([value, label]) => (
+              <label key={value} className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="radio"
+                  name="counter_sale_customer_type"
+                  value={value}
+                  checked={formData.customer_type === value}
+                  onChange={() => setFormData({ ...formData, customer_type: value })}
+                  className="w-4 h-4"
+                />
+                <span className="font-medium">{label}</span>
+              </label>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-4 gap-4">
+            {formData.customer_type === 'saved' ? (
+              <div className="col-span-2">
+                <Label>Customer *</Label>
+                <Select value={formData.customer_id} onValueChange={(value) => setFormData({ ...formData, customer_id: value })}>
+                  <SelectTrigger data-testid="counter-sale-customer-select"><SelectValue placeholder="Select customer" /></SelectTrigger>
+                  <SelectContent>
+                    {parties.map(p => (
+                      <SelectItem key={p.id} value={p.id}>{p.name}{p.phone ? ` (${p.phone})` : ''}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            ) : (
+              <>
+                <div>
+                  <Label>Customer Name *</Label>
+                  <Input
+                    data-testid="counter-sale-walk-in-name"
+                    value={formData.walk_in_name}
+                    onChange={(e) => setFormData({ ...formData, walk_in_name: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <Label>Phone Number</Label>
+                  <Input
+                    value={formData.walk_in_phone}
+                    onChange={(e) => setFormData({ ...formData, walk_in_phone: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <Label>Customer VATIN</Label>
+                  <Input
+                    value={formData.customer_vatin}
+                    onChange={(e) => setFormData({ ...formData, customer_vatin: e.target.value })}
+                    placeholder="OM1100012345 (businesses)"
+                  />
+                </div>
+              </>
+            )}
+          </div>
+
+          <SaleLinesEditor
+            lines={formData.items}
+            onChange={(items) => setFormData(prev => ({ ...prev, items }))}
+            getRate={getRate}
+            vatBasis={vatBasis}
+            categories={categories}
+            testIdPrefix="counter-sale"
+          />
+
+          <div className="grid grid-cols-2 gap-6 border-t pt-4">
+            <div>
+              <Label>Notes</Label>
+              <Textarea rows={3} value={formData.notes} onChange={(e) => setFormData({ ...formData, notes: e.target.value })} />
+            </div>
+            <div className="space-y-2 text-sm">
+              <div className="flex justify-between"><span>Subtotal</span><span className="font-mono">{formatCurrency(totals.subtotal)} OMR</span></div>
+              <div className="flex justify-between items-center gap-4">
+                <span>Discount</span>
+                <Input
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  className="w-36 text-right"
+                  value={formData.discount_amount}
+                  onChange={(e) => setFormData({ ...formData, discount_amount: e.target.value })}
+                />
+              </div>
+              <div className="flex justify-between"><span>VAT</span><span className="font-mono">{formatCurrency(totals.vatTotal)} OMR</span></div>
+              <div className="flex justify-between text-base font-semibold border-t pt-2">
+                <span>Grand Total</span><span className="font-mono" data-testid="counter-sale-grand-total">{formatCurrency(totals.grandTotal)} OMR</span>
+              </div>
+            </div>
+          </div>
+        </div>
+        <Button data-testid="save-counter-sale-button" onClick={handleSave} className="w-full mt-4" disabled={saving}>
+          {saving ? 'Saving...' : 'Create Draft Invoice'}
+        </Button>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default CounterSaleInvoiceDialog;
@@ -16,14 +16,26 @@ import {
   ShoppingCart,
   UserCog,
   RotateCcw,
-  Wrench
+  Wrench,
+  Coins,
+  Tag,
+  ClipboardCheck,
+  ScrollText,
+  FileSignature,
+  FileMinus
 } from 'lucide-react';
 
 const allNavItems = [
   { path: '/dashboard', icon: LayoutDashboard, label: 'Dashboard', permission: null }, // Everyone can view dashboard
-  { path: '/inventory', icon: Package, label: 'Inventory', permission: 'inventory.view' },
+  { path: '/gold-rates', icon: Coins, label: 'Gold Rates', permission: null }, // Everyone can view published rates
+  { path: '/inventory', icon: Package, label: 'Inventory', permission: 'inventory.view', end: true }, // Its sub-pages have their own links
+  { path: '/inventory/items', icon: Tag, label: 'Tagged Pieces', permission: 'inventory.view' },
+  { path: '/inventory/stock-take', icon: ClipboardCheck, label: 'Stock Take', permission: 'inventory.view' },
+  { path: '/inventory/ledger', icon: ScrollText, label: 'Stock Ledger', permission: 'inventory.view' },
   { path: '/jobcards', icon: ClipboardList, label: 'Job Cards', permission: 'jobcards.view' },
+  { path: '/quotations', icon: FileSignature, label: 'Quotations', permission: 'invoices.view' },
   { path: '/invoices', icon: FileText, label: 'Invoices', permission: 'invoices.view' },
+  { path: '/credit-notes', icon: FileMinus, label: 'Credit Notes', permission: 'invoices.view' },
   { path: '/parties', icon: Users, label: 'Parties', permission: 'parties.view' },
   { path: '/purchases', icon: ShoppingCart, label: 'Purchases', permission: 'purchases.view' },
   { path: '/returns', icon: RotateCcw, label: 'Returns', permission: 'returns.view' },
@@ -65,6 +77,7 @@ export const DashboardLayout = ({ children }) => {
             <NavLink
               key={item.path}
               to={item.path}
+              end={item.end}
               data-testid={`nav-${item.label.toLowerCase().replace(' ', '-')}`}
               className={({ isActive }) =>
                 `flex items-center gap-3 px-4 py-3 rounded-md transition-all ${
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { API } from '../contexts/AuthContext';
+import { displayDateOnly } from '../utils/dateTimeUtils';
+import { getLocalToday } from '../utils/jobCards';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Badge } from './ui/badge';
+import { CalendarClock, Phone, User } from 'lucide-react';
+
+const GROUPS = [
+  { key: 'overdue', label: 'Overdue', className: 'bg-red-100 text-red-800' },
+  { key: 'due_today', label: 'Due Today', className: 'bg-orange-100 text-orange-800' },
+  { key: 'due_week', label: 'Due This Week', className: 'bg-amber-100 text-amber-800' }
+];
+
+const getDaysLabel = (days) => {
+  if (days < 0) return `${-days}d late`;
+  if (days === 0) return 'Today';
+  if (days === 1) return 'Tomorrow';
+  return `In ${days}d`;
+};
+
+/**
+ * Dashboard panel of open job cards that are overdue or due within the week,
+ * with the customer's phone so the counter can call ahead
+ */
+export const DeliveryAlertsPanel = () => {
+  const [alerts, setAlerts] = useState(null);
+  const [activeGroup, setActiveGroup] = useState('overdue');
+
+  useEffect(() => {
+    API.get(`/api/jobcards/delivery-alerts`, { params: { today: getLocalToday(), days: 7 } })
+      .then(response => {
+        setAlerts(response.data);
+        // Open on the most urgent group that has anything in it
+        const firstWithCards = GROUPS.find(group => response.data.counts?.[group.key] > 0);
+        if (firstWithCards) setActiveGroup(firstWithCards.key);
+      })
+      .catch(error => console.error('Failed to load delivery alerts:', error));
+  }, []);
+
+  const entries = alerts?.[activeGroup] || [];
+
+  return (
+    <Card className="mb-8" data-testid="delivery-alerts-panel">
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-xl font-serif flex items-center gap-2">
+          <CalendarClock className="w-5 h-5" /> Job Card Deliveries
+        </CardTitle>
+        <Link to="/jobcards?delivery=overdue" className="text-sm text-primary hover:underline">
+          View overdue job cards
+        </Link>
+      </CardHeader>
+      <CardContent>
+        <div className="flex gap-2 mb-4">
+          {GROUPS.map(group => (
+            <button
+              key={group.key}
+              type="button"
+              data-testid={`delivery-alerts-${group.key}`}
+              onClick={() => setActiveGroup(group.key)}
+              className={`flex items-center gap-2 rounded-md border px-3 py-1.5 text-sm ${
+                activeGroup === group.key ? 'border-primary bg-muted/50 font-semibold' : ''
+              }`}
+            >
+              {group.label}
+              <Badge className={group.className}>{alerts?.counts?.[group.key] ?? '-'}</Badge>
+            </button>
+          ))}
+        </div>
+
+        {entries.length === 0 ? (
+          <p className="text-sm text-muted-foreground py-4 text-center">
+            {alerts ? 'Nothing here - all caught up' : 'Loading...'}
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-muted/50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-semibold uppercase">Job Card #</th>
+                  <th className="px-4 py-2 text-left text-xs font-semibold uppercase">Customer</th>
+                  <th className="px-4 py-2 text-left text-xs font-semibold uppercase">Phone</th>
+                  <th className="px-4 py-2 text-left text-xs font-semibold uppercase">Worker</th>
+                  <th className="px-4 py-2 text-left text-xs font-semibold uppercase">Promised</th>
+                  <th className="px-4 py-2 text-left text-xs font-semibold uppercase">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry.id} className="border-t hover:bg-muted/30">
+                    <td className="px-4 py-2 font-mono font-semibold">
+                      <Link to={`/jobcards?view=${entry.id}`} className="text-primary hover:underline">
+                        {entry.job_card_number}
+                      </Link>
+                    </td>
+                    <td className="px-4 py-2">{entry.customer_name || '-'}</td>
+                    <td className="px-4 py-2">
+                      {entry.customer_phone ? (
+                        <a href={`tel:${entry.customer_phone}`} className="flex items-center gap-1 text-primary hover:underline">
+                          <Phone className="w-3 h-3" /> {entry.customer_phone}
+                        </a>
+                      ) : <span className="text-muted-foreground">-</span>}
+                    </td>
+                    <td className="px-4 py-2">
+                      <span className="flex items-center gap-1">
+                        <User className="w-3 h-3 text-muted-foreground" /> {entry.worker_name || 'Unassigned'}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      {displayDateOnly(entry.delivery_date)}
+                      <span className={`ml-2 text-xs ${entry.days_until < 0 ? 'text-red-700 font-semibold' : 'text-muted-foreground'}`}>
+                        {getDaysLabel(entry.days_until)}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 capitalize">{(entry.status || '').replace('_', ' ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DeliveryAlertsPanel;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { Badge } from './ui/badge';
+import { getDeliveryState } from '../utils/jobCards';
+import { AlertTriangle } from 'lucide-react';
+
+const DELIVERY_BADGES = {
+  overdue: { className: 'bg-red-100 text-red-800', label: (days) => `Overdue ${-days}d` },
+  uncollected: { className: 'bg-purple-100 text-purple-800', label: (days) => `Uncollected ${-days}d` },
+  due_today: { className: 'bg-orange-100 text-orange-800', label: () => 'Due today' },
+  due_soon: { className: 'bg-amber-100 text-amber-800', label: (days) => `Due in ${days}d` }
+};
+
+/**
+ * Overdue / uncollected / due today / due soon badge for a job card; renders
+ * nothing when the card is on track, delivered or has no delivery date
+ */
+export const DeliveryStateBadge = ({ jobcard, className = '' }) => {
+  const { state, days } = getDeliveryState(jobcard);
+  const badge = DELIVERY_BADGES[state];
+  if (!badge) return null;
+  return (
+    <Badge className={`${badge.className} text-xs ${className}`}>
+      <AlertTriangle className="w-3 h-3 mr-1" /> {badge.label(days)}
+    </Badge>
+  );
+};
+
+export default DeliveryStateBadge;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { getRateVariance } from '../utils/goldRate';
+
+/**
+ * Shows the published gold rate under a rate input and how far the typed rate is from it
+ *
+ * @param {Object} props
+ * @param {number|string} props.value - Rate typed in the form
+ * @param {number|null} props.publishedRate - Published rate for the same purity/side
+ * @param {string} props.label - Description of the published rate (e.g. "22K sell")
+ */
+export const GoldRateVariance = ({ value, publishedRate, label }) => {
+  if (!publishedRate) {
+    return null;
+  }
+
+  const variance = getRateVariance(value, publishedRate);
+  const matches = variance && Math.abs(variance.difference) < 0.0005;
+
+  return (
+    <p className="text-xs mt-1" data-testid="gold-rate-variance">
+      <span className="text-muted-foreground">
+        Published {label}: <span className="font-mono">{publishedRate.toFixed(3)}</span> OMR/g
+      </span>
+      {variance && !matches && (
+        <span className={`ml-2 font-mono ${Math.abs(variance.percent) > 2 ? 'text-red-600' : 'text-amber-600'}`}>
+          {variance.difference > 0 ? '+' : ''}{variance.difference.toFixed(3)} ({variance.percent > 0 ? '+' : ''}{variance.percent.toFixed(2)}%)
+        </span>
+      )}
+      {matches && <span className="ml-2 text-green-600">✓ matches</span>}
+    </p>
+  );
+};
+
+export default GoldRateVariance;
@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { uploadPhoto, fetchPhotoBlob, PHOTO_STAGE_LABELS } from '../utils/photos';
+import { formatDateTime } from '../utils/dateTimeUtils';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from './ui/dialog';
+import { Button } from './ui/button';
+import { toast } from 'sonner';
+import { Camera, ImagePlus, Loader2, X } from 'lucide-react';
+
+const PhotoThumb = ({ photo, onClick, onRemove }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    fetchPhotoBlob(photo.id)
+      .then(blob => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [photo.id]);
+
+  return (
+    <div className="relative group" data-testid={`photo-${photo.id}`}>
+      <button
+        type="button"
+        className="w-14 h-14 rounded border bg-muted overflow-hidden block"
+        onClick={() => onClick(url)}
+        title={`${PHOTO_STAGE_LABELS[photo.stage] || photo.stage} photo`}
+      >
+        {url
+          ? <img src={url} alt="" className="w-full h-full object-cover" />
+          : <Loader2 className="w-4 h-4 m-auto animate-spin text-muted-foreground" />}
+      </button>
+      <span className="absolute bottom-0 left-0 right-0 bg-black/50 text-white text-[9px] text-center leading-tight">
+        {PHOTO_STAGE_LABELS[photo.stage] || photo.stage}
+      </span>
+      {onRemove && (
+        <button
+          type="button"
+          className="absolute -top-1.5 -right-1.5 hidden group-hover:flex w-4 h-4 items-center justify-center rounded-full bg-red-600 text-white"
+          onClick={() => onRemove(photo)}
+          aria-label="Remove photo"
+        >
+          <X className="w-3 h-3" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+const CameraCaptureDialog = ({ open, onOpenChange, onCapture }) => {
+  const videoRef = useRef(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    let stream = null;
+    let cancelled = false;
+    setError('');
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setError('This browser cannot access a camera. Use "Add Photo" to pick a file instead.');
+      return;
+    }
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then(s => {
+        // Dialog closed while the permission prompt was up - release the camera straight away
+        if (cancelled) {
+          s.getTracks().forEach(track => track.stop());
+          return;
+        }
+        stream = s;
+        if (videoRef.current) videoRef.current.srcObject = s;
+      })
+      .catch(() => {
+        if (!cancelled) setError('Camera permission was denied or no camera was found.');
+      });
+    return () => {
+      cancelled = true;
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, [open]);
+
+  const handleCapture = () => {
+    const video = videoRef.current;
+    if (!video || !video.videoWidth) return;
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    canvas.toBlob(blob => {
+      if (blob) onCapture(blob);
+      onOpenChange(false);
+    }, 'image/jpeg', 0.9);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Capture Photo</DialogTitle>
+        </DialogHeader>
+        {error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : (
+          <div className="space-y-3">
+            <video ref={videoRef} autoPlay playsInline muted className="w-full rounded border bg-black" />
+            <Button className="w-full" onClick={handleCapture}>
+              <Camera className="w-4 h-4 mr-2" /> Capture
+            </Button>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+/**
+ * Thumbnails of the photos on a line item, with optional controls to add
+ * photos from a file or a webcam capture
+ *
+ * @param {Array} photos - Photos already on the item
+ * @param {string} stage - Stage recorded on new photos ('intake' or 'delivery')
+ * @param {Function} onAdd - Called with each uploaded photo; omit for read-only
+ * @param {Function} onRemove - Called with a photo to remove; omit to hide removal
+ */
+export const ItemPhotos = ({ photos = [], stage = 'intake', onAdd, onRemove }) => {
+  const fileInputRef = useRef(null);
+  const [uploading, setUploading] = useState(false);
+  const [showCamera, setShowCamera] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  const handleFiles = async (blobs) => {
+    if (!blobs.length) return;
+    setUploading(true);
+    try {
+      for (const blob of blobs) {
+        const photo = await uploadPhoto(blob, stage);
+        await onAdd(photo);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.detail || error.message || 'Failed to upload photo');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  if (!onAdd && photos.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2" data-testid="item-photos">
+      {photos.map(photo => (
+        <PhotoThumb
+          key={photo.id}
+          photo={photo}
+          onClick={(url) => url && setPreview({ photo, url })}
+          onRemove={onRemove}
+        />
+      ))}
+      {onAdd && (
+        <>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            multiple
+            className="hidden"
+            onChange={(e) => {
+              handleFiles(Array.from(e.target.files || []));
+              e.target.value = '';
+            }}
+          />
+          <Button
+            type="button"
+            size="sm"
+            variant="outline"
+            className="h-8"
+            disabled={uploading}
+            onClick={() => fileInputRef.current?.click()}
+          >
+            {uploading ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <ImagePlus className="w-4 h-4 mr-1" />}
+            Add Photo
+          </Button>
+          <Button
+            type="button"
+            size="sm"
+            variant="outline"
+            className="h-8"
+            disabled={uploading}
+            onClick={() => setShowCamera(true)}
+            title="Capture from webcam"
+          >
+            <Camera className="w-4 h-4" />
+          </Button>
+          <CameraCaptureDialog
+            open={showCamera}
+            onOpenChange={setShowCamera}
+            onCapture={(blob) => handleFiles([blob])}
+          />
+        </>
+      )}
+
+      <Dialog open={!!preview} onOpenChange={(open) => { if (!open) setPreview(null); }}>
+        <DialogContent className="max-w-3xl">
+          <DialogHeader>
+            <DialogTitle>
+              {PHOTO_STAGE_LABELS[preview?.photo.stage] || preview?.photo.stage} photo
+            </DialogTitle>
+          </DialogHeader>
+          {preview && (
+            <div className="space-y-2">
+              <img src={preview.url} alt="" className="w-full max-h-[70vh] object-contain rounded border" />
+              <p className="text-xs text-muted-foreground">
+                Taken by {preview.photo.uploaded_by} on {formatDateTime(preview.photo.uploaded_at)}
+              </p>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default ItemPhotos;
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { Badge } from './ui/badge';
+import { displayDateOnly } from '../utils/dateTimeUtils';
+import { formatWeight } from '../utils/numberFormat';
+import { DeliveryStateBadge } from './DeliveryStateBadge';
+import { JOBCARD_BOARD_COLUMNS, getNextJobCardStatus, getDeliveryState } from '../utils/jobCards';
+import { Button } from './ui/button';
+import { CalendarClock, Lock, User } from 'lucide-react';
+
+const BoardCard = ({ jobcard, draggable, onDragStart, onDragEnd, onView }) => {
+  const { state } = getDeliveryState(jobcard);
+  const totalWeight = (jobcard.items || []).reduce((sum, item) => sum + (parseFloat(item.weight_in) || 0), 0);
+  const customer = jobcard.customer_type === 'walk_in' ? jobcard.walk_in_name : jobcard.customer_name;
+
+  return (
+    <div
+      data-testid={`board-card-${jobcard.job_card_number}`}
+      draggable={draggable}
+      onDragStart={(e) => onDragStart(e, jobcard)}
+      onDragEnd={onDragEnd}
+      onClick={() => onView(jobcard)}
+      className={`rounded-md border bg-white p-3 shadow-sm text-sm space-y-2 hover:shadow-md transition-shadow ${
+        draggable ? 'cursor-grab active:cursor-grabbing' : 'cursor-pointer'
+      } ${state === 'overdue' ? 'border-red-300' : ''} ${state === 'uncollected' ? 'border-purple-300' : ''}`}
+    >
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-mono font-semibold">{jobcard.job_card_number}</span>
+        {jobcard.locked && <Lock className="w-3 h-3 text-muted-foreground" />}
+      </div>
+      <div className="truncate">{customer || '-'}</div>
+      <div className="flex items-center gap-1 text-xs text-muted-foreground">
+        <User className="w-3 h-3" />
+        {jobcard.worker_name || 'Unassigned'}
+      </div>
+      <div className="flex items-center justify-between text-xs text-muted-foreground">
+        <span>{(jobcard.items || []).length} items · {formatWeight(totalWeight)}g</span>
+        {jobcard.delivery_date && (
+          <span className="flex items-center gap-1">
+            <CalendarClock className="w-3 h-3" />
+            {displayDateOnly(jobcard.delivery_date)}
+          </span>
+        )}
+      </div>
+      <DeliveryStateBadge jobcard={jobcard} />
+    </div>
+  );
+};
+
+/**
+ * Kanban view of job cards by workflow status
+ *
+ * Cards can only be dropped on the column after their own; the drop is
+ * handed to onAdvance, which runs the usual impact confirmation.
+ * Columns are loaded a page at a time, so the totals and late counts come
+ * from /api/jobcards/board-counts rather than the cards on screen.
+ *
+ * @param {Array} jobcards - Job cards to place on the board
+ * @param {Function} onAdvance - Called with (jobcard, nextStatus) on a valid drop
+ * @param {Function} onView - Called with the job card when a card is clicked
+ * @param {Object} counts - { [status]: { total, late } } from the board-counts endpoint
+ * @param {Function} onLoadMore - Called with the column status to load its next page
+ * @param {Object} columnNotes - Optional footnote per column status
+ */
+export const JobCardBoard = ({ jobcards, onAdvance, onView, counts = {}, onLoadMore, columnNotes = {} }) => {
+  const [dragging, setDragging] = useState(null);
+  const [overColumn, setOverColumn] = useState(null);
+
+  const canDrop = (status) => dragging && getNextJobCardStatus(dragging.status) === status;
+
+  const handleDragStart = (e, jobcard) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', jobcard.id);
+    setDragging(jobcard);
+  };
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setOverColumn(null);
+  };
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    const jobcard = dragging;
+    handleDragEnd();
+    if (jobcard && getNextJobCardStatus(jobcard.status) === status) {
+      onAdvance(jobcard, status);
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4" data-testid="jobcards-board">
+      {JOBCARD_BOARD_COLUMNS.map((column) => {
+        const cards = jobcards.filter(jc => column.statuses.includes(jc.status));
+        const droppable = canDrop(column.status);
+        const total = column.statuses.reduce((sum, status) => sum + (counts[status]?.total || 0), 0);
+        const lateCount = column.statuses.reduce((sum, status) => sum + (counts[status]?.late || 0), 0);
+
+        return (
+          <div
+            key={column.status}
+            data-testid={`board-column-${column.status}`}
+            onDragOver={(e) => {
+              if (!droppable) return;
+              e.preventDefault();
+              e.dataTransfer.dropEffect = 'move';
+              setOverColumn(column.status);
+            }}
+            onDragLeave={() => setOverColumn(prev => (prev === column.status ? null : prev))}
+            onDrop={(e) => handleDrop(e, column.status)}
+            className={`rounded-lg border border-t-4 ${column.className} bg-muted/30 flex flex-col min-h-[300px] transition-colors ${
+              droppable ? 'ring-2 ring-primary/30' : ''
+            } ${overColumn === column.status ? 'bg-primary/10' : ''} ${
+              dragging && !droppable && !column.statuses.includes(dragging.status) ? 'opacity-50' : ''
+            }`}
+          >
+            <div className="px-3 py-2 flex items-center justify-between border-b">
+              <span className="text-xs font-semibold uppercase">{column.label}</span>
+              <div className="flex items-center gap-1">
+                {lateCount > 0 && (column.status === 'completed' ? (
+                  <Badge className="bg-purple-100 text-purple-800 text-xs">{lateCount} uncollected</Badge>
+                ) : (
+                  <Badge className="bg-red-100 text-red-800 text-xs">{lateCount} overdue</Badge>
+                ))}
+                <Badge variant="outline" className="text-xs">{Math.max(total, cards.length)}</Badge>
+              </div>
+            </div>
+            <div className="p-2 space-y-2 flex-1 overflow-y-auto max-h-[65vh]">
+              {cards.map((jc) => (
+                <BoardCard
+                  key={jc.id}
+                  jobcard={jc}
+                  draggable={!jc.locked && getNextJobCardStatus(jc.status) !== null}
+                  onDragStart={handleDragStart}
+                  onDragEnd={handleDragEnd}
+                  onView={onView}
+                />
+              ))}
+              {cards.length === 0 && (
+                <p className="text-center text-xs text-muted-foreground py-6">No job cards</p>
+              )}
+              {onLoadMore && cards.length < total && (
+                <Button variant="ghost" size="sm" className="w-full text-xs" onClick={() => onLoadMore(column.status)}>
+                  Show more ({cards.length} of {total})
+                </Button>
+              )}
+            </div>
+            {columnNotes[column.status] && (
+              <p className="px-3 py-2 text-xs text-muted-foreground border-t">{columnNotes[column.status]}</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default JobCardBoard;
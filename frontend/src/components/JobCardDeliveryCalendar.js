@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { DeliveryStateBadge } from './DeliveryStateBadge';
+import { displayDateOnly } from '../utils/dateTimeUtils';
+import { getDeliveryState, getLocalToday, getMonthGrid } from '../utils/jobCards';
+import { ChevronLeft, ChevronRight, Phone, User } from 'lucide-react';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const ENTRY_STYLES = {
+  overdue: 'bg-red-100 text-red-800',
+  due_today: 'bg-orange-100 text-orange-800',
+  due_soon: 'bg-amber-100 text-amber-800',
+  on_track: 'bg-blue-50 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  delivered: 'bg-gray-100 text-gray-500 line-through'
+};
+
+const getEntryStyle = (jobcard) => {
+  if (['completed', 'delivered'].includes(jobcard.status)) return ENTRY_STYLES[jobcard.status];
+  return ENTRY_STYLES[getDeliveryState(jobcard).state] || ENTRY_STYLES.on_track;
+};
+
+const getCustomer = (jobcard) => (jobcard.customer_type === 'walk_in' ? jobcard.walk_in_name : jobcard.customer_name);
+
+const formatMonth = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber - 1, 1)).toLocaleDateString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+};
+
+const shiftMonth = (month, delta) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, monthNumber - 1 + delta, 1));
+  return date.toISOString().slice(0, 7);
+};
+
+/**
+ * Month calendar of promised delivery dates, with an agenda of the cards
+ * due on the selected day
+ *
+ * @param {Array} jobcards - Job cards with a delivery_date inside the month grid
+ * @param {string} month - Month shown, as YYYY-MM
+ * @param {Function} onMonthChange - Called with the new YYYY-MM
+ * @param {Function} onView - Called with a job card to open it
+ */
+export const JobCardDeliveryCalendar = ({ jobcards, month, onMonthChange, onView }) => {
+  const today = getLocalToday();
+  const [selectedDate, setSelectedDate] = useState(today);
+
+  useEffect(() => {
+    setSelectedDate(today.startsWith(month) ? today : `${month}-01`);
+  }, [month, today]);
+
+  const byDate = {};
+  jobcards.forEach(jc => {
+    const date = (jc.delivery_date || '').slice(0, 10);
+    if (date) (byDate[date] = byDate[date] || []).push(jc);
+  });
+  const agenda = byDate[selectedDate] || [];
+
+  return (
+    <div className="space-y-4" data-testid="jobcard-delivery-calendar">
+      <div className="flex items-center justify-between">
+        <Button variant="outline" size="sm" onClick={() => onMonthChange(shiftMonth(month, -1))}>
+          <ChevronLeft className="w-4 h-4" />
+        </Button>
+        <div className="flex items-center gap-3">
+          <h3 className="font-semibold text-lg">{formatMonth(month)}</h3>
+          {!today.startsWith(month) && (
+            <Button variant="ghost" size="sm" onClick={() => onMonthChange(today.slice(0, 7))}>Today</Button>
+          )}
+        </div>
+        <Button variant="outline" size="sm" onClick={() => onMonthChange(shiftMonth(month, 1))}>
+          <ChevronRight className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-7 border-l border-t text-sm">
+        {WEEKDAYS.map(day => (
+          <div key={day} className="border-r border-b bg-muted/50 px-2 py-1 text-xs font-semibold uppercase">{day}</div>
+        ))}
+        {getMonthGrid(month).flat().map(date => {
+          const cards = byDate[date] || [];
+          const inMonth = date.startsWith(month);
+          return (
+            <div
+              key={date}
+              data-testid={`calendar-day-${date}`}
+              onClick={() => setSelectedDate(date)}
+              className={`border-r border-b min-h-[96px] p-1 cursor-pointer ${inMonth ? '' : 'bg-muted/30 text-muted-foreground'} ${
+                date === selectedDate ? 'ring-2 ring-inset ring-primary' : ''
+              }`}
+            >
+              <div className={`text-xs mb-1 ${date === today ? 'inline-block rounded-full bg-primary text-primary-foreground px-1.5' : ''}`}>
+                {Number(date.slice(8))}
+              </div>
+              <div className="space-y-0.5 max-h-20 overflow-y-auto">
+                {cards.map(jc => (
+                  <button
+                    key={jc.id}
+                    type="button"
+                    className={`block w-full truncate rounded px-1 text-left text-xs ${getEntryStyle(jc)}`}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onView(jc);
+                    }}
+                    title={`${jc.job_card_number} - ${getCustomer(jc) || ''}`}
+                  >
+                    <span className="font-mono">{jc.job_card_number}</span> {getCustomer(jc)}
+                  </button>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div>
+        <h4 className="font-semibold mb-2">
+          Due {displayDateOnly(selectedDate)} <Badge variant="outline" className="ml-1">{agenda.length}</Badge>
+        </h4>
+        {agenda.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No deliveries promised for this day</p>
+        ) : (
+          <div className="divide-y border rounded-md">
+            {agenda.map(jc => (
+              <div
+                key={jc.id}
+                className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 text-sm hover:bg-muted/30 cursor-pointer"
+                onClick={() => onView(jc)}
+              >
+                <div className="flex items-center gap-3">
+                  <span className="font-mono font-semibold">{jc.job_card_number}</span>
+                  <span>{getCustomer(jc) || '-'}</span>
+                  {jc.walk_in_phone && (
+                    <span className="flex items-center gap-1 text-muted-foreground">
+                      <Phone className="w-3 h-3" /> {jc.walk_in_phone}
+                    </span>
+                  )}
+                </div>
+                <div className="flex items-center gap-3">
+                  <span className="flex items-center gap-1 text-muted-foreground">
+                    <User className="w-3 h-3" /> {jc.worker_name || 'Unassigned'}
+                  </span>
+                  <Badge variant="outline" className="capitalize">{(jc.status || '').replace('_', ' ')}</Badge>
+                  <DeliveryStateBadge jobcard={jc} />
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default JobCardDeliveryCalendar;
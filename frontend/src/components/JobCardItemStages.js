@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { JOBCARD_ITEM_STAGES, getItemStage } from '../utils/jobCards';
+import { formatDateTime } from '../utils/dateTimeUtils';
+import { ArrowRight } from 'lucide-react';
+
+/**
+ * Stage timeline of one job card item with a control to move it to another stage
+ *
+ * onMove receives { stage, worker_id, notes } and should resolve once saved.
+ */
+export const JobCardItemStages = ({ item, cardStatus, workers = [], canMove = true, onMove }) => {
+  const current = getItemStage(item, cardStatus);
+  const [stage, setStage] = useState('');
+  const [workerId, setWorkerId] = useState('');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+  const history = item.stage_history || [];
+
+  const handleMove = async () => {
+    setSaving(true);
+    try {
+      await onMove({ stage, worker_id: stage === 'at_worker' ? workerId || undefined : undefined, notes });
+      setStage('');
+      setWorkerId('');
+      setNotes('');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2" data-testid={`item-stages-${item.id}`}>
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        {history.length === 0 && <span className="text-muted-foreground">No stage history recorded</span>}
+        {history.map((event, idx) => {
+          const eventStage = JOBCARD_ITEM_STAGES.find(s => s.stage === event.stage);
+          return (
+            <React.Fragment key={`${event.stage}-${event.at}-${idx}`}>
+              {idx > 0 && <ArrowRight className="w-3 h-3 text-muted-foreground" />}
+              <div className="rounded border px-2 py-1" title={event.notes || ''}>
+                <Badge className={`${eventStage?.className || ''} text-xs`}>{eventStage?.label || event.stage}</Badge>
+                <div className="text-muted-foreground mt-0.5">{formatDateTime(event.at)}</div>
+                {event.worker_name && event.stage === 'at_worker' && <div>{event.worker_name}</div>}
+                {event.by && <div className="text-muted-foreground">by {event.by}</div>}
+              </div>
+            </React.Fragment>
+          );
+        })}
+      </div>
+
+      {canMove && (
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="w-36">
+            <Select value={stage} onValueChange={setStage}>
+              <SelectTrigger className="h-8 text-xs"><SelectValue placeholder="Move to stage" /></SelectTrigger>
+              <SelectContent>
+                {JOBCARD_ITEM_STAGES.map(s => (
+                  <SelectItem key={s.stage} value={s.stage} disabled={s.stage === current.stage && s.stage !== 'at_worker'}>
+                    {s.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          {stage === 'at_worker' && (
+            <div className="w-44">
+              <Select value={workerId || item.worker_id || ''} onValueChange={setWorkerId}>
+                <SelectTrigger className="h-8 text-xs"><SelectValue placeholder="Select worker" /></SelectTrigger>
+                <SelectContent>
+                  {workers.map(w => (
+                    <SelectItem key={w.id} value={w.id}>{w.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+          {stage && (
+            <>
+              <Input
+                className="h-8 text-xs w-48"
+                placeholder="Notes (optional)"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+              />
+              <Button size="sm" className="h-8" onClick={handleMove} disabled={saving}>
+                Move
+              </Button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JobCardItemStages;
@@ -0,0 +1,313 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API } from '../contexts/AuthContext';
+import { formatDateTime } from '../utils/dateTimeUtils';
+import { getLocalToday } from '../utils/jobCards';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Badge } from './ui/badge';
+import { Switch } from './ui/switch';
+import { Textarea } from './ui/textarea';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import Pagination from './Pagination';
+import { toast } from 'sonner';
+import { MessageSquare, RefreshCw, Save, Send, BellRing } from 'lucide-react';
+
+const STATUS_BADGES = {
+  queued: 'bg-blue-100 text-blue-800',
+  sent: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  skipped: 'bg-gray-100 text-gray-700'
+};
+
+const CHANNEL_LABELS = { sms: 'SMS', whatsapp: 'WhatsApp' };
+
+/**
+ * Settings card for customer notifications: message templates per event and
+ * the outbox with delivery status
+ */
+export const NotificationSettingsCard = () => {
+  const [templates, setTemplates] = useState([]);
+  const [channels, setChannels] = useState(['sms']);
+  const [savingEvent, setSavingEvent] = useState(null);
+  const [outbox, setOutbox] = useState([]);
+  const [outboxPagination, setOutboxPagination] = useState(null);
+  const [outboxPage, setOutboxPage] = useState(1);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [sender, setSender] = useState(null);
+  const [runningReminders, setRunningReminders] = useState(false);
+  const [retryTarget, setRetryTarget] = useState(null);
+  const [retryPhone, setRetryPhone] = useState('');
+  const [retrying, setRetrying] = useState(false);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const response = await API.get(`/api/notifications/templates`);
+      setTemplates(response.data.items || []);
+      setChannels(response.data.channels || ['sms']);
+    } catch (error) {
+      toast.error('Failed to load notification templates');
+    }
+  }, []);
+
+  const loadOutbox = useCallback(async () => {
+    try {
+      const params = { page: outboxPage, page_size: 20 };
+      if (statusFilter !== 'all') params.status = statusFilter;
+      const response = await API.get(`/api/notifications/outbox`, { params });
+      setOutbox(response.data.items || []);
+      setOutboxPagination(response.data.pagination);
+      setSender(response.data.sender_error ? `error: ${response.data.sender_error}` : response.data.sender);
+    } catch (error) {
+      toast.error('Failed to load notification outbox');
+    }
+  }, [outboxPage, statusFilter]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  useEffect(() => {
+    loadOutbox();
+  }, [loadOutbox]);
+
+  const updateTemplate = (event, field, value) => {
+    setTemplates(prev => prev.map(t => (t.event === event ? { ...t, [field]: value } : t)));
+  };
+
+  const handleSaveTemplate = async (template) => {
+    try {
+      setSavingEvent(template.event);
+      const response = await API.put(`/api/notifications/templates/${template.event}`, {
+        body: template.body,
+        channel: template.channel,
+        is_active: template.is_active
+      });
+      setTemplates(prev => prev.map(t => (t.event === template.event ? response.data : t)));
+      toast.success(`${template.label} template saved`);
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to save template');
+    } finally {
+      setSavingEvent(null);
+    }
+  };
+
+  // Retrying opens a dialog so a missing or wrong phone number can be corrected first
+  const openRetry = (notification) => {
+    setRetryTarget(notification);
+    setRetryPhone(notification.recipient_phone || '');
+  };
+
+  const handleRetry = async () => {
+    if (!retryPhone.trim()) {
+      toast.error('Enter a phone number');
+      return;
+    }
+    try {
+      setRetrying(true);
+      const response = await API.post(`/api/notifications/${retryTarget.id}/retry`, { recipient_phone: retryPhone.trim() });
+      if (response.data.status === 'sent') {
+        toast.success('Notification sent');
+      } else {
+        toast.error(response.data.error || 'Notification failed again');
+      }
+      setRetryTarget(null);
+      loadOutbox();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to retry notification');
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  const handleRunReminders = async () => {
+    try {
+      setRunningReminders(true);
+      const response = await API.post(`/api/notifications/delivery-reminders/run`, { today: getLocalToday() });
+      const { reminders_queued: queued, jobcards_due: due, delivery_date: date } = response.data;
+      toast.success(`${queued} reminder(s) queued for ${due} job card(s) due ${date}`);
+      loadOutbox();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to send reminders');
+    } finally {
+      setRunningReminders(false);
+    }
+  };
+
+  return (
+    <Card className="mt-6" data-testid="notification-settings">
+      <CardHeader>
+        <div className="flex justify-between items-center">
+          <CardTitle className="text-xl font-serif flex items-center gap-2">
+            <MessageSquare className="w-5 h-5" />
+            Customer Notifications
+          </CardTitle>
+          <div className="flex items-center gap-2">
+            {sender && <Badge variant="outline">Sender: {sender}</Badge>}
+            <Button size="sm" variant="outline" onClick={handleRunReminders} disabled={runningReminders}>
+              <BellRing className="w-4 h-4 mr-2" /> Send Delivery Reminders Now
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <Tabs defaultValue="outbox">
+          <TabsList>
+            <TabsTrigger value="outbox">Outbox</TabsTrigger>
+            <TabsTrigger value="templates">Message Templates</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="outbox" className="space-y-3">
+            <div className="flex items-center gap-2">
+              <div className="w-44">
+                <Select value={statusFilter} onValueChange={(value) => { setStatusFilter(value); setOutboxPage(1); }}>
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">All statuses</SelectItem>
+                    {Object.keys(STATUS_BADGES).map(status => (
+                      <SelectItem key={status} value={status} className="capitalize">{status}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <Button size="sm" variant="ghost" onClick={loadOutbox}>
+                <RefreshCw className="w-4 h-4" />
+              </Button>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-muted/50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Date</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Event</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Customer</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Message</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Status</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {outbox.map(n => (
+                    <tr key={n.id} className="border-t align-top">
+                      <td className="px-4 py-3 whitespace-nowrap">{formatDateTime(n.created_at)}</td>
+                      <td className="px-4 py-3">
+                        <div>{templates.find(t => t.event === n.event)?.label || n.event}</div>
+                        <div className="text-xs text-muted-foreground font-mono">{n.reference_number}</div>
+                      </td>
+                      <td className="px-4 py-3">
+                        <div>{n.recipient_name || '-'}</div>
+                        <div className="text-xs text-muted-foreground">
+                          {n.recipient_phone || 'No phone'} · {CHANNEL_LABELS[n.channel] || n.channel}
+                        </div>
+                      </td>
+                      <td className="px-4 py-3 max-w-md">
+                        <p className="whitespace-pre-wrap">{n.message}</p>
+                        {n.error && <p className="text-xs text-red-600 mt-1">{n.error}</p>}
+                      </td>
+                      <td className="px-4 py-3">
+                        <Badge className={`${STATUS_BADGES[n.status] || ''} capitalize`}>{n.status}</Badge>
+                        {n.attempts > 1 && <div className="text-xs text-muted-foreground mt-1">{n.attempts} attempts</div>}
+                        {n.sent_at && <div className="text-xs text-muted-foreground mt-1">{formatDateTime(n.sent_at)}</div>}
+                      </td>
+                      <td className="px-4 py-3">
+                        {n.status !== 'sent' && (
+                          <Button size="sm" variant="outline" onClick={() => openRetry(n)}>
+                            <Send className="w-4 h-4 mr-1" /> Retry
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                  {outbox.length === 0 && (
+                    <tr>
+                      <td colSpan={6} className="px-4 py-8 text-center text-muted-foreground">No notifications yet</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+            {outboxPagination && <Pagination pagination={outboxPagination} onPageChange={setOutboxPage} />}
+          </TabsContent>
+
+          <TabsContent value="templates" className="space-y-4">
+            {templates.map(template => (
+              <div key={template.event} className="rounded-md border p-4 space-y-3" data-testid={`template-${template.event}`}>
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                  <h4 className="font-semibold">{template.label}</h4>
+                  <div className="flex items-center gap-4">
+                    <div className="w-36">
+                      <Select value={template.channel} onValueChange={(value) => updateTemplate(template.event, 'channel', value)}>
+                        <SelectTrigger><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          {channels.map(channel => (
+                            <SelectItem key={channel} value={channel}>{CHANNEL_LABELS[channel] || channel}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <Switch
+                        checked={template.is_active}
+                        onCheckedChange={(checked) => updateTemplate(template.event, 'is_active', checked)}
+                      />
+                      <Label className="text-sm">{template.is_active ? 'On' : 'Off'}</Label>
+                    </div>
+                  </div>
+                </div>
+                <Textarea
+                  rows={3}
+                  value={template.body}
+                  onChange={(e) => updateTemplate(template.event, 'body', e.target.value)}
+                />
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div className="flex flex-wrap gap-1">
+                    {(template.placeholders || []).map(placeholder => (
+                      <code key={placeholder} className="rounded bg-muted px-1.5 py-0.5 text-xs">{`{${placeholder}}`}</code>
+                    ))}
+                  </div>
+                  <Button size="sm" onClick={() => handleSaveTemplate(template)} disabled={savingEvent === template.event}>
+                    <Save className="w-4 h-4 mr-2" /> Save
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </TabsContent>
+        </Tabs>
+      </CardContent>
+
+      <Dialog open={!!retryTarget} onOpenChange={(open) => { if (!open) setRetryTarget(null); }}>
+        <DialogContent className="max-w-md">
+          <DialogHeader>
+            <DialogTitle>Retry Notification</DialogTitle>
+          </DialogHeader>
+          {retryTarget && (
+            <div className="space-y-3">
+              <p className="text-sm text-muted-foreground whitespace-pre-wrap">{retryTarget.message}</p>
+              <div className="space-y-1">
+                <Label htmlFor="retry-phone">Phone number for {retryTarget.recipient_name || 'this customer'}</Label>
+                <Input
+                  id="retry-phone"
+                  value={retryPhone}
+                  onChange={(e) => setRetryPhone(e.target.value)}
+                  placeholder="e.g. 9XXXXXXX"
+                  autoFocus
+                />
+              </div>
+            </div>
+          )}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setRetryTarget(null)} disabled={retrying}>Cancel</Button>
+            <Button onClick={handleRetry} disabled={retrying}>
+              <Send className="w-4 h-4 mr-2" /> {retrying ? 'Sending...' : 'Send'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default NotificationSettingsCard;
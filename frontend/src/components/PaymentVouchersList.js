@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import { API } from '../contexts/AuthContext';
+import { formatCurrency } from '../utils/numberFormat';
+import { formatDateTime } from '../utils/dateTimeUtils';
+import { downloadPaymentVoucherPDF, getTenderLabel } from '../utils/paymentVoucherPDF';
+import { Button } from './ui/button';
+import { toast } from 'sonner';
+import { Printer } from 'lucide-react';
+
+const getTenderSummary = (voucher) => (voucher.tenders || []).map(t => getTenderLabel(t.payment_mode)).join(' + ');
+
+/**
+ * Vouchers issued against an invoice or purchase, each reprintable as PDF
+ *
+ * @param {string} referenceType - 'invoice' or 'purchase'
+ * @param {string} referenceId - Invoice / purchase id
+ * @param {*} refreshKey - Change to reload (e.g. the record's paid amount)
+ */
+export const PaymentVouchersList = ({ referenceType, referenceId, refreshKey }) => {
+  const [vouchers, setVouchers] = useState([]);
+
+  useEffect(() => {
+    if (!referenceId) return;
+    API.get(`/api/${referenceType}s/${referenceId}/vouchers`)
+      .then(response => setVouchers(response.data || []))
+      .catch(() => setVouchers([]));
+  }, [referenceType, referenceId, refreshKey]);
+
+  const handlePrint = async (voucher) => {
+    try {
+      await downloadPaymentVoucherPDF(voucher);
+    } catch (error) {
+      toast.error('Failed to generate voucher PDF');
+    }
+  };
+
+  if (vouchers.length === 0) return null;
+
+  return (
+    <div data-testid={`${referenceType}-vouchers`}>
+      <h3 className="font-semibold mb-2">{referenceType === 'invoice' ? 'Receipt Vouchers' : 'Payment Vouchers'}</h3>
+      <div className="border rounded-md overflow-x-auto">
+        <table className="w-full text-sm">
+          <tbody>
+            {vouchers.map(voucher => (
+              <tr key={voucher.id} className="border-t first:border-t-0">
+                <td className="px-3 py-2 font-mono">{voucher.voucher_number}</td>
+                <td className="px-3 py-2">{formatDateTime(voucher.date)}</td>
+                <td className="px-3 py-2">{getTenderSummary(voucher)}</td>
+                <td className="px-3 py-2 text-right font-mono">{formatCurrency(voucher.total_amount)} OMR</td>
+                <td className="px-3 py-2 text-right">
+                  <Button size="sm" variant="outline" onClick={() => handlePrint(voucher)}>
+                    <Printer className="w-4 h-4 mr-1" /> Print
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default PaymentVouchersList;
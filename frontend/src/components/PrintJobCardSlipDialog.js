@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from 'react';
+import { API } from '../contexts/AuthContext';
+import { SLIP_LAYOUTS, downloadJobCardSlipPDF } from '../utils/jobCardSlipPDF';
+import { fetchPhotoDataUrl } from '../utils/photos';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from './ui/dialog';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { toast } from 'sonner';
+import { Printer } from 'lucide-react';
+
+/**
+ * Choose a paper layout and print the customer receipt / claim slip for a job card
+ */
+export const PrintJobCardSlipDialog = ({ open, onOpenChange, jobcard }) => {
+  const [layoutKey, setLayoutKey] = useState('a5');
+  const [shopSettings, setShopSettings] = useState(null);
+  const [generating, setGenerating] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    API.get(`/api/settings/shop`)
+      .then(response => setShopSettings(response.data || {}))
+      .catch(() => setShopSettings({}));
+  }, [open]);
+
+  const handlePrint = async () => {
+    try {
+      setGenerating(true);
+      // Intake photos are printed as thumbnails; one that fails to load is left out
+      const photos = (jobcard.items || []).flatMap(item => item.photos || []).filter(photo => photo.stage === 'intake');
+      const photoData = {};
+      await Promise.all(photos.map(photo => fetchPhotoDataUrl(photo.id)
+        .then(data => { photoData[photo.id] = data; })
+        .catch(() => {})));
+      downloadJobCardSlipPDF(jobcard, shopSettings || {}, layoutKey, photoData);
+      toast.success('Job card slip generated');
+      onOpenChange(false);
+    } catch (error) {
+      console.error('Error generating job card slip:', error);
+      toast.error(error.message || 'Failed to generate job card slip');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Print Job Card Slip</DialogTitle>
+        </DialogHeader>
+        <div className="space-y-4 mt-2">
+          <p className="text-sm text-muted-foreground">
+            {jobcard?.job_card_number} · {(jobcard?.items || []).length} item(s)
+          </p>
+          <div>
+            <Label>Paper</Label>
+            <Select value={layoutKey} onValueChange={setLayoutKey}>
+              <SelectTrigger data-testid="slip-layout-select"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                {Object.entries(SLIP_LAYOUTS).map(([key, l]) => (
+                  <SelectItem key={key} value={key}>{l.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <Button
+            data-testid="print-slip-button"
+            className="w-full"
+            onClick={handlePrint}
+            disabled={!jobcard || !shopSettings || generating}
+          >
+            <Printer className="w-4 h-4 mr-2" /> Generate Slip PDF
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PrintJobCardSlipDialog;
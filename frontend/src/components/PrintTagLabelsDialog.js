@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { API } from '../contexts/AuthContext';
+import { LABEL_LAYOUTS, downloadTagLabelsPDF } from '../utils/tagLabelPDF';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from './ui/dialog';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { toast } from 'sonner';
+import { Printer } from 'lucide-react';
+
+/**
+ * Choose a label layout and print tag labels for a batch of pieces.
+ *
+ * Pass either `pieces` directly, or `sourceId` to print every piece tagged
+ * from one purchase or stock-in movement.
+ */
+export const PrintTagLabelsDialog = ({ open, onOpenChange, pieces = null, sourceId = null, title = 'Print Tag Labels' }) => {
+  const [batch, setBatch] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [layoutKey, setLayoutKey] = useState('a4_65');
+  const [skipLabels, setSkipLabels] = useState(0);
+  const [shopName, setShopName] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    API.get(`/api/settings/shop`)
+      .then(response => setShopName(response.data?.shop_name || ''))
+      .catch(() => setShopName(''));
+
+    if (pieces) {
+      setBatch(pieces);
+      return;
+    }
+    if (!sourceId) {
+      setBatch([]);
+      return;
+    }
+    setLoading(true);
+    API.get(`/api/inventory/items`, { params: { source_id: sourceId, page_size: 1000 } })
+      .then(response => setBatch(Array.isArray(response.data.items) ? response.data.items : []))
+      .catch(() => {
+        toast.error('Failed to load tagged pieces');
+        setBatch([]);
+      })
+      .finally(() => setLoading(false));
+  }, [open, pieces, sourceId]);
+
+  const layout = LABEL_LAYOUTS[layoutKey];
+  const perPage = layout.columns * layout.rows;
+
+  const handlePrint = () => {
+    try {
+      downloadTagLabelsPDF(batch, layoutKey, { shopName, skipLabels });
+      toast.success(`${batch.length} label${batch.length === 1 ? '' : 's'} generated`);
+      onOpenChange(false);
+    } catch (error) {
+      console.error('Error generating tag labels:', error);
+      toast.error(error.message || 'Failed to generate labels');
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+        </DialogHeader>
+        <div className="space-y-4 mt-2">
+          <p className="text-sm text-muted-foreground">
+            {loading ? 'Loading pieces...' : `${batch.length} tagged piece${batch.length === 1 ? '' : 's'}`}
+            {!loading && batch.length > 0 && batch.length <= 6 && `: ${batch.map(p => p.tag_number).join(', ')}`}
+          </p>
+          <div>
+            <Label>Label Layout</Label>
+            <Select value={layoutKey} onValueChange={setLayoutKey}>
+              <SelectTrigger data-testid="label-layout-select"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                {Object.entries(LABEL_LAYOUTS).map(([key, l]) => (
+                  <SelectItem key={key} value={key}>{l.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          {perPage > 1 && (
+            <div>
+              <Label>Skip used labels on first sheet</Label>
+              <Input
+                type="number"
+                min="0"
+                max={perPage - 1}
+                value={skipLabels}
+                onChange={(e) => setSkipLabels(e.target.value)}
+              />
+            </div>
+          )}
+          <Button
+            data-testid="print-labels-button"
+            className="w-full"
+            onClick={handlePrint}
+            disabled={loading || batch.length === 0}
+          >
+            <Printer className="w-4 h-4 mr-2" /> Generate Labels PDF
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PrintTagLabelsDialog;
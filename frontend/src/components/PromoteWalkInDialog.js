@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API } from '../contexts/AuthContext';
+import { formatDate } from '../utils/dateTimeUtils';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from './ui/dialog';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Badge } from './ui/badge';
+import { toast } from 'sonner';
+import { Search, UserPlus, Users as UsersIcon } from 'lucide-react';
+
+const money = (value) => (parseFloat(value) || 0).toFixed(3);
+
+const DOCUMENT_SECTIONS = [
+  { key: 'invoices', label: 'Invoices', number: 'invoice_number', date: 'date' },
+  { key: 'jobcards', label: 'Job Cards', number: 'job_card_number', date: 'created_at' },
+  { key: 'quotations', label: 'Quotations', number: 'quotation_number', date: 'date' },
+  { key: 'returns', label: 'Returns', number: 'return_number', date: 'date' }
+];
+
+/**
+ * Finds walk-in documents sharing a phone number and promotes the walk-in to a
+ * saved customer, re-linking those documents (or merging them into the party
+ * that already holds the phone)
+ */
+export const PromoteWalkInDialog = ({ open, onOpenChange, phone: initialPhone = '', name: initialName = '', onPromoted }) => {
+  const [phone, setPhone] = useState(initialPhone);
+  const [matches, setMatches] = useState(null);
+  const [form, setForm] = useState({ name: initialName, oman_id: '', address: '' });
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const findMatches = useCallback(async (searchPhone) => {
+    if (!searchPhone.trim()) return;
+    try {
+      setLoading(true);
+      const response = await API.get(`/api/parties/walk-in-matches`, { params: { phone: searchPhone.trim() } });
+      setMatches(response.data);
+      setForm(prev => ({ ...prev, name: prev.name || response.data.suggested_name }));
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to find walk-in history');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!open) return;
+    setPhone(initialPhone);
+    setForm({ name: initialName, oman_id: '', address: '' });
+    setMatches(null);
+    if (initialPhone) findMatches(initialPhone);
+  }, [open, initialPhone, initialName, findMatches]);
+
+  const documentCount = matches
+    ? DOCUMENT_SECTIONS.reduce((sum, section) => sum + matches[section.key].length, 0)
+    : 0;
+  const existingParty = matches?.existing_party;
+
+  const handleConfirm = async () => {
+    if (!existingParty && !form.name.trim()) {
+      toast.error('Customer name is required');
+      return;
+    }
+    try {
+      setSaving(true);
+      const payload = existingParty
+        ? { phone: matches.phone, party_id: existingParty.id }
+        : { phone: matches.phone, name: form.name.trim(), oman_id: form.oman_id, address: form.address };
+      const response = await API.post(`/api/parties/promote-walk-in`, payload);
+      const { party, invoices, jobcards } = response.data;
+      toast.success(`${party.name}: linked ${invoices} invoice(s) and ${jobcards} job card(s)`);
+      onOpenChange(false);
+      if (onPromoted) onPromoted(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to convert walk-in customer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Convert Walk-in to Saved Customer</DialogTitle>
+        </DialogHeader>
+        <div className="space-y-4 mt-2">
+          <div className="flex gap-2 items-end">
+            <div className="flex-1">
+              <Label>Walk-in Phone</Label>
+              <Input
+                value={phone}
+                onChange={(e) => setPhone(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') findMatches(phone); }}
+                placeholder="Phone number used on walk-in bills"
+                data-testid="walk-in-phone-input"
+              />
+            </div>
+            <Button variant="outline" onClick={() => findMatches(phone)} disabled={loading || !phone.trim()}>
+              <Search className="w-4 h-4 mr-2" /> Find History
+            </Button>
+          </div>
+
+          {matches && (
+            <>
+              {existingParty ? (
+                <div className="rounded-md border border-blue-200 bg-blue-50 p-3 text-sm">
+                  <p className="font-medium flex items-center gap-2">
+                    <UsersIcon className="w-4 h-4" /> {existingParty.name} is already registered with {matches.phone}
+                  </p>
+                  <p className="text-muted-foreground mt-1">The walk-in history below will be merged into this party.</p>
+                </div>
+              ) : (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <div>
+                    <Label>Customer Name *</Label>
+                    <Input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+                  </div>
+                  <div>
+                    <Label>Customer ID (Oman ID)</Label>
+                    <Input
+                      value={form.oman_id}
+                      onChange={(e) => setForm({ ...form, oman_id: e.target.value.replace(/[^0-9]/g, '') })}
+                      placeholder="Optional"
+                    />
+                  </div>
+                  <div>
+                    <Label>Address</Label>
+                    <Input value={form.address} onChange={(e) => setForm({ ...form, address: e.target.value })} placeholder="Optional" />
+                  </div>
+                </div>
+              )}
+
+              <div className="flex items-center justify-between text-sm">
+                <span className="font-medium">{documentCount} walk-in document(s) found</span>
+                {matches.outstanding > 0 && (
+                  <Badge className="bg-red-100 text-red-800">Outstanding {money(matches.outstanding)} OMR</Badge>
+                )}
+              </div>
+
+              {DOCUMENT_SECTIONS.filter(section => matches[section.key].length > 0).map(section => (
+                <div key={section.key}>
+                  <h4 className="text-sm font-semibold mb-1">{section.label} ({matches[section.key].length})</h4>
+                  <div className="border rounded-md overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <tbody>
+                        {matches[section.key].map(doc => (
+                          <tr key={doc.id} className="border-t first:border-t-0">
+                            <td className="px-3 py-1.5 font-mono">{doc[section.number]}</td>
+                            <td className="px-3 py-1.5">{formatDate(doc[section.date])}</td>
+                            <td className="px-3 py-1.5">{doc.walk_in_name || doc.reference_number || '-'}</td>
+                            <td className="px-3 py-1.5 capitalize">{(doc.payment_status || doc.status || '').replace('_', ' ')}</td>
+                            <td className="px-3 py-1.5 text-right font-mono">
+                              {section.key === 'invoices' && doc.balance_due > 0
+                                ? `Due ${money(doc.balance_due)}`
+                                : doc.grand_total !== undefined ? money(doc.grand_total) : doc.total_amount !== undefined ? money(doc.total_amount) : ''}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              ))}
+
+              <div className="flex justify-end gap-2 pt-2">
+                <Button variant="outline" onClick={() => onOpenChange(false)}>Cancel</Button>
+                <Button onClick={handleConfirm} disabled={saving} data-testid="confirm-promote-walk-in">
+                  <UserPlus className="w-4 h-4 mr-2" />
+                  {existingParty ? `Merge into ${existingParty.name}` : 'Create Customer & Link History'}
+                </Button>
+              </div>
+            </>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PromoteWalkInDialog;
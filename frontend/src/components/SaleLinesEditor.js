@@ -0,0 +1,159 @@
+import React from 'react';
+import { formatWeight, formatCurrency } from '../utils/numberFormat';
+import { getKaratLabel } from '../utils/goldRate';
+import { PURITY_OPTIONS, emptySaleLine, getNetWeight, priceSaleLine } from '../utils/saleLines';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Plus, Trash2 } from 'lucide-react';
+
+/**
+ * Editable sale lines (weights, purity, gold rate, making, stone / wastage charges,
+ * discount and VAT) with a live price per line. Used by quotations and counter-sale invoices.
+ *
+ * categories: optional inventory category names offered as suggestions, so
+ * finalized invoices reduce the right stock.
+ */
+export const SaleLinesEditor = ({ lines, onChange, getRate, vatBasis, categories = [], testIdPrefix = 'sale' }) => {
+  const updateLine = (index, field, value) => {
+    onChange(lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const addLine = () => onChange([...lines, emptySaleLine()]);
+
+  const removeLine = (index) => onChange(lines.filter((_, i) => i !== index));
+
+  return (
+    <div className="space-y-3">
+      {lines.map((line, index) => {
+        const publishedRate = getRate(line.purity);
+        const priced = priceSaleLine(line, publishedRate, vatBasis);
+        return (
+          <div key={index} className="rounded-md border p-3 space-y-3" data-testid={`${testIdPrefix}-line-${index}`}>
+            <div className="grid grid-cols-12 gap-3">
+              <div className="col-span-3">
+                <Label className="text-xs">Category</Label>
+                <Input
+                  list={categories.length > 0 ? `${testIdPrefix}-categories` : undefined}
+                  value={line.category}
+                  onChange={(e) => updateLine(index, 'category', e.target.value)}
+                  placeholder="e.g., Chain"
+                />
+              </div>
+              <div className="col-span-5">
+                <Label className="text-xs">Description *</Label>
+                <Input value={line.description} onChange={(e) => updateLine(index, 'description', e.target.value)} placeholder="e.g., 22K rope chain, 20 inch" />
+              </div>
+              <div className="col-span-1">
+                <Label className="text-xs">Qty</Label>
+                <Input type="number" min="1" value={line.qty} onChange={(e) => updateLine(index, 'qty', e.target.value)} />
+              </div>
+              <div className="col-span-2">
+                <Label className="text-xs">Purity</Label>
+                <Select value={String(line.purity)} onValueChange={(value) => updateLine(index, 'purity', parseInt(value, 10))}>
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    {PURITY_OPTIONS.map(p => (
+                      <SelectItem key={p} value={String(p)}>{p} ({getKaratLabel(p)})</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="col-span-1 flex items-end justify-end">
+                {lines.length > 1 && (
+                  <Button variant="ghost" size="sm" onClick={() => removeLine(index)} title="Remove item">
+                    <Trash2 className="w-4 h-4 text-red-600" />
+                  </Button>
+                )}
+              </div>
+            </div>
+            <div className="grid grid-cols-12 gap-3">
+              <div className="col-span-2">
+                <Label className="text-xs">Gross Wt (g)</Label>
+                <Input type="number" step="0.001" min="0" value={line.gross_weight} onChange={(e) => updateLine(index, 'gross_weight', e.target.value)} />
+              </div>
+              <div className="col-span-2">
+                <Label className="text-xs">Stone Wt (g)</Label>
+                <Input type="number" step="0.001" min="0" value={line.stone_weight} onChange={(e) => updateLine(index, 'stone_weight', e.target.value)} />
+              </div>
+              <div className="col-span-2">
+                <Label className="text-xs">Gold Rate (OMR/g)</Label>
+                <Input
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  value={line.metal_rate}
+                  onChange={(e) => updateLine(index, 'metal_rate', e.target.value)}
+                  placeholder={publishedRate ? `${publishedRate} (today)` : 'No rate published'}
+                />
+              </div>
+              <div className="col-span-2">
+                <Label className="text-xs">Making</Label>
+                <Select value={line.making_charge_type} onValueChange={(value) => updateLine(index, 'making_charge_type', value)}>
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="per_gram">Per Gram</SelectItem>
+                    <SelectItem value="flat">Flat</SelectItem>
+                    <SelectItem value="per_inch">Per Inch</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="col-span-2">
+                <Label className="text-xs">Making Rate (OMR)</Label>
+                <Input type="number" step="0.001" min="0" value={line.making_rate} onChange={(e) => updateLine(index, 'making_rate', e.target.value)} />
+              </div>
+              {line.making_charge_type === 'per_inch' ? (
+                <div className="col-span-2">
+                  <Label className="text-xs">Inches</Label>
+                  <Input type="number" step="0.1" min="0" value={line.inches} onChange={(e) => updateLine(index, 'inches', e.target.value)} />
+                </div>
+              ) : (
+                <div className="col-span-2">
+                  <Label className="text-xs">VAT %</Label>
+                  <Input type="number" step="0.01" min="0" value={line.vat_percent} onChange={(e) => updateLine(index, 'vat_percent', e.target.value)} />
+                </div>
+              )}
+            </div>
+            <div className="grid grid-cols-12 gap-3 items-end">
+              <div className="col-span-2">
+                <Label className="text-xs">Stone Charges</Label>
+                <Input type="number" step="0.001" min="0" value={line.stone_charges} onChange={(e) => updateLine(index, 'stone_charges', e.target.value)} />
+              </div>
+              <div className="col-span-2">
+                <Label className="text-xs">Wastage Charges</Label>
+                <Input type="number" step="0.001" min="0" value={line.wastage_charges} onChange={(e) => updateLine(index, 'wastage_charges', e.target.value)} />
+              </div>
+              <div className="col-span-2">
+                <Label className="text-xs">Item Discount</Label>
+                <Input type="number" step="0.001" min="0" value={line.item_discount} onChange={(e) => updateLine(index, 'item_discount', e.target.value)} />
+              </div>
+              {line.making_charge_type === 'per_inch' && (
+                <div className="col-span-2">
+                  <Label className="text-xs">VAT %</Label>
+                  <Input type="number" step="0.01" min="0" value={line.vat_percent} onChange={(e) => updateLine(index, 'vat_percent', e.target.value)} />
+                </div>
+              )}
+              <div className={`${line.making_charge_type === 'per_inch' ? 'col-span-4' : 'col-span-6'} text-right text-sm font-mono`}>
+                <span className="text-muted-foreground">
+                  {formatWeight(getNetWeight(line))}g × {formatCurrency(priced.metalRate)} + making {formatCurrency(priced.makingValue)} + VAT {formatCurrency(priced.vatAmount)} =
+                </span>
+                <span className="font-semibold ml-2">{formatCurrency(priced.lineTotal)}</span>
+              </div>
+            </div>
+          </div>
+        );
+      })}
+      {categories.length > 0 && (
+        <datalist id={`${testIdPrefix}-categories`}>
+          {categories.map(name => <option key={name} value={name} />)}
+        </datalist>
+      )}
+      <Button variant="outline" size="sm" onClick={addLine}>
+        <Plus className="w-4 h-4 mr-2" /> Add Item
+      </Button>
+    </div>
+  );
+};
+
+export default SaleLinesEditor;
@@ -0,0 +1,87 @@
+import React, { useRef, useState, useEffect } from 'react';
+import { parseScannedTag } from '../utils/taggedItems';
+import { Input } from './ui/input';
+import { ScanLine } from 'lucide-react';
+
+// Keyboard-wedge scanners type a whole code with only a few ms between keys
+const SCAN_KEY_GAP_MS = 50;
+// Scanners set up without an Enter suffix are submitted once the burst stops
+const SCAN_IDLE_MS = 150;
+const MIN_SCAN_LENGTH = 4;
+
+/**
+ * Text field for a keyboard-wedge barcode/QR scanner.
+ *
+ * Submits on Enter, or by itself when a fast keystroke burst ends, then
+ * clears and keeps focus for the next scan. A tag typed by hand is
+ * submitted with Enter.
+ *
+ * @param {Function} onScan - Called with the parsed tag number
+ * @param {boolean} disabled - Disable the field
+ * @param {string} placeholder - Placeholder text
+ */
+export const ScanTagInput = ({ onScan, disabled = false, placeholder = 'Scan a tag, or type it and press Enter' }) => {
+  const inputRef = useRef(null);
+  const burstRef = useRef({ last: 0, fast: true });
+  const idleTimerRef = useRef(null);
+  const [value, setValue] = useState('');
+  const [lastScan, setLastScan] = useState('');
+
+  useEffect(() => () => clearTimeout(idleTimerRef.current), []);
+
+  const submit = (text) => {
+    clearTimeout(idleTimerRef.current);
+    burstRef.current = { last: 0, fast: true };
+    setValue('');
+    const tag = parseScannedTag(text);
+    if (!tag) return;
+    setLastScan(tag);
+    onScan(tag);
+    inputRef.current?.focus();
+  };
+
+  const handleChange = (e) => {
+    const text = e.target.value;
+    const now = Date.now();
+    const burst = burstRef.current;
+    // The first key of a burst has no gap to measure
+    burst.fast = text.length <= 1 || (burst.fast && now - burst.last <= SCAN_KEY_GAP_MS);
+    burst.last = now;
+    setValue(text);
+
+    clearTimeout(idleTimerRef.current);
+    if (burst.fast && text.length >= MIN_SCAN_LENGTH) {
+      idleTimerRef.current = setTimeout(() => submit(text), SCAN_IDLE_MS);
+    }
+  };
+
+  return (
+    <div className="space-y-1" data-testid="scan-tag-field">
+      <div className="relative">
+        <ScanLine className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
+        <Input
+          ref={inputRef}
+          data-testid="scan-tag-input"
+          value={value}
+          onChange={handleChange}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              submit(e.target.value);
+            }
+          }}
+          placeholder={placeholder}
+          className="pl-9 font-mono"
+          autoComplete="off"
+          autoFocus
+          disabled={disabled}
+        />
+      </div>
+      {lastScan && (
+        <p className="text-xs text-muted-foreground">Last scan: <span className="font-mono">{lastScan}</span></p>
+      )}
+    </div>
+  );
+};
+
+export default ScanTagInput;
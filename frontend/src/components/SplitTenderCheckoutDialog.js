@@ -0,0 +1,332 @@
+import React, { useState, useEffect } from 'react';
+import { API } from '../contexts/AuthContext';
+import { formatCurrency, formatWeight } from '../utils/numberFormat';
+import { formatDateTime } from '../utils/dateTimeUtils';
+import { useCurrentGoldRate } from '../hooks/useCurrentGoldRate';
+import { PURITY_OPTIONS } from '../utils/saleLines';
+import { downloadPaymentVoucherPDF } from '../utils/paymentVoucherPDF';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from './ui/dialog';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { toast } from 'sonner';
+import { Plus, Trash2, Printer } from 'lucide-react';
+
+const TENDER_MODES = [
+  { value: 'Cash', label: 'Cash' },
+  { value: 'Card', label: 'Card' },
+  { value: 'Bank Transfer', label: 'Bank Transfer' },
+  { value: 'UPI/Online', label: 'UPI/Online' },
+  { value: 'Cheque', label: 'Cheque' },
+  { value: 'OLD_GOLD', label: 'Old Gold (at counter)' },
+  { value: 'GOLD_EXCHANGE', label: 'Gold Balance' }
+];
+
+const isGoldMode = (mode) => mode === 'OLD_GOLD' || mode === 'GOLD_EXCHANGE';
+
+const getModeLabel = (mode) => TENDER_MODES.find(m => m.value === mode)?.label || mode;
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+/**
+ * OMR value of a tender row - gold tenders are weight × rate, rounded to baisa like the server
+ */
+const getTenderValue = (tender) => (isGoldMode(tender.payment_mode)
+  ? Math.round(toNumber(tender.gold_weight_grams) * toNumber(tender.rate_per_gram) * 1000) / 1000
+  : toNumber(tender.amount));
+
+/**
+ * Checkout that settles an invoice with several tenders at once (e.g. old gold + card + cash).
+ * Everything posts in one request and comes back as a single numbered receipt voucher.
+ */
+export const SplitTenderCheckoutDialog = ({ open, onOpenChange, invoice, accounts = [], onCompleted }) => {
+  const { getRate } = useCurrentGoldRate();
+  const [tenders, setTenders] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [goldBalance, setGoldBalance] = useState(null);
+  const [voucher, setVoucher] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const isSavedCustomer = invoice?.customer_type === 'saved' && !!invoice?.customer_id;
+  const cashAccount = accounts.find(a => a.name === 'Cash') || accounts[0];
+
+  const newTender = (amount = '') => ({
+    payment_mode: 'Cash',
+    account_id: cashAccount?.id || '',
+    amount,
+    gold_weight_grams: '',
+    purity: 916,
+    rate_per_gram: ''
+  });
+
+  useEffect(() => {
+    if (!open || !invoice) return;
+    setTenders([newTender((invoice.balance_due || 0).toFixed(3))]);
+    setNotes('');
+    setVoucher(null);
+    setGoldBalance(null);
+    if (isSavedCustomer) {
+      API.get(`/api/parties/${invoice.customer_id}/gold-summary`)
+        .then(response => setGoldBalance(response.data.net_gold_balance))
+        .catch(() => setGoldBalance(null));
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, invoice]);
+
+  if (!invoice) return null;
+
+  const balanceDue = invoice.balance_due || 0;
+  const tendered = Math.round(tenders.reduce((sum, t) => sum + getTenderValue(t), 0) * 1000) / 1000;
+  const remaining = Math.round((balanceDue - tendered) * 1000) / 1000;
+
+  const updateTender = (index, changes) => {
+    setTenders(prev => prev.map((t, i) => {
+      if (i !== index) return t;
+      const updated = { ...t, ...changes };
+      // Default the gold rate from the published buy rate for the purity
+      if (isGoldMode(updated.payment_mode) && (changes.payment_mode || changes.purity) && !t.rate_per_gram) {
+        const buyRate = getRate(updated.purity, 'buy');
+        if (buyRate) updated.rate_per_gram = buyRate.toFixed(3);
+      }
+      return updated;
+    }));
+  };
+
+  const handleSubmit = async () => {
+    if (tenders.some(t => getTenderValue(t) <= 0)) {
+      toast.error('Every tender needs a value greater than 0');
+      return;
+    }
+    if (tenders.some(t => !isGoldMode(t.payment_mode) && !t.account_id)) {
+      toast.error('Select an account for every money tender');
+      return;
+    }
+    if (remaining < -0.01) {
+      toast.error('Tenders exceed the balance due');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await API.post(`/api/invoices/${invoice.id}/checkout`, {
+        notes,
+        tenders: tenders.map(t => (isGoldMode(t.payment_mode)
+          ? {
+            payment_mode: t.payment_mode,
+            gold_weight_grams: toNumber(t.gold_weight_grams),
+            purity: parseInt(t.purity, 10) || 916,
+            rate_per_gram: toNumber(t.rate_per_gram)
+          }
+          : { payment_mode: t.payment_mode, account_id: t.account_id, amount: toNumber(t.amount) }))
+      });
+      setVoucher(response.data.voucher);
+      toast.success(response.data.message);
+      if (response.data.finalize_error) {
+        toast.warning(`Payment recorded, but the invoice could not be finalized: ${response.data.finalize_error}`);
+      }
+      if (onCompleted) onCompleted(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Checkout failed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{voucher ? `Receipt ${voucher.voucher_number}` : `Checkout - ${invoice.invoice_number}`}</DialogTitle>
+        </DialogHeader>
+
+        {voucher ? (
+          <div className="space-y-4 mt-2" data-testid="checkout-receipt">
+            <div className="grid grid-cols-2 gap-2 text-sm">
+              <div><span className="text-muted-foreground">Received from:</span> {voucher.party_name}</div>
+              <div className="text-right"><span className="text-muted-foreground">Date:</span> {formatDateTime(voucher.date)}</div>
+              <div><span className="text-muted-foreground">Invoice:</span> <span className="font-mono">{voucher.reference_number}</span></div>
+            </div>
+            <table className="w-full text-sm border rounded-md">
+              <thead className="bg-muted/50">
+                <tr>
+                  <th className="px-3 py-2 text-left">Tender</th>
+                  <th className="px-3 py-2 text-left">Account / Details</th>
+                  <th className="px-3 py-2 text-right">Amount (OMR)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {voucher.tenders.map((t, idx) => (
+                  <tr key={idx} className="border-t">
+                    <td className="px-3 py-2">{getModeLabel(t.payment_mode)}</td>
+                    <td className="px-3 py-2">
+                      {t.gold_weight_grams
+                        ? `${formatWeight(t.gold_weight_grams)}g (${t.purity}) @ ${formatCurrency(t.rate_per_gram)}/g`
+                        : t.account_name}
+                    </td>
+                    <td className="px-3 py-2 text-right font-mono">{formatCurrency(t.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="ml-auto w-72 space-y-1 text-sm">
+              <div className="flex justify-between"><span>Balance before</span><span className="font-mono">{formatCurrency(voucher.balance_before)}</span></div>
+              <div className="flex justify-between font-semibold"><span>Total received</span><span className="font-mono">{formatCurrency(voucher.total_amount)}</span></div>
+              <div className="flex justify-between border-t pt-1"><span>Balance after</span><span className="font-mono">{formatCurrency(voucher.balance_after)}</span></div>
+            </div>
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" onClick={() => downloadPaymentVoucherPDF(voucher)}>
+                <Printer className="w-4 h-4 mr-2" /> Print
+              </Button>
+              <Button onClick={() => onOpenChange(false)}>Done</Button>
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-4 mt-2">
+            <div className="grid grid-cols-3 gap-4 p-4 bg-muted/50 rounded-lg text-sm">
+              <div>
+                <div className="text-muted-foreground">Balance Due</div>
+                <div className="font-mono font-semibold text-base">{formatCurrency(balanceDue)} OMR</div>
+              </div>
+              <div>
+                <div className="text-muted-foreground">Tendered</div>
+                <div className="font-mono font-semibold text-base">{formatCurrency(tendered)} OMR</div>
+              </div>
+              <div>
+                <div className="text-muted-foreground">Remaining</div>
+                <div
+                  className={`font-mono font-semibold text-base ${remaining < -0.01 ? 'text-red-600' : remaining > 0.001 ? 'text-amber-600' : 'text-green-600'}`}
+                  data-testid="checkout-remaining"
+                >
+                  {formatCurrency(remaining)} OMR
+                </div>
+              </div>
+            </div>
+
+            {tenders.map((tender, index) => (
+              <div key={index} className="flex flex-wrap items-end gap-3 border rounded-md p-3">
+                <div className="w-48">
+                  <Label className="text-xs">Tender</Label>
+                  <Select value={tender.payment_mode} onValueChange={(value) => updateTender(index, { payment_mode: value })}>
+                    <SelectTrigger><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      {TENDER_MODES.map(mode => (
+                        <SelectItem key={mode.value} value={mode.value} disabled={mode.value === 'GOLD_EXCHANGE' && !isSavedCustomer}>
+                          {mode.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+
+                {isGoldMode(tender.payment_mode) ? (
+                  <>
+                    <div className="w-28">
+                      <Label className="text-xs">Weight (g)</Label>
+                      <Input
+                        type="number"
+                        step="0.001"
+                        min="0"
+                        value={tender.gold_weight_grams}
+                        onChange={(e) => updateTender(index, { gold_weight_grams: e.target.value })}
+                      />
+                    </div>
+                    <div className="w-24">
+                      <Label className="text-xs">Purity</Label>
+                      <Select value={String(tender.purity)} onValueChange={(value) => updateTender(index, { purity: parseInt(value, 10) })}>
+                        <SelectTrigger><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          {PURITY_OPTIONS.map(p => <SelectItem key={p} value={String(p)}>{p}</SelectItem>)}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div className="w-28">
+                      <Label className="text-xs">Rate / g</Label>
+                      <Input
+                        type="number"
+                        step="0.001"
+                        min="0"
+                        value={tender.rate_per_gram}
+                        onChange={(e) => updateTender(index, { rate_per_gram: e.target.value })}
+                      />
+                    </div>
+                    <div className="w-32 text-sm pb-2">
+                      = <span className="font-mono font-semibold">{formatCurrency(getTenderValue(tender))}</span> OMR
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div className="w-56">
+                      <Label className="text-xs">Account</Label>
+                      <Select value={tender.account_id} onValueChange={(value) => updateTender(index, { account_id: value })}>
+                        <SelectTrigger><SelectValue placeholder="Select account" /></SelectTrigger>
+                        <SelectContent>
+                          {accounts.map(account => (
+                            <SelectItem key={account.id} value={account.id}>{account.name} ({account.account_type})</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div className="w-36">
+                      <Label className="text-xs">Amount (OMR)</Label>
+                      <Input
+                        type="number"
+                        step="0.001"
+                        min="0"
+                        value={tender.amount}
+                        onChange={(e) => updateTender(index, { amount: e.target.value })}
+                      />
+                    </div>
+                    {remaining > 0.001 && (
+                      <button
+                        type="button"
+                        className="text-xs text-blue-600 hover:text-blue-700 pb-2"
+                        onClick={() => updateTender(index, { amount: (toNumber(tender.amount) + remaining).toFixed(3) })}
+                      >
+                        + remaining
+                      </button>
+                    )}
+                  </>
+                )}
+
+                {tenders.length > 1 && (
+                  <Button variant="ghost" size="sm" className="ml-auto text-red-600" onClick={() => setTenders(tenders.filter((_, i) => i !== index))}>
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                )}
+              </div>
+            ))}
+
+            <div className="flex items-center justify-between">
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setTenders([...tenders, newTender(remaining > 0 ? remaining.toFixed(3) : '')])}
+                data-testid="add-tender-button"
+              >
+                <Plus className="w-4 h-4 mr-1" /> Add Tender
+              </Button>
+              {isSavedCustomer && goldBalance !== null && (
+                <span className="text-sm text-muted-foreground">Customer gold balance: {formatWeight(goldBalance)}g</span>
+              )}
+            </div>
+
+            <div>
+              <Label>Notes (Optional)</Label>
+              <Input value={notes} onChange={(e) => setNotes(e.target.value)} placeholder="Payment notes or reference" />
+            </div>
+
+            <div className="flex gap-3">
+              <Button variant="outline" className="flex-1" onClick={() => onOpenChange(false)}>Cancel</Button>
+              <Button className="flex-1" onClick={handleSubmit} disabled={saving} data-testid="submit-checkout-button">
+                {saving ? 'Posting...' : `Receive ${formatCurrency(tendered)} OMR`}
+              </Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default SplitTenderCheckoutDialog;
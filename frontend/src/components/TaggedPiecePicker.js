@@ -0,0 +1,197 @@
+import React, { useState, useRef } from 'react';
+import { API } from '../contexts/AuthContext';
+import { useCurrentGoldRate } from '../hooks/useCurrentGoldRate';
+import { formatWeight, formatCurrency } from '../utils/numberFormat';
+import { getKaratLabel } from '../utils/goldRate';
+import { getTaggedItemStatus, getPieceMakingCharge, SELLABLE_TAGGED_ITEM_STATUSES } from '../utils/taggedItems';
+import ScanTagInput from './ScanTagInput';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Badge } from './ui/badge';
+import { Switch } from './ui/switch';
+import { toast } from 'sonner';
+import { Search, Plus } from 'lucide-react';
+
+/**
+ * Look up a tagged piece by tag number and hand it back with a metal rate.
+ * Weights, purity and making charge come from the register; the rate
+ * defaults to the published sell rate for the piece's purity.
+ *
+ * In scanner mode each scanned piece is added straight away at the
+ * published rate; tags already on the invoice are warned about, not re-added.
+ *
+ * @param {Function} onAdd - Called with (piece, metalRate); may return a promise
+ * @param {string[]} existingTags - Tag numbers already on the invoice
+ * @param {boolean} disabled - Disable lookup and add
+ */
+export const TaggedPiecePicker = ({ onAdd, existingTags = [], disabled = false }) => {
+  const { getRate } = useCurrentGoldRate();
+  const [scanMode, setScanMode] = useState(false);
+  // Tags whose scan is still being looked up / added
+  const pendingScansRef = useRef(new Set());
+  const [tagNumber, setTagNumber] = useState('');
+  const [piece, setPiece] = useState(null);
+  const [metalRate, setMetalRate] = useState('');
+  const [error, setError] = useState('');
+  const [adding, setAdding] = useState(false);
+
+  const handleLookup = async () => {
+    const tag = tagNumber.trim();
+    if (!tag) return;
+    try {
+      setError('');
+      const response = await API.get(`/api/inventory/items/by-tag/${encodeURIComponent(tag)}`);
+      setPiece(response.data);
+      setMetalRate(getRate(response.data.purity, 'sell') ?? '');
+    } catch (err) {
+      setPiece(null);
+      setError(err.response?.data?.detail || 'Failed to look up tag');
+    }
+  };
+
+  const handleAdd = async () => {
+    if (!piece) return;
+    setAdding(true);
+    try {
+      await onAdd(piece, parseFloat(metalRate) || null);
+      setPiece(null);
+      setTagNumber('');
+      setMetalRate('');
+    } catch (err) {
+      // onAdd reports its own errors - keep the piece so the rate can be corrected
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleScan = async (tag) => {
+    if (existingTags.includes(tag) || pendingScansRef.current.has(tag)) {
+      toast.warning(`${tag} is already on this invoice`);
+      return;
+    }
+    pendingScansRef.current.add(tag);
+    try {
+      let scanned;
+      try {
+        const response = await API.get(`/api/inventory/items/by-tag/${encodeURIComponent(tag)}`);
+        scanned = response.data;
+      } catch (err) {
+        toast.error(err.response?.data?.detail || `Failed to look up ${tag}`);
+        return;
+      }
+      if (!SELLABLE_TAGGED_ITEM_STATUSES.includes(scanned.status)) {
+        const scannedStatus = getTaggedItemStatus(scanned.status).label.toLowerCase();
+        toast.error(`${tag} is ${scannedStatus}${scanned.invoice_number ? ` on invoice ${scanned.invoice_number}` : ''}`);
+        return;
+      }
+      await onAdd(scanned, getRate(scanned.purity, 'sell') ?? null);
+    } catch (err) {
+      // onAdd reports its own errors
+    } finally {
+      pendingScansRef.current.delete(tag);
+    }
+  };
+
+  const status = piece ? getTaggedItemStatus(piece.status) : null;
+  const available = piece && SELLABLE_TAGGED_ITEM_STATUSES.includes(piece.status);
+
+  return (
+    <div className="space-y-3" data-testid="tagged-piece-picker">
+      <div className="flex items-center gap-2">
+        <Switch
+          id="tag-scanner-mode"
+          data-testid="scanner-mode-switch"
+          checked={scanMode}
+          onCheckedChange={setScanMode}
+          disabled={disabled}
+        />
+        <Label htmlFor="tag-scanner-mode" className="text-sm">Scanner mode</Label>
+      </div>
+      {scanMode ? (
+        <ScanTagInput onScan={handleScan} disabled={disabled} />
+      ) : (
+        <>
+          <div className="flex gap-2">
+            <Input
+              data-testid="tag-lookup-input"
+              value={tagNumber}
+              onChange={(e) => setTagNumber(e.target.value.toUpperCase())}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  handleLookup();
+                }
+              }}
+              placeholder="Tag number, e.g. TAG-000123"
+              className="font-mono"
+              disabled={disabled}
+            />
+            <Button type="button" variant="outline" onClick={handleLookup} disabled={disabled || !tagNumber.trim()}>
+              <Search className="w-4 h-4 mr-1" /> Look up
+            </Button>
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {piece && (
+            <div className="p-3 border rounded-lg bg-amber-50/50 space-y-3">
+              <div className="flex items-start justify-between">
+                <div>
+                  <p className="font-mono font-semibold">{piece.tag_number}</p>
+                  <p className="text-sm">{piece.description} <span className="text-muted-foreground">· {piece.header_name}</span></p>
+                </div>
+                <Badge className={status.className}>{status.label}</Badge>
+              </div>
+              <div className="grid grid-cols-5 gap-2 text-sm">
+                <div>
+                  <p className="text-xs text-muted-foreground">Gross</p>
+                  <p className="font-mono">{formatWeight(piece.gross_weight)}g</p>
+                </div>
+                <div>
+                  <p className="text-xs text-muted-foreground">Stone</p>
+                  <p className="font-mono">{formatWeight(piece.stone_weight)}g</p>
+                </div>
+                <div>
+                  <p className="text-xs text-muted-foreground">Net</p>
+                  <p className="font-mono font-semibold">{formatWeight(piece.net_weight)}g</p>
+                </div>
+                <div>
+                  <p className="text-xs text-muted-foreground">Purity</p>
+                  <p className="font-mono">{piece.purity} ({getKaratLabel(piece.purity)})</p>
+                </div>
+                <div>
+                  <p className="text-xs text-muted-foreground">Making</p>
+                  <p className="font-mono">{formatCurrency(getPieceMakingCharge(piece))}</p>
+                </div>
+              </div>
+              {available ? (
+                <div className="flex items-end gap-2">
+                  <div className="flex-1">
+                    <Label className="text-xs">Metal Rate (OMR/g)</Label>
+                    <Input
+                      data-testid="tag-metal-rate-input"
+                      type="number"
+                      step="0.001"
+                      min="0"
+                      value={metalRate}
+                      onChange={(e) => setMetalRate(e.target.value)}
+                      placeholder="Published sell rate"
+                    />
+                  </div>
+                  <Button type="button" data-testid="add-tagged-piece-button" onClick={handleAdd} disabled={disabled || adding}>
+                    <Plus className="w-4 h-4 mr-1" /> {adding ? 'Adding...' : 'Add to Invoice'}
+                  </Button>
+                </div>
+              ) : (
+                <p className="text-sm text-red-600">
+                  This piece is {status.label.toLowerCase()}{piece.invoice_number ? ` on invoice ${piece.invoice_number}` : ''} and cannot be added.
+                </p>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TaggedPiecePicker;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { API } from '../contexts/AuthContext';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Switch } from './ui/switch';
+import { toast } from 'sonner';
+import { Receipt, Save } from 'lucide-react';
+
+const emptyVatSettings = {
+  vatin: '',
+  shop_name_ar: '',
+  address_ar: '',
+  vat_on_gold_value: true,
+  vat_on_making_charges: true
+};
+
+/**
+ * Settings card for Oman VAT: the shop's VATIN and Arabic name printed on the
+ * bilingual tax invoice, and which part of a sale line VAT is charged on
+ */
+export const VatSettingsCard = () => {
+  const [settings, setSettings] = useState(emptyVatSettings);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    API.get(`/api/settings/shop`)
+      .then(response => setSettings({
+        vatin: response.data.vatin || '',
+        shop_name_ar: response.data.shop_name_ar || '',
+        address_ar: response.data.address_ar || '',
+        vat_on_gold_value: response.data.vat_on_gold_value !== false,
+        vat_on_making_charges: response.data.vat_on_making_charges !== false
+      }))
+      .catch(() => toast.error('Failed to load VAT settings'));
+  }, []);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await API.put(`/api/settings/shop`, {
+        ...settings,
+        vatin: settings.vatin.trim() || null,
+        shop_name_ar: settings.shop_name_ar.trim() || null,
+        address_ar: settings.address_ar.trim() || null
+      });
+      toast.success('VAT settings saved');
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to save VAT settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="mt-6">
+      <CardHeader>
+        <CardTitle className="text-xl font-serif flex items-center gap-2">
+          <Receipt className="w-5 h-5" />
+          Tax Invoice (Oman VAT)
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-3 gap-4">
+          <div>
+            <Label>Shop VATIN</Label>
+            <Input
+              data-testid="shop-vatin-input"
+              className="font-mono"
+              value={settings.vatin}
+              onChange={(e) => setSettings({ ...settings, vatin: e.target.value })}
+              placeholder="OM1100012345"
+            />
+          </div>
+          <div>
+            <Label>Shop Name (Arabic)</Label>
+            <Input
+              dir="rtl"
+              value={settings.shop_name_ar}
+              onChange={(e) => setSettings({ ...settings, shop_name_ar: e.target.value })}
+            />
+          </div>
+          <div>
+            <Label>Address (Arabic)</Label>
+            <Input
+              dir="rtl"
+              value={settings.address_ar}
+              onChange={(e) => setSettings({ ...settings, address_ar: e.target.value })}
+            />
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          <Label className="text-base font-semibold">Charge VAT on</Label>
+          {[
+            ['vat_on_gold_value', 'Gold value', 'Turn off to zero-rate the gold and charge VAT only on the charges'],
+            ['vat_on_making_charges', 'Making, stone and wastage charges', 'Turn off to charge VAT only on the gold value']
+          ].map(([field, label, hint]) => (
+            <div key={field} className="flex items-center justify-between rounded-md border p-3">
+              <div>
+                <p className="font-medium">{label}</p>
+                <p className="text-xs text-muted-foreground">{hint}</p>
+              </div>
+              <Switch
+                data-testid={`${field}-switch`}
+                checked={settings[field]}
+                onCheckedChange={(checked) => setSettings({ ...settings, [field]: checked })}
+              />
+            </div>
+          ))}
+          <p className="text-xs text-muted-foreground">
+            Applies to lines priced from now on. Existing invoices keep the VAT they were issued with.
+          </p>
+        </div>
+
+        <Button onClick={handleSave} disabled={saving}>
+          <Save className="w-4 h-4 mr-2" /> {saving ? 'Saving...' : 'Save VAT Settings'}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default VatSettingsCard;
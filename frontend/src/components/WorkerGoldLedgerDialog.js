@@ -0,0 +1,431 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API } from '../contexts/AuthContext';
+import { formatWeight } from '../utils/numberFormat';
+import { formatDateTime } from '../utils/dateTimeUtils';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from './ui/dialog';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Checkbox } from './ui/checkbox';
+import { Badge } from './ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { toast } from 'sonner';
+import { ArrowDownToLine, ArrowUpFromLine, Trash2 } from 'lucide-react';
+
+const EMPTY_ISSUE = { jobcard_id: '', weight_grams: '', purity: 916, notes: '' };
+const EMPTY_RECEIPT = { jobcard_id: '', finished_weight: '', scrap_weight: '', purity: 916, closes_job: false, notes: '' };
+
+const SummaryTile = ({ label, value, sub, className = '' }) => (
+  <div className="rounded-md border p-3">
+    <p className="text-xs text-muted-foreground">{label}</p>
+    <p className={`text-lg font-semibold font-mono ${className}`}>{value}</p>
+    {sub && <p className="text-xs text-muted-foreground">{sub}</p>}
+  </div>
+);
+
+/**
+ * Gold issued to a worker (karigar) and work received back, with wastage
+ *
+ * @param {boolean} open - Dialog open state
+ * @param {Function} onOpenChange - Open state callback
+ * @param {Object} worker - Worker whose ledger is shown
+ * @param {Function} onChanged - Called after an entry is added or deleted
+ */
+export const WorkerGoldLedgerDialog = ({ open, onOpenChange, worker, onChanged }) => {
+  const [ledger, setLedger] = useState(null);
+  const [openJobcards, setOpenJobcards] = useState([]);
+  const [issueForm, setIssueForm] = useState(EMPTY_ISSUE);
+  const [receiptForm, setReceiptForm] = useState(EMPTY_RECEIPT);
+  const [saving, setSaving] = useState(false);
+  const [tab, setTab] = useState('ledger');
+
+  const loadLedger = useCallback(async () => {
+    if (!worker) return;
+    try {
+      const response = await API.get(`/api/workers/${worker.id}/gold-ledger`);
+      setLedger(response.data);
+    } catch (error) {
+      toast.error('Failed to load worker gold ledger');
+    }
+  }, [worker]);
+
+  useEffect(() => {
+    if (!open || !worker) return;
+    setTab('ledger');
+    setIssueForm(EMPTY_ISSUE);
+    setReceiptForm(EMPTY_RECEIPT);
+    loadLedger();
+    API.get(`/api/jobcards`, { params: { status: 'created,pending,in_progress', page: 1, page_size: 1000 } })
+      .then(response => setOpenJobcards(response.data.items || []))
+      .catch(() => setOpenJobcards([]));
+  }, [open, worker, loadLedger]);
+
+  const totals = ledger?.totals || {};
+  const allowedPercent = ledger?.worker?.allowed_wastage_percent || 0;
+  const receivableJobs = (ledger?.jobs || []).filter(job => !job.closed);
+  const receiptJob = receivableJobs.find(job => job.jobcard_id === receiptForm.jobcard_id);
+
+  // Preview of what a closing receipt will book
+  const received = (parseFloat(receiptForm.finished_weight) || 0) + (parseFloat(receiptForm.scrap_weight) || 0);
+  const remaining = receiptJob ? receiptJob.outstanding - received : 0;
+  const allowedWastage = receiptJob ? receiptJob.issued * allowedPercent / 100 : 0;
+
+  const afterSave = (message) => {
+    toast.success(message);
+    loadLedger();
+    if (onChanged) onChanged();
+  };
+
+  const handleIssue = async () => {
+    if (!issueForm.jobcard_id) {
+      toast.error('Select a job card');
+      return;
+    }
+    if (!(parseFloat(issueForm.weight_grams) > 0)) {
+      toast.error('Enter the weight issued');
+      return;
+    }
+    try {
+      setSaving(true);
+      await API.post(`/api/workers/${worker.id}/gold-issue`, {
+        ...issueForm,
+        weight_grams: parseFloat(issueForm.weight_grams),
+        purity: parseInt(issueForm.purity, 10)
+      });
+      setIssueForm(EMPTY_ISSUE);
+      setTab('ledger');
+      afterSave('Gold issued to worker');
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to issue gold');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReceipt = async () => {
+    if (!receiptForm.jobcard_id) {
+      toast.error('Select a job card');
+      return;
+    }
+    try {
+      setSaving(true);
+      await API.post(`/api/workers/${worker.id}/gold-receipt`, {
+        ...receiptForm,
+        finished_weight: parseFloat(receiptForm.finished_weight) || 0,
+        scrap_weight: parseFloat(receiptForm.scrap_weight) || 0,
+        purity: parseInt(receiptForm.purity, 10)
+      });
+      setReceiptForm(EMPTY_RECEIPT);
+      setTab('ledger');
+      afterSave(receiptForm.closes_job ? 'Work received and job closed' : 'Work received from worker');
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to receive work');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Delete this ${entry.transaction_type} entry for ${entry.jobcard_number}?`)) {
+      return;
+    }
+    try {
+      await API.delete(`/api/workers/${worker.id}/gold-ledger/${entry.id}`);
+      afterSave('Entry deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to delete entry');
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Gold Ledger - {worker?.name}</DialogTitle>
+        </DialogHeader>
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+          <SummaryTile
+            label="Outstanding"
+            value={`${formatWeight(totals.outstanding)}g fine`}
+            sub={`${totals.open_jobs || 0} open jobs`}
+            className={totals.outstanding > 0 ? 'text-amber-700' : ''}
+          />
+          <SummaryTile label="Issued" value={`${formatWeight(totals.issued)}g fine`} />
+          <SummaryTile
+            label="Returned"
+            value={`${formatWeight((totals.finished || 0) + (totals.scrap || 0))}g fine`}
+            sub={`${formatWeight(totals.finished)}g work · ${formatWeight(totals.scrap)}g scrap`}
+          />
+          <SummaryTile
+            label="Wastage"
+            value={`${formatWeight(totals.wastage)}g fine`}
+            sub={`${(totals.wastage_percent || 0).toFixed(2)}% of closed jobs · allowed ${allowedPercent}%`}
+            className={(totals.wastage_percent || 0) > allowedPercent ? 'text-red-600' : ''}
+          />
+          <SummaryTile
+            label="Excess Wastage"
+            value={`${formatWeight(totals.excess_wastage)}g fine`}
+            sub="Over the allowance"
+            className={totals.excess_wastage > 0 ? 'text-red-600' : ''}
+          />
+        </div>
+
+        <Tabs value={tab} onValueChange={setTab} className="mt-2">
+          <TabsList>
+            <TabsTrigger value="ledger">Ledger</TabsTrigger>
+            <TabsTrigger value="jobs">By Job Card</TabsTrigger>
+            <TabsTrigger value="issue">Issue Gold</TabsTrigger>
+            <TabsTrigger value="receive">Receive Work</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="ledger">
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-muted/50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-semibold uppercase">Date</th>
+                    <th className="px-3 py-2 text-left text-xs font-semibold uppercase">Job Card</th>
+                    <th className="px-3 py-2 text-left text-xs font-semibold uppercase">Type</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Issued (g)</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Finished (g)</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Scrap (g)</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Wastage (g)</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Balance (g)</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Fine (g)</th>
+                    <th className="px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {(ledger?.entries || []).map(entry => (
+                    <tr key={entry.id} className="border-t">
+                      <td className="px-3 py-2 whitespace-nowrap">{formatDateTime(entry.date)}</td>
+                      <td className="px-3 py-2 font-mono">{entry.jobcard_number}</td>
+                      <td className="px-3 py-2">
+                        {entry.transaction_type === 'issue' ? (
+                          <Badge className="bg-amber-100 text-amber-800">Issue</Badge>
+                        ) : (
+                          <Badge className="bg-green-100 text-green-800">{entry.closes_job ? 'Receipt · Closed' : 'Receipt'}</Badge>
+                        )}
+                        {entry.notes && <p className="text-xs text-muted-foreground mt-1">{entry.notes}</p>}
+                      </td>
+                      <td className="px-3 py-2 text-right font-mono">{entry.weight_grams ? formatWeight(entry.weight_grams) : '-'}</td>
+                      <td className="px-3 py-2 text-right font-mono">{entry.finished_weight ? formatWeight(entry.finished_weight) : '-'}</td>
+                      <td className="px-3 py-2 text-right font-mono">{entry.scrap_weight ? formatWeight(entry.scrap_weight) : '-'}</td>
+                      <td className={`px-3 py-2 text-right font-mono ${entry.excess_wastage_weight > 0 ? 'text-red-600' : ''}`}>
+                        {entry.closes_job ? formatWeight(entry.wastage_weight) : '-'}
+                      </td>
+                      <td className="px-3 py-2 text-right font-mono font-semibold">{formatWeight(entry.balance)}</td>
+                      <td className="px-3 py-2 text-right font-mono text-muted-foreground">{formatWeight(entry.fine_balance)}</td>
+                      <td className="px-3 py-2 text-right">
+                        <Button variant="ghost" size="sm" onClick={() => handleDelete(entry)}>
+                          <Trash2 className="w-4 h-4 text-red-500" />
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                  {ledger && ledger.entries.length === 0 && (
+                    <tr>
+                      <td colSpan={10} className="px-3 py-8 text-center text-muted-foreground">No gold issued to this worker yet</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </TabsContent>
+
+          <TabsContent value="jobs">
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-muted/50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-semibold uppercase">Job Card</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Issued (g)</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Returned (g)</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Wastage (g)</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Allowed (g)</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Excess (g)</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Outstanding (g)</th>
+                    <th className="px-3 py-2 text-left text-xs font-semibold uppercase">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {(ledger?.jobs || []).map(job => (
+                    <tr key={job.jobcard_id} className="border-t">
+                      <td className="px-3 py-2 font-mono">{job.jobcard_number}</td>
+                      <td className="px-3 py-2 text-right font-mono">{formatWeight(job.issued)}</td>
+                      <td className="px-3 py-2 text-right font-mono">{formatWeight(job.finished + job.scrap)}</td>
+                      <td className="px-3 py-2 text-right font-mono">
+                        {job.closed ? `${formatWeight(job.wastage)} (${job.wastage_percent ?? 0}%)` : '-'}
+                      </td>
+                      <td className="px-3 py-2 text-right font-mono">{job.closed ? formatWeight(job.allowed_wastage) : '-'}</td>
+                      <td className={`px-3 py-2 text-right font-mono ${job.excess_wastage > 0 ? 'text-red-600 font-semibold' : ''}`}>
+                        {job.closed ? formatWeight(job.excess_wastage) : '-'}
+                      </td>
+                      <td className="px-3 py-2 text-right font-mono font-semibold">{formatWeight(job.outstanding)}</td>
+                      <td className="px-3 py-2">
+                        {job.closed
+                          ? <Badge className="bg-gray-100 text-gray-800">Closed</Badge>
+                          : <Badge className="bg-amber-100 text-amber-800">Open</Badge>}
+                      </td>
+                    </tr>
+                  ))}
+                  {ledger && ledger.jobs.length === 0 && (
+                    <tr>
+                      <td colSpan={8} className="px-3 py-8 text-center text-muted-foreground">No job cards yet</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </TabsContent>
+
+          <TabsContent value="issue">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 pt-2">
+              <div className="md:col-span-3">
+                <Label>Job Card *</Label>
+                <Select value={issueForm.jobcard_id} onValueChange={(value) => setIssueForm({ ...issueForm, jobcard_id: value })}>
+                  <SelectTrigger data-testid="worker-gold-issue-jobcard">
+                    <SelectValue placeholder="Select an open job card" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {openJobcards.map(jc => (
+                      <SelectItem key={jc.id} value={jc.id}>
+                        {jc.job_card_number} - {jc.customer_type === 'walk_in' ? jc.walk_in_name : jc.customer_name}
+                        {jc.worker_id && jc.worker_id !== worker?.id ? ` (assigned to ${jc.worker_name})` : ''}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label>Weight Issued (g) *</Label>
+                <Input
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  value={issueForm.weight_grams}
+                  onChange={(e) => setIssueForm({ ...issueForm, weight_grams: e.target.value })}
+                />
+              </div>
+              <div>
+                <Label>Purity</Label>
+                <Input
+                  type="number"
+                  value={issueForm.purity}
+                  onChange={(e) => setIssueForm({ ...issueForm, purity: e.target.value })}
+                />
+              </div>
+              <div>
+                <Label>Notes</Label>
+                <Input value={issueForm.notes} onChange={(e) => setIssueForm({ ...issueForm, notes: e.target.value })} />
+              </div>
+            </div>
+            <div className="flex justify-end mt-4">
+              <Button onClick={handleIssue} disabled={saving}>
+                <ArrowUpFromLine className="w-4 h-4 mr-2" /> Issue Gold
+              </Button>
+            </div>
+          </TabsContent>
+
+          <TabsContent value="receive">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 pt-2">
+              <div className="md:col-span-4">
+                <Label>Job Card *</Label>
+                <Select
+                  value={receiptForm.jobcard_id}
+                  onValueChange={(value) => {
+                    const job = receivableJobs.find(j => j.jobcard_id === value);
+                    setReceiptForm({ ...receiptForm, jobcard_id: value, purity: job ? job.purity : receiptForm.purity });
+                  }}
+                >
+                  <SelectTrigger data-testid="worker-gold-receipt-jobcard">
+                    <SelectValue placeholder={receivableJobs.length ? 'Select a job card with gold outstanding' : 'No open jobs for this worker'} />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {receivableJobs.map(job => (
+                      <SelectItem key={job.jobcard_id} value={job.jobcard_id}>
+                        {job.jobcard_number} - {formatWeight(job.outstanding)}g outstanding
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label>Finished Work (g)</Label>
+                <Input
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  value={receiptForm.finished_weight}
+                  onChange={(e) => setReceiptForm({ ...receiptForm, finished_weight: e.target.value })}
+                />
+              </div>
+              <div>
+                <Label>Scrap / Dust (g)</Label>
+                <Input
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  value={receiptForm.scrap_weight}
+                  onChange={(e) => setReceiptForm({ ...receiptForm, scrap_weight: e.target.value })}
+                />
+              </div>
+              <div>
+                <Label>Purity</Label>
+                <Input
+                  type="number"
+                  value={receiptForm.purity}
+                  onChange={(e) => setReceiptForm({ ...receiptForm, purity: e.target.value })}
+                />
+              </div>
+              <div>
+                <Label>Notes</Label>
+                <Input value={receiptForm.notes} onChange={(e) => setReceiptForm({ ...receiptForm, notes: e.target.value })} />
+              </div>
+              <div className="md:col-span-4 flex items-center gap-2">
+                <Checkbox
+                  id="closes_job"
+                  checked={receiptForm.closes_job}
+                  onCheckedChange={(checked) => setReceiptForm({ ...receiptForm, closes_job: !!checked })}
+                />
+                <Label htmlFor="closes_job">Close this job - book whatever is still outstanding as wastage</Label>
+              </div>
+            </div>
+            {receiptJob && (
+              <div className="mt-4 rounded-md border bg-muted/30 p-3 text-sm space-y-1">
+                <div className="flex justify-between"><span>Outstanding on job</span><span className="font-mono">{formatWeight(receiptJob.outstanding)}g</span></div>
+                <div className="flex justify-between"><span>Received now</span><span className="font-mono">{formatWeight(received)}g</span></div>
+                {remaining < 0 ? (
+                  <p className="text-red-600">Received weight is more than the gold outstanding on this job.</p>
+                ) : receiptForm.closes_job ? (
+                  <>
+                    <div className="flex justify-between"><span>Wastage to book</span><span className="font-mono">{formatWeight(remaining)}g</span></div>
+                    <div className="flex justify-between">
+                      <span>Allowed ({allowedPercent}% of {formatWeight(receiptJob.issued)}g)</span>
+                      <span className="font-mono">{formatWeight(allowedWastage)}g</span>
+                    </div>
+                    <div className={`flex justify-between font-semibold ${remaining > allowedWastage ? 'text-red-600' : 'text-green-700'}`}>
+                      <span>Excess wastage</span>
+                      <span className="font-mono">{formatWeight(Math.max(remaining - allowedWastage, 0))}g</span>
+                    </div>
+                  </>
+                ) : (
+                  <div className="flex justify-between"><span>Still outstanding after receipt</span><span className="font-mono">{formatWeight(remaining)}g</span></div>
+                )}
+              </div>
+            )}
+            <div className="flex justify-end mt-4">
+              <Button onClick={handleReceipt} disabled={saving || remaining < 0}>
+                <ArrowDownToLine className="w-4 h-4 mr-2" /> Receive Work
+              </Button>
+            </div>
+          </TabsContent>
+        </Tabs>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default WorkerGoldLedgerDialog;
@@ -0,0 +1,267 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API } from '../contexts/AuthContext';
+import { formatCurrency, formatWeight } from '../utils/numberFormat';
+import { formatDate } from '../utils/dateTimeUtils';
+import { getLocalToday } from '../utils/jobCards';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from './ui/dialog';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Badge } from './ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { toast } from 'sonner';
+import { AlertTriangle, RefreshCw, Wallet } from 'lucide-react';
+
+const EMPTY_PAYMENT = { amount: '', payment_mode: 'Cash', account_id: '', notes: '' };
+
+const SummaryTile = ({ label, value, className = '' }) => (
+  <div className="rounded-md border p-3">
+    <p className="text-xs text-muted-foreground">{label}</p>
+    <p className={`text-lg font-semibold font-mono ${className}`}>{value}</p>
+  </div>
+);
+
+/**
+ * Worker labour statement for a period - work done, labour earned and
+ * payments made - with a form to settle the balance due
+ *
+ * @param {boolean} open - Dialog open state
+ * @param {Function} onOpenChange - Open state callback
+ * @param {Object} worker - Worker whose statement is shown
+ * @param {Function} onChanged - Called after a payment is recorded
+ */
+export const WorkerLabourStatementDialog = ({ open, onOpenChange, worker, onChanged }) => {
+  const [statement, setStatement] = useState(null);
+  const [accounts, setAccounts] = useState([]);
+  const [period, setPeriod] = useState({ start_date: '', end_date: '' });
+  const [payment, setPayment] = useState(EMPTY_PAYMENT);
+  const [saving, setSaving] = useState(false);
+
+  const loadStatement = useCallback(async (range) => {
+    if (!worker) return;
+    try {
+      const params = {};
+      if (range.start_date) params.start_date = range.start_date;
+      if (range.end_date) params.end_date = range.end_date;
+      const response = await API.get(`/api/workers/${worker.id}/labour-statement`, { params });
+      setStatement(response.data);
+      setPayment(prev => ({ ...prev, amount: response.data.closing_balance > 0 ? response.data.closing_balance.toFixed(3) : '' }));
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to load labour statement');
+    }
+  }, [worker]);
+
+  useEffect(() => {
+    if (!open || !worker) return;
+    // Default to the current month so far
+    const today = getLocalToday();
+    const range = { start_date: `${today.slice(0, 8)}01`, end_date: today };
+    setPeriod(range);
+    setPayment(EMPTY_PAYMENT);
+    loadStatement(range);
+    API.get(`/api/accounts`)
+      .then(response => setAccounts(response.data || []))
+      .catch(() => setAccounts([]));
+  }, [open, worker, loadStatement]);
+
+  const handlePay = async () => {
+    if (!(parseFloat(payment.amount) > 0)) {
+      toast.error('Enter the amount paid');
+      return;
+    }
+    if (!payment.account_id) {
+      toast.error('Select the account paid from');
+      return;
+    }
+    try {
+      setSaving(true);
+      await API.post(`/api/workers/${worker.id}/labour-payments`, {
+        ...payment,
+        amount: parseFloat(payment.amount),
+        period_start: period.start_date || null,
+        period_end: period.end_date || null
+      });
+      toast.success('Labour payment recorded');
+      setPayment(EMPTY_PAYMENT);
+      loadStatement(period);
+      if (onChanged) onChanged();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to record payment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Labour Statement - {worker?.name}</DialogTitle>
+        </DialogHeader>
+
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <Label>From</Label>
+            <Input type="date" value={period.start_date} onChange={(e) => setPeriod({ ...period, start_date: e.target.value })} />
+          </div>
+          <div>
+            <Label>To</Label>
+            <Input type="date" value={period.end_date} onChange={(e) => setPeriod({ ...period, end_date: e.target.value })} />
+          </div>
+          <Button variant="outline" onClick={() => loadStatement(period)}>
+            <RefreshCw className="w-4 h-4 mr-2" /> Load
+          </Button>
+        </div>
+
+        {statement && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <SummaryTile label="Opening Balance" value={formatCurrency(statement.opening_balance)} />
+              <SummaryTile
+                label={`Earned (${statement.items_count} items, ${statement.jobcards_count} job cards)`}
+                value={formatCurrency(statement.earned)}
+                className="text-green-700"
+              />
+              <SummaryTile label="Paid" value={formatCurrency(statement.paid)} />
+              <SummaryTile
+                label={statement.closing_balance < 0 ? 'Paid in Advance' : 'Balance Due'}
+                value={formatCurrency(Math.abs(statement.closing_balance))}
+                className={statement.closing_balance > 0 ? 'text-amber-700' : ''}
+              />
+            </div>
+
+            {statement.unrated_items > 0 && (
+              <div className="flex items-center gap-2 rounded-md border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">
+                <AlertTriangle className="w-4 h-4" />
+                {statement.unrated_items} item(s) have a work type with no labour rate for this worker and earn nothing until a rate is added.
+              </div>
+            )}
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-muted/50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-semibold uppercase">Date</th>
+                    <th className="px-3 py-2 text-left text-xs font-semibold uppercase">Reference</th>
+                    <th className="px-3 py-2 text-left text-xs font-semibold uppercase">Work</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Qty / Weight</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Rate</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Earned</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Paid</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr className="border-t bg-muted/20">
+                    <td className="px-3 py-2 font-medium" colSpan={7}>Opening balance</td>
+                    <td className="px-3 py-2 text-right font-mono">{formatCurrency(statement.opening_balance)}</td>
+                  </tr>
+                  {statement.rows.map((row, idx) => (
+                    <tr key={`${row.type}-${row.payment_id || row.jobcard_id}-${idx}`} className="border-t">
+                      <td className="px-3 py-2 whitespace-nowrap">{formatDate(row.date)}</td>
+                      {row.type === 'earned' ? (
+                        <>
+                          <td className="px-3 py-2 font-mono">{row.jobcard_number}</td>
+                          <td className="px-3 py-2">
+                            <span>{row.description}</span>
+                            <span className="text-muted-foreground capitalize"> · {row.work_type || 'no work type'}</span>
+                            {row.rate_missing && <Badge className="ml-2 bg-amber-100 text-amber-800 text-xs">No rate</Badge>}
+                          </td>
+                          <td className="px-3 py-2 text-right font-mono">
+                            {row.rate_type === 'per_gram' ? `${formatWeight(row.weight)}g` : `${row.qty} pcs`}
+                          </td>
+                          <td className="px-3 py-2 text-right font-mono">
+                            {row.rate_missing ? '-' : `${formatCurrency(row.rate)}/${row.rate_type === 'per_gram' ? 'g' : 'pc'}`}
+                          </td>
+                          <td className="px-3 py-2 text-right font-mono text-green-700">{formatCurrency(row.amount)}</td>
+                          <td className="px-3 py-2 text-right">-</td>
+                        </>
+                      ) : (
+                        <>
+                          <td className="px-3 py-2 font-mono">{row.payment_number}</td>
+                          <td className="px-3 py-2" colSpan={3}>
+                            {row.description}
+                            {row.notes && <span className="text-muted-foreground"> · {row.notes}</span>}
+                          </td>
+                          <td className="px-3 py-2 text-right">-</td>
+                          <td className="px-3 py-2 text-right font-mono">{formatCurrency(row.amount)}</td>
+                        </>
+                      )}
+                      <td className="px-3 py-2 text-right font-mono font-semibold">{formatCurrency(row.balance)}</td>
+                    </tr>
+                  ))}
+                  {statement.rows.length === 0 && (
+                    <tr>
+                      <td colSpan={8} className="px-3 py-6 text-center text-muted-foreground">No completed work or payments in this period</td>
+                    </tr>
+                  )}
+                  <tr className="border-t bg-muted/20 font-semibold">
+                    <td className="px-3 py-2" colSpan={5}>Closing balance</td>
+                    <td className="px-3 py-2 text-right font-mono">{formatCurrency(statement.earned)}</td>
+                    <td className="px-3 py-2 text-right font-mono">{formatCurrency(statement.paid)}</td>
+                    <td className="px-3 py-2 text-right font-mono">{formatCurrency(statement.closing_balance)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+
+            <div className="rounded-md border p-4 space-y-3">
+              <h3 className="font-semibold">Record Payment</h3>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                <div>
+                  <Label>Amount (OMR) *</Label>
+                  <Input
+                    type="number"
+                    step="0.001"
+                    min="0"
+                    value={payment.amount}
+                    onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <Label>Payment Mode</Label>
+                  <Select value={payment.payment_mode} onValueChange={(value) => setPayment({ ...payment, payment_mode: value })}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="Cash">Cash</SelectItem>
+                      <SelectItem value="Bank Transfer">Bank Transfer</SelectItem>
+                      <SelectItem value="Cheque">Cheque</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div>
+                  <Label>Pay From Account *</Label>
+                  <Select value={payment.account_id || undefined} onValueChange={(value) => setPayment({ ...payment, account_id: value })}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select account" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {accounts.map(account => (
+                        <SelectItem key={account.id} value={account.id}>
+                          {account.name} ({account.account_type})
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div>
+                  <Label>Notes</Label>
+                  <Input value={payment.notes} onChange={(e) => setPayment({ ...payment, notes: e.target.value })} />
+                </div>
+              </div>
+              <div className="flex justify-end">
+                <Button onClick={handlePay} disabled={saving}>
+                  <Wallet className="w-4 h-4 mr-2" /> Record Payment
+                </Button>
+              </div>
+            </div>
+          </>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default WorkerLabourStatementDialog;
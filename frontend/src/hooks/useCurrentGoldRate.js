@@ -0,0 +1,37 @@
+import { useState, useEffect, useCallback } from 'react';
+import { API } from '../contexts/AuthContext';
+import { getRateForPurity } from '../utils/goldRate';
+
+/**
+ * Custom hook to load the latest published gold rate board
+ *
+ * @returns {Object} - { currentRate, getRate, reload }
+ *   currentRate: latest board or null if none is published
+ *   getRate(purity, side): published rate per gram for a purity ('buy' or 'sell')
+ */
+export function useCurrentGoldRate() {
+  const [currentRate, setCurrentRate] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      const response = await API.get(`/api/gold-rates/current`);
+      setCurrentRate(response.data);
+    } catch (error) {
+      // 404 simply means no rate has been published yet
+      setCurrentRate(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const getRate = useCallback(
+    (purity, side = 'sell') => getRateForPurity(currentRate, purity, side),
+    [currentRate]
+  );
+
+  return { currentRate, getRate, reload };
+}
+
+export default useCurrentGoldRate;
@@ -0,0 +1,26 @@
+import { useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+/**
+ * Open a record passed in the URL as ?view=<id> (e.g. from a stock ledger row)
+ *
+ * Calls onView once with the id, then drops the param so closing the view
+ * dialog or paging does not open it again.
+ *
+ * @param {Function} onView - Called with the record id
+ */
+export function useViewParam(onView) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const viewId = searchParams.get('view');
+
+  useEffect(() => {
+    if (!viewId) return;
+    onView(viewId);
+    const newSearchParams = new URLSearchParams(searchParams);
+    newSearchParams.delete('view');
+    setSearchParams(newSearchParams, { replace: true });
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [viewId]);
+}
+
+export default useViewParam;
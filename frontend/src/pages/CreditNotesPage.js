@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { formatCurrency, formatWeight } from '../utils/numberFormat';
+import { formatDate, formatDateTime } from '../utils/dateTimeUtils';
+import { API } from '../contexts/AuthContext';
+import { useViewParam } from '../hooks/useViewParam';
+import { useURLPagination } from '../hooks/useURLPagination';
+import { downloadCreditNotePDF } from '../utils/professionalInvoicePDF';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '../components/ui/dialog';
+import { toast } from 'sonner';
+import { FileMinus, Eye, Printer } from 'lucide-react';
+import Pagination from '../components/Pagination';
+
+/**
+ * Credit notes issued when finalized invoices are cancelled, with a printable copy of each
+ */
+export default function CreditNotesPage() {
+  const navigate = useNavigate();
+  const { currentPage, setPage, pagination, setPagination } = useURLPagination();
+  const [creditNotes, setCreditNotes] = useState([]);
+  const [viewCreditNote, setViewCreditNote] = useState(null);
+
+  const loadCreditNotes = useCallback(async () => {
+    try {
+      const response = await API.get(`/api/credit-notes`, { params: { page: currentPage, page_size: 10 } });
+      setCreditNotes(Array.isArray(response.data.items) ? response.data.items : []);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Failed to load credit notes:', error);
+      toast.error('Failed to load credit notes');
+      setCreditNotes([]);
+    }
+  }, [currentPage, setPagination]);
+
+  useEffect(() => {
+    loadCreditNotes();
+  }, [loadCreditNotes]);
+
+  const openCreditNote = async (creditNoteId) => {
+    try {
+      const response = await API.get(`/api/credit-notes/${creditNoteId}`);
+      setViewCreditNote(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to load credit note');
+    }
+  };
+
+  useViewParam(openCreditNote);
+
+  const handlePrint = async (creditNote) => {
+    toast.info('Generating credit note PDF...');
+    const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://127.0.0.1:5000';
+    const result = await downloadCreditNotePDF(creditNote.id, `${BACKEND_URL}/api`, API);
+    if (result.success) {
+      toast.success('Credit note PDF generated');
+    } else {
+      toast.error(result.error || 'Failed to generate credit note PDF');
+    }
+  };
+
+  const renderInvoiceLink = (creditNote) => (
+    <button
+      type="button"
+      className="text-primary hover:underline font-mono"
+      onClick={() => navigate(`/invoices?view=${creditNote.invoice_id}`)}
+    >
+      {creditNote.invoice_number}
+    </button>
+  );
+
+  return (
+    <div data-testid="credit-notes-page">
+      <div className="mb-8">
+        <h1 className="text-4xl font-serif font-semibold text-gray-900 mb-2">Credit Notes</h1>
+        <p className="text-muted-foreground">Issued when a finalized invoice is cancelled</p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-xl font-serif">Credit Notes</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="overflow-x-auto">
+            <table className="w-full" data-testid="credit-notes-table">
+              <thead className="bg-muted/50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Credit Note #</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Date</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Invoice</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Customer</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Reason</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Credited (OMR)</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Refunded (OMR)</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {creditNotes.map((creditNote) => (
+                  <tr key={creditNote.id} className="border-t hover:bg-muted/30">
+                    <td className="px-4 py-3 font-mono font-semibold">{creditNote.credit_note_number}</td>
+                    <td className="px-4 py-3 text-sm">{formatDate(creditNote.date)}</td>
+                    <td className="px-4 py-3 text-sm">{renderInvoiceLink(creditNote)}</td>
+                    <td className="px-4 py-3 text-sm">{creditNote.party_name}</td>
+                    <td className="px-4 py-3 text-sm max-w-xs truncate" title={creditNote.reason}>{creditNote.reason}</td>
+                    <td className="px-4 py-3 text-right font-mono text-sm font-semibold">{formatCurrency(creditNote.grand_total)}</td>
+                    <td className="px-4 py-3 text-right font-mono text-sm">{formatCurrency(creditNote.refund_amount)}</td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">
+                      <Button variant="ghost" size="sm" onClick={() => openCreditNote(creditNote.id)} title="View">
+                        <Eye className="w-4 h-4" />
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => handlePrint(creditNote)} title="Print PDF">
+                        <Printer className="w-4 h-4" />
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {creditNotes.length === 0 && (
+              <div className="text-center py-12 text-muted-foreground">
+                <FileMinus className="w-12 h-12 mx-auto mb-3 opacity-50" />
+                <p>No credit notes issued</p>
+              </div>
+            )}
+          </div>
+        </CardContent>
+        {pagination && <Pagination pagination={pagination} onPageChange={setPage} />}
+      </Card>
+
+      <Dialog open={!!viewCreditNote} onOpenChange={(open) => { if (!open) setViewCreditNote(null); }}>
+        <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Credit Note {viewCreditNote?.credit_note_number}</DialogTitle>
+          </DialogHeader>
+          {viewCreditNote && (
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                <div>
+                  <p className="text-xs text-muted-foreground">Date</p>
+                  <p className="font-medium">{formatDateTime(viewCreditNote.date)}</p>
+                </div>
+                <div>
+                  <p className="text-xs text-muted-foreground">Invoice</p>
+                  <p className="font-medium">{renderInvoiceLink(viewCreditNote)}</p>
+                </div>
+                <div>
+                  <p className="text-xs text-muted-foreground">Customer</p>
+                  <p className="font-medium">{viewCreditNote.party_name}</p>
+                </div>
+                <div>
+                  <p className="text-xs text-muted-foreground">Reversed</p>
+                  <p className="font-medium">
+                    {(viewCreditNote.stock_movement_ids || []).length} stock, {(viewCreditNote.transaction_ids || []).length} finance,{' '}
+                    {(viewCreditNote.gold_ledger_ids || []).length} gold
+                  </p>
+                </div>
+              </div>
+
+              <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+                Reason: {viewCreditNote.reason}
+              </div>
+
+              <table className="w-full text-sm">
+                <thead className="bg-muted/50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-semibold uppercase">Description</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Qty</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Weight (g)</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">VAT</th>
+                    <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Total (OMR)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {(viewCreditNote.items || []).map((item, index) => (
+                    <tr key={item.id || index} className="border-t">
+                      <td className="px-3 py-2">
+                        <div>{item.description || '-'}</div>
+                        {item.category && <div className="text-xs text-muted-foreground">{item.category}</div>}
+                      </td>
+                      <td className="px-3 py-2 text-right">{item.qty || 1}</td>
+                      <td className="px-3 py-2 text-right font-mono">{formatWeight(item.net_gold_weight || item.weight)}</td>
+                      <td className="px-3 py-2 text-right font-mono">{formatCurrency(item.vat_amount)}</td>
+                      <td className="px-3 py-2 text-right font-mono">{formatCurrency(item.line_total)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div className="ml-auto w-full md:w-72 space-y-1 text-sm">
+                <div className="flex justify-between"><span>Subtotal</span><span className="font-mono">{formatCurrency(viewCreditNote.subtotal)}</span></div>
+                {viewCreditNote.discount_amount > 0 && (
+                  <div className="flex justify-between"><span>Discount</span><span className="font-mono">-{formatCurrency(viewCreditNote.discount_amount)}</span></div>
+                )}
+                <div className="flex justify-between"><span>VAT</span><span className="font-mono">{formatCurrency(viewCreditNote.vat_total)}</span></div>
+                <div className="flex justify-between font-semibold border-t pt-1">
+                  <span>Amount Credited</span><span className="font-mono">{formatCurrency(viewCreditNote.grand_total)}</span>
+                </div>
+                <div className="flex justify-between text-red-700">
+                  <span>Payments Refunded</span><span className="font-mono">{formatCurrency(viewCreditNote.refund_amount)}</span>
+                </div>
+              </div>
+
+              <div className="flex justify-end">
+                <Button onClick={() => handlePrint(viewCreditNote)}>
+                  <Printer className="w-4 h-4 mr-2" /> Print PDF
+                </Button>
+              </div>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
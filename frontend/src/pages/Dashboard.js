@@ -1,17 +1,38 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { API } from '../contexts/AuthContext';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
-import { Package, AlertTriangle, Users, TrendingUp } from 'lucide-react';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Package, AlertTriangle, Users, TrendingUp, Search } from 'lucide-react';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, Legend, CartesianGrid } from 'recharts';
 import { formatWeight, formatCurrency } from '../utils/numberFormat';
+import { formatDate, formatDateTime } from '../utils/dateTimeUtils';
+import { GOLD_RATE_PURITIES, getRateForPurity } from '../utils/goldRate';
+import { usePermission } from '../hooks/usePermission';
+import { DeliveryAlertsPanel } from '../components/DeliveryAlertsPanel';
+
+const TREND_RANGES = [7, 30, 90];
+const TREND_COLORS = { 999: '#b45309', 916: '#d97706', 875: '#65a30d', 750: '#0891b2' };
 
 export default function Dashboard() {
+  const canViewJobCards = usePermission('jobcards.view');
   const [stats, setStats] = useState({
     totalHeaders: 0,
     totalStock: 0,
+    totalFineStock: 0,
     totalOutstanding: 0,
     lowStockItems: 0
   });
   const [stockTotals, setStockTotals] = useState([]);
+  const [stockValuation, setStockValuation] = useState(null);
+  const [trendDays, setTrendDays] = useState(30);
+  const [trendSide, setTrendSide] = useState('sell');
+  const [trendPoints, setTrendPoints] = useState([]);
+  const [lookup, setLookup] = useState({ date: '', time: '', purity: '916' });
+  const [lookupResult, setLookupResult] = useState(null);
+  const [lookupError, setLookupError] = useState('');
 
   const loadDashboardData = useCallback(async () => {
     try {
@@ -24,8 +45,9 @@ export default function Dashboard() {
       setStats({
         totalHeaders: headersRes.data?.pagination?.total_count || 0,
         totalStock: stockRes.data?.reduce((sum, item) => sum + (item.total_weight || 0), 0) || 0,
+        totalFineStock: stockRes.data?.reduce((sum, item) => sum + (item.total_fine_weight || 0), 0) || 0,
         totalOutstanding: outstandingRes.data?.total_customer_due || 0,
-        lowStockItems: stockRes.data?.filter(item => item.total_qty < 5).length || 0
+        lowStockItems: stockRes.data?.filter(item => item.is_low_stock).length || 0
       });
 
       setStockTotals(Array.isArray(stockRes.data) ? stockRes.data : []);
@@ -35,6 +57,7 @@ export default function Dashboard() {
       setStats({
         totalHeaders: 0,
         totalStock: 0,
+        totalFineStock: 0,
         totalOutstanding: 0,
         lowStockItems: 0
       });
@@ -46,6 +69,60 @@ export default function Dashboard() {
     loadDashboardData();
   }, [loadDashboardData]);
 
+  const loadStockValuation = useCallback(async () => {
+    try {
+      const response = await API.get(`/api/inventory/valuation`);
+      setStockValuation(response.data);
+    } catch (error) {
+      // No published rate yet - the card falls back to grams only
+      setStockValuation(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStockValuation();
+  }, [loadStockValuation]);
+
+  const loadRateTrend = useCallback(async () => {
+    try {
+      const response = await API.get(`/api/gold-rates/trend`, { params: { days: trendDays } });
+      setTrendPoints(Array.isArray(response.data?.points) ? response.data.points : []);
+    } catch (error) {
+      console.error('Failed to load gold rate trend:', error);
+      setTrendPoints([]);
+    }
+  }, [trendDays]);
+
+  useEffect(() => {
+    loadRateTrend();
+  }, [loadRateTrend]);
+
+  // One chart row per published board, one line per purity
+  const trendData = useMemo(() => trendPoints.map(board => {
+    const row = { label: formatDateTime(board.effective_at) };
+    GOLD_RATE_PURITIES.forEach(p => {
+      row[p.karat] = getRateForPurity(board, p.purity, trendSide);
+    });
+    return row;
+  }), [trendPoints, trendSide]);
+
+  const handleRateLookup = async () => {
+    if (!lookup.date) {
+      setLookupError('Select a date');
+      return;
+    }
+    // Without a time, look up the rate in effect at the end of that day
+    const at = new Date(`${lookup.date}T${lookup.time || '23:59:59'}`).toISOString();
+    try {
+      setLookupError('');
+      const response = await API.get(`/api/gold-rates/at`, { params: { at, purity: lookup.purity } });
+      setLookupResult(response.data);
+    } catch (error) {
+      setLookupResult(null);
+      setLookupError(error.response?.data?.detail || 'Failed to look up gold rate');
+    }
+  };
+
   return (
     <div data-testid="dashboard-page">
       <div className="mb-8">
@@ -70,7 +147,16 @@ export default function Dashboard() {
             <TrendingUp className="w-5 h-5 text-accent" strokeWidth={1.5} />
           </CardHeader>
           <CardContent>
-            <div className="text-3xl font-mono font-semibold text-gray-900">{formatWeight(stats.totalStock)}<span className="text-sm ml-1">g</span></div>
+            <div className="text-3xl font-mono font-semibold text-gray-900">{formatWeight(stats.totalStock)}<span className="text-sm ml-1">g gross</span></div>
+            <p className="text-sm font-mono text-muted-foreground" data-testid="stock-fine-weight">
+              {formatWeight(stats.totalFineStock)} g fine (24K)
+            </p>
+            {stockValuation && (
+              <p className="text-sm text-muted-foreground mt-1" data-testid="stock-value">
+                Worth <span className="font-mono font-semibold text-gray-900">{formatCurrency(stockValuation.totals.value)}</span> OMR
+                <span className="block text-xs">@ {formatCurrency(stockValuation.rate)}/g fine</span>
+              </p>
+            )}
           </CardContent>
         </Card>
 
@@ -91,10 +177,123 @@ export default function Dashboard() {
           </CardHeader>
           <CardContent>
             <div className="text-3xl font-mono font-semibold text-gray-900">{stats.lowStockItems}</div>
+            <p className="text-xs text-muted-foreground mt-1">Categories below their reorder level</p>
           </CardContent>
         </Card>
       </div>
 
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+        <Card className="lg:col-span-2" data-testid="gold-rate-trend">
+          <CardHeader className="flex flex-row items-center justify-between">
+            <CardTitle className="text-xl font-serif">Gold Rate Trend</CardTitle>
+            <div className="flex gap-2">
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => setTrendSide(trendSide === 'sell' ? 'buy' : 'sell')}
+              >
+                {trendSide === 'sell' ? 'Sell' : 'Buy'} rates
+              </Button>
+              {TREND_RANGES.map(days => (
+                <Button
+                  key={days}
+                  size="sm"
+                  variant={trendDays === days ? 'default' : 'outline'}
+                  onClick={() => setTrendDays(days)}
+                  data-testid={`trend-range-${days}`}
+                >
+                  {days}D
+                </Button>
+              ))}
+            </div>
+          </CardHeader>
+          <CardContent>
+            {trendData.length > 0 ? (
+              <ResponsiveContainer width="100%" height={280}>
+                <LineChart data={trendData} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+                  <YAxis tick={{ fontSize: 11 }} domain={['auto', 'auto']} />
+                  <Tooltip formatter={(value) => `${formatCurrency(value)} OMR/g`} />
+                  <Legend />
+                  {GOLD_RATE_PURITIES.map(p => (
+                    <Line key={p.purity} type="monotone" dataKey={p.karat} stroke={TREND_COLORS[p.purity]} strokeWidth={2} dot={trendData.length <= 31} />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            ) : (
+              <div className="text-center py-12 text-muted-foreground">
+                No gold rates published in the last {trendDays} days
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card data-testid="gold-rate-lookup">
+          <CardHeader>
+            <CardTitle className="text-xl font-serif">Rate on a Date</CardTitle>
+            <p className="text-sm text-muted-foreground">Check the published rate at the time of an old job card or invoice</p>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <Label>Date</Label>
+                <Input
+                  type="date"
+                  value={lookup.date}
+                  onChange={(e) => setLookup({ ...lookup, date: e.target.value })}
+                  data-testid="rate-lookup-date"
+                />
+              </div>
+              <div>
+                <Label>Time (Optional)</Label>
+                <Input
+                  type="time"
+                  value={lookup.time}
+                  onChange={(e) => setLookup({ ...lookup, time: e.target.value })}
+                />
+              </div>
+            </div>
+            <div>
+              <Label>Purity</Label>
+              <Select value={lookup.purity} onValueChange={(val) => setLookup({ ...lookup, purity: val })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {GOLD_RATE_PURITIES.map(p => (
+                    <SelectItem key={p.purity} value={String(p.purity)}>{p.karat} ({p.purity})</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button className="w-full" onClick={handleRateLookup} data-testid="rate-lookup-button">
+              <Search className="w-4 h-4 mr-2" /> Look Up Rate
+            </Button>
+            {lookupError && <p className="text-sm text-red-600">{lookupError}</p>}
+            {lookupResult && (
+              <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm space-y-1" data-testid="rate-lookup-result">
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Buy</span>
+                  <span className="font-mono font-semibold">{formatCurrency(lookupResult.buy_rate)} OMR/g</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Sell</span>
+                  <span className="font-mono font-semibold">{formatCurrency(lookupResult.sell_rate)} OMR/g</span>
+                </div>
+                <p className="text-xs text-muted-foreground pt-1">
+                  Board published {formatDateTime(lookupResult.rate?.effective_at)}
+                  {lookupResult.rate?.created_by_name && ` by ${lookupResult.rate.created_by_name}`}
+                  {' '}(in effect on {formatDate(lookupResult.requested_at)})
+                </p>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {canViewJobCards && <DeliveryAlertsPanel />}
+
       <Card>
         <CardHeader>
           <CardTitle className="text-xl font-serif">Stock Summary</CardTitle>
@@ -107,14 +306,21 @@ export default function Dashboard() {
                   <th className="px-4 py-3 text-left text-xs font-semibold text-muted-foreground uppercase tracking-wider">Category</th>
                   <th className="px-4 py-3 text-right text-xs font-semibold text-muted-foreground uppercase tracking-wider">Quantity</th>
                   <th className="px-4 py-3 text-right text-xs font-semibold text-muted-foreground uppercase tracking-wider">Weight (g)</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold text-muted-foreground uppercase tracking-wider">Fine (g)</th>
                 </tr>
               </thead>
               <tbody>
                 {stockTotals.map((item, idx) => (
                   <tr key={idx} className="border-t hover:bg-muted/30 transition-colors">
-                    <td className="px-4 py-3 font-medium">{item.header_name}</td>
-                    <td className="px-4 py-3 text-right font-mono">{item.total_qty}</td>
-                    <td className="px-4 py-3 text-right font-mono">{formatWeight(item.total_weight || 0)}</td>
+                    <td className="px-4 py-3 font-medium">
+                      {item.header_name}
+                      {item.is_low_stock && (
+                        <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-amber-100 text-amber-800">Low Stock</span>
+                      )}
+                    </td>
+                    <td className={`px-4 py-3 text-right font-mono ${item.qty_shortfall > 0 ? 'text-amber-700' : ''}`}>{item.total_qty}</td>
+                    <td className={`px-4 py-3 text-right font-mono ${item.weight_shortfall > 0 ? 'text-amber-700' : ''}`}>{formatWeight(item.total_weight || 0)}</td>
+                    <td className="px-4 py-3 text-right font-mono text-muted-foreground">{formatWeight(item.total_fine_weight || 0)}</td>
                   </tr>
                 ))}
               </tbody>
@@ -469,6 +469,7 @@ export default function FinancePageEnhanced() {
                       <SelectItem value="all">All sources</SelectItem>
                       <SelectItem value="invoice">Invoice Payment</SelectItem>
                       <SelectItem value="purchase">Purchase Payment</SelectItem>
+                      <SelectItem value="credit_note">Credit Note Reversal</SelectItem>
                       <SelectItem value="manual">Manual Entry</SelectItem>
                     </SelectContent>
                   </Select>
@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatCurrency } from '../utils/numberFormat';
+import { formatDateTime } from '../utils/dateTimeUtils';
+import { API } from '../contexts/AuthContext';
+import { usePermission } from '../hooks/usePermission';
+import { GOLD_RATE_PURITIES, getRateForPurity } from '../utils/goldRate';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Textarea } from '../components/ui/textarea';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '../components/ui/dialog';
+import { toast } from 'sonner';
+import { Coins, Plus, Trash2 } from 'lucide-react';
+import { ConfirmationDialog } from '../components/ConfirmationDialog';
+import Pagination from '../components/Pagination';
+import { useURLPagination } from '../hooks/useURLPagination';
+
+const emptyRateForm = () => ({
+  notes: '',
+  rates: GOLD_RATE_PURITIES.map(p => ({ ...p, buy_rate: '', sell_rate: '' }))
+});
+
+export default function GoldRatesPage() {
+  const canPublish = usePermission('gold_rates.publish');
+  const { currentPage, setPage, pagination, setPagination } = useURLPagination();
+  const [currentRate, setCurrentRate] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [showPublishDialog, setShowPublishDialog] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+  const [rateForm, setRateForm] = useState(emptyRateForm());
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [deleteLoading, setDeleteLoading] = useState(false);
+
+  const loadGoldRates = useCallback(async () => {
+    try {
+      const [historyRes, currentRes] = await Promise.all([
+        API.get(`/api/gold-rates`, { params: { page: currentPage, page_size: 20 } }),
+        API.get(`/api/gold-rates/current`).catch(() => ({ data: null }))
+      ]);
+      setHistory(Array.isArray(historyRes.data.items) ? historyRes.data.items : []);
+      setPagination(historyRes.data.pagination);
+      setCurrentRate(currentRes.data);
+    } catch (error) {
+      console.error('Failed to load gold rates:', error);
+      toast.error('Failed to load gold rates');
+      setHistory([]);
+      setCurrentRate(null);
+    }
+  }, [currentPage, setPagination]);
+
+  useEffect(() => {
+    loadGoldRates();
+  }, [loadGoldRates]);
+
+  const openPublishDialog = () => {
+    // Start from the current board so only the changed rates need typing
+    setRateForm({
+      notes: '',
+      rates: GOLD_RATE_PURITIES.map(p => ({
+        ...p,
+        buy_rate: getRateForPurity(currentRate, p.purity, 'buy') ?? '',
+        sell_rate: getRateForPurity(currentRate, p.purity, 'sell') ?? ''
+      }))
+    });
+    setShowPublishDialog(true);
+  };
+
+  const updateRate = (purity, field, value) => {
+    setRateForm(prev => ({
+      ...prev,
+      rates: prev.rates.map(r => (r.purity === purity ? { ...r, [field]: value } : r))
+    }));
+  };
+
+  const handlePublish = async () => {
+    for (const rate of rateForm.rates) {
+      const buy = parseFloat(rate.buy_rate);
+      const sell = parseFloat(rate.sell_rate);
+      if (!(buy > 0) || !(sell > 0)) {
+        toast.error(`Enter buy and sell rates for ${rate.karat}`);
+        return;
+      }
+      if (buy > sell) {
+        toast.error(`${rate.karat} buy rate cannot be higher than the sell rate`);
+        return;
+      }
+    }
+
+    setPublishing(true);
+    try {
+      await API.post(`/api/gold-rates`, {
+        notes: rateForm.notes,
+        rates: rateForm.rates.map(r => ({
+          purity: r.purity,
+          buy_rate: parseFloat(r.buy_rate),
+          sell_rate: parseFloat(r.sell_rate)
+        }))
+      });
+      toast.success('Gold rates published');
+      setShowPublishDialog(false);
+      setRateForm(emptyRateForm());
+      loadGoldRates();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to publish gold rates');
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  const confirmDelete = async () => {
+    if (!deleteTarget) return;
+    setDeleteLoading(true);
+    try {
+      await API.delete(`/api/gold-rates/${deleteTarget.id}`);
+      toast.success('Gold rate deleted');
+      setDeleteTarget(null);
+      loadGoldRates();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to delete gold rate');
+    } finally {
+      setDeleteLoading(false);
+    }
+  };
+
+  return (
+    <div data-testid="gold-rates-page">
+      <div className="mb-8 flex justify-between items-center">
+        <div>
+          <h1 className="text-4xl font-serif font-semibold text-gray-900 mb-2">Gold Rates</h1>
+          <p className="text-muted-foreground">Daily buy and sell rates used across job cards, invoices and purchases</p>
+        </div>
+        {canPublish && (
+          <Button data-testid="publish-rates-button" onClick={openPublishDialog}>
+            <Plus className="w-4 h-4 mr-2" /> Publish Today's Rates
+          </Button>
+        )}
+      </div>
+
+      <Card className="mb-6">
+        <CardHeader>
+          <CardTitle className="text-xl font-serif">Current Rates</CardTitle>
+          {currentRate && (
+            <p className="text-sm text-muted-foreground">
+              Published {formatDateTime(currentRate.effective_at)}
+              {currentRate.created_by_name && ` by ${currentRate.created_by_name}`}
+            </p>
+          )}
+        </CardHeader>
+        <CardContent>
+          {currentRate ? (
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4" data-testid="current-rates-board">
+              {GOLD_RATE_PURITIES.map(p => (
+                <div key={p.purity} className="border rounded-lg p-4 bg-amber-50/50">
+                  <div className="flex items-baseline justify-between mb-3">
+                    <span className="text-2xl font-serif font-semibold text-gray-900">{p.karat}</span>
+                    <span className="text-xs font-mono text-muted-foreground">{p.purity}</span>
+                  </div>
+                  <div className="flex justify-between text-sm">
+                    <span className="text-muted-foreground">Buy</span>
+                    <span className="font-mono font-semibold">{formatCurrency(getRateForPurity(currentRate, p.purity, 'buy'))}</span>
+                  </div>
+                  <div className="flex justify-between text-sm">
+                    <span className="text-muted-foreground">Sell</span>
+                    <span className="font-mono font-semibold">{formatCurrency(getRateForPurity(currentRate, p.purity, 'sell'))}</span>
+                  </div>
+                  <div className="text-xs text-muted-foreground text-right mt-1">OMR / gram</div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-center py-8 text-muted-foreground">
+              <Coins className="w-12 h-12 mx-auto mb-3 opacity-50" />
+              <p>No gold rate has been published yet</p>
+            </div>
+          )}
+          {currentRate?.notes && (
+            <p className="text-sm text-muted-foreground mt-4">Notes: {currentRate.notes}</p>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-xl font-serif">Rate History</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="overflow-x-auto">
+            <table className="w-full" data-testid="gold-rate-history-table">
+              <thead className="bg-muted/50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Published</th>
+                  {GOLD_RATE_PURITIES.map(p => (
+                    <th key={p.purity} className="px-4 py-3 text-right text-xs font-semibold uppercase">
+                      {p.karat} Buy / Sell
+                    </th>
+                  ))}
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">By</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Notes</th>
+                  {canPublish && <th className="px-4 py-3"></th>}
+                </tr>
+              </thead>
+              <tbody>
+                {history.map((board) => (
+                  <tr key={board.id} className="border-t hover:bg-muted/30">
+                    <td className="px-4 py-3 text-sm">{formatDateTime(board.effective_at)}</td>
+                    {GOLD_RATE_PURITIES.map(p => (
+                      <td key={p.purity} className="px-4 py-3 text-right font-mono text-sm">
+                        {formatCurrency(getRateForPurity(board, p.purity, 'buy'))} / {formatCurrency(getRateForPurity(board, p.purity, 'sell'))}
+                      </td>
+                    ))}
+                    <td className="px-4 py-3 text-sm">{board.created_by_name || '-'}</td>
+                    <td className="px-4 py-3 text-sm">{board.notes || '-'}</td>
+                    {canPublish && (
+                      <td className="px-4 py-3 text-right">
+                        <Button variant="ghost" size="sm" onClick={() => setDeleteTarget(board)}>
+                          <Trash2 className="w-4 h-4 text-red-600" />
+                        </Button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {history.length === 0 && (
+              <div className="text-center py-12 text-muted-foreground">
+                <p>No rate history yet</p>
+              </div>
+            )}
+          </div>
+        </CardContent>
+        {pagination && <Pagination pagination={pagination} onPageChange={setPage} />}
+      </Card>
+
+      <Dialog open={showPublishDialog} onOpenChange={setShowPublishDialog}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Publish Gold Rates</DialogTitle>
+            <p className="text-sm text-muted-foreground mt-2">
+              Rates are per gram in OMR. Buy is what the shop pays for old gold, sell is what it charges on sales.
+            </p>
+          </DialogHeader>
+          <div className="space-y-3 mt-4">
+            <div className="grid grid-cols-3 gap-4 text-xs font-semibold uppercase text-muted-foreground">
+              <span>Purity</span>
+              <span>Buy Rate</span>
+              <span>Sell Rate</span>
+            </div>
+            {rateForm.rates.map(rate => (
+              <div key={rate.purity} className="grid grid-cols-3 gap-4 items-center">
+                <Label className="font-semibold">{rate.karat} <span className="font-mono text-muted-foreground">({rate.purity})</span></Label>
+                <Input
+                  data-testid={`buy-rate-${rate.purity}`}
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  value={rate.buy_rate}
+                  onChange={(e) => updateRate(rate.purity, 'buy_rate', e.target.value)}
+                  placeholder="0.000"
+                />
+                <Input
+                  data-testid={`sell-rate-${rate.purity}`}
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  value={rate.sell_rate}
+                  onChange={(e) => updateRate(rate.purity, 'sell_rate', e.target.value)}
+                  placeholder="0.000"
+                />
+              </div>
+            ))}
+            <div>
+              <Label>Notes (Optional)</Label>
+              <Textarea
+                value={rateForm.notes}
+                onChange={(e) => setRateForm({ ...rateForm, notes: e.target.value })}
+                placeholder="e.g., Morning rate, market source"
+                rows={2}
+              />
+            </div>
+          </div>
+          <Button data-testid="save-rates-button" onClick={handlePublish} className="w-full mt-4" disabled={publishing}>
+            {publishing ? 'Publishing...' : 'Publish Rates'}
+          </Button>
+        </DialogContent>
+      </Dialog>
+
+      <ConfirmationDialog
+        open={!!deleteTarget}
+        onOpenChange={(open) => !open && setDeleteTarget(null)}
+        onConfirm={confirmDelete}
+        title="Delete Gold Rate"
+        description={`Delete the rate board published ${deleteTarget ? formatDateTime(deleteTarget.effective_at) : ''}? If it is the latest board, the previous one becomes the current rate.`}
+        actionLabel="Delete"
+        actionType="danger"
+        loading={deleteLoading}
+      />
+    </div>
+  );
+}
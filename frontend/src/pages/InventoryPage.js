@@ -1,7 +1,9 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { formatWeight, formatCurrency, safeToFixed } from '../utils/numberFormat';
 import { formatDate } from '../utils/dateTimeUtils';
 import { API } from '../contexts/AuthContext';
+import { usePermission } from '../hooks/usePermission';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
@@ -9,8 +11,9 @@ import { Label } from '../components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '../components/ui/dialog';
 import { toast } from 'sonner';
-import { Plus, Package } from 'lucide-react';
+import { Plus, Package, Tag, ClipboardCheck, Edit, ScrollText } from 'lucide-react';
 import Pagination from '../components/Pagination';
+import PrintTagLabelsDialog from '../components/PrintTagLabelsDialog';
 import { useURLPagination } from '../hooks/useURLPagination';
 
 export default function InventoryPage() {
@@ -23,6 +26,14 @@ export default function InventoryPage() {
   const [showAddMovement, setShowAddMovement] = useState(false);
   const [newHeader, setNewHeader] = useState('');
   const [categoryNameError, setCategoryNameError] = useState('');
+  const [valuationRate, setValuationRate] = useState('');
+  const [valuation, setValuation] = useState(null);
+  const [valuationError, setValuationError] = useState('');
+  const [labelSourceId, setLabelSourceId] = useState(null);
+  const navigate = useNavigate();
+  const canAdjust = usePermission('inventory.adjust');
+  const [levelsTarget, setLevelsTarget] = useState(null);
+  const [levelsForm, setLevelsForm] = useState({ min_qty: '', min_weight: '' });
   const [movementForm, setMovementForm] = useState({
     movement_type: 'Stock IN',
     header_id: '',
@@ -103,6 +114,22 @@ export default function InventoryPage() {
     loadInventoryData();
   }, [loadInventoryData]);
 
+  // Without a rate the backend values stock at the published 24K sell rate
+  const loadValuation = useCallback(async (rate) => {
+    try {
+      const response = await API.get(`/api/inventory/valuation`, { params: rate ? { rate } : {} });
+      setValuation(response.data);
+      setValuationError('');
+    } catch (error) {
+      setValuation(null);
+      setValuationError(error.response?.data?.detail || 'Failed to load stock valuation');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadValuation();
+  }, [loadValuation]);
+
   const handleAddHeader = async () => {
     // Validate category name
     const validationError = validateCategoryName(newHeader);
@@ -130,6 +157,25 @@ export default function InventoryPage() {
     }
   };
 
+  const openLevelsDialog = (item) => {
+    setLevelsTarget(item);
+    setLevelsForm({ min_qty: item.min_qty ?? '', min_weight: item.min_weight ?? '' });
+  };
+
+  const handleSaveLevels = async () => {
+    try {
+      await API.patch(`/api/inventory/headers/${levelsTarget.header_id}`, {
+        min_qty: levelsForm.min_qty === '' ? null : parseFloat(levelsForm.min_qty),
+        min_weight: levelsForm.min_weight === '' ? null : parseFloat(levelsForm.min_weight)
+      });
+      toast.success(`Reorder levels saved for ${levelsTarget.header_name}`);
+      setLevelsTarget(null);
+      loadInventoryData();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to save reorder levels');
+    }
+  };
+
   const handleAddMovement = async () => {
     // Validation
     if (!movementForm.header_id) {
@@ -169,6 +215,7 @@ export default function InventoryPage() {
     });
 
       loadInventoryData();
+      loadValuation(valuationRate);
     } catch (error) {
       const errorMsg = error.response?.data?.detail || 'Failed to add movement';
       toast.error(errorMsg);
@@ -183,6 +230,9 @@ export default function InventoryPage() {
           <p className="text-muted-foreground">Manage stock categories and movements</p>
         </div>
         <div className="flex gap-3">
+          <Button data-testid="stock-take-button" variant="outline" onClick={() => navigate('/inventory/stock-take')}>
+            <ClipboardCheck className="w-4 h-4 mr-2" /> Stock Take
+          </Button>
           <Dialog open={showAddHeader} onOpenChange={(open) => {
             setShowAddHeader(open);
             if (!open) {
@@ -388,14 +438,39 @@ export default function InventoryPage() {
                     <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Category</th>
                     <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Quantity</th>
                     <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Weight (g)</th>
+                    <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Fine (g)</th>
+                    <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Reorder Level</th>
+                    <th className="px-4 py-3"></th>
                   </tr>
                 </thead>
                 <tbody>
                   {Array.isArray(stockTotals) && stockTotals.map((item, idx) => (
-                    <tr key={idx} className="border-t hover:bg-muted/30">
-                      <td className="px-4 py-3 font-medium">{item.header_name}</td>
-                      <td className="px-4 py-3 text-right font-mono">{item.total_qty}</td>
-                      <td className="px-4 py-3 text-right font-mono">{item.total_weight.toFixed(3)}</td>
+                    <tr key={idx} className={`border-t hover:bg-muted/30 ${item.is_low_stock ? 'bg-amber-50/60' : ''}`}>
+                      <td className="px-4 py-3 font-medium">
+                        {item.header_name}
+                        {item.is_low_stock && (
+                          <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-amber-100 text-amber-800">Low Stock</span>
+                        )}
+                      </td>
+                      <td className={`px-4 py-3 text-right font-mono ${item.qty_shortfall > 0 ? 'text-amber-700 font-semibold' : ''}`}>{item.total_qty}</td>
+                      <td className={`px-4 py-3 text-right font-mono ${item.weight_shortfall > 0 ? 'text-amber-700 font-semibold' : ''}`}>{item.total_weight.toFixed(3)}</td>
+                      <td className="px-4 py-3 text-right font-mono text-muted-foreground" title={`Average purity ${item.avg_purity}`}>{formatWeight(item.total_fine_weight || 0)}</td>
+                      <td className="px-4 py-3 text-right font-mono text-sm text-muted-foreground">
+                        {item.min_qty === null && item.min_weight === null ? '-' : [
+                          item.min_qty !== null ? `${item.min_qty} pcs` : null,
+                          item.min_weight !== null ? `${formatWeight(item.min_weight)}g` : null
+                        ].filter(Boolean).join(' / ')}
+                      </td>
+                      <td className="px-4 py-3 text-right whitespace-nowrap">
+                        <Button variant="ghost" size="sm" onClick={() => navigate(`/inventory/ledger?header=${item.header_id}`)} title="Stock ledger" data-testid={`stock-ledger-${item.header_id}`}>
+                          <ScrollText className="w-4 h-4" />
+                        </Button>
+                        {canAdjust && (
+                          <Button variant="ghost" size="sm" onClick={() => openLevelsDialog(item)} title="Set reorder levels" data-testid={`reorder-levels-${item.header_id}`}>
+                            <Edit className="w-4 h-4" />
+                          </Button>
+                        )}
+                      </td>
                     </tr>
                   ))}
                 </tbody>
@@ -404,6 +479,75 @@ export default function InventoryPage() {
           </CardContent>
         </Card>
 
+        <Card data-testid="stock-valuation">
+          <CardHeader className="flex flex-row items-end justify-between gap-4">
+            <div>
+              <CardTitle className="text-xl font-serif">Stock Valuation</CardTitle>
+              {valuation && (
+                <p className="text-sm text-muted-foreground mt-1">
+                  Fine gold valued at {formatCurrency(valuation.rate)} OMR/g
+                  {valuation.rate_source === 'published' ? ' (published 24K sell rate)' : ' (entered rate)'}
+                </p>
+              )}
+            </div>
+            <div className="flex items-end gap-2">
+              <div>
+                <Label className="text-xs">Rate per fine gram</Label>
+                <Input
+                  data-testid="valuation-rate-input"
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  className="w-40"
+                  value={valuationRate}
+                  onChange={(e) => setValuationRate(e.target.value)}
+                  placeholder="Published 24K"
+                />
+              </div>
+              <Button variant="outline" onClick={() => loadValuation(valuationRate)}>Revalue</Button>
+            </div>
+          </CardHeader>
+          <CardContent>
+            {valuation ? (
+              <div className="overflow-x-auto">
+                <table className="w-full" data-testid="stock-valuation-table">
+                  <thead className="bg-muted/50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Category</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Weight (g)</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Avg Purity</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Fine Weight (g)</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Value (OMR)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {valuation.categories.map((item) => (
+                      <tr key={item.header_id} className="border-t hover:bg-muted/30">
+                        <td className="px-4 py-3 font-medium">{item.header_name}</td>
+                        <td className="px-4 py-3 text-right font-mono">{formatWeight(item.weight)}</td>
+                        <td className="px-4 py-3 text-right font-mono">{safeToFixed(item.avg_purity, 0)}</td>
+                        <td className="px-4 py-3 text-right font-mono">{formatWeight(item.fine_weight)}</td>
+                        <td className="px-4 py-3 text-right font-mono">{formatCurrency(item.value)}</td>
+                      </tr>
+                    ))}
+                    <tr className="border-t-2 font-semibold bg-muted/30">
+                      <td className="px-4 py-3">Total</td>
+                      <td className="px-4 py-3 text-right font-mono">{formatWeight(valuation.totals.weight)}</td>
+                      <td className="px-4 py-3"></td>
+                      <td className="px-4 py-3 text-right font-mono">{formatWeight(valuation.totals.fine_weight)}</td>
+                      <td className="px-4 py-3 text-right font-mono">{formatCurrency(valuation.totals.value)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="text-center py-8 text-muted-foreground">
+                <p>{valuationError || 'Loading valuation...'}</p>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
         <Card>
           <CardHeader>
             <CardTitle className="text-xl font-serif">Recent Movements</CardTitle>
@@ -420,6 +564,8 @@ export default function InventoryPage() {
                     <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Qty</th>
                     <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Weight (g)</th>
                     <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Purity</th>
+                    <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Fine (g)</th>
+                    <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Tags</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -438,6 +584,21 @@ export default function InventoryPage() {
                       <td className="px-4 py-3 text-right font-mono">{mov.qty_delta > 0 ? '+' : ''}{mov.qty_delta}</td>
                       <td className="px-4 py-3 text-right font-mono">{mov.weight_delta > 0 ? '+' : ''}{mov.weight_delta.toFixed(3)}</td>
                       <td className="px-4 py-3 text-right font-mono">{mov.purity}</td>
+                      <td className="px-4 py-3 text-right font-mono text-muted-foreground">{mov.fine_weight > 0 ? '+' : ''}{formatWeight(mov.fine_weight || 0)}</td>
+                      <td className="px-4 py-3 text-right">
+                        {mov.weight_delta > 0 && (
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            title="Print tag labels for pieces from this movement"
+                            data-testid={`print-tags-movement-${mov.id}`}
+                            // Pieces tagged from a purchase point at the purchase, not its movement
+                            onClick={() => setLabelSourceId(mov.reference_type === 'purchase' ? mov.reference_id : mov.id)}
+                          >
+                            <Tag className="w-4 h-4" />
+                          </Button>
+                        )}
+                      </td>
                     </tr>
                   ))}
                 </tbody>
@@ -446,6 +607,50 @@ export default function InventoryPage() {
           </CardContent>
         </Card>
       </div>
+
+      <Dialog open={!!levelsTarget} onOpenChange={(open) => !open && setLevelsTarget(null)}>
+        <DialogContent className="max-w-md">
+          <DialogHeader>
+            <DialogTitle>Reorder Levels - {levelsTarget?.header_name}</DialogTitle>
+          </DialogHeader>
+          <div className="space-y-4 mt-2">
+            <p className="text-sm text-muted-foreground">
+              The category is flagged as low stock when it falls below either level. Leave a level blank to ignore it.
+            </p>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label>Minimum Quantity</Label>
+                <Input
+                  data-testid="min-qty-input"
+                  type="number"
+                  min="0"
+                  value={levelsForm.min_qty}
+                  onChange={(e) => setLevelsForm({ ...levelsForm, min_qty: e.target.value })}
+                />
+              </div>
+              <div>
+                <Label>Minimum Weight (g)</Label>
+                <Input
+                  data-testid="min-weight-input"
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  value={levelsForm.min_weight}
+                  onChange={(e) => setLevelsForm({ ...levelsForm, min_weight: e.target.value })}
+                />
+              </div>
+            </div>
+            <Button data-testid="save-reorder-levels" className="w-full" onClick={handleSaveLevels}>Save Levels</Button>
+          </div>
+        </DialogContent>
+      </Dialog>
+
+      <PrintTagLabelsDialog
+        open={!!labelSourceId}
+        onOpenChange={(open) => !open && setLabelSourceId(null)}
+        sourceId={labelSourceId}
+        title="Print Tags for Movement"
+      />
     </div>
   );
 }
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { formatWeight, formatCurrency, safeToFixed } from '../utils/numberFormat';
 import { formatDateTime, formatDate } from '../utils/dateTimeUtils';
-import { useSearchParams } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import { API } from '../contexts/AuthContext';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
@@ -11,13 +11,26 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '.
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from '../components/ui/dialog';
 import { Badge } from '../components/ui/badge';
 import { toast } from 'sonner';
-import { FileText, Printer, CheckCircle, Lock, DollarSign, AlertTriangle, Eye, Trash2 } from 'lucide-react';
+import { FileText, Printer, CheckCircle, Lock, DollarSign, AlertTriangle, Eye, Trash2, UserPlus, Plus, Wallet, Ban } from 'lucide-react';
 import { ConfirmationDialog } from '../components/ConfirmationDialog';
 import { downloadProfessionalInvoicePDF } from '../utils/professionalInvoicePDF';
 import Pagination from '../components/Pagination';
+import TaggedPiecePicker from '../components/TaggedPiecePicker';
+import { ItemPhotos } from '../components/ItemPhotos';
+import { PromoteWalkInDialog } from '../components/PromoteWalkInDialog';
+import { CounterSaleInvoiceDialog } from '../components/CounterSaleInvoiceDialog';
+import { SplitTenderCheckoutDialog } from '../components/SplitTenderCheckoutDialog';
+import { PaymentVouchersList } from '../components/PaymentVouchersList';
+import { CancelInvoiceDialog } from '../components/CancelInvoiceDialog';
+import { downloadPaymentVoucherPDF } from '../utils/paymentVoucherPDF';
+import { usePermission } from '../hooks/usePermission';
+import { attachItemPhoto, removeItemPhoto } from '../utils/photos';
+import { useViewParam } from '../hooks/useViewParam';
 
 export default function InvoicesPage() {
   const [searchParams, setSearchParams] = useSearchParams();
+  const canCreate = usePermission('invoices.create');
+  const canCancel = usePermission('invoices.cancel');
   const [invoices, setInvoices] = useState([]);
   const [pagination, setPagination] = useState(null);
   const [accounts, setAccounts] = useState([]);
@@ -26,6 +39,10 @@ export default function InvoicesPage() {
   const [showViewDialog, setShowViewDialog] = useState(false);
   const [selectedInvoice, setSelectedInvoice] = useState(null);
   const [viewInvoice, setViewInvoice] = useState(null);
+  const [promoteWalkIn, setPromoteWalkIn] = useState(null);
+  const [showCounterSale, setShowCounterSale] = useState(false);
+  const [checkoutInvoice, setCheckoutInvoice] = useState(null);
+  const [cancelInvoice, setCancelInvoice] = useState(null);
   const [paymentData, setPaymentData] = useState({
     amount: '',
     payment_mode: 'Cash',
@@ -174,6 +191,64 @@ export default function InvoicesPage() {
     setShowViewDialog(true);
   };
 
+  useViewParam(async (invoiceId) => {
+    try {
+      const response = await API.get(`/api/invoices/${invoiceId}`);
+      handleViewInvoice(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to load invoice');
+    }
+  });
+
+  const handleAddTaggedPiece = async (piece, metalRate) => {
+    try {
+      const response = await API.post(`/api/invoices/${viewInvoice.id}/tagged-items`, {
+        tag_number: piece.tag_number,
+        metal_rate: metalRate
+      });
+      setViewInvoice(response.data);
+      toast.success(`${piece.tag_number} added to invoice`);
+      loadInvoices();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to add piece');
+      throw error;
+    }
+  };
+
+  const handleRemoveInvoiceItem = async (item) => {
+    try {
+      const response = await API.delete(`/api/invoices/${viewInvoice.id}/items/${item.id}`);
+      setViewInvoice(response.data);
+      toast.success(item.tag_number ? `${item.tag_number} removed and back in stock` : 'Item removed');
+      loadInvoices();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to remove item');
+    }
+  };
+
+  const updateViewItemPhotos = (itemId, updatePhotos) => {
+    setViewInvoice(prev => ({
+      ...prev,
+      items: prev.items.map(item => item.id === itemId ? { ...item, photos: updatePhotos(item.photos || []) } : item)
+    }));
+  };
+
+  const handleAttachItemPhoto = async (item, photo) => {
+    const attached = await attachItemPhoto('invoices', viewInvoice.id, item.id, photo);
+    updateViewItemPhotos(item.id, photos => [...photos, attached]);
+  };
+
+  const handleRemoveItemPhoto = async (item, photo) => {
+    try {
+      await removeItemPhoto('invoices', viewInvoice.id, item.id, photo);
+      updateViewItemPhotos(item.id, photos => photos.filter(p => p.id !== photo.id));
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to remove photo');
+    }
+  };
+
+  const isDraftSale = viewInvoice && (viewInvoice.status || 'draft') === 'draft' && viewInvoice.invoice_type === 'sale';
+
   const handleOpenPaymentDialog = (invoice) => {
     setSelectedInvoice(invoice);
     setPaymentData({
@@ -220,7 +295,9 @@ export default function InvoicesPage() {
           }
         );
 
-        toast.success(`Gold exchange payment added! Transaction #${response.data.transaction_number}`);
+        toast.success(`Gold exchange payment added! Receipt ${response.data.voucher.voucher_number}`, {
+          action: { label: 'Print receipt', onClick: () => downloadPaymentVoucherPDF(response.data.voucher) }
+        });
         toast.info(`Gold used: ${response.data.gold_weight_grams}g | Value: ${response.data.gold_money_value} OMR`);
         
         setShowPaymentDialog(false);
@@ -255,11 +332,12 @@ export default function InvoicesPage() {
         }
       );
 
+      toast.success(`Payment added successfully! Receipt ${response.data.voucher.voucher_number}`, {
+        action: { label: 'Print receipt', onClick: () => downloadPaymentVoucherPDF(response.data.voucher) }
+      });
       // Show warning for walk-in partial payments
       if (response.data.is_walk_in_partial_payment) {
         toast.warning('⚠️ Walk-in customer with outstanding balance. Full payment is recommended.');
-      } else {
-        toast.success(`Payment added successfully! Transaction #${response.data.transaction_number}`);
       }
 
       setShowPaymentDialog(false);
@@ -285,6 +363,9 @@ export default function InvoicesPage() {
     if (status === 'finalized') {
       return <Badge className="bg-emerald-100 text-emerald-800"><Lock className="w-3 h-3 mr-1 inline" />Finalized</Badge>;
     }
+    if (status === 'cancelled') {
+      return <Badge className="bg-red-100 text-red-800"><Ban className="w-3 h-3 mr-1 inline" />Cancelled</Badge>;
+    }
     return <Badge className="bg-blue-100 text-blue-800">Draft</Badge>;
   };
 
@@ -295,6 +376,11 @@ export default function InvoicesPage() {
           <h1 className="text-4xl font-serif font-semibold text-gray-900 mb-2">Invoices</h1>
           <p className="text-muted-foreground">Manage sales and service invoices</p>
         </div>
+        {canCreate && (
+          <Button data-testid="new-invoice-button" onClick={() => setShowCounterSale(true)}>
+            <Plus className="w-4 h-4 mr-2" /> New Invoice
+          </Button>
+        )}
       </div>
 
       {/* Info Card about Draft/Finalized workflow */}
@@ -419,6 +505,28 @@ export default function InvoicesPage() {
                             <DollarSign className="w-4 h-4 mr-1" /> Add Payment
                           </Button>
                         )}
+                        {inv.balance_due > 0 && inv.status === 'finalized' && (
+                          <Button
+                            data-testid={`checkout-${inv.invoice_number}`}
+                            size="sm"
+                            variant="outline"
+                            className="text-emerald-600 hover:text-emerald-700"
+                            onClick={() => setCheckoutInvoice(inv)}
+                          >
+                            <Wallet className="w-4 h-4 mr-1" /> Checkout
+                          </Button>
+                        )}
+                        {canCancel && inv.status === 'finalized' && (
+                          <Button
+                            data-testid={`cancel-${inv.invoice_number}`}
+                            size="sm"
+                            variant="outline"
+                            className="text-red-600 hover:text-red-700"
+                            onClick={() => setCancelInvoice(inv)}
+                          >
+                            <Ban className="w-4 h-4 mr-1" /> Cancel
+                          </Button>
+                        )}
                         {inv.balance_due > 0 && inv.status === 'draft' && (
                           <Button
                             data-testid={`payment-disabled-${inv.invoice_number}`}
@@ -676,6 +784,15 @@ export default function InvoicesPage() {
         </DialogContent>
       </Dialog>
 
+      {/* Split-tender Checkout Dialog */}
+      <SplitTenderCheckoutDialog
+        open={!!checkoutInvoice}
+        onOpenChange={(open) => { if (!open) setCheckoutInvoice(null); }}
+        invoice={checkoutInvoice}
+        accounts={accounts}
+        onCompleted={() => loadInvoices()}
+      />
+
       {/* View Invoice Dialog */}
       <Dialog open={showViewDialog} onOpenChange={setShowViewDialog}>
         <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
@@ -710,6 +827,16 @@ export default function InvoicesPage() {
                         <Badge variant="outline" className="mt-1 text-xs bg-amber-50 text-amber-700">
                           Walk-in
                         </Badge>
+                        {viewInvoice.walk_in_phone && (
+                          <Button
+                            size="sm"
+                            variant="link"
+                            className="h-auto p-0 ml-2 text-xs"
+                            onClick={() => setPromoteWalkIn({ phone: viewInvoice.walk_in_phone, name: viewInvoice.walk_in_name || '' })}
+                          >
+                            <UserPlus className="w-3 h-3 mr-1" /> Save as Customer
+                          </Button>
+                        )}
                       </div>
                     ) : (
                       <p className="font-medium">{viewInvoice.customer_name || '-'}</p>
@@ -726,6 +853,18 @@ export default function InvoicesPage() {
                 </div>
               </div>
 
+              {viewInvoice.status === 'cancelled' && (
+                <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800" data-testid="invoice-cancellation">
+                  <p className="font-semibold">
+                    Cancelled {formatDateTime(viewInvoice.cancelled_at)} - Credit Note{' '}
+                    <Link to={`/credit-notes?view=${viewInvoice.credit_note_id}`} className="font-mono underline">
+                      {viewInvoice.credit_note_number}
+                    </Link>
+                  </p>
+                  <p className="mt-1">Reason: {viewInvoice.cancel_reason}</p>
+                </div>
+              )}
+
               {/* Timestamps */}
               <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
                 <h3 className="text-sm font-semibold text-blue-900 mb-2">Timestamps</h3>
@@ -769,11 +908,13 @@ export default function InvoicesPage() {
                         <th className="px-3 py-2 text-right font-semibold">Making</th>
                         <th className="px-3 py-2 text-right font-semibold">VAT</th>
                         <th className="px-3 py-2 text-right font-semibold">Total</th>
+                        {isDraftSale && <th className="px-3 py-2"></th>}
                       </tr>
                     </thead>
                     <tbody>
                       {(viewInvoice.items || []).map((item, idx) => (
-                        <tr key={idx} className="border-t hover:bg-muted/20">
+                        <React.Fragment key={item.id || idx}>
+                        <tr className="border-t hover:bg-muted/20">
                           <td className="px-3 py-2">{item.description || '-'}</td>
                           <td className="px-3 py-2 text-right font-mono">{item.qty || 0}</td>
                           <td className="px-3 py-2 text-right font-mono">{item.purity || 916}K</td>
@@ -783,11 +924,40 @@ export default function InvoicesPage() {
                           <td className="px-3 py-2 text-right font-mono">{(item.making_value || 0).toFixed(3)}</td>
                           <td className="px-3 py-2 text-right font-mono">{(item.vat_amount || 0).toFixed(3)}</td>
                           <td className="px-3 py-2 text-right font-mono font-semibold">{(item.line_total || 0).toFixed(3)}</td>
+                          {isDraftSale && (
+                            <td className="px-3 py-2 text-right">
+                              <Button variant="ghost" size="sm" onClick={() => handleRemoveInvoiceItem(item)}>
+                                <Trash2 className="w-4 h-4 text-red-600" />
+                              </Button>
+                            </td>
+                          )}
                         </tr>
+                        {item.id && (
+                          <tr>
+                            <td colSpan={isDraftSale ? 10 : 9} className="px-3 pb-3">
+                              <ItemPhotos
+                                photos={item.photos || []}
+                                stage="delivery"
+                                onAdd={(photo) => handleAttachItemPhoto(item, photo)}
+                                onRemove={(viewInvoice.status || 'draft') === 'draft' ? (photo) => handleRemoveItemPhoto(item, photo) : undefined}
+                              />
+                            </td>
+                          </tr>
+                        )}
+                        </React.Fragment>
                       ))}
                     </tbody>
                   </table>
                 </div>
+                {isDraftSale && (
+                  <div className="mt-4 p-4 border rounded-lg">
+                    <h4 className="text-sm font-semibold mb-2">Add Piece by Tag</h4>
+                    <TaggedPiecePicker
+                      onAdd={handleAddTaggedPiece}
+                      existingTags={(viewInvoice.items || []).map(item => item.tag_number).filter(Boolean)}
+                    />
+                  </div>
+                )}
               </div>
 
               {/* ENHANCED Cost Components Breakdown - Option A Improvements */}
@@ -996,6 +1166,8 @@ export default function InvoicesPage() {
                 </div>
               </div>
 
+              <PaymentVouchersList referenceType="invoice" referenceId={viewInvoice.id} refreshKey={viewInvoice.paid_amount} />
+
               {/* Action Buttons */}
               <div className="flex gap-3 pt-4">
                 <Button
@@ -1045,6 +1217,26 @@ export default function InvoicesPage() {
         actionType="danger"
         loading={confirmLoading}
       />
+
+      <CancelInvoiceDialog
+        invoice={cancelInvoice}
+        onOpenChange={(open) => { if (!open) setCancelInvoice(null); }}
+        onCancelled={() => { setShowViewDialog(false); loadInvoices(); }}
+      />
+
+      <CounterSaleInvoiceDialog
+        open={showCounterSale}
+        onOpenChange={setShowCounterSale}
+        onCreated={(invoice) => { loadInvoices(); handleViewInvoice(invoice); }}
+      />
+
+      <PromoteWalkInDialog
+        open={!!promoteWalkIn}
+        onOpenChange={(open) => { if (!open) setPromoteWalkIn(null); }}
+        phone={promoteWalkIn?.phone}
+        name={promoteWalkIn?.name}
+        onPromoted={() => { setShowViewDialog(false); loadInvoices(); }}
+      />
     </div>
   );
 }
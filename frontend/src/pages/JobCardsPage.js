@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { formatWeight, formatCurrency, safeToFixed } from '../utils/numberFormat';
 import { formatDateTime, formatDate, formatDateOnly, displayDateOnly } from '../utils/dateTimeUtils';
 import { API, useAuth } from '../contexts/AuthContext';
@@ -10,20 +11,53 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '.
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from '../components/ui/dialog';
 import { Badge } from '../components/ui/badge';
 import { toast } from 'sonner';
-import { Plus, FileText, Trash2, Edit, AlertTriangle, Save, FolderOpen, Settings, CheckCircle, Truck, Eye, Lock, Info } from 'lucide-react';
+import { Plus, FileText, Trash2, Edit, AlertTriangle, Save, FolderOpen, Settings, CheckCircle, Truck, Eye, Lock, Info, Kanban, List, Printer, X, CalendarDays, UserPlus } from 'lucide-react';
 import { ConfirmationDialog } from '../components/ConfirmationDialog';
+import { JobCardBoard } from '../components/JobCardBoard';
+import { JobCardDeliveryCalendar } from '../components/JobCardDeliveryCalendar';
+import { DeliveryStateBadge } from '../components/DeliveryStateBadge';
+import { PrintJobCardSlipDialog } from '../components/PrintJobCardSlipDialog';
+import { ScanTagInput } from '../components/ScanTagInput';
+import { ItemPhotos } from '../components/ItemPhotos';
+import { JobCardItemStages } from '../components/JobCardItemStages';
+import { PromoteWalkInDialog } from '../components/PromoteWalkInDialog';
 import Pagination from '../components/Pagination';
 import { useURLPagination } from '../hooks/useURLPagination';
+import { useCurrentGoldRate } from '../hooks/useCurrentGoldRate';
+import { useViewParam } from '../hooks/useViewParam';
+import { GoldRateVariance } from '../components/GoldRateVariance';
+import { getKaratLabel } from '../utils/goldRate';
+import { attachItemPhoto, removeItemPhoto } from '../utils/photos';
+import { DELIVERY_FILTERS, JOBCARD_BOARD_COLUMNS, getDeliveryFilterParams, getLocalToday, getMonthGrid, getItemStage } from '../utils/jobCards';
+
+// Cards loaded per board column at a time (newest first)
+const BOARD_PAGE_SIZE = 25;
 
 export default function JobCardsPage() {
   const { user } = useAuth();
   const { currentPage, setPage, pagination, setPagination } = useURLPagination();
+  const { currentRate, getRate } = useCurrentGoldRate();
   const [jobcards, setJobcards] = useState([]);
   const [parties, setParties] = useState([]);
   const [workers, setWorkers] = useState([]);
   const [workTypes, setWorkTypes] = useState([]);  // Dynamic work types
   const [inventoryHeaders, setInventoryHeaders] = useState([]);
   const [invoicesMap, setInvoicesMap] = useState({}); // Map of jobcard_id -> invoice data
+  const [searchParams] = useSearchParams();
+  const [viewMode, setViewMode] = useState('table'); // 'table', 'board' or 'calendar'
+  const [boardJobcards, setBoardJobcards] = useState([]);
+  const [boardCounts, setBoardCounts] = useState({});
+  const [boardPages, setBoardPages] = useState({}); // Pages loaded per board column
+  const [workerFilter, setWorkerFilter] = useState('all');
+  // Deep links (e.g. from the dashboard) can open the table on a delivery filter
+  const [deliveryFilter, setDeliveryFilter] = useState(() => (
+    DELIVERY_FILTERS[searchParams.get('delivery')] ? searchParams.get('delivery') : 'all'
+  ));
+  const [calendarMonth, setCalendarMonth] = useState(() => getLocalToday().slice(0, 7));
+  const [calendarJobcards, setCalendarJobcards] = useState([]);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [slipJobCard, setSlipJobCard] = useState(null);
+  const [promoteWalkIn, setPromoteWalkIn] = useState(null);
   const [showDialog, setShowDialog] = useState(false);
   const [editingJobCard, setEditingJobCard] = useState(null);
   const [showConvertDialog, setShowConvertDialog] = useState(false);
@@ -101,7 +135,13 @@ export default function JobCardsPage() {
     try {
       const [jobcardsRes, partiesRes, headersRes, workersRes, workTypesRes] = await Promise.all([
         API.get(`/api/jobcards`, {
-          params: { page: currentPage, page_size: 10 }
+          params: {
+            page: currentPage,
+            page_size: 10,
+            ...(searchTerm ? { search: searchTerm } : {}),
+            ...(workerFilter !== 'all' ? { worker_id: workerFilter } : {}),
+            ...getDeliveryFilterParams(deliveryFilter)
+          }
         }),
         API.get(`/api/parties?party_type=customer`),
         API.get(`/api/inventory/headers`, { params: { page_size: 1000 } }),
@@ -117,8 +157,45 @@ export default function JobCardsPage() {
       setWorkers(workersRes.data.items || []);
       setWorkTypes(workTypesRes.data.items || []);
       
+      // Board view loads each column a page at a time; totals come from the server
+      let loadedBoardJobcards = [];
+      if (viewMode === 'board') {
+        const workerParam = workerFilter !== 'all' ? { worker_id: workerFilter } : {};
+        const [countsRes, ...columnResults] = await Promise.all([
+          API.get(`/api/jobcards/board-counts`, { params: { today: getLocalToday(), ...workerParam } }),
+          ...JOBCARD_BOARD_COLUMNS.map(column => API.get(`/api/jobcards`, {
+            params: {
+              status: column.statuses.join(','),
+              page: 1,
+              page_size: BOARD_PAGE_SIZE * (boardPages[column.status] || 1),
+              ...workerParam
+            }
+          }))
+        ]);
+        loadedBoardJobcards = columnResults.flatMap(res => res.data.items || []);
+        setBoardCounts(countsRes.data.statuses || {});
+      }
+      setBoardJobcards(loadedBoardJobcards);
+      
+      // Calendar view shows every card promised for a day in the visible weeks
+      let loadedCalendarJobcards = [];
+      if (viewMode === 'calendar') {
+        const weeks = getMonthGrid(calendarMonth);
+        const calendarRes = await API.get(`/api/jobcards`, {
+          params: {
+            delivery_from: weeks[0][0],
+            delivery_to: weeks[weeks.length - 1][6],
+            page: 1,
+            page_size: 1000,
+            ...(workerFilter !== 'all' ? { worker_id: workerFilter } : {})
+          }
+        });
+        loadedCalendarJobcards = calendarRes.data.items || [];
+      }
+      setCalendarJobcards(loadedCalendarJobcards);
+      
       // Fetch invoices for all invoiced job cards to check payment status
-      const invoicedJobcards = loadedJobcards.filter(jc => jc.is_invoiced);
+      const invoicedJobcards = [...loadedJobcards, ...loadedBoardJobcards].filter(jc => jc.is_invoiced);
       if (invoicedJobcards.length > 0) {
         try {
           // Fetch all invoices (we'll filter by jobcard_id on frontend)
@@ -149,9 +226,11 @@ export default function JobCardsPage() {
       setParties([]);
       setInventoryHeaders([]);
       setWorkers([]);
+      setBoardJobcards([]);
+      setCalendarJobcards([]);
       setInvoicesMap({});
     }
-  }, [currentPage, setPagination]);
+  }, [currentPage, setPagination, viewMode, workerFilter, searchTerm, deliveryFilter, calendarMonth, boardPages]);
 
   const loadTemplates = useCallback(async () => {
     try {
@@ -315,7 +394,8 @@ export default function JobCardsPage() {
           weight_out: item.weight_out ? parseFloat(item.weight_out) : null,
           purity: parseInt(item.purity),
           making_charge_value: item.making_charge_value ? parseFloat(item.making_charge_value) : null,
-          vat_percent: item.vat_percent !== undefined && item.vat_percent !== null && item.vat_percent !== '' ? parseFloat(item.vat_percent) : null
+          vat_percent: item.vat_percent !== undefined && item.vat_percent !== null && item.vat_percent !== '' ? parseFloat(item.vat_percent) : null,
+          photos: [] // Photos belong to a customer's piece, not to a template
         }))
       };
 
@@ -509,6 +589,33 @@ export default function JobCardsPage() {
     setShowViewDialog(true);
   };
 
+  // A scanned claim slip QR holds the job card number - open that card directly,
+  // anything else filters the table
+  const handleSearchScan = async (text) => {
+    try {
+      const response = await API.get(`/api/jobcards`, { params: { search: text, page: 1, page_size: 10 } });
+      const match = (response.data.items || []).find(jc => (jc.job_card_number || '').toUpperCase() === text);
+      if (match) {
+        handleViewJobCard(match);
+        return;
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to search job cards');
+      return;
+    }
+    setSearchTerm(text);
+    setPage(1);
+  };
+
+  useViewParam(async (jobcardId) => {
+    try {
+      const response = await API.get(`/api/jobcards/${jobcardId}`);
+      handleViewJobCard(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to load job card');
+    }
+  });
+
   const handleDeleteJobCard = async (jobcardId, jobcardNumber) => {
     // Load impact data first
     try {
@@ -541,6 +648,38 @@ export default function JobCardsPage() {
     }
   };
 
+  const handleStartJobCard = async (jobcardId, jobcardNumber) => {
+    // Load impact data first
+    try {
+      const impactRes = await API.get(`/api/jobcards/${jobcardId}/start-impact`);
+      const impact = impactRes.data;
+      
+      setConfirmDialog({
+        open: true,
+        type: 'status_change',
+        title: 'Start Job Card',
+        description: `Move job card ${jobcardNumber} to In Progress?`,
+        impact: impact,
+        action: async () => {
+          try {
+            setConfirmDialog(prev => ({ ...prev, loading: true }));
+            await API.patch(`/api/jobcards/${jobcardId}`, { status: 'in_progress' });
+            toast.success('Job card moved to in progress');
+            setConfirmDialog(prev => ({ ...prev, open: false, loading: false }));
+            loadData();
+          } catch (error) {
+            const errorMsg = error.response?.data?.detail || 'Failed to start job card';
+            toast.error(errorMsg);
+            setConfirmDialog(prev => ({ ...prev, loading: false }));
+          }
+        },
+        loading: false
+      });
+    } catch (error) {
+      toast.error('Failed to load job card details');
+    }
+  };
+
   const handleCompleteJobCard = async (jobcardId, jobcardNumber) => {
     // Load impact data first
     try {
@@ -611,6 +750,24 @@ export default function JobCardsPage() {
     }
   };
 
+  // Board drop onto the next column - same checks as the table's action buttons
+  const handleBoardAdvance = (jc, nextStatus) => {
+    if (nextStatus === 'in_progress') {
+      handleStartJobCard(jc.id, jc.job_card_number);
+    } else if (nextStatus === 'completed') {
+      handleCompleteJobCard(jc.id, jc.job_card_number);
+    } else if (nextStatus === 'delivered') {
+      const invoice = invoicesMap[jc.id];
+      if (!jc.is_invoiced) {
+        toast.error('Please convert this job card to an invoice before delivery.');
+      } else if (!invoice || invoice.payment_status !== 'paid' || invoice.balance_due !== 0) {
+        toast.error('Delivery blocked: full payment required before delivery.');
+      } else {
+        handleDeliverJobCard(jc.id, jc.job_card_number);
+      }
+    }
+  };
+
   const handleCloseDialog = () => {
     setShowDialog(false);
     setEditingJobCard(null);
@@ -649,6 +806,17 @@ export default function JobCardsPage() {
     });
   };
 
+  const openCreateDialog = () => {
+    // Pre-fill today's published rates (22K sell for the card, 22K buy for customer gold)
+    setFormData(prev => ({
+      ...prev,
+      gold_rate_at_jobcard: prev.gold_rate_at_jobcard || getRate(916, 'sell') || '',
+      advance_gold_rate: prev.advance_gold_rate || getRate(916, 'buy') || '',
+      exchange_gold_rate: prev.exchange_gold_rate || getRate(916, 'buy') || ''
+    }));
+    setShowDialog(true);
+  };
+
   const addItem = () => {
     // Use first inventory header as default category if available
     const defaultCategory = (inventoryHeaders && inventoryHeaders.length > 0) ? inventoryHeaders[0].name : 'Chain';
@@ -686,6 +854,75 @@ export default function JobCardsPage() {
     setFormData({ ...formData, items: newItems });
   };
 
+  // Uploads finish asynchronously, so photo changes build on the latest form state
+  const addFormItemPhoto = (index, photo) => {
+    setFormData(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => i === index ? { ...item, photos: [...(item.photos || []), photo] } : item)
+    }));
+  };
+
+  const removeFormItemPhoto = (index, photo) => {
+    setFormData(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => i === index ? { ...item, photos: (item.photos || []).filter(p => p.id !== photo.id) } : item)
+    }));
+  };
+
+  // Photos added from the view dialog are attached straight to the saved job card,
+  // which also works once the card is locked (e.g. delivery photos)
+  const updateViewItemPhotos = (itemId, updatePhotos) => {
+    setViewJobCard(prev => ({
+      ...prev,
+      items: prev.items.map(item => item.id === itemId ? { ...item, photos: updatePhotos(item.photos || []) } : item)
+    }));
+  };
+
+  const handleAttachViewPhoto = async (item, photo) => {
+    const attached = await attachItemPhoto('jobcards', viewJobCard.id, item.id, photo);
+    updateViewItemPhotos(item.id, photos => [...photos, attached]);
+    loadData();
+  };
+
+  const handleRemoveViewPhoto = async (item, photo) => {
+    try {
+      await removeItemPhoto('jobcards', viewJobCard.id, item.id, photo);
+      updateViewItemPhotos(item.id, photos => photos.filter(p => p.id !== photo.id));
+      loadData();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to remove photo');
+    }
+  };
+
+  // Moving an item re-derives the card status, so the whole card is refreshed
+  const handleMoveItemStage = async (item, stageData) => {
+    try {
+      const response = await API.post(`/api/jobcards/${viewJobCard.id}/items/${item.id}/stage`, stageData);
+      setViewJobCard(response.data);
+      if (response.data.status !== viewJobCard.status) {
+        toast.success(`Job card is now ${response.data.status.replace('_', ' ')}`);
+      }
+      loadData();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to update item stage');
+    }
+  };
+
+  const renderWorkerFilter = (testId, onChange) => (
+    <Select value={workerFilter} onValueChange={(value) => { setWorkerFilter(value); if (onChange) onChange(); }}>
+      <SelectTrigger data-testid={testId}>
+        <SelectValue placeholder="All workers" />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value="all">All workers</SelectItem>
+        <SelectItem value="unassigned">Unassigned</SelectItem>
+        {workers.map(w => (
+          <SelectItem key={w.id} value={w.id}>{w.name}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
   const getStatusBadge = (status) => {
     const variants = {
       created: 'bg-blue-100 text-blue-800',
@@ -705,21 +942,117 @@ export default function JobCardsPage() {
           <p className="text-muted-foreground">Manage repair and custom work orders</p>
         </div>
         <div className="flex gap-2">
+          <div className="flex rounded-md border" data-testid="jobcards-view-toggle">
+            <Button
+              variant={viewMode === 'table' ? 'secondary' : 'ghost'}
+              size="sm"
+              className="h-9 rounded-r-none"
+              onClick={() => setViewMode('table')}
+            >
+              <List className="w-4 h-4 mr-1" /> Table
+            </Button>
+            <Button
+              variant={viewMode === 'board' ? 'secondary' : 'ghost'}
+              size="sm"
+              className="h-9 rounded-none"
+              onClick={() => setViewMode('board')}
+            >
+              <Kanban className="w-4 h-4 mr-1" /> Board
+            </Button>
+            <Button
+              variant={viewMode === 'calendar' ? 'secondary' : 'ghost'}
+              size="sm"
+              className="h-9 rounded-l-none"
+              onClick={() => setViewMode('calendar')}
+            >
+              <CalendarDays className="w-4 h-4 mr-1" /> Calendar
+            </Button>
+          </div>
           <Button 
             variant="outline" 
             onClick={() => setShowManageTemplatesDialog(true)}
           >
             <Settings className="w-4 h-4 mr-2" /> Manage Templates
           </Button>
-          <Button data-testid="create-jobcard-button" onClick={() => setShowDialog(true)}>
+          <Button data-testid="create-jobcard-button" onClick={openCreateDialog}>
             <Plus className="w-4 h-4 mr-2" /> Create Job Card
           </Button>
         </div>
       </div>
 
+      {viewMode === 'board' ? (
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0">
+            <div>
+              <CardTitle className="text-xl font-serif">Job Card Board</CardTitle>
+              <p className="text-sm text-muted-foreground mt-1">Drag a card to the next column to move it along</p>
+            </div>
+            <div className="w-56">{renderWorkerFilter('board-worker-filter')}</div>
+          </CardHeader>
+          <CardContent>
+            <JobCardBoard
+              jobcards={boardJobcards}
+              onAdvance={handleBoardAdvance}
+              onView={handleViewJobCard}
+              counts={boardCounts}
+              onLoadMore={(status) => setBoardPages(prev => ({ ...prev, [status]: (prev[status] || 1) + 1 }))}
+            />
+          </CardContent>
+        </Card>
+      ) : viewMode === 'calendar' ? (
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0">
+            <div>
+              <CardTitle className="text-xl font-serif">Delivery Calendar</CardTitle>
+              <p className="text-sm text-muted-foreground mt-1">Promised delivery dates - click a day for its agenda</p>
+            </div>
+            <div className="w-56">{renderWorkerFilter('calendar-worker-filter')}</div>
+          </CardHeader>
+          <CardContent>
+            <JobCardDeliveryCalendar
+              jobcards={calendarJobcards}
+              month={calendarMonth}
+              onMonthChange={setCalendarMonth}
+              onView={handleViewJobCard}
+            />
+          </CardContent>
+        </Card>
+      ) : (
       <Card>
-        <CardHeader>
+        <CardHeader className="flex flex-row items-start justify-between gap-4 space-y-0">
           <CardTitle className="text-xl font-serif">All Job Cards</CardTitle>
+          <div className="flex items-start gap-2">
+          <div className="w-44">
+            <Select value={deliveryFilter} onValueChange={(value) => { setDeliveryFilter(value); setPage(1); }}>
+              <SelectTrigger data-testid="delivery-filter">
+                <SelectValue placeholder="Any delivery date" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">Any delivery date</SelectItem>
+                {Object.entries(DELIVERY_FILTERS).map(([key, filter]) => (
+                  <SelectItem key={key} value={key}>{filter.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="w-48">{renderWorkerFilter('table-worker-filter', () => setPage(1))}</div>
+          <div className="w-80 space-y-2" data-testid="jobcards-search">
+            <ScanTagInput onScan={handleSearchScan} placeholder="Scan job card QR, or type number / customer" />
+            {searchTerm && (
+              <Badge variant="outline" className="gap-1">
+                Search: {searchTerm}
+                <button
+                  type="button"
+                  className="ml-1"
+                  onClick={() => { setSearchTerm(''); setPage(1); }}
+                  aria-label="Clear search"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </Badge>
+            )}
+          </div>
+          </div>
         </CardHeader>
         <CardContent>
           <div className="overflow-x-auto">
@@ -730,6 +1063,7 @@ export default function JobCardsPage() {
                   <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Customer</th>
                   <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Worker</th>
                   <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Date</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Delivery</th>
                   <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Status</th>
                   <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Items</th>
                   <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Actions</th>
@@ -751,6 +1085,12 @@ export default function JobCardsPage() {
                       {jc.worker_name || <span className="text-muted-foreground">-</span>}
                     </td>
                     <td className="px-4 py-3 text-sm">{formatDate(jc.created_at || jc.date_created)}</td>
+                    <td className="px-4 py-3 text-sm">
+                      <div className="flex flex-col items-start gap-1">
+                        <span>{jc.delivery_date ? displayDateOnly(jc.delivery_date) : <span className="text-muted-foreground">-</span>}</span>
+                        <DeliveryStateBadge jobcard={jc} />
+                      </div>
+                    </td>
                     <td className="px-4 py-3">{getStatusBadge(jc.status)}</td>
                     <td className="px-4 py-3 text-sm">{(jc.items && jc.items.length) || 0} items</td>
                     <td className="px-4 py-3">
@@ -765,6 +1105,16 @@ export default function JobCardsPage() {
                         >
                           <Eye className="w-4 h-4 mr-1" /> View
                         </Button>
+
+                        {/* Claim slip for the customer - always available */}
+                        <Button
+                          data-testid={`print-slip-${jc.job_card_number}`}
+                          size="sm"
+                          variant="outline"
+                          onClick={() => setSlipJobCard(jc)}
+                        >
+                          <Printer className="w-4 h-4 mr-1" /> Slip
+                        </Button>
                         
                         {/* Edit button - hide for locked, completed, and delivered job cards */}
                         {!jc.locked && jc.status !== 'completed' && jc.status !== 'delivered' && (
@@ -895,6 +1245,7 @@ export default function JobCardsPage() {
         </CardContent>
         {pagination && <Pagination pagination={pagination} onPageChange={setPage} />}
       </Card>
+      )}
 
             <Dialog open={showDialog} onOpenChange={(open) => { if (!open) handleCloseDialog(); }}>
         <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
@@ -1105,6 +1456,7 @@ export default function JobCardsPage() {
                       onChange={(e) => setFormData({...formData, advance_gold_rate: e.target.value})}
                       placeholder="0.00"
                     />
+                    <GoldRateVariance value={formData.advance_gold_rate} publishedRate={getRate(916, 'buy')} label="22K buy" />
                   </div>
                   
                   {/* Exchange Gold */}
@@ -1130,6 +1482,7 @@ export default function JobCardsPage() {
                       onChange={(e) => setFormData({...formData, exchange_gold_rate: e.target.value})}
                       placeholder="0.00"
                     />
+                    <GoldRateVariance value={formData.exchange_gold_rate} publishedRate={getRate(916, 'buy')} label="22K buy" />
                   </div>
                 </div>
                 
@@ -1230,6 +1583,11 @@ export default function JobCardsPage() {
                   onChange={(e) => setFormData({...formData, gold_rate_at_jobcard: e.target.value})}
                   placeholder="e.g., 20.00"
                 />
+                <GoldRateVariance
+                  value={formData.gold_rate_at_jobcard}
+                  publishedRate={getRate(formData.items[0]?.purity || 916, 'sell')}
+                  label={`${getKaratLabel(formData.items[0]?.purity || 916)} sell`}
+                />
                 <p className="text-xs text-muted-foreground mt-1">
                   Optional: This rate will auto-fill when converting to invoice
                 </p>
@@ -1452,6 +1810,18 @@ export default function JobCardsPage() {
                       onChange={(e) => updateItem(idx, 'remarks', e.target.value)}
                     />
                   </div>
+
+                  {!saveAsTemplate && !editingTemplate && (
+                    <div className="col-span-4">
+                      <Label className="text-xs">Photos</Label>
+                      <ItemPhotos
+                        photos={item.photos || []}
+                        stage="intake"
+                        onAdd={(photo) => addFormItemPhoto(idx, photo)}
+                        onRemove={(photo) => removeFormItemPhoto(idx, photo)}
+                      />
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -1906,6 +2276,15 @@ export default function JobCardsPage() {
               </div>
             )}
 
+            {/* No rate on the job card: the published sell rate for each item's purity is used */}
+            {convertingJobCard && !convertingJobCard.gold_rate_at_jobcard && currentRate && (
+              <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm" data-testid="convert-published-rate-info">
+                <span className="font-semibold text-amber-900">💰 Published Gold Rate: </span>
+                <span className="text-amber-800 font-mono">{getRate(916, 'sell')?.toFixed(3)} OMR/gram (22K sell)</span>
+                <p className="text-xs text-amber-700 mt-1">Today's published sell rate for each item's purity will be used in the invoice</p>
+              </div>
+            )}
+
             {/* Advance Cash Info - Read Only */}
             {convertingJobCard && parseFloat(convertingJobCard.advance_cash) > 0 && (
               <div className="p-3 bg-emerald-50 border border-emerald-200 rounded-lg text-sm" data-testid="convert-advance-cash-info">
@@ -2065,6 +2444,16 @@ export default function JobCardsPage() {
                         <Badge variant="outline" className="mt-1 text-xs bg-amber-50 text-amber-700">
                           Walk-in
                         </Badge>
+                        {viewJobCard.walk_in_phone && (
+                          <Button
+                            size="sm"
+                            variant="link"
+                            className="h-auto p-0 ml-2 text-xs"
+                            onClick={() => setPromoteWalkIn({ phone: viewJobCard.walk_in_phone, name: viewJobCard.walk_in_name || '' })}
+                          >
+                            <UserPlus className="w-3 h-3 mr-1" /> Save as Customer
+                          </Button>
+                        )}
                       </div>
                     ) : (
                       <p className="font-medium">{viewJobCard.customer_name || '-'}</p>
@@ -2120,6 +2509,7 @@ export default function JobCardsPage() {
                       <tr>
                         <th className="px-3 py-2 text-left font-semibold">Category</th>
                         <th className="px-3 py-2 text-left font-semibold">Description</th>
+                        <th className="px-3 py-2 text-left font-semibold">Stage</th>
                         <th className="px-3 py-2 text-right font-semibold">Qty</th>
                         <th className="px-3 py-2 text-right font-semibold">Weight In (g)</th>
                         <th className="px-3 py-2 text-right font-semibold">Weight Out (g)</th>
@@ -2131,9 +2521,16 @@ export default function JobCardsPage() {
                     </thead>
                     <tbody>
                       {(viewJobCard.items || []).map((item, idx) => (
-                        <tr key={idx} className="border-t hover:bg-muted/20">
+                        <React.Fragment key={item.id || idx}>
+                        <tr className="border-t hover:bg-muted/20">
                           <td className="px-3 py-2">{item.category || '-'}</td>
                           <td className="px-3 py-2">{item.description || '-'}</td>
+                          <td className="px-3 py-2">
+                            <Badge className={`${getItemStage(item, viewJobCard.status).className} text-xs`}>
+                              {getItemStage(item, viewJobCard.status).label}
+                            </Badge>
+                            {item.worker_name && <div className="text-xs text-muted-foreground mt-1">{item.worker_name}</div>}
+                          </td>
                           <td className="px-3 py-2 text-right font-mono">{item.qty || 0}</td>
                           <td className="px-3 py-2 text-right font-mono">{(item.weight_in || 0).toFixed(3)}</td>
                           <td className="px-3 py-2 text-right font-mono">{(item.weight_out || 0).toFixed(3)}</td>
@@ -2159,6 +2556,26 @@ export default function JobCardsPage() {
                           </td>
                           <td className="px-3 py-2 text-sm">{item.remarks || '-'}</td>
                         </tr>
+                        {item.id && (
+                          <tr>
+                            <td colSpan={10} className="px-3 pb-3 space-y-3">
+                              <JobCardItemStages
+                                item={item}
+                                cardStatus={viewJobCard.status}
+                                workers={workers}
+                                canMove={!viewJobCard.locked && viewJobCard.status !== 'delivered'}
+                                onMove={(stageData) => handleMoveItemStage(item, stageData)}
+                              />
+                              <ItemPhotos
+                                photos={item.photos || []}
+                                stage={['completed', 'delivered'].includes(viewJobCard.status) ? 'delivery' : 'intake'}
+                                onAdd={(photo) => handleAttachViewPhoto(item, photo)}
+                                onRemove={!viewJobCard.locked && viewJobCard.status !== 'delivered' ? (photo) => handleRemoveViewPhoto(item, photo) : undefined}
+                              />
+                            </td>
+                          </tr>
+                        )}
+                        </React.Fragment>
                       ))}
                     </tbody>
                   </table>
@@ -2597,6 +3014,13 @@ export default function JobCardsPage() {
 
               {/* Action Buttons */}
               <div className="flex gap-3 pt-4">
+                <Button
+                  variant="outline"
+                  onClick={() => setSlipJobCard(viewJobCard)}
+                  className="flex-1"
+                >
+                  <Printer className="w-4 h-4 mr-2" /> Print Slip
+                </Button>
                 <Button
                   variant="outline"
                   onClick={() => setShowViewDialog(false)}
@@ -2610,6 +3034,20 @@ export default function JobCardsPage() {
         </DialogContent>
       </Dialog>
 
+      <PromoteWalkInDialog
+        open={!!promoteWalkIn}
+        onOpenChange={(open) => { if (!open) setPromoteWalkIn(null); }}
+        phone={promoteWalkIn?.phone}
+        name={promoteWalkIn?.name}
+        onPromoted={() => { setShowViewDialog(false); loadData(); }}
+      />
+
+      <PrintJobCardSlipDialog
+        open={!!slipJobCard}
+        onOpenChange={(open) => { if (!open) setSlipJobCard(null); }}
+        jobcard={slipJobCard}
+      />
+
       {/* Enhanced Confirmation Dialog */}
       <ConfirmationDialog
         open={confirmDialog.open}
@@ -10,8 +10,10 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '.
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from '../components/ui/dialog';
 import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle } from '../components/ui/alert-dialog';
 import { toast } from 'sonner';
-import { Plus, Users as UsersIcon, Edit, Trash2, Eye, TrendingUp, TrendingDown, Search, Calendar, AlertCircle } from 'lucide-react';
+import { Plus, Users as UsersIcon, Edit, Trash2, Eye, TrendingUp, TrendingDown, Search, Calendar, AlertCircle, UserPlus, Printer } from 'lucide-react';
 import Pagination from '../components/Pagination';
+import { PromoteWalkInDialog } from '../components/PromoteWalkInDialog';
+import { downloadPaymentVoucherPDF } from '../utils/paymentVoucherPDF';
 
 export default function PartiesPage() {
   const [searchParams, setSearchParams] = useSearchParams();
@@ -23,6 +25,7 @@ export default function PartiesPage() {
   const [showLedgerDialog, setShowLedgerDialog] = useState(false);
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
   const [showGoldDepositDialog, setShowGoldDepositDialog] = useState(false);
+  const [showPromoteDialog, setShowPromoteDialog] = useState(false);
   const [editingParty, setEditingParty] = useState(null);
   const [deletingParty, setDeleteingParty] = useState(null);
   const [deleteImpact, setDeleteImpact] = useState(null);
@@ -46,7 +49,8 @@ export default function PartiesPage() {
     phone: '',
     address: '',
     party_type: 'customer',
-    notes: ''
+    notes: '',
+    vatin: ''
   });
   
   // Validation errors state
@@ -219,7 +223,8 @@ export default function PartiesPage() {
         phone: '',
         address: '',
         party_type: 'customer',
-        notes: ''
+        notes: '',
+        vatin: ''
       });
       setValidationErrors({
         name: '',
@@ -240,7 +245,8 @@ export default function PartiesPage() {
       phone: party.phone || '',
       address: party.address || '',
       party_type: party.party_type,
-      notes: party.notes || ''
+      notes: party.notes || '',
+      vatin: party.vatin || ''
     });
     setValidationErrors({
       name: '',
@@ -304,6 +310,14 @@ export default function PartiesPage() {
         });
       });
       
+      // Vouchers are keyed by the transaction each tender posted, for reprinting from the ledger
+      const voucherByTransaction = {};
+      (ledgerResponse.data.vouchers || []).forEach(voucher => {
+        voucher.tenders.forEach(tender => {
+          if (tender.transaction_number) voucherByTransaction[tender.transaction_number] = voucher;
+        });
+      });
+      
       // Add transactions
       ledgerResponse.data.transactions.forEach(txn => {
         combinedLedger.push({
@@ -313,7 +327,8 @@ export default function PartiesPage() {
           reference: txn.transaction_number,
           amount: txn.amount,
           balance: null,
-          notes: txn.notes
+          notes: txn.notes,
+          voucher: voucherByTransaction[txn.transaction_number]
         });
       });
       
@@ -456,23 +471,29 @@ export default function PartiesPage() {
           <h1 className="text-4xl font-serif font-semibold text-gray-900 mb-2">Parties</h1>
           <p className="text-muted-foreground">Manage customers and vendors</p>
         </div>
-        <Button data-testid="add-party-button" onClick={() => {
-          setEditingParty(null);
-          setFormData({
-            name: '',
-            phone: '',
-            address: '',
-            party_type: 'customer',
-            notes: ''
-          });
-          setValidationErrors({
-            name: '',
-            phone: ''
-          });
-          setShowDialog(true);
-        }}>
-          <Plus className="w-4 h-4 mr-2" /> Add Party
-        </Button>
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={() => setShowPromoteDialog(true)} data-testid="promote-walk-in-button">
+            <UserPlus className="w-4 h-4 mr-2" /> Convert Walk-in
+          </Button>
+          <Button data-testid="add-party-button" onClick={() => {
+            setEditingParty(null);
+            setFormData({
+              name: '',
+              phone: '',
+              address: '',
+              party_type: 'customer',
+              notes: '',
+              vatin: ''
+            });
+            setValidationErrors({
+              name: '',
+              phone: ''
+            });
+            setShowDialog(true);
+          }}>
+            <Plus className="w-4 h-4 mr-2" /> Add Party
+          </Button>
+        </div>
       </div>
 
       <Card className="mb-6">
@@ -644,6 +665,17 @@ export default function PartiesPage() {
                 onChange={(e) => setFormData({...formData, address: e.target.value})}
               />
             </div>
+            {formData.party_type === 'customer' && (
+              <div>
+                <Label>VATIN</Label>
+                <Input
+                  data-testid="party-vatin-input"
+                  value={formData.vatin}
+                  onChange={(e) => setFormData({...formData, vatin: e.target.value})}
+                  placeholder="OM1100012345 - VAT-registered businesses only"
+                />
+              </div>
+            )}
             <div>
               <Label>Notes</Label>
               <Input
@@ -687,6 +719,9 @@ export default function PartiesPage() {
                         <p className="text-2xl font-bold text-amber-700 mt-1">
                           {ledgerData.gold.gold_due_from_party.toFixed(3)}g
                         </p>
+                        <p className="text-xs font-mono text-amber-700/80" data-testid="fine-due-from-party">
+                          {(ledgerData.gold.fine_due_from_party || 0).toFixed(3)}g fine (24K)
+                        </p>
                       </div>
                       <TrendingDown className="w-5 h-5 text-amber-600" />
                     </div>
@@ -702,6 +737,9 @@ export default function PartiesPage() {
                         <p className="text-2xl font-bold text-orange-700 mt-1">
                           {ledgerData.gold.gold_due_to_party.toFixed(3)}g
                         </p>
+                        <p className="text-xs font-mono text-orange-700/80" data-testid="fine-due-to-party">
+                          {(ledgerData.gold.fine_due_to_party || 0).toFixed(3)}g fine (24K)
+                        </p>
                       </div>
                       <TrendingUp className="w-5 h-5 text-orange-600" />
                     </div>
@@ -821,6 +859,7 @@ export default function PartiesPage() {
                             <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Type</th>
                             <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Weight (g)</th>
                             <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Purity</th>
+                            <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Fine (g)</th>
                             <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Purpose</th>
                             <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Notes</th>
                           </tr>
@@ -828,7 +867,7 @@ export default function PartiesPage() {
                         <tbody>
                           {filteredGoldEntries.length === 0 ? (
                             <tr>
-                              <td colSpan="6" className="px-4 py-8 text-center text-muted-foreground">
+                              <td colSpan="7" className="px-4 py-8 text-center text-muted-foreground">
                                 No gold ledger entries found
                               </td>
                             </tr>
@@ -847,6 +886,7 @@ export default function PartiesPage() {
                                 </td>
                                 <td className="px-4 py-3 text-right font-mono">{entry.weight_grams.toFixed(3)}</td>
                                 <td className="px-4 py-3 text-right font-mono">{entry.purity_entered}K</td>
+                                <td className="px-4 py-3 text-right font-mono text-muted-foreground">{safeToFixed(entry.fine_weight, 3)}</td>
                                 <td className="px-4 py-3 capitalize">{entry.purpose.replace('_', ' ')}</td>
                                 <td className="px-4 py-3 text-muted-foreground">{entry.notes || '-'}</td>
                               </tr>
@@ -901,7 +941,19 @@ export default function PartiesPage() {
                                     {entry.type}
                                   </span>
                                 </td>
-                                <td className="px-4 py-3 font-mono">{entry.reference}</td>
+                                <td className="px-4 py-3 font-mono">
+                                  {entry.reference}
+                                  {entry.voucher && (
+                                    <button
+                                      type="button"
+                                      className="ml-2 inline-flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700"
+                                      onClick={() => downloadPaymentVoucherPDF(entry.voucher)}
+                                      title="Print voucher"
+                                    >
+                                      <Printer className="w-3 h-3" /> {entry.voucher.voucher_number}
+                                    </button>
+                                  )}
+                                </td>
                                 <td className="px-4 py-3 text-right font-mono">{entry.amount.toFixed(2)}</td>
                                 <td className="px-4 py-3 text-right font-mono">
                                   {entry.balance !== null ? entry.balance.toFixed(2) : '-'}
@@ -1158,6 +1210,12 @@ export default function PartiesPage() {
           </AlertDialogFooter>
         </AlertDialogContent>
       </AlertDialog>
+
+      <PromoteWalkInDialog
+        open={showPromoteDialog}
+        onOpenChange={setShowPromoteDialog}
+        onPromoted={() => loadParties()}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -9,9 +9,10 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '.
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from '../components/ui/dialog';
 import { Badge } from '../components/ui/badge';
 import { toast } from 'sonner';
-import { Package, CheckCircle, Lock, Edit, ShoppingCart, Calendar, Trash2, Eye, AlertTriangle, DollarSign, Plus, X, User, Search, RotateCcw } from 'lucide-react';
+import { Package, CheckCircle, Lock, Edit, ShoppingCart, Calendar, Trash2, Eye, AlertTriangle, DollarSign, Plus, X, User, Search, RotateCcw, Tag } from 'lucide-react';
 import { extractErrorMessage } from '../utils/errorHandler';
 import { ConfirmationDialog } from '../components/ConfirmationDialog';
+import PrintTagLabelsDialog from '../components/PrintTagLabelsDialog';
 import { 
   validateWeight, 
   validateRate, 
@@ -26,9 +27,15 @@ import { TableEmptyState } from '../components/EmptyState';
 import Pagination from '../components/Pagination';
 import { formatWeight, formatCurrency, safeToFixed } from '../utils/numberFormat';
 import { formatDateTime, formatDate } from '../utils/dateTimeUtils';
+import { useCurrentGoldRate } from '../hooks/useCurrentGoldRate';
+import { useViewParam } from '../hooks/useViewParam';
+import { GoldRateVariance } from '../components/GoldRateVariance';
+import { PaymentVouchersList } from '../components/PaymentVouchersList';
+import { downloadPaymentVoucherPDF } from '../utils/paymentVoucherPDF';
 
 export default function PurchasesPage() {
   const [searchParams, setSearchParams] = useSearchParams();
+  const { getRate } = useCurrentGoldRate();
   const [purchases, setPurchases] = useState([]);
   const [pagination, setPagination] = useState(null);
   const [vendors, setVendors] = useState([]);
@@ -59,6 +66,7 @@ export default function PurchasesPage() {
   const [confirmPurchase, setConfirmPurchase] = useState(null);
   const [impactData, setImpactData] = useState(null);
   const [confirmLoading, setConfirmLoading] = useState(false);
+  const [labelPurchase, setLabelPurchase] = useState(null);
   
   // Pending filters (what user sees/types - not yet applied)
   const [pendingVendor, setPendingVendor] = useState('all');
@@ -282,7 +290,7 @@ export default function PurchasesPage() {
       description: '',
       weight_grams: '',
       entered_purity: '916',
-      rate_per_gram_22k: '',
+      rate_per_gram_22k: getRate(916, 'buy') || '',  // Pre-fill published 22K buy rate
       calculated_amount: 0
     }]);
   };
@@ -403,7 +411,7 @@ export default function PurchasesPage() {
       setIsMultipleItems(false);
       setSelectedConversionFactor('0.920'); // Default to 0.920 for new purchases
       setItems([
-        { id: '1', description: '', weight_grams: '', entered_purity: '916', rate_per_gram_22k: '', calculated_amount: 0 }
+        { id: '1', description: '', weight_grams: '', entered_purity: '916', rate_per_gram_22k: getRate(916, 'buy') || '', calculated_amount: 0 }
       ]);
       setFormData({
         vendor_party_id: vendors.length > 0 ? vendors[0].id : '',
@@ -414,7 +422,7 @@ export default function PurchasesPage() {
         description: '',
         weight_grams: '',
         entered_purity: '999',
-        rate_per_gram: '',
+        rate_per_gram: getRate(916, 'buy') || '',  // Valuation is at 22K, so pre-fill the published 22K buy rate
         amount_total: '',
         paid_amount_money: '0',
         payment_mode: 'Cash',
@@ -689,6 +697,15 @@ export default function PurchasesPage() {
     setShowViewDialog(true);
   };
 
+  useViewParam(async (purchaseId) => {
+    try {
+      const response = await API.get(`/api/purchases/${purchaseId}`);
+      handleViewPurchase(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to load purchase');
+    }
+  });
+
   const handleOpenPaymentDialog = (purchase) => {
     setSelectedPurchase(purchase);
     setPaymentData({
@@ -723,7 +740,9 @@ export default function PurchasesPage() {
         }
       );
 
-      toast.success(`Payment added successfully! Transaction #${response.data.transaction_number}`);
+      toast.success(`Payment added successfully! Voucher ${response.data.voucher.voucher_number}`, {
+        action: { label: 'Print voucher', onClick: () => downloadPaymentVoucherPDF(response.data.voucher) }
+      });
       if (response.data.locked) {
         toast.info('Purchase is now fully paid and locked.');
       }
@@ -979,7 +998,10 @@ export default function PurchasesPage() {
                 ) : (
                   purchases.map((purchase) => (
                     <tr key={purchase.id} className="border-b hover:bg-gray-50">
-                      <td className="p-3">{formatDate(purchase.date)}</td>
+                      <td className="p-3">
+                        {formatDate(purchase.date)}
+                        {purchase.purchase_number && <div className="text-xs text-muted-foreground font-mono">{purchase.purchase_number}</div>}
+                      </td>
                       <td className="p-3">
                         {getVendorName(purchase)}
                         {purchase.is_walk_in && <Badge className="ml-2 bg-purple-100 text-purple-800 text-xs">Walk-in</Badge>}
@@ -1055,6 +1077,19 @@ export default function PurchasesPage() {
                             </>
                           )}
                           
+                          {/* Tag labels for pieces tagged from this purchase's stock */}
+                          {purchase.status !== 'Draft' && (
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => setLabelPurchase(purchase)}
+                              title="Print Tag Labels"
+                              data-testid={`print-tags-purchase-${purchase.id}`}
+                            >
+                              <Tag className="w-4 h-4" />
+                            </Button>
+                          )}
+                          
                           {/* Show locked badge for locked purchases */}
                           {purchase.locked && (
                             <Badge className="bg-green-100 text-green-800">
@@ -1343,6 +1378,7 @@ export default function PurchasesPage() {
                             className={errors[`item_${index}_rate`] ? 'border-red-500' : ''}
                           />
                           <FormErrorMessage error={errors[`item_${index}_rate`]} />
+                          <GoldRateVariance value={item.rate_per_gram_22k} publishedRate={getRate(916, 'buy')} label="22K buy" />
                         </div>
                         
                         <div className="space-y-2">
@@ -1420,6 +1456,7 @@ export default function PurchasesPage() {
                     className={errors.rate_per_gram ? 'border-red-500' : ''}
                   />
                   <FormErrorMessage error={errors.rate_per_gram} />
+                  <GoldRateVariance value={formData.rate_per_gram} publishedRate={getRate(916, 'buy')} label="22K buy" />
                 </div>
               </div>
 
@@ -1970,6 +2007,8 @@ export default function PurchasesPage() {
                 </div>
               )}
 
+              <PaymentVouchersList referenceType="purchase" referenceId={viewPurchase.id} refreshKey={viewPurchase.paid_amount_money} />
+
               {/* Action Buttons */}
               <div className="flex gap-3 pt-4">
                 <Button
@@ -1990,7 +2029,7 @@ export default function PurchasesPage() {
       <Dialog open={showPaymentDialog} onOpenChange={setShowPaymentDialog}>
         <DialogContent className="max-w-md">
           <DialogHeader>
-            <DialogTitle>Add Payment - Purchase #{selectedPurchase?.id?.slice(0, 8)}</DialogTitle>
+            <DialogTitle>Add Payment - Purchase {selectedPurchase?.purchase_number || `#${selectedPurchase?.id?.slice(0, 8)}`}</DialogTitle>
           </DialogHeader>
 
           {selectedPurchase && (
@@ -2117,6 +2156,13 @@ export default function PurchasesPage() {
         actionType="danger"
         loading={confirmLoading}
       />
+
+      <PrintTagLabelsDialog
+        open={!!labelPurchase}
+        onOpenChange={(open) => !open && setLabelPurchase(null)}
+        sourceId={labelPurchase?.id}
+        title="Print Tags for Purchase"
+      />
     </div>
   );
 }
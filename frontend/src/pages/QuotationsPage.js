@@ -0,0 +1,674 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { formatWeight, formatCurrency } from '../utils/numberFormat';
+import { formatDate, displayDateOnly } from '../utils/dateTimeUtils';
+import { API } from '../contexts/AuthContext';
+import { usePermission } from '../hooks/usePermission';
+import { useCurrentGoldRate } from '../hooks/useCurrentGoldRate';
+import { useViewParam } from '../hooks/useViewParam';
+import { useURLPagination } from '../hooks/useURLPagination';
+import { getKaratLabel } from '../utils/goldRate';
+import { getLocalToday } from '../utils/jobCards';
+import {
+  QUOTATION_STATUSES,
+  emptyQuotationForm,
+  getQuotationCustomer,
+  getQuotationStatus,
+  toQuotationForm,
+  toQuotationPayload
+} from '../utils/quotations';
+import { getSaleTotals, getVatBasis } from '../utils/saleLines';
+import { generateQuotationPDF } from '../utils/quotationPDF';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Badge } from '../components/ui/badge';
+import { Switch } from '../components/ui/switch';
+import { Textarea } from '../components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '../components/ui/dialog';
+import { toast } from 'sonner';
+import { Plus, FileSignature, Trash2, Search, Printer, Eye, Edit, Lock, ClipboardList, FileText } from 'lucide-react';
+import { ConfirmationDialog } from '../components/ConfirmationDialog';
+import Pagination from '../components/Pagination';
+import { SaleLinesEditor } from '../components/SaleLinesEditor';
+
+export default function QuotationsPage() {
+  const navigate = useNavigate();
+  const canCreate = usePermission('invoices.create');
+  const canDelete = usePermission('invoices.delete');
+  const canCreateJobcard = usePermission('jobcards.create');
+  const { getRate } = useCurrentGoldRate();
+  const { currentPage, setPage, pagination, setPagination } = useURLPagination();
+  const [quotations, setQuotations] = useState([]);
+  const [filters, setFilters] = useState({ search: '', status: 'all' });
+  const [parties, setParties] = useState([]);
+  const [workers, setWorkers] = useState([]);
+  const [workTypes, setWorkTypes] = useState([]);
+  const [shopSettings, setShopSettings] = useState({});
+  const [showForm, setShowForm] = useState(false);
+  const [editingQuotation, setEditingQuotation] = useState(null);
+  const [formData, setFormData] = useState(emptyQuotationForm());
+  const [saving, setSaving] = useState(false);
+  const [viewQuotation, setViewQuotation] = useState(null);
+  const [jobcardConvert, setJobcardConvert] = useState(null);
+  const [invoiceConvert, setInvoiceConvert] = useState(null);
+  const [converting, setConverting] = useState(false);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [deleteLoading, setDeleteLoading] = useState(false);
+
+  const loadQuotations = useCallback(async () => {
+    try {
+      const params = { page: currentPage, page_size: 10, today: getLocalToday() };
+      if (filters.search) params.search = filters.search;
+      if (filters.status !== 'all') params.status = filters.status;
+      const response = await API.get(`/api/quotations`, { params });
+      setQuotations(Array.isArray(response.data.items) ? response.data.items : []);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Failed to load quotations:', error);
+      toast.error('Failed to load quotations');
+      setQuotations([]);
+    }
+  }, [currentPage, filters, setPagination]);
+
+  useEffect(() => {
+    loadQuotations();
+  }, [loadQuotations]);
+
+  useEffect(() => {
+    API.get(`/api/parties?party_type=customer&page_size=1000`)
+      .then(response => setParties(response.data.items || []))
+      .catch(() => setParties([]));
+    API.get(`/api/settings/shop`)
+      .then(response => setShopSettings(response.data || {}))
+      .catch(() => setShopSettings({}));
+    if (canCreateJobcard) {
+      API.get(`/api/workers?active=true`)
+        .then(response => setWorkers(response.data.items || []))
+        .catch(() => setWorkers([]));
+      API.get(`/api/work-types?active=true`)
+        .then(response => setWorkTypes(response.data.items || []))
+        .catch(() => setWorkTypes([]));
+    }
+  }, [canCreateJobcard]);
+
+  const openQuotation = async (quotationId) => {
+    try {
+      const response = await API.get(`/api/quotations/${quotationId}`, { params: { today: getLocalToday() } });
+      setViewQuotation(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to load quotation');
+    }
+  };
+
+  useViewParam(openQuotation);
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+    setPage(1);
+  };
+
+  const openCreate = () => {
+    setEditingQuotation(null);
+    setFormData(emptyQuotationForm(shopSettings.quotation_validity_days || 7));
+    setShowForm(true);
+  };
+
+  const openEdit = (quotation) => {
+    setEditingQuotation(quotation);
+    setFormData(toQuotationForm(quotation));
+    setViewQuotation(null);
+    setShowForm(true);
+  };
+
+  const vatBasis = getVatBasis(shopSettings);
+  const totals = getSaleTotals(formData.items, formData.discount_amount, getRate, vatBasis);
+
+  const handleSave = async () => {
+    if (formData.customer_type === 'saved' && !formData.customer_id) {
+      toast.error('Select a customer');
+      return;
+    }
+    if (formData.customer_type === 'walk_in' && !formData.walk_in_name.trim()) {
+      toast.error('Enter the customer name');
+      return;
+    }
+    if (formData.items.length === 0 || formData.items.some(line => !line.description.trim())) {
+      toast.error('Every item needs a description');
+      return;
+    }
+    if (formData.items.some(line => !(parseFloat(line.metal_rate) > 0) && !getRate(line.purity))) {
+      toast.error('Enter a gold rate - none is published for one of the purities');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const payload = toQuotationPayload(formData);
+      if (editingQuotation) {
+        await API.put(`/api/quotations/${editingQuotation.id}`, payload);
+        toast.success('Quotation updated');
+      } else {
+        const response = await API.post(`/api/quotations`, payload);
+        toast.success(`Quotation ${response.data.quotation_number} created`, {
+          action: { label: 'View', onClick: () => openQuotation(response.data.id) }
+        });
+      }
+      setShowForm(false);
+      loadQuotations();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to save quotation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePrint = async (quotation) => {
+    try {
+      // List rows can be stale, so print what the server holds
+      const response = await API.get(`/api/quotations/${quotation.id}`);
+      generateQuotationPDF(response.data, shopSettings).save(`Quotation_${response.data.quotation_number}.pdf`);
+    } catch (error) {
+      toast.error('Failed to generate quotation PDF');
+    }
+  };
+
+  const handleConvertToJobcard = async () => {
+    if (!jobcardConvert.work_type) {
+      toast.error('Select a work type');
+      return;
+    }
+    setConverting(true);
+    try {
+      const response = await API.post(`/api/quotations/${jobcardConvert.quotation.id}/convert-to-jobcard`, {
+        work_type: jobcardConvert.work_type,
+        worker_id: jobcardConvert.worker_id !== 'none' ? jobcardConvert.worker_id : undefined,
+        delivery_date: jobcardConvert.delivery_date || undefined,
+        today: getLocalToday()
+      });
+      toast.success(response.data.message, {
+        action: { label: 'Open', onClick: () => navigate(`/jobcards?view=${response.data.jobcard_id}`) }
+      });
+      setJobcardConvert(null);
+      setViewQuotation(null);
+      loadQuotations();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to convert quotation');
+    } finally {
+      setConverting(false);
+    }
+  };
+
+  const handleConvertToInvoice = async () => {
+    setConverting(true);
+    try {
+      const response = await API.post(`/api/quotations/${invoiceConvert.id}/convert-to-invoice`, { today: getLocalToday() });
+      const { grand_total: grandTotal, quoted_total: quotedTotal } = response.data;
+      const repriced = Math.abs(grandTotal - quotedTotal) > 0.0005;
+      toast.success(
+        repriced
+          ? `${response.data.message} - re-priced at today's rates: ${formatCurrency(grandTotal)} OMR (quoted ${formatCurrency(quotedTotal)})`
+          : response.data.message,
+        { action: { label: 'Open', onClick: () => navigate(`/invoices?view=${response.data.invoice_id}`) } }
+      );
+      setInvoiceConvert(null);
+      setViewQuotation(null);
+      loadQuotations();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to convert quotation');
+    } finally {
+      setConverting(false);
+    }
+  };
+
+  const confirmDelete = async () => {
+    if (!deleteTarget) return;
+    setDeleteLoading(true);
+    try {
+      await API.delete(`/api/quotations/${deleteTarget.id}`);
+      toast.success('Quotation deleted');
+      setDeleteTarget(null);
+      loadQuotations();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to delete quotation');
+    } finally {
+      setDeleteLoading(false);
+    }
+  };
+
+  const renderConvertedLink = (quotation) => (
+    <button
+      type="button"
+      className="text-xs text-primary hover:underline font-mono"
+      onClick={() => navigate(`/${quotation.converted_to === 'jobcard' ? 'jobcards' : 'invoices'}?view=${quotation.converted_id}`)}
+    >
+      {quotation.converted_number}
+    </button>
+  );
+
+  return (
+    <div data-testid="quotations-page">
+      <div className="mb-8 flex justify-between items-center">
+        <div>
+          <h1 className="text-4xl font-serif font-semibold text-gray-900 mb-2">Quotations</h1>
+          <p className="text-muted-foreground">Estimates for customers that convert into job cards or invoices</p>
+        </div>
+        {canCreate && (
+          <Button data-testid="create-quotation-button" onClick={openCreate}>
+            <Plus className="w-4 h-4 mr-2" /> New Quotation
+          </Button>
+        )}
+      </div>
+
+      <Card className="mb-6">
+        <CardContent className="pt-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="md:col-span-2">
+              <Label>Search</Label>
+              <div className="relative">
+                <Search className="w-4 h-4 absolute left-3 top-3 text-muted-foreground" />
+                <Input
+                  data-testid="quotations-search"
+                  className="pl-9"
+                  value={filters.search}
+                  onChange={(e) => updateFilter('search', e.target.value)}
+                  placeholder="Quotation number, customer or phone"
+                />
+              </div>
+            </div>
+            <div>
+              <Label>Status</Label>
+              <Select value={filters.status} onValueChange={(value) => updateFilter('status', value)}>
+                <SelectTrigger><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Statuses</SelectItem>
+                  {Object.entries(QUOTATION_STATUSES).map(([value, s]) => (
+                    <SelectItem key={value} value={value}>{s.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-xl font-serif">Quotations</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="overflow-x-auto">
+            <table className="w-full" data-testid="quotations-table">
+              <thead className="bg-muted/50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Quotation #</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Date</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Customer</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Items</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Total (OMR)</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Valid Until</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Status</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {quotations.map((quotation) => {
+                  const status = getQuotationStatus(quotation);
+                  const customer = getQuotationCustomer(quotation);
+                  return (
+                    <tr key={quotation.id} className="border-t hover:bg-muted/30">
+                      <td className="px-4 py-3 font-mono font-semibold">{quotation.quotation_number}</td>
+                      <td className="px-4 py-3 text-sm">{formatDate(quotation.date)}</td>
+                      <td className="px-4 py-3 text-sm">
+                        <div>{customer.name}</div>
+                        {customer.phone && <div className="text-xs text-muted-foreground">{customer.phone}</div>}
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm">{(quotation.items || []).length}</td>
+                      <td className="px-4 py-3 text-right font-mono text-sm font-semibold">{formatCurrency(quotation.grand_total)}</td>
+                      <td className="px-4 py-3 text-sm whitespace-nowrap">
+                        {displayDateOnly(quotation.valid_until)}
+                        {quotation.rate_locked && <span title="Gold rate locked"><Lock className="w-3 h-3 inline ml-1 text-amber-600" /></span>}
+                      </td>
+                      <td className="px-4 py-3">
+                        <Badge className={status.className}>{status.label}</Badge>
+                        {quotation.status === 'converted' && <div className="mt-1">{renderConvertedLink(quotation)}</div>}
+                      </td>
+                      <td className="px-4 py-3 text-right whitespace-nowrap">
+                        <Button variant="ghost" size="sm" onClick={() => openQuotation(quotation.id)} title="View">
+                          <Eye className="w-4 h-4" />
+                        </Button>
+                        <Button variant="ghost" size="sm" onClick={() => handlePrint(quotation)} title="Print">
+                          <Printer className="w-4 h-4" />
+                        </Button>
+                        {canCreate && quotation.status !== 'converted' && (
+                          <Button variant="ghost" size="sm" onClick={() => openEdit(quotation)} title="Edit">
+                            <Edit className="w-4 h-4" />
+                          </Button>
+                        )}
+                        {canDelete && quotation.status !== 'converted' && (
+                          <Button variant="ghost" size="sm" onClick={() => setDeleteTarget(quotation)} title="Delete">
+                            <Trash2 className="w-4 h-4 text-red-600" />
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {quotations.length === 0 && (
+              <div className="text-center py-12 text-muted-foreground">
+                <FileSignature className="w-12 h-12 mx-auto mb-3 opacity-50" />
+                <p>No quotations found</p>
+              </div>
+            )}
+          </div>
+        </CardContent>
+        {pagination && <Pagination pagination={pagination} onPageChange={setPage} />}
+      </Card>
+
+      {/* Create / Edit Quotation */}
+      <Dialog open={showForm} onOpenChange={setShowForm}>
+        <DialogContent className="max-w-6xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>{editingQuotation ? `Edit Quotation ${editingQuotation.quotation_number}` : 'New Quotation'}</DialogTitle>
+          </DialogHeader>
+          <div className="space-y-4 mt-2">
+            <div className="flex gap-6">
+              {[['walk_in', 'Walk-in Customer'], ['saved', 'Saved Customer']].map(([value, label]) => (
+                <label key={value} className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="quotation_customer_type"
+                    value={value}
+                    checked={formData.customer_type === value}
+                    onChange={() => setFormData({ ...formData, customer_type: value })}
+                    className="w-4 h-4"
+                  />
+                  <span className="font-medium">{label}</span>
+                </label>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-4 gap-4">
+              {formData.customer_type === 'saved' ? (
+                <div className="col-span-2">
+                  <Label>Customer *</Label>
+                  <Select value={formData.customer_id} onValueChange={(value) => setFormData({ ...formData, customer_id: value })}>
+                    <SelectTrigger data-testid="quotation-customer-select"><SelectValue placeholder="Select customer" /></SelectTrigger>
+                    <SelectContent>
+                      {parties.map(p => (
+                        <SelectItem key={p.id} value={p.id}>{p.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ) : (
+                <>
+                  <div>
+                    <Label>Customer Name *</Label>
+                    <Input
+                      data-testid="quotation-walk-in-name"
+                      value={formData.walk_in_name}
+                      onChange={(e) => setFormData({ ...formData, walk_in_name: e.target.value })}
+                    />
+                  </div>
+                  <div>
+                    <Label>Phone Number</Label>
+                    <Input
+                      value={formData.walk_in_phone}
+                      onChange={(e) => setFormData({ ...formData, walk_in_phone: e.target.value })}
+                    />
+                  </div>
+                </>
+              )}
+              <div>
+                <Label>Valid Until *</Label>
+                <Input
+                  type="date"
+                  value={formData.valid_until}
+                  min={editingQuotation ? undefined : getLocalToday()}
+                  onChange={(e) => setFormData({ ...formData, valid_until: e.target.value })}
+                />
+              </div>
+              <div>
+                <Label>Gold Rate</Label>
+                <div className="flex items-center gap-2 h-10">
+                  <Switch
+                    data-testid="quotation-rate-lock"
+                    checked={formData.rate_locked}
+                    onCheckedChange={(checked) => setFormData({ ...formData, rate_locked: checked })}
+                  />
+                  <span className="text-sm">{formData.rate_locked ? 'Locked until valid date' : 'Re-priced on conversion'}</span>
+                </div>
+              </div>
+            </div>
+
+            <SaleLinesEditor
+              lines={formData.items}
+              onChange={(items) => setFormData(prev => ({ ...prev, items }))}
+              getRate={getRate}
+              vatBasis={vatBasis}
+              testIdPrefix="quotation"
+            />
+
+            <div className="grid grid-cols-2 gap-6 border-t pt-4">
+              <div>
+                <Label>Notes</Label>
+                <Textarea rows={3} value={formData.notes} onChange={(e) => setFormData({ ...formData, notes: e.target.value })} />
+              </div>
+              <div className="space-y-2 text-sm">
+                <div className="flex justify-between"><span>Subtotal</span><span className="font-mono">{formatCurrency(totals.subtotal)} OMR</span></div>
+                <div className="flex justify-between items-center gap-4">
+                  <span>Discount</span>
+                  <Input
+                    type="number"
+                    step="0.001"
+                    min="0"
+                    className="w-36 text-right"
+                    value={formData.discount_amount}
+                    onChange={(e) => setFormData({ ...formData, discount_amount: e.target.value })}
+                  />
+                </div>
+                <div className="flex justify-between"><span>VAT</span><span className="font-mono">{formatCurrency(totals.vatTotal)} OMR</span></div>
+                <div className="flex justify-between text-base font-semibold border-t pt-2">
+                  <span>Estimated Total</span><span className="font-mono">{formatCurrency(totals.grandTotal)} OMR</span>
+                </div>
+              </div>
+            </div>
+          </div>
+          <Button data-testid="save-quotation-button" onClick={handleSave} className="w-full mt-4" disabled={saving}>
+            {saving ? 'Saving...' : editingQuotation ? 'Update Quotation' : 'Save Quotation'}
+          </Button>
+        </DialogContent>
+      </Dialog>
+
+      {/* View Quotation */}
+      <Dialog open={!!viewQuotation} onOpenChange={(open) => !open && setViewQuotation(null)}>
+        <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+          {viewQuotation && (() => {
+            const status = getQuotationStatus(viewQuotation);
+            const customer = getQuotationCustomer(viewQuotation);
+            const isOpen = viewQuotation.display_status === 'open';
+            return (
+              <>
+                <DialogHeader>
+                  <DialogTitle className="flex items-center gap-3">
+                    Quotation {viewQuotation.quotation_number}
+                    <Badge className={status.className}>{status.label}</Badge>
+                  </DialogTitle>
+                </DialogHeader>
+                <div className="grid grid-cols-2 gap-4 text-sm mt-2">
+                  <div>
+                    <p className="text-muted-foreground">Customer</p>
+                    <p className="font-semibold">{customer.name}</p>
+                    {customer.phone && <p>{customer.phone}</p>}
+                  </div>
+                  <div>
+                    <p className="text-muted-foreground">Date / Valid Until</p>
+                    <p>{formatDate(viewQuotation.date)} → <span className="font-semibold">{displayDateOnly(viewQuotation.valid_until)}</span></p>
+                    <p className="flex items-center gap-1">
+                      {viewQuotation.rate_locked ? (
+                        <><Lock className="w-3 h-3 text-amber-600" /> Gold rate locked</>
+                      ) : 'Gold rate re-priced on conversion'}
+                    </p>
+                  </div>
+                </div>
+                {viewQuotation.status === 'converted' && (
+                  <p className="text-sm mt-2">
+                    Converted to {viewQuotation.converted_to === 'jobcard' ? 'job card' : 'invoice'} {renderConvertedLink(viewQuotation)}
+                  </p>
+                )}
+                {viewQuotation.display_status === 'expired' && (
+                  <p className="text-sm mt-2 text-amber-700">This quotation has expired. Edit it to extend the valid date before converting.</p>
+                )}
+                <div className="overflow-x-auto mt-4">
+                  <table className="w-full text-sm">
+                    <thead className="bg-muted/50">
+                      <tr>
+                        <th className="px-3 py-2 text-left text-xs font-semibold uppercase">Item</th>
+                        <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Qty</th>
+                        <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Net Wt</th>
+                        <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Purity</th>
+                        <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Rate</th>
+                        <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Making</th>
+                        <th className="px-3 py-2 text-right text-xs font-semibold uppercase">VAT</th>
+                        <th className="px-3 py-2 text-right text-xs font-semibold uppercase">Total</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {(viewQuotation.items || []).map(item => (
+                        <tr key={item.id} className="border-t">
+                          <td className="px-3 py-2">{[item.category, item.description].filter(Boolean).join(' - ')}</td>
+                          <td className="px-3 py-2 text-right">{item.qty}</td>
+                          <td className="px-3 py-2 text-right font-mono">{formatWeight(item.net_gold_weight || item.weight)}g</td>
+                          <td className="px-3 py-2 text-right">{getKaratLabel(item.purity)}</td>
+                          <td className="px-3 py-2 text-right font-mono">{formatCurrency(item.metal_rate)}</td>
+                          <td className="px-3 py-2 text-right font-mono">{formatCurrency(item.making_value)}</td>
+                          <td className="px-3 py-2 text-right font-mono">{formatCurrency(item.vat_amount)}</td>
+                          <td className="px-3 py-2 text-right font-mono font-semibold">{formatCurrency(item.line_total)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="ml-auto w-72 space-y-1 text-sm mt-4">
+                  <div className="flex justify-between"><span>Subtotal</span><span className="font-mono">{formatCurrency(viewQuotation.subtotal)}</span></div>
+                  {viewQuotation.discount_amount > 0 && (
+                    <div className="flex justify-between"><span>Discount</span><span className="font-mono">-{formatCurrency(viewQuotation.discount_amount)}</span></div>
+                  )}
+                  <div className="flex justify-between"><span>VAT</span><span className="font-mono">{formatCurrency(viewQuotation.vat_total)}</span></div>
+                  <div className="flex justify-between font-semibold border-t pt-1">
+                    <span>Estimated Total</span><span className="font-mono">{formatCurrency(viewQuotation.grand_total)} OMR</span>
+                  </div>
+                </div>
+                {viewQuotation.notes && <p className="text-sm text-muted-foreground mt-2">{viewQuotation.notes}</p>}
+                <div className="flex flex-wrap justify-end gap-2 mt-6">
+                  <Button variant="outline" onClick={() => handlePrint(viewQuotation)}>
+                    <Printer className="w-4 h-4 mr-2" /> Print
+                  </Button>
+                  {canCreate && viewQuotation.status !== 'converted' && (
+                    <Button variant="outline" onClick={() => openEdit(viewQuotation)}>
+                      <Edit className="w-4 h-4 mr-2" /> Edit
+                    </Button>
+                  )}
+                  {canCreateJobcard && isOpen && (
+                    <Button
+                      data-testid="convert-to-jobcard-button"
+                      variant="outline"
+                      onClick={() => setJobcardConvert({ quotation: viewQuotation, work_type: '', worker_id: 'none', delivery_date: '' })}
+                    >
+                      <ClipboardList className="w-4 h-4 mr-2" /> Convert to Job Card
+                    </Button>
+                  )}
+                  {canCreate && isOpen && (
+                    <Button data-testid="convert-to-invoice-button" onClick={() => setInvoiceConvert(viewQuotation)}>
+                      <FileText className="w-4 h-4 mr-2" /> Convert to Invoice
+                    </Button>
+                  )}
+                </div>
+              </>
+            );
+          })()}
+        </DialogContent>
+      </Dialog>
+
+      {/* Convert to Job Card */}
+      <Dialog open={!!jobcardConvert} onOpenChange={(open) => !open && setJobcardConvert(null)}>
+        <DialogContent className="max-w-md">
+          <DialogHeader>
+            <DialogTitle>Convert {jobcardConvert?.quotation.quotation_number} to Job Card</DialogTitle>
+          </DialogHeader>
+          {jobcardConvert && (
+            <div className="space-y-4 mt-2">
+              <p className="text-sm text-muted-foreground">
+                Quoted net weights become the intake weights. Adjust them on the job card once the gold is received.
+              </p>
+              <div>
+                <Label>Work Type *</Label>
+                <Select value={jobcardConvert.work_type} onValueChange={(value) => setJobcardConvert({ ...jobcardConvert, work_type: value })}>
+                  <SelectTrigger><SelectValue placeholder="Select work type" /></SelectTrigger>
+                  <SelectContent>
+                    {workTypes.map(wt => (
+                      <SelectItem key={wt.id} value={wt.name}>{wt.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label>Worker</Label>
+                <Select value={jobcardConvert.worker_id} onValueChange={(value) => setJobcardConvert({ ...jobcardConvert, worker_id: value })}>
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">Unassigned</SelectItem>
+                    {workers.map(w => (
+                      <SelectItem key={w.id} value={w.id}>{w.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label>Delivery Date</Label>
+                <Input
+                  type="date"
+                  min={getLocalToday()}
+                  value={jobcardConvert.delivery_date}
+                  onChange={(e) => setJobcardConvert({ ...jobcardConvert, delivery_date: e.target.value })}
+                />
+              </div>
+              <Button className="w-full" onClick={handleConvertToJobcard} disabled={converting}>
+                {converting ? 'Converting...' : 'Create Job Card'}
+              </Button>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <ConfirmationDialog
+        open={!!invoiceConvert}
+        onOpenChange={(open) => !open && setInvoiceConvert(null)}
+        onConfirm={handleConvertToInvoice}
+        title="Convert to Draft Invoice"
+        description={invoiceConvert?.rate_locked
+          ? `Create a draft invoice from ${invoiceConvert?.quotation_number} at the locked quoted gold rates.`
+          : `Create a draft invoice from ${invoiceConvert?.quotation_number}. The gold rate is not locked, so lines are re-priced at today's published rates.`}
+        actionLabel="Create Invoice"
+        actionType="info"
+        loading={converting}
+      />
+
+      <ConfirmationDialog
+        open={!!deleteTarget}
+        onOpenChange={(open) => !open && setDeleteTarget(null)}
+        onConfirm={confirmDelete}
+        title="Delete Quotation"
+        description={`Delete quotation ${deleteTarget?.quotation_number || ''}?`}
+        actionLabel="Delete"
+        actionType="danger"
+        loading={deleteLoading}
+      />
+    </div>
+  );
+}
@@ -52,6 +52,11 @@ export default function ReportsPageEnhanced() {
   // Purchase History specific state
   const [purchaseSearchQuery, setPurchaseSearchQuery] = useState('');
   
+  // Inventory valuation state (blank rate = published 24K rate)
+  const [valuationRate, setValuationRate] = useState('');
+  const [valuationData, setValuationData] = useState(null);
+  const [lowStockData, setLowStockData] = useState(null);
+
   // Returns specific state
   const [returns, setReturns] = useState([]);
   const [returnsSummary, setReturnsSummary] = useState(null);
@@ -169,6 +174,29 @@ export default function ReportsPageEnhanced() {
     }
   }, [selectedPartyId, partyType, startDate, endDate]);
 
+  const loadInventoryValuation = async () => {
+    try {
+      const params = valuationRate ? { rate: valuationRate } : {};
+      const response = await API.get(`/api/inventory/valuation`, { params });
+      setValuationData(response.data);
+    } catch (error) {
+      setValuationData(null);
+      toast.error(error.response?.data?.detail || 'Failed to load inventory valuation');
+    }
+  };
+
+  const loadLowStockReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await API.get(`/api/inventory/low-stock`);
+      setLowStockData(response.data);
+    } catch (error) {
+      toast.error('Failed to load low stock report');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
   const loadInventoryReport = useCallback(async () => {
     try {
       setLoading(true);
@@ -335,6 +363,8 @@ export default function ReportsPageEnhanced() {
       loadOutstandingReport();
     } else if (activeTab === 'inventory') {
       loadInventoryReport();
+    } else if (activeTab === 'low-stock') {
+      loadLowStockReport();
     } else if (activeTab === 'parties') {
       loadPartiesReport();
     } else if (activeTab === 'invoices') {
@@ -349,7 +379,7 @@ export default function ReportsPageEnhanced() {
       loadReturnsReport();
       loadReturnsSummary();
     }
-  }, [activeTab, loadFinancialSummary, loadOutstandingReport, loadInventoryReport, loadPartiesReport, loadInvoicesReport, loadTransactionsReport, loadSalesHistoryReport, loadPurchaseHistoryReport, loadReturnsReport, loadReturnsSummary]);
+  }, [activeTab, loadFinancialSummary, loadOutstandingReport, loadInventoryReport, loadLowStockReport, loadPartiesReport, loadInvoicesReport, loadTransactionsReport, loadSalesHistoryReport, loadPurchaseHistoryReport, loadReturnsReport, loadReturnsSummary]);
 
 
 
@@ -392,6 +422,11 @@ export default function ReportsPageEnhanced() {
         if (returnsFilters.search) params.search = returnsFilters.search;
       }
       
+      // Special handling for inventory valuation
+      if (reportType === 'inventory-valuation' && valuationRate) {
+        params.rate = valuationRate;
+      }
+      
       const response = await API.get(`/api/reports/${reportType}-pdf`, {
         params,
         responseType: 'blob'
@@ -450,6 +485,11 @@ export default function ReportsPageEnhanced() {
         if (returnsFilters.search) params.search = returnsFilters.search;
       }
       
+      // Special handling for inventory valuation
+      if (reportType === 'inventory-valuation' && valuationRate) {
+        params.rate = valuationRate;
+      }
+      
       const response = await API.get(`/api/reports/${reportType}-export`, {
         params,
         responseType: 'blob'
@@ -604,7 +644,7 @@ export default function ReportsPageEnhanced() {
       </div>
 
       <Tabs value={activeTab} onValueChange={setActiveTab}>
-        <TabsList className="grid w-full grid-cols-9">
+        <TabsList className="grid w-full grid-cols-10">
           <TabsTrigger value="overview">Overview</TabsTrigger>
           <TabsTrigger value="outstanding">Outstanding</TabsTrigger>
           <TabsTrigger value="invoices">Invoices</TabsTrigger>
@@ -617,6 +657,7 @@ export default function ReportsPageEnhanced() {
           <TabsTrigger value="parties">Parties</TabsTrigger>
           <TabsTrigger value="transactions">Transactions</TabsTrigger>
           <TabsTrigger value="inventory">Inventory</TabsTrigger>
+          <TabsTrigger value="low-stock" data-testid="low-stock-tab">Low Stock</TabsTrigger>
         </TabsList>
 
         {/* OVERVIEW TAB - Enhanced Finance Summary */}
@@ -1849,6 +1890,61 @@ export default function ReportsPageEnhanced() {
         <TabsContent value="inventory" className="space-y-6">
           <GlobalFilters showPartyFilter={false} showSorting={true} exportType="inventory" />
 
+          {/* Inventory Valuation */}
+          <Card data-testid="inventory-valuation-report">
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <DollarSign className="h-5 w-5" />
+                Inventory Valuation
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="flex flex-wrap gap-4 items-end">
+                <div>
+                  <Label>Rate per fine gram (OMR)</Label>
+                  <Input
+                    type="number"
+                    step="0.001"
+                    min="0"
+                    className="w-48"
+                    value={valuationRate}
+                    onChange={(e) => setValuationRate(e.target.value)}
+                    placeholder="Published 24K rate"
+                  />
+                </div>
+                <Button onClick={loadInventoryValuation}>
+                  <Search className="h-4 w-4 mr-2" />
+                  Value Stock
+                </Button>
+                <Button variant="outline" onClick={() => exportExcel('inventory-valuation')}>
+                  <FileSpreadsheet className="h-4 w-4 mr-2" />
+                  Export Excel
+                </Button>
+                <Button variant="outline" onClick={() => exportPDF('inventory-valuation')}>
+                  <Download className="h-4 w-4 mr-2" />
+                  Export PDF
+                </Button>
+              </div>
+              {valuationData && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <p className="text-sm text-muted-foreground">Rate Used</p>
+                    <p className="text-lg font-mono font-semibold">{formatCurrency(valuationData.rate)} OMR/g</p>
+                    <p className="text-xs text-muted-foreground capitalize">{valuationData.rate_source} {valuationData.rate_side} rate</p>
+                  </div>
+                  <div>
+                    <p className="text-sm text-muted-foreground">Fine Weight</p>
+                    <p className="text-lg font-mono font-semibold">{formatWeight(valuationData.totals.fine_weight)} g</p>
+                  </div>
+                  <div>
+                    <p className="text-sm text-muted-foreground">Stock Value</p>
+                    <p className="text-2xl font-mono font-bold text-green-600">{formatCurrency(valuationData.totals.value)} OMR</p>
+                  </div>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
           {/* Inventory Filters */}
           <Card>
             <CardContent className="pt-6">
@@ -1922,6 +2018,7 @@ export default function ReportsPageEnhanced() {
                   </CardHeader>
                   <CardContent>
                     <div className="text-2xl font-bold text-green-600">{inventoryData.summary.total_weight_in?.toFixed(3)}</div>
+                    <p className="text-xs text-muted-foreground font-mono">{inventoryData.summary.total_fine_in?.toFixed(3)} g fine (24K)</p>
                   </CardContent>
                 </Card>
                 <Card>
@@ -1930,6 +2027,7 @@ export default function ReportsPageEnhanced() {
                   </CardHeader>
                   <CardContent>
                     <div className="text-2xl font-bold text-red-600">{inventoryData.summary.total_weight_out?.toFixed(3)}</div>
+                    <p className="text-xs text-muted-foreground font-mono">{inventoryData.summary.total_fine_out?.toFixed(3)} g fine (24K)</p>
                   </CardContent>
                 </Card>
               </div>
@@ -1949,13 +2047,15 @@ export default function ReportsPageEnhanced() {
                           <TableHead>Movement Type</TableHead>
                           <TableHead className="text-right">Quantity</TableHead>
                           <TableHead className="text-right">Weight (g)</TableHead>
+                          <TableHead className="text-right">Purity</TableHead>
+                          <TableHead className="text-right">Fine (g)</TableHead>
                           <TableHead>Reference</TableHead>
                         </TableRow>
                       </TableHeader>
                       <TableBody>
                         {inventoryData.movements.length === 0 ? (
                           <TableRow>
-                            <TableCell colSpan={6} className="text-center py-8 text-gray-500">
+                            <TableCell colSpan={8} className="text-center py-8 text-gray-500">
                               No movements found
                             </TableCell>
                           </TableRow>
@@ -1977,6 +2077,10 @@ export default function ReportsPageEnhanced() {
                               <TableCell className={`text-right font-bold ${mov.weight_delta >= 0 ? 'text-green-600' : 'text-red-600'}`}>
                                 {mov.weight_delta >= 0 ? '+' : ''}{mov.weight_delta?.toFixed(3)}
                               </TableCell>
+                              <TableCell className="text-right">{mov.purity}</TableCell>
+                              <TableCell className="text-right text-muted-foreground">
+                                {mov.fine_weight >= 0 ? '+' : ''}{mov.fine_weight?.toFixed(3)}
+                              </TableCell>
                               <TableCell>{mov.reference_type || '-'}</TableCell>
                             </TableRow>
                           ))
@@ -1989,6 +2093,94 @@ export default function ReportsPageEnhanced() {
             </>
           )}
         </TabsContent>
+
+        {/* LOW STOCK TAB - categories below their reorder level */}
+        <TabsContent value="low-stock" className="space-y-6">
+          <Card data-testid="low-stock-report">
+            <CardHeader>
+              <div className="flex justify-between items-center">
+                <CardTitle className="flex items-center gap-2">
+                  <AlertCircle className="h-5 w-5 text-amber-600" />
+                  Low Stock - Reorder List
+                </CardTitle>
+                <div className="flex gap-2">
+                  <Button variant="outline" size="sm" onClick={loadLowStockReport}>
+                    <RefreshCw className="h-4 w-4 mr-2" />
+                    Refresh
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={() => exportExcel('low-stock')}>
+                    <FileSpreadsheet className="h-4 w-4 mr-2" />
+                    Export Excel
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={() => exportPDF('low-stock')}>
+                    <Download className="h-4 w-4 mr-2" />
+                    Export PDF
+                  </Button>
+                </div>
+              </div>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {lowStockData && (
+                <p className="text-sm text-muted-foreground">
+                  {lowStockData.items.length} of {lowStockData.categories_with_levels} categories with a reorder level are below it.
+                  Reorder quantities bring each category back up to its minimum.
+                </p>
+              )}
+              <div className="overflow-x-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Category</TableHead>
+                      <TableHead className="text-right">Current Qty</TableHead>
+                      <TableHead className="text-right">Min Qty</TableHead>
+                      <TableHead className="text-right">Reorder Qty</TableHead>
+                      <TableHead className="text-right">Current Wt (g)</TableHead>
+                      <TableHead className="text-right">Min Wt (g)</TableHead>
+                      <TableHead className="text-right">Reorder Wt (g)</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {loading ? (
+                      <TableRow>
+                        <TableCell colSpan={7} className="text-center">Loading...</TableCell>
+                      </TableRow>
+                    ) : !lowStockData || lowStockData.items.length === 0 ? (
+                      <TableRow>
+                        <TableCell colSpan={7} className="text-center text-muted-foreground">
+                          No categories are below their reorder level
+                        </TableCell>
+                      </TableRow>
+                    ) : (
+                      <>
+                        {lowStockData.items.map((item) => (
+                          <TableRow key={item.header_id}>
+                            <TableCell className="font-medium">{item.header_name}</TableCell>
+                            <TableCell className="text-right font-mono">{item.current_qty}</TableCell>
+                            <TableCell className="text-right font-mono">{item.min_qty ?? '-'}</TableCell>
+                            <TableCell className="text-right font-mono font-semibold text-amber-700">
+                              {item.qty_shortfall > 0 ? item.qty_shortfall : '-'}
+                            </TableCell>
+                            <TableCell className="text-right font-mono">{formatWeight(item.current_weight)}</TableCell>
+                            <TableCell className="text-right font-mono">{item.min_weight != null ? formatWeight(item.min_weight) : '-'}</TableCell>
+                            <TableCell className="text-right font-mono font-semibold text-amber-700">
+                              {item.weight_shortfall > 0 ? formatWeight(item.weight_shortfall) : '-'}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                        <TableRow className="bg-muted/50 font-semibold">
+                          <TableCell colSpan={3}>Total to Reorder</TableCell>
+                          <TableCell className="text-right font-mono">{lowStockData.totals.qty_shortfall}</TableCell>
+                          <TableCell colSpan={2}></TableCell>
+                          <TableCell className="text-right font-mono">{formatWeight(lowStockData.totals.weight_shortfall)}</TableCell>
+                        </TableRow>
+                      </>
+                    )}
+                  </TableBody>
+                </Table>
+              </div>
+            </CardContent>
+          </Card>
+        </TabsContent>
       </Tabs>
     </div>
   );
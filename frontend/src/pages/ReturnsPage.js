@@ -5,6 +5,11 @@ import { safeToFixed, formatCurrency, formatWeight } from '../utils/numberFormat
 import Pagination from '../components/Pagination';
 import useURLPagination from '../hooks/useURLPagination';
 import { usePermission } from '../hooks/usePermission';
+import { useViewParam } from '../hooks/useViewParam';
+import { getTaggedItemStatus } from '../utils/taggedItems';
+import ScanTagInput from '../components/ScanTagInput';
+import ItemPhotos from '../components/ItemPhotos';
+import { attachItemPhoto, removeItemPhoto } from '../utils/photos';
 import { Eye, Edit2, CheckCircle, Trash2, X, AlertTriangle } from 'lucide-react';
 
 const ReturnsPage = () => {
@@ -95,9 +100,10 @@ const ReturnsPage = () => {
       console.log('[Returns] Loaded returnable items:', items.length, items);
       setReturnableItems(items);
       
-      // Auto-populate form items with returnable items
+      // Auto-populate form items with returnable items - tagged pieces are added by scanning them
+      const untaggedItems = items.filter(item => !item.tagged_item_id);
       if (items.length > 0) {
-        const formItems = items.map(item => ({
+        const formItems = untaggedItems.map(item => ({
           description: item.description,
           qty: item.remaining_qty,
           weight_grams: item.remaining_weight_grams,
@@ -106,11 +112,17 @@ const ReturnsPage = () => {
           // Store limits for validation
           max_qty: item.remaining_qty,
           max_weight: item.remaining_weight_grams,
-          item_id: item.item_id
+          item_id: item.item_id,
+          tagged_item_id: item.tagged_item_id,
+          tag_number: item.tag_number
         }));
         console.log('[Returns] Setting formData.items:', formItems.length, formItems);
-        setFormData(prev => ({ ...prev, items: formItems }));
-        setSuccess(`${items.length} returnable item(s) loaded from invoice`);
+        const taggedCount = items.length - untaggedItems.length;
+        setFormData(prev => ({
+          ...prev,
+          items: formItems.length > 0 ? formItems : [{ description: '', qty: 1, weight_grams: 0, purity: 916, amount: 0 }]
+        }));
+        setSuccess(`${untaggedItems.length} returnable item(s) loaded from invoice${taggedCount > 0 ? ` - scan the ${taggedCount} tagged piece(s) being returned` : ''}`);
       } else {
         // No returnable items - show message
         setError('All items from this invoice have already been returned.');
@@ -320,6 +332,74 @@ const ReturnsPage = () => {
     }));
   };
   
+  // Add a scanned piece as a return line, replacing the blank starter line
+  const addScannedItem = (newItem) => {
+    setFormData(prev => {
+      if (prev.items.some(item => item.tag_number === newItem.tag_number)) return prev;
+      const items = prev.items.filter(item => item.description || item.tag_number);
+      return { ...prev, items: [...items, newItem] };
+    });
+    setSuccess(`${newItem.tag_number} added to return`);
+  };
+  
+  // Handle a scanned tag from the scanner field
+  const handleScanTag = async (tagNumber) => {
+    setError('');
+    setSuccess('');
+    if (formData.items.some(item => item.tag_number === tagNumber)) {
+      setError(`${tagNumber} is already in this return`);
+      return;
+    }
+    
+    // Sales return: the piece must be a returnable line of the selected invoice
+    if (formData.return_type === 'sale_return') {
+      const line = returnableItems.find(item => item.tag_number === tagNumber);
+      if (!line) {
+        setError(`${tagNumber} is not on the selected invoice or has already been returned`);
+        return;
+      }
+      addScannedItem({
+        description: line.description,
+        qty: line.remaining_qty,
+        weight_grams: line.remaining_weight_grams,
+        purity: line.purity,
+        amount: line.remaining_amount,
+        max_qty: line.remaining_qty,
+        max_weight: line.remaining_weight_grams,
+        item_id: line.item_id,
+        tagged_item_id: line.tagged_item_id,
+        tag_number: line.tag_number
+      });
+      return;
+    }
+    
+    // Purchase return: the piece must still be in stock and tagged from the selected purchase
+    try {
+      const response = await API.get(`/api/inventory/items/by-tag/${encodeURIComponent(tagNumber)}`);
+      const piece = response.data;
+      if (piece.source_type !== 'purchase' || piece.source_id !== formData.reference_id) {
+        setError(`${tagNumber} was not tagged from the selected purchase`);
+        return;
+      }
+      if (!['in_stock', 'returned'].includes(piece.status)) {
+        setError(`${tagNumber} is ${getTaggedItemStatus(piece.status).label.toLowerCase()} and cannot be returned to the vendor`);
+        return;
+      }
+      addScannedItem({
+        description: piece.description,
+        qty: 1,
+        weight_grams: piece.net_weight,
+        purity: piece.purity,
+        amount: 0,
+        tagged_item_id: piece.id,
+        tag_number: piece.tag_number
+      });
+    } catch (err) {
+      console.error('Error looking up scanned tag:', err);
+      setError(err.response?.data?.detail || `Failed to look up ${tagNumber}`);
+    }
+  };
+  
   // Remove item
   const removeItem = (index) => {
     if (formData.items.length > 1) {
@@ -407,7 +487,9 @@ const ReturnsPage = () => {
           qty: parseInt(item.qty) || 1,
           weight_grams: parseFloat(item.weight_grams) || 0,
           purity: parseInt(item.purity) || 916,
-          amount: parseFloat(item.amount) || 0
+          amount: parseFloat(item.amount) || 0,
+          tagged_item_id: item.tagged_item_id || null,
+          tag_number: item.tag_number || null
         })),
         reason: formData.reason || '',
         notes: formData.notes || ''
@@ -520,6 +602,29 @@ const ReturnsPage = () => {
       setError(err.response?.data?.detail || 'Failed to load return details');
     }
   };
+
+  useViewParam(viewReturn);
+
+  const updateReturnItemPhotos = (itemId, updatePhotos) => {
+    setSelectedReturn(prev => ({
+      ...prev,
+      items: prev.items.map(item => item.id === itemId ? { ...item, photos: updatePhotos(item.photos || []) } : item)
+    }));
+  };
+
+  const handleAttachItemPhoto = async (item, photo) => {
+    const attached = await attachItemPhoto('returns', selectedReturn.id, item.id, photo);
+    updateReturnItemPhotos(item.id, photos => [...photos, attached]);
+  };
+
+  const handleRemoveItemPhoto = async (item, photo) => {
+    try {
+      await removeItemPhoto('returns', selectedReturn.id, item.id, photo);
+      updateReturnItemPhotos(item.id, photos => photos.filter(p => p.id !== photo.id));
+    } catch (err) {
+      setError(err.response?.data?.detail || 'Failed to remove photo');
+    }
+  };
   
   // Open finalize dialog
   const openFinalizeDialog = async (returnObj) => {
@@ -995,7 +1100,7 @@ const ReturnsPage = () => {
                         
                         return (
                           <option key={pur.id} value={pur.id}>
-                            {pur.id.substring(0, 8)} - {vendorName} - {dateStr} - {formatCurrency(pur.amount_total)} OMR
+                            {pur.purchase_number || pur.id.substring(0, 8)} - {vendorName} - {dateStr} - {formatCurrency(pur.amount_total)} OMR
                           </option>
                         );
                       })
@@ -1054,6 +1159,14 @@ const ReturnsPage = () => {
                   </div>
                 )}
                 
+                {/* Scanner input for tagged pieces */}
+                {formData.reference_id && !loadingItems && (
+                  <div className="mb-3">
+                    <label className="block text-xs font-medium text-gray-600 mb-1">Scan Tagged Piece</label>
+                    <ScanTagInput onScan={handleScanTag} />
+                  </div>
+                )}
+                
                 {/* Items Table/List */}
                 <div className="space-y-2">
                   {formData.items.map((item, index) => {
@@ -1075,8 +1188,11 @@ const ReturnsPage = () => {
                                 onChange={(e) => handleItemChange(index, 'description', e.target.value)}
                                 className="w-full px-2 py-1.5 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
                                 placeholder="Item description"
-                                disabled={isInvoiceLinked}
+                                disabled={isInvoiceLinked || !!item.tag_number}
                               />
+                              {item.tag_number && (
+                                <p className="text-xs font-mono text-amber-700 mt-0.5">{item.tag_number}</p>
+                              )}
                               {isInvoiceLinked && (
                                 <p className="text-xs text-gray-500 mt-0.5">From invoice</p>
                               )}
@@ -1137,7 +1253,6 @@ const ReturnsPage = () => {
                                 className="w-full px-2 py-1.5 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
                                 min="0"
                               />
-                              />
                               {isInvoiceLinked && (
                                 <p className="text-xs text-gray-500 mt-0.5">From invoice</p>
                               )}
@@ -1488,13 +1603,30 @@ const ReturnsPage = () => {
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
                       {selectedReturn.items.map((item, idx) => (
-                        <tr key={idx}>
-                          <td className="px-4 py-2 text-sm text-gray-900">{item.description}</td>
+                        <React.Fragment key={item.id || idx}>
+                        <tr>
+                          <td className="px-4 py-2 text-sm text-gray-900">
+                            {item.description}
+                            {item.tag_number && <span className="ml-2 text-xs font-mono text-amber-700">{item.tag_number}</span>}
+                          </td>
                           <td className="px-4 py-2 text-sm text-gray-900">{item.qty}</td>
                           <td className="px-4 py-2 text-sm text-gray-900">{formatWeight(item.weight_grams)}g</td>
                           <td className="px-4 py-2 text-sm text-gray-900">{item.purity}</td>
                           <td className="px-4 py-2 text-sm text-gray-900">{formatCurrency(item.amount)}</td>
                         </tr>
+                        {item.id && ((item.photos || []).length > 0 || canCreateReturn) && (
+                          <tr>
+                            <td colSpan={5} className="px-4 pb-3">
+                              <ItemPhotos
+                                photos={item.photos || []}
+                                stage="intake"
+                                onAdd={canCreateReturn ? (photo) => handleAttachItemPhoto(item, photo) : undefined}
+                                onRemove={canCreateReturn && selectedReturn.status === 'draft' ? (photo) => handleRemoveItemPhoto(item, photo) : undefined}
+                              />
+                            </td>
+                          </tr>
+                        )}
+                        </React.Fragment>
                       ))}
                     </tbody>
                   </table>
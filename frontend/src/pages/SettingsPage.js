@@ -10,6 +10,8 @@ import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent,
 import { toast } from 'sonner';
 import { Settings as SettingsIcon, UserPlus, Edit, Trash2, Key, Wrench, Plus, Database, Download, Upload, RefreshCw, CheckCircle, Clock } from 'lucide-react';
 import { Textarea } from '../components/ui/textarea';
+import { NotificationSettingsCard } from '../components/NotificationSettingsCard';
+import { VatSettingsCard } from '../components/VatSettingsCard';
 
 export default function SettingsPage() {
   const { user } = useAuth();
@@ -527,6 +529,12 @@ export default function SettingsPage() {
         </Card>
       )}
 
+      {/* Oman VAT / Tax Invoice Card - Admin Only */}
+      {isAdmin && <VatSettingsCard />}
+
+      {/* Customer Notifications Card - Admin Only */}
+      {isAdmin && <NotificationSettingsCard />}
+
       {/* Backup Management Card - Admin Only */}
       {isAdmin && (
         <Card className="mt-6">
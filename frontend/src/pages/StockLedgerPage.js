@@ -0,0 +1,275 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { formatWeight } from '../utils/numberFormat';
+import { formatDateTime } from '../utils/dateTimeUtils';
+import { API } from '../contexts/AuthContext';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { toast } from 'sonner';
+import { Download, FileSpreadsheet, RefreshCw } from 'lucide-react';
+
+// Where each kind of source document is opened from a ledger row
+const DOCUMENT_ROUTES = {
+  invoice: (doc) => `/invoices?view=${doc.id}`,
+  purchase: (doc) => `/purchases?view=${doc.id}`,
+  return: (doc) => `/returns?view=${doc.id}`,
+  jobcard: (doc) => `/jobcards?view=${doc.id}`,
+  stock_take: (doc) => `/inventory/stock-take?view=${doc.id}`,
+  tagged_item: (doc) => `/inventory/items?search=${encodeURIComponent(doc.number || '')}`
+};
+
+const formatDelta = (value, formatter) => `${value > 0 ? '+' : ''}${formatter(value)}`;
+const deltaClass = (value) => (value > 0 ? 'text-green-700' : value < 0 ? 'text-red-600' : 'text-muted-foreground');
+const formatQty = (value) => Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const DocumentCell = ({ doc }) => {
+  if (!doc) return <span className="text-muted-foreground">-</span>;
+  const route = doc.id && doc.number && DOCUMENT_ROUTES[doc.type];
+  const text = doc.number ? `${doc.label} ${doc.number}` : doc.label;
+  return (
+    <div>
+      {route ? (
+        <Link to={route(doc)} className="text-primary hover:underline font-medium">{text}</Link>
+      ) : (
+        <span>{text || '-'}</span>
+      )}
+      {doc.type !== 'jobcard' && doc.jobcard_id && (
+        <Link to={`/jobcards?view=${doc.jobcard_id}`} className="block text-xs text-primary hover:underline">
+          Job Card {doc.jobcard_number}
+        </Link>
+      )}
+      {doc.party && <p className="text-xs text-muted-foreground">{doc.party}</p>}
+    </div>
+  );
+};
+
+export default function StockLedgerPage() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const headerId = searchParams.get('header') || '';
+  const [headers, setHeaders] = useState([]);
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [ledger, setLedger] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    API.get(`/api/inventory/headers`, { params: { page_size: 1000 } })
+      .then(response => setHeaders(Array.isArray(response.data.items) ? response.data.items : []))
+      .catch(() => toast.error('Failed to load categories'));
+  }, []);
+
+  const loadLedger = useCallback(async () => {
+    if (!headerId) {
+      setLedger(null);
+      return;
+    }
+    try {
+      setLoading(true);
+      const params = {};
+      if (startDate) params.start_date = startDate;
+      if (endDate) params.end_date = endDate;
+      const response = await API.get(`/api/reports/inventory/${headerId}/stock-ledger`, { params });
+      setLedger(response.data);
+    } catch (error) {
+      setLedger(null);
+      toast.error(error.response?.data?.detail || 'Failed to load stock ledger');
+    } finally {
+      setLoading(false);
+    }
+  }, [headerId, startDate, endDate]);
+
+  useEffect(() => {
+    loadLedger();
+  }, [loadLedger]);
+
+  const handleHeaderChange = (value) => {
+    const newSearchParams = new URLSearchParams(searchParams);
+    newSearchParams.set('header', value);
+    setSearchParams(newSearchParams);
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const params = { header_id: headerId };
+      if (startDate) params.start_date = startDate;
+      if (endDate) params.end_date = endDate;
+      const response = await API.get(`/api/reports/stock-ledger-${format === 'pdf' ? 'pdf' : 'export'}`, {
+        params,
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      const name = (ledger?.header?.name || 'category').replace(/\s+/g, '_');
+      link.setAttribute('download', `stock_ledger_${name}_${new Date().toISOString().split('T')[0]}.${format === 'pdf' ? 'pdf' : 'xlsx'}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+
+      toast.success(format === 'pdf' ? 'PDF exported successfully' : 'Excel exported successfully');
+    } catch (error) {
+      toast.error(format === 'pdf' ? 'Failed to export PDF' : 'Failed to export Excel');
+    }
+  };
+
+  return (
+    <div data-testid="stock-ledger-page">
+      <div className="mb-8">
+        <h1 className="text-4xl font-serif font-semibold text-gray-900 mb-2">Stock Ledger</h1>
+        <p className="text-muted-foreground">Every movement of a category with its source document and running balance</p>
+      </div>
+
+      <Card className="mb-6">
+        <CardContent className="pt-6">
+          <div className="flex flex-wrap gap-4 items-end">
+            <div>
+              <Label>Category</Label>
+              <Select value={headerId} onValueChange={handleHeaderChange}>
+                <SelectTrigger className="w-56" data-testid="ledger-category-select">
+                  <SelectValue placeholder="Select a category" />
+                </SelectTrigger>
+                <SelectContent>
+                  {headers.map(header => (
+                    <SelectItem key={header.id} value={header.id}>{header.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label>From</Label>
+              <Input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="w-44" />
+            </div>
+            <div>
+              <Label>To</Label>
+              <Input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="w-44" />
+            </div>
+            <Button variant="outline" onClick={loadLedger} disabled={!headerId || loading}>
+              <RefreshCw className="w-4 h-4 mr-2" /> Refresh
+            </Button>
+            <Button variant="outline" onClick={() => handleExport('excel')} disabled={!ledger}>
+              <FileSpreadsheet className="w-4 h-4 mr-2" /> Export Excel
+            </Button>
+            <Button variant="outline" onClick={() => handleExport('pdf')} disabled={!ledger}>
+              <Download className="w-4 h-4 mr-2" /> Export PDF
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      {!headerId ? (
+        <Card>
+          <CardContent className="py-12 text-center text-muted-foreground">
+            Select a category to see its stock ledger
+          </CardContent>
+        </Card>
+      ) : ledger && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            <Card>
+              <CardContent className="pt-6">
+                <p className="text-sm text-muted-foreground">Opening Balance</p>
+                <p className="text-xl font-mono font-semibold">{formatQty(ledger.opening.qty)} pcs</p>
+                <p className="text-sm font-mono text-muted-foreground">{formatWeight(ledger.opening.weight)} g · {formatWeight(ledger.opening.fine_weight)} g fine</p>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="pt-6">
+                <p className="text-sm text-muted-foreground">Total In</p>
+                <p className="text-xl font-mono font-semibold text-green-700">{formatQty(ledger.totals.in_qty)} pcs</p>
+                <p className="text-sm font-mono text-muted-foreground">{formatWeight(ledger.totals.in_weight)} g · {formatWeight(ledger.totals.in_fine_weight)} g fine</p>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="pt-6">
+                <p className="text-sm text-muted-foreground">Total Out</p>
+                <p className="text-xl font-mono font-semibold text-red-600">{formatQty(ledger.totals.out_qty)} pcs</p>
+                <p className="text-sm font-mono text-muted-foreground">{formatWeight(ledger.totals.out_weight)} g · {formatWeight(ledger.totals.out_fine_weight)} g fine</p>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="pt-6">
+                <p className="text-sm text-muted-foreground">Closing Balance</p>
+                <p className="text-xl font-mono font-semibold">{formatQty(ledger.closing.qty)} pcs</p>
+                <p className="text-sm font-mono text-muted-foreground">{formatWeight(ledger.closing.weight)} g · {formatWeight(ledger.closing.fine_weight)} g fine</p>
+              </CardContent>
+            </Card>
+          </div>
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-xl font-serif">{ledger.header.name} - {ledger.count} movement{ledger.count === 1 ? '' : 's'}</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="overflow-x-auto">
+                <table className="w-full" data-testid="stock-ledger-table">
+                  <thead className="border-b bg-muted/50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Date</th>
+                      <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Type</th>
+                      <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Source Document</th>
+                      <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Description</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Qty</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Weight (g)</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Fine (g)</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Balance Qty</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Balance Wt (g)</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Balance Fine (g)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr className="border-b bg-muted/30 font-semibold">
+                      <td className="px-4 py-3 text-sm" colSpan={7}>
+                        Opening Balance{ledger.start_date ? ` as of ${ledger.start_date}` : ''}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-right font-mono">{formatQty(ledger.opening.qty)}</td>
+                      <td className="px-4 py-3 text-sm text-right font-mono">{formatWeight(ledger.opening.weight)}</td>
+                      <td className="px-4 py-3 text-sm text-right font-mono">{formatWeight(ledger.opening.fine_weight)}</td>
+                    </tr>
+                    {ledger.rows.length === 0 ? (
+                      <tr>
+                        <td colSpan={10} className="px-4 py-6 text-center text-sm text-muted-foreground">
+                          No movements in this period
+                        </td>
+                      </tr>
+                    ) : ledger.rows.map(row => (
+                      <tr key={row.id} className="border-b hover:bg-muted/30">
+                        <td className="px-4 py-3 text-sm whitespace-nowrap">{formatDateTime(row.date)}</td>
+                        <td className="px-4 py-3 text-sm">{row.movement_type}</td>
+                        <td className="px-4 py-3 text-sm"><DocumentCell doc={row.document} /></td>
+                        <td className="px-4 py-3 text-sm">{row.description || '-'}</td>
+                        <td className={`px-4 py-3 text-sm text-right font-mono ${deltaClass(row.qty_delta)}`}>
+                          {formatDelta(row.qty_delta, formatQty)}
+                        </td>
+                        <td className={`px-4 py-3 text-sm text-right font-mono ${deltaClass(row.weight_delta)}`}>
+                          {formatDelta(row.weight_delta, formatWeight)}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-right font-mono text-muted-foreground">
+                          {formatDelta(row.fine_weight_delta, formatWeight)}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-right font-mono">{formatQty(row.balance_qty)}</td>
+                        <td className="px-4 py-3 text-sm text-right font-mono">{formatWeight(row.balance_weight)}</td>
+                        <td className="px-4 py-3 text-sm text-right font-mono">{formatWeight(row.balance_fine_weight)}</td>
+                      </tr>
+                    ))}
+                    <tr className="bg-muted/30 font-semibold">
+                      <td className="px-4 py-3 text-sm" colSpan={7}>
+                        Closing Balance{ledger.end_date ? ` as of ${ledger.end_date}` : ''}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-right font-mono">{formatQty(ledger.closing.qty)}</td>
+                      <td className="px-4 py-3 text-sm text-right font-mono">{formatWeight(ledger.closing.weight)}</td>
+                      <td className="px-4 py-3 text-sm text-right font-mono">{formatWeight(ledger.closing.fine_weight)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
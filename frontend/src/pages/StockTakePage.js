@@ -0,0 +1,588 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatWeight } from '../utils/numberFormat';
+import { formatDate, formatDateTime } from '../utils/dateTimeUtils';
+import { API } from '../contexts/AuthContext';
+import { usePermission } from '../hooks/usePermission';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Badge } from '../components/ui/badge';
+import { Checkbox } from '../components/ui/checkbox';
+import { Textarea } from '../components/ui/textarea';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '../components/ui/dialog';
+import { toast } from 'sonner';
+import { ClipboardCheck, Plus, Save, Send, CheckCircle, Undo2, Eye } from 'lucide-react';
+import { ConfirmationDialog } from '../components/ConfirmationDialog';
+import ScanTagInput from '../components/ScanTagInput';
+import Pagination from '../components/Pagination';
+import { useURLPagination } from '../hooks/useURLPagination';
+import { useViewParam } from '../hooks/useViewParam';
+
+const STOCK_TAKE_STATUS_BADGES = {
+  in_progress: { label: 'Counting', className: 'bg-blue-100 text-blue-800' },
+  submitted: { label: 'Awaiting Approval', className: 'bg-amber-100 text-amber-800' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-800' }
+};
+
+const varianceClass = (value) => {
+  if (value === null || value === undefined || value === 0) return 'text-muted-foreground';
+  return value > 0 ? 'text-green-700' : 'text-red-600';
+};
+
+const formatVariance = (value, formatter) => {
+  if (value === null || value === undefined) return '-';
+  return `${value > 0 ? '+' : ''}${formatter(value)}`;
+};
+
+const countsFromSession = (session) => {
+  const counts = {};
+  (session?.lines || []).forEach(line => {
+    counts[line.header_id] = {
+      counted_qty: line.counted_qty ?? '',
+      counted_weight: line.counted_weight ?? '',
+      notes: line.notes || ''
+    };
+  });
+  return counts;
+};
+
+export default function StockTakePage() {
+  const canCount = usePermission('inventory.stocktake');
+  const canApprove = usePermission('inventory.stocktake_approve');
+  const { currentPage, setPage, pagination, setPagination } = useURLPagination();
+  const [session, setSession] = useState(null);
+  const [counts, setCounts] = useState({});
+  const [dirty, setDirty] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [headers, setHeaders] = useState([]);
+  const [showStartDialog, setShowStartDialog] = useState(false);
+  const [startForm, setStartForm] = useState({ header_ids: [], notes: '' });
+  const [decision, setDecision] = useState(null);
+  const [decisionNotes, setDecisionNotes] = useState('');
+  const [showCancelConfirm, setShowCancelConfirm] = useState(false);
+  const [viewSession, setViewSession] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const applySession = (data) => {
+    setSession(data);
+    setCounts(countsFromSession(data));
+    setDirty(false);
+  };
+
+  const loadCurrent = useCallback(async () => {
+    try {
+      const response = await API.get(`/api/inventory/stock-takes/current`);
+      applySession(response.data || null);
+    } catch (error) {
+      console.error('Failed to load current stock-take:', error);
+      toast.error('Failed to load current stock-take');
+    }
+  }, []);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      const response = await API.get(`/api/inventory/stock-takes`, { params: { page: currentPage, page_size: 10 } });
+      setHistory(Array.isArray(response.data.items) ? response.data.items : []);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Failed to load stock-takes:', error);
+      setHistory([]);
+    }
+  }, [currentPage, setPagination]);
+
+  useEffect(() => {
+    loadCurrent();
+  }, [loadCurrent]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  useEffect(() => {
+    API.get(`/api/inventory/headers`, { params: { page_size: 1000 } })
+      .then(response => setHeaders(Array.isArray(response.data.items) ? response.data.items : []))
+      .catch(() => setHeaders([]));
+  }, []);
+
+  const updateCount = (headerId, field, value) => {
+    setCounts(prev => ({ ...prev, [headerId]: { ...prev[headerId], [field]: value } }));
+    setDirty(true);
+  };
+
+  const handleStart = async () => {
+    setBusy(true);
+    try {
+      const response = await API.post(`/api/inventory/stock-takes`, {
+        header_ids: startForm.header_ids.length > 0 ? startForm.header_ids : null,
+        notes: startForm.notes || null
+      });
+      applySession(response.data);
+      setShowStartDialog(false);
+      toast.success(`Stock-take ${response.data.session_number} started`);
+      loadHistory();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to start stock-take');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveCounts = async (showToast = true) => {
+    const lines = Object.entries(counts).map(([headerId, count]) => ({
+      header_id: headerId,
+      counted_qty: count.counted_qty === '' ? null : count.counted_qty,
+      counted_weight: count.counted_weight === '' ? null : count.counted_weight,
+      notes: count.notes || null
+    }));
+    const response = await API.patch(`/api/inventory/stock-takes/${session.id}`, { lines });
+    applySession(response.data);
+    if (showToast) toast.success('Counts saved');
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    try {
+      await saveCounts();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to save counts');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleScan = async (tagNumber) => {
+    try {
+      // Save typed counts first so the scan adds to what is on screen
+      if (dirty) await saveCounts(false);
+      const response = await API.post(`/api/inventory/stock-takes/${session.id}/scan`, { tag_number: tagNumber });
+      applySession(response.data);
+      toast.success(`${tagNumber} counted`);
+    } catch (error) {
+      toast.error(error.response?.data?.detail || `Failed to count ${tagNumber}`);
+    }
+  };
+
+  const handleSubmit = async () => {
+    setBusy(true);
+    try {
+      if (dirty) await saveCounts(false);
+      const response = await API.post(`/api/inventory/stock-takes/${session.id}/submit`);
+      applySession(response.data);
+      toast.success('Stock-take submitted for approval');
+      loadHistory();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to submit stock-take');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDecision = async () => {
+    setBusy(true);
+    try {
+      if (decision === 'approve') {
+        const response = await API.post(`/api/inventory/stock-takes/${session.id}/approve`, { approval_notes: decisionNotes || null });
+        const adjustments = response.data.movement_ids?.length || 0;
+        toast.success(`Stock-take approved - ${adjustments} adjustment${adjustments === 1 ? '' : 's'} posted`);
+        applySession(null);
+      } else {
+        const response = await API.post(`/api/inventory/stock-takes/${session.id}/reject`, { reason: decisionNotes });
+        applySession(response.data);
+        toast.success('Stock-take sent back for recounting');
+      }
+      setDecision(null);
+      setDecisionNotes('');
+      loadHistory();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to update stock-take');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    setBusy(true);
+    try {
+      await API.post(`/api/inventory/stock-takes/${session.id}/cancel`);
+      toast.success('Stock-take cancelled');
+      applySession(null);
+      setShowCancelConfirm(false);
+      loadHistory();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to cancel stock-take');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleView = async (id) => {
+    try {
+      const response = await API.get(`/api/inventory/stock-takes/${id}`);
+      setViewSession(response.data);
+    } catch (error) {
+      toast.error('Failed to load stock-take');
+    }
+  };
+
+  useViewParam(handleView);
+
+  const toggleStartHeader = (headerId) => {
+    setStartForm(prev => ({
+      ...prev,
+      header_ids: prev.header_ids.includes(headerId)
+        ? prev.header_ids.filter(id => id !== headerId)
+        : [...prev.header_ids, headerId]
+    }));
+  };
+
+  const renderLinesTable = (data, editable) => (
+    <div className="overflow-x-auto">
+      <table className="w-full" data-testid="stock-take-lines-table">
+        <thead className="bg-muted/50">
+          <tr>
+            <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Category</th>
+            <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Book Qty</th>
+            <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Book Wt (g)</th>
+            <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Counted Qty</th>
+            <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Counted Wt (g)</th>
+            <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Qty Var</th>
+            <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Wt Var (g)</th>
+            <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Notes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.lines.map(line => {
+            const count = counts[line.header_id] || {};
+            return (
+              <tr key={line.header_id} className="border-t hover:bg-muted/30 align-top">
+                <td className="px-4 py-3 text-sm">
+                  <div className="font-medium">{line.header_name}</div>
+                  {line.scanned_tags?.length > 0 && (
+                    <div className="text-xs text-muted-foreground">{line.scanned_tags.length} tag{line.scanned_tags.length === 1 ? '' : 's'} scanned</div>
+                  )}
+                  {line.missing_tags?.length > 0 && (
+                    <div className="text-xs text-red-600" title={line.missing_tags.join(', ')}>
+                      Not scanned: {line.missing_tags.slice(0, 3).join(', ')}{line.missing_tags.length > 3 ? ` +${line.missing_tags.length - 3} more` : ''}
+                    </div>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-right font-mono text-sm">{line.system_qty}</td>
+                <td className="px-4 py-3 text-right font-mono text-sm">{formatWeight(line.system_weight)}</td>
+                {editable ? (
+                  <>
+                    <td className="px-4 py-2 text-right">
+                      <Input
+                        data-testid={`counted-qty-${line.header_id}`}
+                        type="number"
+                        min="0"
+                        className="h-8 w-24 ml-auto text-right font-mono"
+                        value={count.counted_qty ?? ''}
+                        onChange={(e) => updateCount(line.header_id, 'counted_qty', e.target.value)}
+                      />
+                    </td>
+                    <td className="px-4 py-2 text-right">
+                      <Input
+                        data-testid={`counted-weight-${line.header_id}`}
+                        type="number"
+                        step="0.001"
+                        min="0"
+                        className="h-8 w-28 ml-auto text-right font-mono"
+                        value={count.counted_weight ?? ''}
+                        onChange={(e) => updateCount(line.header_id, 'counted_weight', e.target.value)}
+                      />
+                    </td>
+                  </>
+                ) : (
+                  <>
+                    <td className="px-4 py-3 text-right font-mono text-sm">{line.counted_qty ?? '-'}</td>
+                    <td className="px-4 py-3 text-right font-mono text-sm">{line.counted_weight !== null && line.counted_weight !== undefined ? formatWeight(line.counted_weight) : '-'}</td>
+                  </>
+                )}
+                <td className={`px-4 py-3 text-right font-mono text-sm ${varianceClass(line.qty_variance)}`}>
+                  {formatVariance(line.qty_variance, v => v)}
+                </td>
+                <td className={`px-4 py-3 text-right font-mono text-sm font-semibold ${varianceClass(line.weight_variance)}`}>
+                  {formatVariance(line.weight_variance, formatWeight)}
+                </td>
+                <td className="px-4 py-2 text-sm">
+                  {editable ? (
+                    <Input
+                      className="h-8"
+                      value={count.notes ?? ''}
+                      onChange={(e) => updateCount(line.header_id, 'notes', e.target.value)}
+                      placeholder="Optional"
+                    />
+                  ) : (line.notes || '')}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+        {data.summary && (
+          <tfoot>
+            <tr className="border-t-2 font-semibold">
+              <td className="px-4 py-3 text-sm" colSpan={5}>
+                {data.summary.counted_lines} of {data.summary.total_lines} categories counted, {data.summary.variance_lines} with variance
+              </td>
+              <td className={`px-4 py-3 text-right font-mono text-sm ${varianceClass(data.summary.qty_variance)}`}>
+                {formatVariance(data.summary.qty_variance, v => v)}
+              </td>
+              <td className={`px-4 py-3 text-right font-mono text-sm ${varianceClass(data.summary.weight_variance)}`}>
+                {formatVariance(data.summary.weight_variance, formatWeight)}
+              </td>
+              <td></td>
+            </tr>
+          </tfoot>
+        )}
+      </table>
+    </div>
+  );
+
+  const statusBadge = (status) => {
+    const badge = STOCK_TAKE_STATUS_BADGES[status] || { label: status, className: 'bg-gray-100 text-gray-800' };
+    return <Badge className={badge.className}>{badge.label}</Badge>;
+  };
+
+  const isCounting = session?.status === 'in_progress';
+
+  return (
+    <div data-testid="stock-take-page">
+      <div className="mb-8 flex justify-between items-center">
+        <div>
+          <h1 className="text-4xl font-serif font-semibold text-gray-900 mb-2">Stock Take</h1>
+          <p className="text-muted-foreground">Count physical stock and reconcile it with the books</p>
+        </div>
+        {canCount && !session && (
+          <Button data-testid="start-stock-take-button" onClick={() => { setStartForm({ header_ids: [], notes: '' }); setShowStartDialog(true); }}>
+            <Plus className="w-4 h-4 mr-2" /> Start Stock Take
+          </Button>
+        )}
+      </div>
+
+      {session && (
+        <Card className="mb-6" data-testid="current-stock-take">
+          <CardHeader>
+            <div className="flex justify-between items-start">
+              <div>
+                <CardTitle className="text-xl font-serif flex items-center gap-3">
+                  {session.session_number} {statusBadge(session.status)}
+                </CardTitle>
+                <p className="text-sm text-muted-foreground mt-1">
+                  Started {formatDateTime(session.created_at)}{session.created_by_name ? ` by ${session.created_by_name}` : ''}
+                  {session.notes ? ` · ${session.notes}` : ''}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                {isCounting && canCount && (
+                  <>
+                    <Button variant="outline" onClick={handleSave} disabled={busy || !dirty}>
+                      <Save className="w-4 h-4 mr-2" /> Save Counts
+                    </Button>
+                    <Button data-testid="submit-stock-take-button" onClick={handleSubmit} disabled={busy}>
+                      <Send className="w-4 h-4 mr-2" /> Submit for Approval
+                    </Button>
+                  </>
+                )}
+                {session.status === 'submitted' && canApprove && (
+                  <>
+                    <Button variant="outline" onClick={() => { setDecisionNotes(''); setDecision('reject'); }} disabled={busy}>
+                      <Undo2 className="w-4 h-4 mr-2" /> Send Back
+                    </Button>
+                    <Button data-testid="approve-stock-take-button" onClick={() => { setDecisionNotes(''); setDecision('approve'); }} disabled={busy}>
+                      <CheckCircle className="w-4 h-4 mr-2" /> Approve
+                    </Button>
+                  </>
+                )}
+                {(isCounting ? canCount : canApprove) && (
+                  <Button variant="ghost" className="text-red-600" onClick={() => setShowCancelConfirm(true)} disabled={busy}>
+                    Cancel
+                  </Button>
+                )}
+              </div>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {isCounting && session.approval_notes && (
+              <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-900">
+                Sent back for recounting: {session.approval_notes}
+              </div>
+            )}
+            {session.status === 'submitted' && (
+              <p className="text-sm text-muted-foreground">
+                Book stock is re-read at approval. Each counted category with a variance gets one Adjustment movement.
+              </p>
+            )}
+            {isCounting && canCount && (
+              <div className="max-w-md">
+                <Label className="text-xs">Scan tagged pieces (adds 1 pc and its net weight to the category count)</Label>
+                <ScanTagInput onScan={handleScan} disabled={busy} />
+              </div>
+            )}
+            {renderLinesTable(session, isCounting && canCount)}
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-xl font-serif">Stock Take History</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="overflow-x-auto">
+            <table className="w-full" data-testid="stock-take-history-table">
+              <thead className="bg-muted/50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Session</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Started</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Status</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Categories</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Wt Variance (g)</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Approved</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.map(item => (
+                  <tr key={item.id} className="border-t hover:bg-muted/30">
+                    <td className="px-4 py-3 font-mono font-semibold">{item.session_number}</td>
+                    <td className="px-4 py-3 text-sm">{formatDate(item.created_at)}</td>
+                    <td className="px-4 py-3">{statusBadge(item.status)}</td>
+                    <td className="px-4 py-3 text-right font-mono text-sm">{item.summary?.counted_lines}/{item.summary?.total_lines}</td>
+                    <td className={`px-4 py-3 text-right font-mono text-sm ${varianceClass(item.summary?.weight_variance)}`}>
+                      {formatVariance(item.summary?.weight_variance, formatWeight)}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      {item.approved_at ? `${formatDate(item.approved_at)} · ${item.approved_by_name || ''}` : '-'}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      <Button variant="ghost" size="sm" onClick={() => handleView(item.id)}>
+                        <Eye className="w-4 h-4" />
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {history.length === 0 && (
+              <div className="text-center py-12 text-muted-foreground">
+                <ClipboardCheck className="w-12 h-12 mx-auto mb-3 opacity-50" />
+                <p>No stock-takes yet</p>
+              </div>
+            )}
+          </div>
+        </CardContent>
+        {pagination && <Pagination pagination={pagination} onPageChange={setPage} />}
+      </Card>
+
+      <Dialog open={showStartDialog} onOpenChange={setShowStartDialog}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Start Stock Take</DialogTitle>
+          </DialogHeader>
+          <div className="space-y-4 mt-2">
+            <div>
+              <Label>Categories to count</Label>
+              <p className="text-xs text-muted-foreground mb-2">Leave all unticked for a full count, or pick some for a cycle count.</p>
+              <div className="max-h-60 overflow-y-auto border rounded-lg p-3 space-y-2">
+                {headers.map(h => (
+                  <label key={h.id} className="flex items-center gap-2 text-sm">
+                    <Checkbox checked={startForm.header_ids.includes(h.id)} onCheckedChange={() => toggleStartHeader(h.id)} />
+                    {h.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div>
+              <Label>Notes</Label>
+              <Input
+                value={startForm.notes}
+                onChange={(e) => setStartForm({ ...startForm, notes: e.target.value })}
+                placeholder="e.g., Month-end count, showroom only"
+              />
+            </div>
+            <Button data-testid="confirm-start-stock-take" className="w-full" onClick={handleStart} disabled={busy}>
+              {startForm.header_ids.length > 0 ? `Count ${startForm.header_ids.length} Categor${startForm.header_ids.length === 1 ? 'y' : 'ies'}` : 'Count All Categories'}
+            </Button>
+          </div>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!decision} onOpenChange={(open) => !open && setDecision(null)}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>{decision === 'approve' ? 'Approve Stock Take' : 'Send Back for Recount'}</DialogTitle>
+          </DialogHeader>
+          <div className="space-y-4 mt-2">
+            {decision === 'approve' && session?.summary && (
+              <p className="text-sm">
+                {session.summary.variance_lines} categor{session.summary.variance_lines === 1 ? 'y' : 'ies'} will be adjusted,
+                a net <span className={`font-mono font-semibold ${varianceClass(session.summary.weight_variance)}`}>
+                  {formatVariance(session.summary.weight_variance, formatWeight)}g
+                </span>. Adjustments cannot be deleted afterwards.
+              </p>
+            )}
+            <div>
+              <Label>{decision === 'approve' ? 'Approval notes' : 'Reason *'}</Label>
+              <Textarea value={decisionNotes} onChange={(e) => setDecisionNotes(e.target.value)} rows={3} />
+            </div>
+            <Button
+              className="w-full"
+              onClick={handleDecision}
+              disabled={busy || (decision === 'reject' && !decisionNotes.trim())}
+            >
+              {decision === 'approve' ? 'Approve and Post Adjustments' : 'Send Back'}
+            </Button>
+          </div>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!viewSession} onOpenChange={(open) => !open && setViewSession(null)}>
+        <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-3">
+              Stock Take {viewSession?.session_number} {viewSession && statusBadge(viewSession.status)}
+            </DialogTitle>
+          </DialogHeader>
+          {viewSession && (
+            <div className="space-y-4 mt-2">
+              <div className="grid grid-cols-3 gap-4 text-sm">
+                <div>
+                  <p className="text-muted-foreground">Started</p>
+                  <p>{formatDateTime(viewSession.created_at)} · {viewSession.created_by_name}</p>
+                </div>
+                <div>
+                  <p className="text-muted-foreground">Approved</p>
+                  <p>{viewSession.approved_at ? `${formatDateTime(viewSession.approved_at)} · ${viewSession.approved_by_name}` : '-'}</p>
+                </div>
+                <div>
+                  <p className="text-muted-foreground">Adjustments Posted</p>
+                  <p>{viewSession.movement_ids?.length || 0}</p>
+                </div>
+              </div>
+              {(viewSession.notes || viewSession.approval_notes) && (
+                <div className="text-sm space-y-1">
+                  {viewSession.notes && <p><span className="text-muted-foreground">Notes:</span> {viewSession.notes}</p>}
+                  {viewSession.approval_notes && <p><span className="text-muted-foreground">Approval notes:</span> {viewSession.approval_notes}</p>}
+                </div>
+              )}
+              {renderLinesTable(viewSession, false)}
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <ConfirmationDialog
+        open={showCancelConfirm}
+        onOpenChange={setShowCancelConfirm}
+        onConfirm={handleCancel}
+        title="Cancel Stock Take"
+        description={`Cancel ${session?.session_number || 'this stock-take'}? Counts are kept on the record but no adjustments are posted.`}
+        actionLabel="Cancel Stock Take"
+        actionType="warning"
+        loading={busy}
+      />
+    </div>
+  );
+}
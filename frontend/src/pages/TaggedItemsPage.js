@@ -0,0 +1,520 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { formatWeight, formatCurrency } from '../utils/numberFormat';
+import { formatDate } from '../utils/dateTimeUtils';
+import { API } from '../contexts/AuthContext';
+import { usePermission } from '../hooks/usePermission';
+import { MANUAL_TAGGED_ITEM_STATUSES, TAGGED_ITEM_STATUSES, getTaggedItemStatus } from '../utils/taggedItems';
+import { getKaratLabel } from '../utils/goldRate';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Badge } from '../components/ui/badge';
+import { Checkbox } from '../components/ui/checkbox';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '../components/ui/dialog';
+import { toast } from 'sonner';
+import { Plus, Tag, Trash2, Search, Printer } from 'lucide-react';
+import { ConfirmationDialog } from '../components/ConfirmationDialog';
+import PrintTagLabelsDialog from '../components/PrintTagLabelsDialog';
+import Pagination from '../components/Pagination';
+import { useURLPagination } from '../hooks/useURLPagination';
+
+const PURITY_OPTIONS = [999, 916, 875, 750];
+
+const emptyPieceForm = () => ({
+  header_id: '',
+  description: '',
+  tag_number: '',
+  gross_weight: '',
+  stone_weight: '',
+  purity: 916,
+  making_charge_type: 'flat',
+  making_charge: '',
+  source_movement_id: 'new',
+  notes: ''
+});
+
+export default function TaggedItemsPage() {
+  const canAdjust = usePermission('inventory.adjust');
+  const { currentPage, setPage, pagination, setPagination } = useURLPagination();
+  const [items, setItems] = useState([]);
+  const [headers, setHeaders] = useState([]);
+  const [searchParams] = useSearchParams();
+  const [filters, setFilters] = useState({ search: searchParams.get('search') || '', status: 'all', header_id: 'all' });
+  const [showTagDialog, setShowTagDialog] = useState(false);
+  const [pieceForm, setPieceForm] = useState(emptyPieceForm());
+  const [sourceMovements, setSourceMovements] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [deleteLoading, setDeleteLoading] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [labelPieces, setLabelPieces] = useState(null);
+
+  const loadItems = useCallback(async () => {
+    try {
+      const params = { page: currentPage, page_size: 20 };
+      if (filters.search) params.search = filters.search;
+      if (filters.status !== 'all') params.status = filters.status;
+      if (filters.header_id !== 'all') params.header_id = filters.header_id;
+      const response = await API.get(`/api/inventory/items`, { params });
+      setItems(Array.isArray(response.data.items) ? response.data.items : []);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Failed to load tagged pieces:', error);
+      toast.error('Failed to load tagged pieces');
+      setItems([]);
+    }
+  }, [currentPage, filters, setPagination]);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  useEffect(() => {
+    API.get(`/api/inventory/headers`, { params: { page_size: 1000 } })
+      .then(response => setHeaders(Array.isArray(response.data.items) ? response.data.items : []))
+      .catch(() => setHeaders([]));
+  }, []);
+
+  // Stock-in movements of the chosen category that a new piece can be tagged against
+  useEffect(() => {
+    if (!pieceForm.header_id) {
+      setSourceMovements([]);
+      return;
+    }
+    API.get(`/api/inventory/movements`, { params: { header_id: pieceForm.header_id } })
+      .then(response => setSourceMovements(
+        (Array.isArray(response.data) ? response.data : []).filter(m => m.weight_delta > 0 && m.reference_type !== 'tagged_item')
+      ))
+      .catch(() => setSourceMovements([]));
+  }, [pieceForm.header_id]);
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+    setPage(1);
+  };
+
+  const netWeight = Math.max((parseFloat(pieceForm.gross_weight) || 0) - (parseFloat(pieceForm.stone_weight) || 0), 0);
+
+  const handleSavePiece = async () => {
+    if (!pieceForm.header_id) {
+      toast.error('Select a category');
+      return;
+    }
+    if (!pieceForm.description.trim()) {
+      toast.error('Enter a description');
+      return;
+    }
+    if (!(parseFloat(pieceForm.gross_weight) > 0) || netWeight <= 0) {
+      toast.error('Gross weight must be more than the stone weight');
+      return;
+    }
+
+    const payload = {
+      header_id: pieceForm.header_id,
+      description: pieceForm.description,
+      tag_number: pieceForm.tag_number || undefined,
+      gross_weight: parseFloat(pieceForm.gross_weight),
+      stone_weight: parseFloat(pieceForm.stone_weight) || 0,
+      purity: parseInt(pieceForm.purity, 10),
+      making_charge_type: pieceForm.making_charge_type,
+      making_charge: parseFloat(pieceForm.making_charge) || 0,
+      notes: pieceForm.notes
+    };
+    if (pieceForm.source_movement_id !== 'new') {
+      const movement = sourceMovements.find(m => m.id === pieceForm.source_movement_id);
+      if (movement?.reference_type === 'purchase') {
+        payload.source_type = 'purchase';
+        payload.source_id = movement.reference_id;
+      } else {
+        payload.source_type = 'stock_in';
+        payload.source_id = pieceForm.source_movement_id;
+      }
+    }
+
+    setSaving(true);
+    try {
+      const response = await API.post(`/api/inventory/items`, payload);
+      toast.success(`Piece tagged as ${response.data.tag_number}`, {
+        action: { label: 'Print label', onClick: () => setLabelPieces([response.data]) }
+      });
+      // Keep category and source so the next piece from the same lot is quick to enter
+      setPieceForm({
+        ...emptyPieceForm(),
+        header_id: pieceForm.header_id,
+        purity: pieceForm.purity,
+        source_movement_id: pieceForm.source_movement_id
+      });
+      loadItems();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to tag piece');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStatusChange = async (piece, newStatus) => {
+    try {
+      await API.patch(`/api/inventory/items/${piece.id}`, { status: newStatus });
+      toast.success(`${piece.tag_number} marked ${getTaggedItemStatus(newStatus).label.toLowerCase()}`);
+      loadItems();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to update status');
+    }
+  };
+
+  const confirmDelete = async () => {
+    if (!deleteTarget) return;
+    setDeleteLoading(true);
+    try {
+      await API.delete(`/api/inventory/items/${deleteTarget.id}`);
+      toast.success('Tagged piece deleted');
+      setDeleteTarget(null);
+      loadItems();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to delete tagged piece');
+    } finally {
+      setDeleteLoading(false);
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  const allOnPageSelected = items.length > 0 && items.every(piece => selectedIds.includes(piece.id));
+
+  const toggleSelectPage = () => {
+    const pageIds = items.map(piece => piece.id);
+    setSelectedIds(prev => (allOnPageSelected ? prev.filter(id => !pageIds.includes(id)) : [...new Set([...prev, ...pageIds])]));
+  };
+
+  const printSelected = async () => {
+    // Selection can span pages, so fetch any selected pieces not on this page
+    const onPage = items.filter(piece => selectedIds.includes(piece.id));
+    const missing = selectedIds.filter(id => !onPage.some(piece => piece.id === id));
+    let pieces = onPage;
+    if (missing.length > 0) {
+      try {
+        const response = await API.get(`/api/inventory/items`, { params: { page_size: 1000 } });
+        pieces = (response.data.items || []).filter(piece => selectedIds.includes(piece.id));
+      } catch (error) {
+        toast.error('Failed to load selected pieces');
+        return;
+      }
+    }
+    setLabelPieces(pieces);
+  };
+
+  // Pieces held by a draft invoice or already sold follow the invoice, not manual edits
+  const isStatusLocked = (piece) => ['sold', 'returned_to_vendor'].includes(piece.status) || (piece.status === 'reserved' && piece.invoice_id);
+
+  return (
+    <div data-testid="tagged-items-page">
+      <div className="mb-8 flex justify-between items-center">
+        <div>
+          <h1 className="text-4xl font-serif font-semibold text-gray-900 mb-2">Tagged Pieces</h1>
+          <p className="text-muted-foreground">Register of individual finished pieces by tag number</p>
+        </div>
+        <div className="flex gap-2">
+          <Button
+            data-testid="print-selected-labels-button"
+            variant="outline"
+            onClick={printSelected}
+            disabled={selectedIds.length === 0}
+          >
+            <Printer className="w-4 h-4 mr-2" /> Print Labels{selectedIds.length > 0 ? ` (${selectedIds.length})` : ''}
+          </Button>
+          {canAdjust && (
+            <Button data-testid="tag-piece-button" onClick={() => { setPieceForm(emptyPieceForm()); setShowTagDialog(true); }}>
+              <Plus className="w-4 h-4 mr-2" /> Tag Piece
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <Card className="mb-6">
+        <CardContent className="pt-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <Label>Search</Label>
+              <div className="relative">
+                <Search className="w-4 h-4 absolute left-3 top-3 text-muted-foreground" />
+                <Input
+                  data-testid="tagged-items-search"
+                  className="pl-9"
+                  value={filters.search}
+                  onChange={(e) => updateFilter('search', e.target.value)}
+                  placeholder="Tag number or description"
+                />
+              </div>
+            </div>
+            <div>
+              <Label>Status</Label>
+              <Select value={filters.status} onValueChange={(value) => updateFilter('status', value)}>
+                <SelectTrigger><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Statuses</SelectItem>
+                  {TAGGED_ITEM_STATUSES.map(s => (
+                    <SelectItem key={s.value} value={s.value}>{s.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label>Category</Label>
+              <Select value={filters.header_id} onValueChange={(value) => updateFilter('header_id', value)}>
+                <SelectTrigger><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Categories</SelectItem>
+                  {headers.map(h => (
+                    <SelectItem key={h.id} value={h.id}>{h.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-xl font-serif">Pieces</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="overflow-x-auto">
+            <table className="w-full" data-testid="tagged-items-table">
+              <thead className="bg-muted/50">
+                <tr>
+                  <th className="px-4 py-3 w-10">
+                    <Checkbox checked={allOnPageSelected} onCheckedChange={toggleSelectPage} aria-label="Select all on page" />
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Tag #</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Category</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Description</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Gross (g)</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Stone (g)</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Net (g)</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Purity</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase">Making</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Status</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase">Tagged</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((piece) => (
+                  <tr key={piece.id} className="border-t hover:bg-muted/30">
+                    <td className="px-4 py-3">
+                      <Checkbox checked={selectedIds.includes(piece.id)} onCheckedChange={() => toggleSelected(piece.id)} />
+                    </td>
+                    <td className="px-4 py-3 font-mono font-semibold">{piece.tag_number}</td>
+                    <td className="px-4 py-3 text-sm">{piece.header_name}</td>
+                    <td className="px-4 py-3 text-sm">{piece.description}</td>
+                    <td className="px-4 py-3 text-right font-mono text-sm">{formatWeight(piece.gross_weight)}</td>
+                    <td className="px-4 py-3 text-right font-mono text-sm">{formatWeight(piece.stone_weight)}</td>
+                    <td className="px-4 py-3 text-right font-mono text-sm font-semibold">{formatWeight(piece.net_weight)}</td>
+                    <td className="px-4 py-3 text-right font-mono text-sm">{piece.purity}{getKaratLabel(piece.purity) !== `${piece.purity}` && <span className="text-muted-foreground"> {getKaratLabel(piece.purity)}</span>}</td>
+                    <td className="px-4 py-3 text-right font-mono text-sm">
+                      {formatCurrency(piece.making_charge)}{piece.making_charge_type === 'per_gram' ? '/g' : ''}
+                    </td>
+                    <td className="px-4 py-3">
+                      {canAdjust && !isStatusLocked(piece) ? (
+                        <Select value={piece.status} onValueChange={(value) => handleStatusChange(piece, value)}>
+                          <SelectTrigger className="h-8 w-36"><SelectValue /></SelectTrigger>
+                          <SelectContent>
+                            {MANUAL_TAGGED_ITEM_STATUSES.map(s => (
+                              <SelectItem key={s.value} value={s.value}>{s.label}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      ) : (
+                        <div>
+                          <Badge className={getTaggedItemStatus(piece.status).className}>{getTaggedItemStatus(piece.status).label}</Badge>
+                          {piece.invoice_number && (
+                            <div className="text-xs text-muted-foreground mt-1 font-mono">{piece.invoice_number}</div>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm">{formatDate(piece.created_at)}</td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">
+                      <Button variant="ghost" size="sm" onClick={() => setLabelPieces([piece])} title="Print label">
+                        <Printer className="w-4 h-4" />
+                      </Button>
+                      {canAdjust && ['in_stock', 'returned'].includes(piece.status) && (
+                        <Button variant="ghost" size="sm" onClick={() => setDeleteTarget(piece)}>
+                          <Trash2 className="w-4 h-4 text-red-600" />
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {items.length === 0 && (
+              <div className="text-center py-12 text-muted-foreground">
+                <Tag className="w-12 h-12 mx-auto mb-3 opacity-50" />
+                <p>No tagged pieces found</p>
+              </div>
+            )}
+          </div>
+        </CardContent>
+        {pagination && <Pagination pagination={pagination} onPageChange={setPage} />}
+      </Card>
+
+      <Dialog open={showTagDialog} onOpenChange={setShowTagDialog}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Tag Piece</DialogTitle>
+          </DialogHeader>
+          <div className="grid grid-cols-2 gap-4 mt-4">
+            <div>
+              <Label>Category *</Label>
+              <Select
+                value={pieceForm.header_id}
+                onValueChange={(value) => setPieceForm({ ...pieceForm, header_id: value, source_movement_id: 'new' })}
+              >
+                <SelectTrigger data-testid="piece-category-select"><SelectValue placeholder="Select category" /></SelectTrigger>
+                <SelectContent>
+                  {headers.map(h => (
+                    <SelectItem key={h.id} value={h.id}>{h.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label>Stock Source</Label>
+              <Select
+                value={pieceForm.source_movement_id}
+                onValueChange={(value) => setPieceForm({ ...pieceForm, source_movement_id: value })}
+                disabled={!pieceForm.header_id}
+              >
+                <SelectTrigger><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="new">New stock (adds to category)</SelectItem>
+                  {sourceMovements.map(m => (
+                    <SelectItem key={m.id} value={m.id}>
+                      {formatDate(m.date)} - {m.reference_type === 'purchase' ? 'Purchase' : m.movement_type} {formatWeight(m.weight_delta)}g
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-muted-foreground mt-1">
+                Pick an existing stock-in to tag stock already counted in the category
+              </p>
+            </div>
+            <div className="col-span-2">
+              <Label>Description *</Label>
+              <Input
+                data-testid="piece-description-input"
+                value={pieceForm.description}
+                onChange={(e) => setPieceForm({ ...pieceForm, description: e.target.value })}
+                placeholder="e.g., 22K Bangle with ruby"
+              />
+            </div>
+            <div>
+              <Label>Gross Weight (g) *</Label>
+              <Input
+                data-testid="piece-gross-weight-input"
+                type="number"
+                step="0.001"
+                min="0"
+                value={pieceForm.gross_weight}
+                onChange={(e) => setPieceForm({ ...pieceForm, gross_weight: e.target.value })}
+              />
+            </div>
+            <div>
+              <Label>Stone Weight (g)</Label>
+              <Input
+                type="number"
+                step="0.001"
+                min="0"
+                value={pieceForm.stone_weight}
+                onChange={(e) => setPieceForm({ ...pieceForm, stone_weight: e.target.value })}
+              />
+            </div>
+            <div>
+              <Label>Net Weight (g)</Label>
+              <Input value={formatWeight(netWeight)} disabled className="font-mono" />
+            </div>
+            <div>
+              <Label>Purity</Label>
+              <Select
+                value={String(pieceForm.purity)}
+                onValueChange={(value) => setPieceForm({ ...pieceForm, purity: parseInt(value, 10) })}
+              >
+                <SelectTrigger><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {PURITY_OPTIONS.map(p => (
+                    <SelectItem key={p} value={String(p)}>{p} ({getKaratLabel(p)})</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label>Making Charge Type</Label>
+              <Select
+                value={pieceForm.making_charge_type}
+                onValueChange={(value) => setPieceForm({ ...pieceForm, making_charge_type: value })}
+              >
+                <SelectTrigger><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="flat">Flat</SelectItem>
+                  <SelectItem value="per_gram">Per Gram</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label>Making Charge (OMR)</Label>
+              <Input
+                type="number"
+                step="0.001"
+                min="0"
+                value={pieceForm.making_charge}
+                onChange={(e) => setPieceForm({ ...pieceForm, making_charge: e.target.value })}
+              />
+            </div>
+            <div>
+              <Label>Tag Number</Label>
+              <Input
+                value={pieceForm.tag_number}
+                onChange={(e) => setPieceForm({ ...pieceForm, tag_number: e.target.value.toUpperCase() })}
+                placeholder="Auto (TAG-000001)"
+              />
+            </div>
+            <div>
+              <Label>Notes (Optional)</Label>
+              <Input
+                value={pieceForm.notes}
+                onChange={(e) => setPieceForm({ ...pieceForm, notes: e.target.value })}
+              />
+            </div>
+          </div>
+          <Button data-testid="save-piece-button" onClick={handleSavePiece} className="w-full mt-4" disabled={saving}>
+            {saving ? 'Saving...' : 'Save & Tag Next'}
+          </Button>
+        </DialogContent>
+      </Dialog>
+
+      <PrintTagLabelsDialog
+        open={!!labelPieces}
+        onOpenChange={(open) => !open && setLabelPieces(null)}
+        pieces={labelPieces}
+      />
+
+      <ConfirmationDialog
+        open={!!deleteTarget}
+        onOpenChange={(open) => !open && setDeleteTarget(null)}
+        onConfirm={confirmDelete}
+        title="Delete Tagged Piece"
+        description={`Delete ${deleteTarget?.tag_number || ''} from the register? Pieces added as new stock are also removed from the category totals; pieces tagged against an existing stock-in stay in the category as untagged stock.`}
+        actionLabel="Delete"
+        actionType="danger"
+        loading={deleteLoading}
+      />
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { API } from '../contexts/AuthContext';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
@@ -8,8 +8,11 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '.
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from '../components/ui/dialog';
 import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle } from '../components/ui/alert-dialog';
 import { toast } from 'sonner';
-import { Plus, Users, Edit, Trash2, Search, UserCheck, UserX } from 'lucide-react';
+import { Plus, Users, Edit, Trash2, Search, UserCheck, UserX, Coins, Wallet, X } from 'lucide-react';
 import { Badge } from '../components/ui/badge';
+import { WorkerGoldLedgerDialog } from '../components/WorkerGoldLedgerDialog';
+import { WorkerLabourStatementDialog } from '../components/WorkerLabourStatementDialog';
+import { formatWeight, formatCurrency } from '../utils/numberFormat';
 
 export default function WorkersPage() {
   const [workers, setWorkers] = useState([]);
@@ -21,29 +24,76 @@ export default function WorkersPage() {
   const [searchTerm, setSearchTerm] = useState('');
   const [filterActive, setFilterActive] = useState('all'); // 'all', 'active', 'inactive'
   const [nameError, setNameError] = useState(''); // Error message for name validation
+  const [goldBalances, setGoldBalances] = useState({}); // worker_id -> gold position
+  const [ledgerWorker, setLedgerWorker] = useState(null);
+  const [labourBalances, setLabourBalances] = useState({}); // worker_id -> labour earned/paid/due
+  const [statementWorker, setStatementWorker] = useState(null);
+  const [workTypes, setWorkTypes] = useState([]);
   
   const [formData, setFormData] = useState({
     name: '',
     phone: '',
     role: '',
-    active: true
+    active: true,
+    allowed_wastage_percent: '',
+    labour_rates: []
   });
 
-  useEffect(() => {
-    loadWorkers();
+  const loadGoldBalances = useCallback(async () => {
+    try {
+      const response = await API.get(`/api/workers/gold-balances`);
+      setGoldBalances(response.data.items || {});
+    } catch (error) {
+      console.error('Failed to load worker gold balances:', error);
+    }
   }, []);
 
- const loadWorkers = async () => {
+  const loadLabourBalances = useCallback(async () => {
+    try {
+      const response = await API.get(`/api/workers/labour-balances`);
+      setLabourBalances(response.data.items || {});
+    } catch (error) {
+      // Needs finance access - the column just stays empty without it
+      setLabourBalances({});
+    }
+  }, []);
+
+  const loadWorkers = useCallback(async () => {
     try {
       setLoading(true);
       const response = await API.get(`/api/workers`);
       setWorkers(response.data.items || []);
+      loadGoldBalances();
+      loadLabourBalances();
     } catch (error) {
       toast.error('Failed to load workers');
       console.error(error);
     } finally {
       setLoading(false);
     }
+  }, [loadGoldBalances, loadLabourBalances]);
+
+  useEffect(() => {
+    loadWorkers();
+    API.get(`/api/work-types?active=true`)
+      .then(response => setWorkTypes(response.data.items || []))
+      .catch(() => setWorkTypes([]));
+  }, [loadWorkers]);
+
+  const addLabourRate = () => {
+    setFormData({
+      ...formData,
+      labour_rates: [...formData.labour_rates, { work_type: '', rate_type: 'per_piece', rate: '' }]
+    });
+  };
+
+  const updateLabourRate = (index, field, value) => {
+    const rates = formData.labour_rates.map((rate, idx) => (idx === index ? { ...rate, [field]: value } : rate));
+    setFormData({ ...formData, labour_rates: rates });
+  };
+
+  const removeLabourRate = (index) => {
+    setFormData({ ...formData, labour_rates: formData.labour_rates.filter((_, idx) => idx !== index) });
   };
 
   // Validate worker name according to strict data quality rules
@@ -85,7 +135,11 @@ export default function WorkersPage() {
       // Trim name before sending
       const dataToSend = {
         ...formData,
-        name: formData.name.trim()
+        name: formData.name.trim(),
+        allowed_wastage_percent: parseFloat(formData.allowed_wastage_percent) || 0,
+        labour_rates: formData.labour_rates
+          .filter(rate => rate.work_type)
+          .map(rate => ({ ...rate, rate: parseFloat(rate.rate) || 0 }))
       };
       
       if (editingWorker) {
@@ -103,7 +157,9 @@ export default function WorkersPage() {
         name: '',
         phone: '',
         role: '',
-        active: true
+        active: true,
+        allowed_wastage_percent: '',
+        labour_rates: []
       });
       loadWorkers();
     } catch (error) {
@@ -120,7 +176,9 @@ export default function WorkersPage() {
       name: worker.name,
       phone: worker.phone || '',
       role: worker.role || '',
-      active: worker.active !== undefined ? worker.active : true
+      active: worker.active !== undefined ? worker.active : true,
+      allowed_wastage_percent: worker.allowed_wastage_percent ?? '',
+      labour_rates: worker.labour_rates || []
     });
     setShowDialog(true);
   };
@@ -151,7 +209,9 @@ export default function WorkersPage() {
       name: '',
       phone: '',
       role: '',
-      active: true
+      active: true,
+      allowed_wastage_percent: '',
+      labour_rates: []
     });
     setShowDialog(true);
   };
@@ -235,6 +295,10 @@ export default function WorkersPage() {
                     <th className="text-left py-3 px-4">Name</th>
                     <th className="text-left py-3 px-4">Phone</th>
                     <th className="text-left py-3 px-4">Role</th>
+                    <th className="text-right py-3 px-4">Allowed Wastage</th>
+                    <th className="text-right py-3 px-4">Gold Outstanding</th>
+                    <th className="text-right py-3 px-4">Wastage</th>
+                    <th className="text-right py-3 px-4">Labour Due</th>
                     <th className="text-left py-3 px-4">Status</th>
                     <th className="text-right py-3 px-4">Actions</th>
                   </tr>
@@ -245,6 +309,50 @@ export default function WorkersPage() {
                       <td className="py-3 px-4 font-medium">{worker.name}</td>
                       <td className="py-3 px-4">{worker.phone || '-'}</td>
                       <td className="py-3 px-4">{worker.role || '-'}</td>
+                      <td className="py-3 px-4 text-right">{worker.allowed_wastage_percent || 0}%</td>
+                      {(() => {
+                        const gold = goldBalances[worker.id];
+                        if (!gold) {
+                          return (
+                            <>
+                              <td className="py-3 px-4 text-right text-gray-400">-</td>
+                              <td className="py-3 px-4 text-right text-gray-400">-</td>
+                            </>
+                          );
+                        }
+                        return (
+                          <>
+                            <td className="py-3 px-4 text-right">
+                              <span className={`font-mono ${gold.outstanding > 0 ? 'font-semibold text-amber-700' : ''}`}>
+                                {formatWeight(gold.outstanding)}g fine
+                              </span>
+                              <p className="text-xs text-gray-500">{gold.open_jobs} open</p>
+                            </td>
+                            <td className="py-3 px-4 text-right">
+                              <span className={`font-mono ${gold.excess_wastage > 0 ? 'text-red-600 font-semibold' : ''}`}>
+                                {formatWeight(gold.wastage)}g fine ({gold.wastage_percent}%)
+                              </span>
+                              {gold.excess_wastage > 0 && (
+                                <p className="text-xs text-red-600">{formatWeight(gold.excess_wastage)}g fine over allowance</p>
+                              )}
+                            </td>
+                          </>
+                        );
+                      })()}
+                      <td className="py-3 px-4 text-right">
+                        {labourBalances[worker.id] ? (
+                          <>
+                            <span className={`font-mono ${labourBalances[worker.id].balance_due > 0 ? 'font-semibold text-amber-700' : ''}`}>
+                              {formatCurrency(labourBalances[worker.id].balance_due)}
+                            </span>
+                            {labourBalances[worker.id].unrated_items > 0 && (
+                              <p className="text-xs text-amber-600">{labourBalances[worker.id].unrated_items} items without a rate</p>
+                            )}
+                          </>
+                        ) : (
+                          <span className="text-gray-400">-</span>
+                        )}
+                      </td>
                       <td className="py-3 px-4">
                         {worker.active ? (
                           <Badge variant="success" className="gap-1">
@@ -259,6 +367,24 @@ export default function WorkersPage() {
                         )}
                       </td>
                       <td className="py-3 px-4 text-right">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => setLedgerWorker(worker)}
+                          className="mr-2"
+                          title="Gold ledger"
+                        >
+                          <Coins className="w-4 h-4 text-amber-600" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => setStatementWorker(worker)}
+                          className="mr-2"
+                          title="Labour statement"
+                        >
+                          <Wallet className="w-4 h-4 text-green-600" />
+                        </Button>
                         <Button
                           variant="ghost"
                           size="sm"
@@ -286,7 +412,7 @@ export default function WorkersPage() {
 
       {/* Create/Edit Worker Dialog */}
       <Dialog open={showDialog} onOpenChange={setShowDialog}>
-        <DialogContent>
+        <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
           <DialogHeader>
             <DialogTitle>
               {editingWorker ? 'Edit Worker' : 'Add New Worker'}
@@ -332,6 +458,73 @@ export default function WorkersPage() {
                 placeholder="e.g., Polisher, Goldsmith, Setter"
               />
             </div>
+            <div>
+              <Label htmlFor="allowed_wastage_percent">Allowed Wastage (%)</Label>
+              <Input
+                id="allowed_wastage_percent"
+                type="number"
+                step="0.01"
+                min="0"
+                max="100"
+                value={formData.allowed_wastage_percent}
+                onChange={(e) => setFormData({ ...formData, allowed_wastage_percent: e.target.value })}
+                placeholder="e.g., 1.5"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Gold loss tolerated on the weight issued for a job before it counts as excess
+              </p>
+            </div>
+            <div>
+              <div className="flex items-center justify-between">
+                <Label>Labour Rates</Label>
+                <Button type="button" variant="outline" size="sm" onClick={addLabourRate}>
+                  <Plus className="w-3 h-3 mr-1" /> Add Rate
+                </Button>
+              </div>
+              {formData.labour_rates.length === 0 && (
+                <p className="text-xs text-gray-500 mt-1">No rates yet - completed work earns nothing until a rate is set for its work type</p>
+              )}
+              <div className="space-y-2 mt-2">
+                {formData.labour_rates.map((rate, idx) => (
+                  <div key={idx} className="flex gap-2 items-center">
+                    <Select value={rate.work_type || undefined} onValueChange={(value) => updateLabourRate(idx, 'work_type', value)}>
+                      <SelectTrigger className="flex-1">
+                        <SelectValue placeholder="Work type" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {workTypes.map(wt => (
+                          <SelectItem key={wt.id} value={wt.name}>{wt.name}</SelectItem>
+                        ))}
+                        {rate.work_type && !workTypes.some(wt => wt.name === rate.work_type) && (
+                          <SelectItem value={rate.work_type}>{rate.work_type}</SelectItem>
+                        )}
+                      </SelectContent>
+                    </Select>
+                    <Select value={rate.rate_type} onValueChange={(value) => updateLabourRate(idx, 'rate_type', value)}>
+                      <SelectTrigger className="w-32">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="per_piece">Per piece</SelectItem>
+                        <SelectItem value="per_gram">Per gram</SelectItem>
+                      </SelectContent>
+                    </Select>
+                    <Input
+                      type="number"
+                      step="0.001"
+                      min="0"
+                      className="w-28"
+                      value={rate.rate}
+                      onChange={(e) => updateLabourRate(idx, 'rate', e.target.value)}
+                      placeholder="OMR"
+                    />
+                    <Button type="button" variant="ghost" size="sm" onClick={() => removeLabourRate(idx)}>
+                      <X className="w-4 h-4" />
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            </div>
             <div>
               <Label htmlFor="active">Status</Label>
               <Select 
@@ -362,6 +555,20 @@ export default function WorkersPage() {
         </DialogContent>
       </Dialog>
 
+      <WorkerGoldLedgerDialog
+        open={!!ledgerWorker}
+        onOpenChange={(open) => { if (!open) setLedgerWorker(null); }}
+        worker={ledgerWorker}
+        onChanged={loadGoldBalances}
+      />
+
+      <WorkerLabourStatementDialog
+        open={!!statementWorker}
+        onOpenChange={(open) => { if (!open) setStatementWorker(null); }}
+        worker={statementWorker}
+        onChanged={loadLabourBalances}
+      />
+
       {/* Delete Confirmation Dialog */}
       <AlertDialog open={showDeleteDialog} onOpenChange={setShowDeleteDialog}>
         <AlertDialogContent>
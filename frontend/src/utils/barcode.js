@@ -0,0 +1,106 @@
+/**
+ * Code 128 barcode encoding and drawing for jsPDF documents
+ *
+ * Text is encoded in code set B (printable ASCII). A trailing run of
+ * 4+ digits (e.g. the number in TAG-000123) switches to code set C,
+ * which packs two digits per symbol and keeps labels narrow.
+ */
+
+// Bar/space module widths for symbol values 0-106 (106 = stop)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const START_B = 104;
+const START_C = 105;
+const CODE_C = 99;
+const STOP = 106;
+const QUIET_ZONE_MODULES = 10;
+
+/**
+ * Encode text as Code 128 symbol values (start, data, checksum, stop)
+ *
+ * @param {string} text - Printable ASCII text
+ * @returns {number[]} Symbol values
+ */
+export function encodeCode128(text) {
+  const value = String(text || '');
+  if (!/^[\x20-\x7E]*$/.test(value)) {
+    throw new Error('Code 128 labels support printable ASCII characters only');
+  }
+
+  // Use code set C for a trailing even-length run of at least 4 digits
+  const digitRun = (value.match(/\d+$/) || [''])[0];
+  const cLength = digitRun.length >= 4 ? digitRun.length - (digitRun.length % 2) : 0;
+  const bPart = value.slice(0, value.length - cLength);
+  const cPart = value.slice(value.length - cLength);
+
+  const symbols = [];
+  if (bPart) {
+    symbols.push(START_B);
+    for (const char of bPart) {
+      symbols.push(char.charCodeAt(0) - 32);
+    }
+    if (cPart) symbols.push(CODE_C);
+  } else {
+    symbols.push(START_C);
+  }
+  for (let i = 0; i < cPart.length; i += 2) {
+    symbols.push(parseInt(cPart.slice(i, i + 2), 10));
+  }
+
+  const checksum = symbols.reduce((sum, symbol, idx) => sum + symbol * (idx === 0 ? 1 : idx), 0) % 103;
+  symbols.push(checksum, STOP);
+  return symbols;
+}
+
+/**
+ * Total width of a Code 128 barcode in modules, including quiet zones
+ *
+ * @param {string} text - Text to encode
+ * @returns {number} Width in modules
+ */
+export function getCode128Modules(text) {
+  const bars = encodeCode128(text).reduce(
+    (sum, symbol) => sum + CODE128_PATTERNS[symbol].split('').reduce((s, w) => s + parseInt(w, 10), 0),
+    0
+  );
+  return bars + QUIET_ZONE_MODULES * 2;
+}
+
+/**
+ * Draw a Code 128 barcode scaled to fit a box on a jsPDF document
+ *
+ * @param {jsPDF} doc - Target document
+ * @param {string} text - Text to encode
+ * @param {number} x - Left edge (document units)
+ * @param {number} y - Top edge (document units)
+ * @param {number} width - Available width; the barcode is centred within it
+ * @param {number} height - Bar height
+ */
+export function drawCode128(doc, text, x, y, width, height) {
+  const moduleWidth = width / getCode128Modules(text);
+  let cursor = x + QUIET_ZONE_MODULES * moduleWidth;
+
+  doc.setFillColor(0, 0, 0);
+  encodeCode128(text).forEach(symbol => {
+    CODE128_PATTERNS[symbol].split('').forEach((w, idx) => {
+      const barWidth = parseInt(w, 10) * moduleWidth;
+      // Even positions are bars, odd positions are spaces
+      if (idx % 2 === 0) {
+        doc.rect(cursor, y, barWidth, height, 'F');
+      }
+      cursor += barWidth;
+    });
+  });
+}
@@ -0,0 +1,72 @@
+/**
+ * Gold rate board helpers
+ * Mirrors GOLD_RATE_PURITIES / get_rate_for_purity in backend/server.py
+ */
+
+/**
+ * Standard purities published on the gold rate board
+ */
+export const GOLD_RATE_PURITIES = [
+  { purity: 999, karat: '24K' },
+  { purity: 916, karat: '22K' },
+  { purity: 875, karat: '21K' },
+  { purity: 750, karat: '18K' }
+];
+
+/**
+ * Look up the published rate for a purity on a rate board.
+ * Non-standard purities (e.g. 995) are derived from the 24K rate by fineness.
+ *
+ * @param {Object|null} rateBoard - Gold rate board from /api/gold-rates
+ * @param {number|string} purity - Purity in fineness (e.g. 916)
+ * @param {'buy'|'sell'} side - Which rate to return (default: 'sell')
+ * @returns {number|null} Rate per gram in OMR, or null if unavailable
+ */
+export function getRateForPurity(rateBoard, purity, side = 'sell') {
+  if (!rateBoard || !Array.isArray(rateBoard.rates)) {
+    return null;
+  }
+
+  const field = side === 'buy' ? 'buy_rate' : 'sell_rate';
+  const fineness = parseInt(purity) || 916;
+  const exact = rateBoard.rates.find(r => parseInt(r.purity) === fineness);
+  if (exact) {
+    return parseFloat(exact[field]) || null;
+  }
+
+  const fine = rateBoard.rates.find(r => parseInt(r.purity) === 999);
+  if (fine && fineness > 0) {
+    return Math.round((parseFloat(fine[field]) * fineness / 999) * 1000) / 1000;
+  }
+  return null;
+}
+
+/**
+ * Get the karat label for a purity (e.g. 916 -> '22K')
+ *
+ * @param {number|string} purity - Purity in fineness
+ * @returns {string} Karat label, or the purity itself for non-standard values
+ */
+export function getKaratLabel(purity) {
+  const match = GOLD_RATE_PURITIES.find(p => p.purity === parseInt(purity));
+  return match ? match.karat : `${purity}`;
+}
+
+/**
+ * Compare a typed rate against the published rate
+ *
+ * @param {number|string} typedRate - Rate entered in a form
+ * @param {number|null} publishedRate - Published rate for the same purity/side
+ * @returns {{difference: number, percent: number}|null} Null if either rate is missing
+ */
+export function getRateVariance(typedRate, publishedRate) {
+  const typed = parseFloat(typedRate);
+  if (isNaN(typed) || !publishedRate) {
+    return null;
+  }
+  const difference = typed - publishedRate;
+  return {
+    difference,
+    percent: (difference / publishedRate) * 100
+  };
+}
@@ -0,0 +1,325 @@
+import { jsPDF } from 'jspdf';
+import { drawQRCode } from './qrcode';
+import { getKaratLabel } from './goldRate';
+import { safeToFixed } from './numberFormat';
+import { displayDateOnly, formatDateTime } from './dateTimeUtils';
+
+/**
+ * Job card receipt / claim slip handed to the customer with repair work
+ * All sizes in millimetres. Thermal slips are one page as long as the content.
+ */
+export const SLIP_LAYOUTS = {
+  a5: {
+    name: 'A5 sheet (148 × 210 mm)',
+    pageWidth: 148, pageHeight: 210,
+    margin: 10,
+    fontSize: 9,
+    titleSize: 13,
+    qrSize: 30,
+    photoSize: 18,
+    compact: false
+  },
+  thermal_80: {
+    name: '80 mm thermal roll',
+    pageWidth: 80, pageHeight: null,
+    margin: 4,
+    fontSize: 7.5,
+    titleSize: 10,
+    qrSize: 28,
+    photoSize: 14,
+    compact: true
+  }
+};
+
+// Item table columns for sheet layouts, as fractions of the printable width
+const ITEM_COLUMNS = [
+  { key: 'no', label: '#', width: 0.06 },
+  { key: 'item', label: 'Item', width: 0.38 },
+  { key: 'qty', label: 'Qty', width: 0.08, align: 'right' },
+  { key: 'weight', label: 'Wt In (g)', width: 0.16, align: 'right' },
+  { key: 'purity', label: 'Purity', width: 0.14 },
+  { key: 'work', label: 'Work', width: 0.18 }
+];
+
+// Intake photo thumbnails printed under each item
+const MAX_SLIP_PHOTOS_PER_ITEM = 4;
+
+const getCustomer = (jobcard) => (jobcard.customer_type === 'walk_in'
+  ? { name: jobcard.walk_in_name || 'Walk-in Customer', phone: jobcard.walk_in_phone || '' }
+  : { name: jobcard.customer_name || '-', phone: jobcard.customer_phone || '' });
+
+const getPurityLabel = (purity) => (purity ? `${getKaratLabel(purity)} (${purity})` : '-');
+
+const getItemName = (item) => [item.category, item.description].filter(Boolean).join(' - ') || '-';
+
+/**
+ * Draw the slip from the top of the first page and return where the content ends.
+ * Sheet layouts start a new page when an item would run past the bottom margin.
+ */
+const drawSlip = (doc, jobcard, shopSettings, layout, photoData) => {
+  const { margin, fontSize, pageWidth } = layout;
+  const contentWidth = pageWidth - margin * 2;
+  const lineHeight = fontSize * 0.45;
+  const centerX = pageWidth / 2;
+  let y = margin;
+
+  const ensureSpace = (height) => {
+    if (layout.pageHeight && y + height > layout.pageHeight - margin) {
+      doc.addPage([layout.pageWidth, layout.pageHeight], 'portrait');
+      y = margin + lineHeight;
+    }
+  };
+
+  const writeLines = (text, x, options = {}) => {
+    const lines = doc.splitTextToSize(String(text), options.width || contentWidth);
+    lines.forEach(line => {
+      ensureSpace(lineHeight);
+      doc.text(line, x, y, { align: options.align || 'left' });
+      y += lineHeight;
+    });
+  };
+
+  const rule = (dashed = false) => {
+    if (dashed) doc.setLineDashPattern([1, 1], 0);
+    doc.setLineWidth(0.2);
+    doc.line(margin, y, pageWidth - margin, y);
+    doc.setLineDashPattern([], 0);
+    y += lineHeight;
+  };
+
+  const drawItemPhotos = (item, x) => {
+    const photos = (item.photos || [])
+      .filter(photo => photo.stage === 'intake' && photoData[photo.id])
+      .slice(0, MAX_SLIP_PHOTOS_PER_ITEM);
+    if (photos.length === 0) return;
+    const size = layout.photoSize;
+    ensureSpace(size + lineHeight);
+    const top = y - lineHeight * 0.6;
+    photos.forEach((photo, idx) => {
+      const data = photoData[photo.id];
+      const props = doc.getImageProperties(data);
+      // Fit inside a square frame without stretching
+      const scale = Math.min(size / props.width, size / props.height);
+      const width = props.width * scale;
+      const height = props.height * scale;
+      const frameX = x + idx * (size + 2);
+      doc.addImage(data, props.fileType, frameX + (size - width) / 2, top + (size - height) / 2, width, height);
+      doc.setLineWidth(0.1);
+      doc.rect(frameX, top, size, size);
+    });
+    y = top + size + lineHeight;
+  };
+
+  const labelValue = (label, value) => {
+    ensureSpace(lineHeight);
+    doc.setFont(undefined, 'bold');
+    doc.text(label, margin, y);
+    doc.setFont(undefined, 'normal');
+    const valueX = margin + (layout.compact ? 24 : 32);
+    // Sheet layouts keep the right-hand column clear for the QR code
+    const valueWidth = contentWidth - (valueX - margin) - (layout.compact ? 0 : layout.qrSize + 2);
+    const lines = doc.splitTextToSize(String(value), valueWidth);
+    lines.forEach((line, idx) => {
+      if (idx > 0) ensureSpace(lineHeight);
+      doc.text(line, valueX, y);
+      y += lineHeight;
+    });
+  };
+
+  // Shop header
+  y += lineHeight;
+  doc.setFontSize(layout.titleSize);
+  doc.setFont(undefined, 'bold');
+  writeLines(shopSettings.shop_name || 'Gold Jewellery ERP', centerX, { align: 'center' });
+  doc.setFontSize(fontSize - 1);
+  doc.setFont(undefined, 'normal');
+  if (shopSettings.address) writeLines(shopSettings.address, centerX, { align: 'center' });
+  if (shopSettings.phone) writeLines(`Tel: ${shopSettings.phone}`, centerX, { align: 'center' });
+  y += lineHeight * 0.5;
+  rule();
+
+  doc.setFontSize(fontSize + 1.5);
+  doc.setFont(undefined, 'bold');
+  writeLines('JOB CARD RECEIPT / CLAIM SLIP', centerX, { align: 'center' });
+  y += lineHeight * 0.5;
+
+  // Job card details, with the QR beside them on sheets and below them on rolls
+  doc.setFontSize(fontSize);
+  const customer = getCustomer(jobcard);
+  const detailsTop = y;
+  const detailRows = [
+    ['Job Card #:', jobcard.job_card_number],
+    ['Received:', formatDateTime(jobcard.created_at || jobcard.date_created)],
+    ['Delivery By:', jobcard.delivery_date ? displayDateOnly(jobcard.delivery_date) : 'To be advised'],
+    ['Customer:', customer.name]
+  ];
+  if (customer.phone) detailRows.push(['Phone:', customer.phone]);
+  if (jobcard.customer_oman_id) detailRows.push(['ID:', jobcard.customer_oman_id]);
+
+  if (layout.compact) {
+    detailRows.forEach(([label, value]) => labelValue(label, value || '-'));
+    y += lineHeight * 0.5;
+    drawQRCode(doc, jobcard.job_card_number, centerX - layout.qrSize / 2, y, layout.qrSize);
+    y += layout.qrSize;
+  } else {
+    const qrX = pageWidth - margin - layout.qrSize;
+    drawQRCode(doc, jobcard.job_card_number, qrX, detailsTop - lineHeight, layout.qrSize);
+    detailRows.forEach(([label, value]) => labelValue(label, value || '-'));
+    y = Math.max(y, detailsTop - lineHeight + layout.qrSize);
+  }
+  doc.setFontSize(fontSize - 1.5);
+  doc.text('Scan to open this job card', layout.compact ? centerX : pageWidth - margin - layout.qrSize / 2, y, { align: 'center' });
+  y += lineHeight * 1.5;
+  doc.setFontSize(fontSize);
+  rule();
+
+  // Items
+  const items = jobcard.items || [];
+  doc.setFont(undefined, 'bold');
+  writeLines(`Items Received (${items.length})`, margin);
+  if (layout.compact) {
+    doc.setFont(undefined, 'normal');
+    items.forEach((item, idx) => {
+      doc.setFont(undefined, 'bold');
+      writeLines(`${idx + 1}. ${getItemName(item)}`, margin);
+      doc.setFont(undefined, 'normal');
+      writeLines(
+        `   Qty ${item.qty || 1} · ${safeToFixed(item.weight_in, 3)} g · ${getPurityLabel(item.purity)} · ${item.work_type || '-'}`,
+        margin
+      );
+      if (item.remarks) writeLines(`   ${item.remarks}`, margin);
+      drawItemPhotos(item, margin + 2);
+    });
+  } else {
+    const columnX = [];
+    ITEM_COLUMNS.reduce((x, col) => {
+      columnX.push(x);
+      return x + col.width * contentWidth;
+    }, margin);
+    const cellX = (idx) => (ITEM_COLUMNS[idx].align === 'right'
+      ? columnX[idx] + ITEM_COLUMNS[idx].width * contentWidth - 1
+      : columnX[idx]);
+
+    ensureSpace(lineHeight * 2);
+    doc.setFillColor(240, 240, 240);
+    doc.rect(margin, y - lineHeight * 0.8, contentWidth, lineHeight * 1.2, 'F');
+    ITEM_COLUMNS.forEach((col, idx) => doc.text(col.label, cellX(idx), y, { align: col.align || 'left' }));
+    y += lineHeight * 1.2;
+    doc.setFont(undefined, 'normal');
+
+    items.forEach((item, idx) => {
+      const values = {
+        no: String(idx + 1),
+        item: doc.splitTextToSize(getItemName(item) + (item.remarks ? ` (${item.remarks})` : ''), ITEM_COLUMNS[1].width * contentWidth - 2),
+        qty: String(item.qty || 1),
+        weight: safeToFixed(item.weight_in, 3),
+        purity: getPurityLabel(item.purity),
+        work: doc.splitTextToSize(item.work_type || '-', ITEM_COLUMNS[5].width * contentWidth - 1)
+      };
+      const rowLines = Math.max(values.item.length, values.work.length);
+      ensureSpace(rowLines * lineHeight);
+      ITEM_COLUMNS.forEach((col, colIdx) => {
+        doc.text(values[col.key], cellX(colIdx), y, { align: col.align || 'left' });
+      });
+      y += rowLines * lineHeight + 1;
+      drawItemPhotos(item, columnX[1]);
+    });
+  }
+
+  const totalWeight = items.reduce((sum, item) => sum + (parseFloat(item.weight_in) || 0), 0);
+  doc.setFont(undefined, 'bold');
+  ensureSpace(lineHeight);
+  doc.text('Total weight received:', margin, y);
+  doc.text(`${safeToFixed(totalWeight, 3)} g`, pageWidth - margin, y, { align: 'right' });
+  y += lineHeight;
+  doc.setFont(undefined, 'normal');
+  rule(true);
+
+  // Advances taken with the work
+  const advances = [];
+  if (parseFloat(jobcard.advance_cash) > 0) {
+    advances.push(['Advance cash', `${safeToFixed(jobcard.advance_cash, 3)} OMR`]);
+  }
+  if (parseFloat(jobcard.advance_in_gold_grams) > 0) {
+    const rate = parseFloat(jobcard.advance_gold_rate) > 0 ? ` @ ${safeToFixed(jobcard.advance_gold_rate, 3)}/g` : '';
+    advances.push(['Advance gold', `${safeToFixed(jobcard.advance_in_gold_grams, 3)} g${rate}`]);
+  }
+  if (parseFloat(jobcard.exchange_in_gold_grams) > 0) {
+    const rate = parseFloat(jobcard.exchange_gold_rate) > 0 ? ` @ ${safeToFixed(jobcard.exchange_gold_rate, 3)}/g` : '';
+    advances.push(['Exchange gold', `${safeToFixed(jobcard.exchange_in_gold_grams, 3)} g${rate}`]);
+  }
+  doc.setFont(undefined, 'bold');
+  writeLines('Advance Received', margin);
+  doc.setFont(undefined, 'normal');
+  if (advances.length === 0) {
+    writeLines('None', margin);
+  }
+  advances.forEach(([label, value]) => {
+    ensureSpace(lineHeight);
+    doc.text(label, margin, y);
+    doc.text(value, pageWidth - margin, y, { align: 'right' });
+    y += lineHeight;
+  });
+  if (jobcard.notes) {
+    y += lineHeight * 0.5;
+    doc.setFont(undefined, 'bold');
+    writeLines('Notes', margin);
+    doc.setFont(undefined, 'normal');
+    writeLines(jobcard.notes, margin);
+  }
+  rule(true);
+
+  // Terms
+  doc.setFontSize(fontSize - 1);
+  doc.setFont(undefined, 'bold');
+  writeLines('Terms & Conditions', margin);
+  doc.setFont(undefined, 'normal');
+  String(shopSettings.jobcard_terms || '').split('\n').filter(Boolean).forEach(line => writeLines(line, margin));
+  doc.setFontSize(fontSize);
+
+  // Signatures
+  y += lineHeight * 3;
+  ensureSpace(lineHeight * 2);
+  const signatureWidth = contentWidth / 2 - 4;
+  doc.line(margin, y, margin + signatureWidth, y);
+  doc.line(pageWidth - margin - signatureWidth, y, pageWidth - margin, y);
+  y += lineHeight;
+  doc.setFontSize(fontSize - 1);
+  doc.text('Customer', margin + signatureWidth / 2, y, { align: 'center' });
+  doc.text(shopSettings.authorized_signatory || 'Authorized Signatory', pageWidth - margin - signatureWidth / 2, y, { align: 'center' });
+  y += lineHeight * 2;
+  doc.text('Please bring this slip when collecting your items.', centerX, y, { align: 'center' });
+  y += lineHeight;
+
+  return y;
+};
+
+/**
+ * Generate a job card slip
+ *
+ * @param {Object} jobcard - Job card from /api/jobcards
+ * @param {Object} shopSettings - From /api/settings/shop
+ * @param {string} layoutKey - Key of SLIP_LAYOUTS
+ * @param {Object} photoData - Photo id -> image data URL for the item photos to print
+ * @returns {jsPDF} Slip document
+ */
+export const generateJobCardSlipPDF = (jobcard, shopSettings = {}, layoutKey = 'a5', photoData = {}) => {
+  const layout = SLIP_LAYOUTS[layoutKey] || SLIP_LAYOUTS.a5;
+  let pageHeight = layout.pageHeight;
+  if (!pageHeight) {
+    // Lay the roll slip out once on a long scratch page to find its length
+    const scratch = new jsPDF({ unit: 'mm', format: [layout.pageWidth, 2000] });
+    pageHeight = Math.ceil(drawSlip(scratch, jobcard, shopSettings, layout, photoData) + layout.margin);
+  }
+  const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: [layout.pageWidth, pageHeight] });
+  drawSlip(doc, jobcard, shopSettings, layout, photoData);
+  return doc;
+};
+
+/**
+ * Generate and download a job card slip
+ */
+export const downloadJobCardSlipPDF = (jobcard, shopSettings, layoutKey, photoData) => {
+  const doc = generateJobCardSlipPDF(jobcard, shopSettings, layoutKey, photoData);
+  doc.save(`JobCard_Slip_${jobcard.job_card_number || 'unknown'}.pdf`);
+};
@@ -0,0 +1,162 @@
+/**
+ * Job card workflow helpers
+ * Mirrors the status transitions enforced by the jobcard impact endpoints in backend/server.py
+ */
+
+/**
+ * Board columns in workflow order. "pending" is an older alias of "created".
+ */
+export const JOBCARD_BOARD_COLUMNS = [
+  { status: 'created', label: 'Created', statuses: ['created', 'pending'], className: 'border-t-blue-500' },
+  { status: 'in_progress', label: 'In Progress', statuses: ['in_progress'], className: 'border-t-yellow-500' },
+  { status: 'completed', label: 'Completed', statuses: ['completed'], className: 'border-t-green-500' },
+  { status: 'delivered', label: 'Delivered', statuses: ['delivered'], className: 'border-t-purple-500' }
+];
+
+// Days before the delivery date that a card is flagged as due soon
+export const DUE_SOON_DAYS = 2;
+
+/**
+ * Work stages of a single job card item, in order (JOBCARD_ITEM_STAGES in backend/server.py)
+ */
+export const JOBCARD_ITEM_STAGES = [
+  { stage: 'received', label: 'Received', className: 'bg-blue-100 text-blue-800' },
+  { stage: 'at_worker', label: 'At Worker', className: 'bg-yellow-100 text-yellow-800' },
+  { stage: 'qc', label: 'QC', className: 'bg-orange-100 text-orange-800' },
+  { stage: 'ready', label: 'Ready', className: 'bg-green-100 text-green-800' }
+];
+
+const STATUS_ITEM_STAGE = { created: 'received', pending: 'received', in_progress: 'at_worker', completed: 'ready', delivered: 'ready' };
+
+/**
+ * Stage of an item; items saved before stage tracking follow the card status
+ *
+ * @param {Object} item - Job card item
+ * @param {string} cardStatus - Status of the job card
+ * @returns {Object} Entry of JOBCARD_ITEM_STAGES
+ */
+export function getItemStage(item, cardStatus) {
+  const stage = item.stage || STATUS_ITEM_STAGE[cardStatus] || 'received';
+  return JOBCARD_ITEM_STAGES.find(s => s.stage === stage) || JOBCARD_ITEM_STAGES[0];
+}
+
+/**
+ * Status a job card moves to next, or null once delivered
+ *
+ * @param {string} status - Current job card status
+ * @returns {string|null} Next status
+ */
+export function getNextJobCardStatus(status) {
+  const index = JOBCARD_BOARD_COLUMNS.findIndex(col => col.statuses.includes(status));
+  if (index === -1 || index === JOBCARD_BOARD_COLUMNS.length - 1) return null;
+  return JOBCARD_BOARD_COLUMNS[index + 1].status;
+}
+
+/**
+ * Today as YYYY-MM-DD in the browser's local time, comparable with delivery_date
+ */
+export function getLocalToday() {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Whole days from today to a YYYY-MM-DD date (negative once it has passed)
+ *
+ * @param {string} dateString - Date-only string
+ * @param {string} today - Today as YYYY-MM-DD (defaults to local today)
+ * @returns {number|null} Days remaining, or null without a date
+ */
+export function getDaysUntil(dateString, today = getLocalToday()) {
+  if (!dateString) return null;
+  const [year, month, day] = dateString.slice(0, 10).split('-').map(Number);
+  const [tYear, tMonth, tDay] = today.split('-').map(Number);
+  const diff = Date.UTC(year, month - 1, day) - Date.UTC(tYear, tMonth - 1, tDay);
+  return Math.round(diff / 86400000);
+}
+
+/**
+ * Delivery deadline state for a job card
+ *
+ * Completed cards past their delivery date are uncollected rather than
+ * overdue - the work is done but the customer has not picked it up.
+ * Delivered cards are never late.
+ *
+ * @param {Object} jobcard - Job card with status and delivery_date
+ * @returns {{state: 'none'|'overdue'|'uncollected'|'due_today'|'due_soon'|'on_track', days: number|null}}
+ */
+export function getDeliveryState(jobcard) {
+  const days = getDaysUntil(jobcard?.delivery_date);
+  if (days === null || jobcard.status === 'delivered') {
+    return { state: 'none', days };
+  }
+  if (jobcard.status === 'completed') {
+    return { state: days < 0 ? 'uncollected' : 'none', days };
+  }
+  if (days < 0) return { state: 'overdue', days };
+  if (days === 0) return { state: 'due_today', days };
+  if (days <= DUE_SOON_DAYS) return { state: 'due_soon', days };
+  return { state: 'on_track', days };
+}
+
+// Statuses where work is still outstanding and a delivery date can slip
+export const OPEN_JOBCARD_STATUSES = ['created', 'pending', 'in_progress'];
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ *
+ * @param {string} dateString - Date-only string
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Date-only string
+ */
+export function addDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Delivery filters for open job cards. Each gives the /api/jobcards
+ * delivery_from / delivery_to range for a given day.
+ */
+export const DELIVERY_FILTERS = {
+  overdue: { label: 'Overdue', range: (today) => ({ delivery_to: addDays(today, -1) }) },
+  due_today: { label: 'Due today', range: (today) => ({ delivery_from: today, delivery_to: today }) },
+  due_week: { label: 'Due this week', range: (today) => ({ delivery_from: today, delivery_to: addDays(today, 6) }) }
+};
+
+/**
+ * Query params for a delivery filter - open cards only, since finished work
+ * cannot be late
+ *
+ * @param {string} key - Key of DELIVERY_FILTERS
+ * @param {string} today - Today as YYYY-MM-DD (defaults to local today)
+ * @returns {Object} Params for /api/jobcards, empty for an unknown key
+ */
+export function getDeliveryFilterParams(key, today = getLocalToday()) {
+  const filter = DELIVERY_FILTERS[key];
+  if (!filter) return {};
+  return { status: OPEN_JOBCARD_STATUSES.join(','), ...filter.range(today) };
+}
+
+/**
+ * Dates shown on a month calendar, as whole weeks from Sunday to Saturday
+ *
+ * @param {string} month - Month as YYYY-MM
+ * @returns {Array<Array<string>>} Weeks of YYYY-MM-DD dates
+ */
+export function getMonthGrid(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const first = `${month}-01`;
+  const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  const last = `${month}-${String(lastDay).padStart(2, '0')}`;
+  const start = addDays(first, -new Date(Date.UTC(year, monthNumber - 1, 1)).getUTCDay());
+  const end = addDays(last, 6 - new Date(Date.UTC(year, monthNumber - 1, lastDay)).getUTCDay());
+
+  const weeks = [];
+  for (let date = start; date <= end; date = addDays(date, 7)) {
+    weeks.push(Array.from({ length: 7 }, (_, i) => addDays(date, i)));
+  }
+  return weeks;
+}
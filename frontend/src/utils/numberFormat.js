@@ -58,3 +58,47 @@ export function safeParseFloat(value, defaultValue = 0) {
   const parsed = parseFloat(value);
   return isNaN(parsed) ? defaultValue : parsed;
 }
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+const SCALES = ['', 'Thousand', 'Million', 'Billion'];
+
+function wordsBelowThousand(n) {
+  const parts = [];
+  if (n >= 100) {
+    parts.push(`${ONES[Math.floor(n / 100)]} Hundred`);
+    n %= 100;
+  }
+  if (n >= 20) {
+    parts.push(n % 10 ? `${TENS[Math.floor(n / 10)]}-${ONES[n % 10]}` : TENS[Math.floor(n / 10)]);
+  } else if (n > 0) {
+    parts.push(ONES[n]);
+  }
+  return parts.join(' ');
+}
+
+function integerToWords(n) {
+  if (n === 0) return 'Zero';
+  const groups = [];
+  for (let scale = 0; n > 0; scale++, n = Math.floor(n / 1000)) {
+    const chunk = n % 1000;
+    if (chunk) groups.unshift([wordsBelowThousand(chunk), SCALES[scale]].filter(Boolean).join(' '));
+  }
+  return groups.join(' ');
+}
+
+/**
+ * Spells out an OMR amount for vouchers and cheques (1 Rial = 1000 Baisa)
+ * e.g. 125.5 -> "Omani Rials One Hundred Twenty-Five and Five Hundred Baisa Only"
+ *
+ * @param {number|null|undefined} value - Amount in OMR
+ * @returns {string} Amount in words
+ */
+export function formatAmountInWords(value) {
+  const baisaTotal = Math.round(Math.abs(safeParseFloat(value)) * 1000);
+  const rials = Math.floor(baisaTotal / 1000);
+  const baisa = baisaTotal % 1000;
+  const words = `Omani Rials ${integerToWords(rials)}`;
+  return baisa ? `${words} and ${integerToWords(baisa)} Baisa Only` : `${words} Only`;
+}
@@ -0,0 +1,137 @@
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { API } from '../contexts/AuthContext';
+import { formatAmountInWords } from './numberFormat';
+
+const money = (value) => (parseFloat(value) || 0).toFixed(3);
+
+const TENDER_LABELS = {
+  OLD_GOLD: 'Old Gold',
+  GOLD_EXCHANGE: 'Gold Balance'
+};
+
+export const getTenderLabel = (paymentMode) => TENDER_LABELS[paymentMode] || paymentMode;
+
+const describeTender = (tender) => (tender.gold_weight_grams
+  ? `${(tender.gold_weight_grams || 0).toFixed(3)}g @ ${money(tender.rate_per_gram)}/g (${tender.purity || 916})`
+  : tender.account_name || '-');
+
+/**
+ * Receipt voucher (money received against an invoice) or payment voucher
+ * (money paid against a purchase), A5 landscape
+ *
+ * @param {Object} voucher - Voucher from /api/invoices/{id}/vouchers or /api/purchases/{id}/vouchers
+ * @param {Object} shopSettings - Shop settings from /api/settings/shop
+ * @returns {jsPDF} Document ready to save or print
+ */
+export const generatePaymentVoucherPDF = (voucher, shopSettings = {}) => {
+  const doc = new jsPDF({ orientation: 'landscape', format: 'a5' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const leftCol = 12;
+  const rightCol = pageWidth - 12;
+  const isReceipt = voucher.voucher_type === 'receipt';
+
+  // Header
+  doc.setFontSize(15);
+  doc.setFont(undefined, 'bold');
+  doc.text(shopSettings.shop_name || 'Gold Jewellery ERP', pageWidth / 2, 13, { align: 'center' });
+  doc.setFontSize(8);
+  doc.setFont(undefined, 'normal');
+  if (shopSettings.address) doc.text(shopSettings.address, pageWidth / 2, 18, { align: 'center' });
+  doc.text([shopSettings.phone && `Phone: ${shopSettings.phone}`, shopSettings.email && `Email: ${shopSettings.email}`].filter(Boolean).join(' | '), pageWidth / 2, 22, { align: 'center' });
+  doc.setLineWidth(0.4);
+  doc.line(leftCol, 25, rightCol, 25);
+
+  doc.setFontSize(12);
+  doc.setFont(undefined, 'bold');
+  doc.text(isReceipt ? 'RECEIPT VOUCHER' : 'PAYMENT VOUCHER', pageWidth / 2, 32, { align: 'center' });
+
+  // Voucher details on the left, reference on the right
+  const metaY = 40;
+  doc.setFontSize(9);
+  [
+    ['Voucher No:', voucher.voucher_number],
+    ['Date:', voucher.date ? new Date(voucher.date).toLocaleString() : '-'],
+    [isReceipt ? 'Received From:' : 'Paid To:', voucher.party_name || '-']
+  ].forEach(([label, value], index) => {
+    doc.setFont(undefined, 'bold');
+    doc.text(label, leftCol, metaY + index * 5);
+    doc.setFont(undefined, 'normal');
+    doc.text(String(value), leftCol + 28, metaY + index * 5);
+  });
+  [
+    [isReceipt ? 'Invoice No:' : 'Purchase #:', voucher.reference_number || '-'],
+    ['Balance Before:', `${money(voucher.balance_before)} OMR`],
+    ['Balance After:', `${money(voucher.balance_after)} OMR`]
+  ].forEach(([label, value], index) => {
+    doc.setFont(undefined, 'bold');
+    doc.text(label, pageWidth / 2 + 20, metaY + index * 5);
+    doc.setFont(undefined, 'normal');
+    doc.text(String(value), rightCol, metaY + index * 5, { align: 'right' });
+  });
+
+  // Tender breakdown
+  autoTable(doc, {
+    startY: metaY + 14,
+    head: [['#', 'Mode', 'Account / Details', 'Reference', 'Amount (OMR)']],
+    body: (voucher.tenders || []).map((tender, index) => [
+      index + 1,
+      getTenderLabel(tender.payment_mode),
+      describeTender(tender),
+      tender.transaction_number || '-',
+      money(tender.amount)
+    ]),
+    foot: [['', '', '', 'Total', money(voucher.total_amount)]],
+    theme: 'grid',
+    headStyles: { fillColor: [41, 128, 185], fontSize: 8, fontStyle: 'bold' },
+    bodyStyles: { fontSize: 8 },
+    footStyles: { fillColor: [240, 240, 240], textColor: [0, 0, 0], fontSize: 9, fontStyle: 'bold' },
+    columnStyles: {
+      0: { cellWidth: 8, halign: 'center' },
+      4: { cellWidth: 30, halign: 'right' }
+    },
+    margin: { left: leftCol, right: 12 }
+  });
+
+  let y = doc.lastAutoTable.finalY + 7;
+  doc.setFontSize(9);
+  doc.setFont(undefined, 'bold');
+  doc.text('Amount in words:', leftCol, y);
+  doc.setFont(undefined, 'normal');
+  const wordLines = doc.splitTextToSize(formatAmountInWords(voucher.total_amount), rightCol - leftCol - 30);
+  doc.text(wordLines, leftCol + 30, y);
+  y += wordLines.length * 4 + 2;
+
+  if (voucher.notes) {
+    doc.setFont(undefined, 'bold');
+    doc.text('Notes:', leftCol, y);
+    doc.setFont(undefined, 'normal');
+    doc.text(doc.splitTextToSize(voucher.notes, rightCol - leftCol - 30), leftCol + 30, y);
+  }
+
+  // Signatures
+  const signY = doc.internal.pageSize.getHeight() - 14;
+  doc.setFontSize(8);
+  doc.text('_____________________', leftCol, signY);
+  doc.text(isReceipt ? 'Customer' : 'Received By', leftCol, signY + 4);
+  doc.text('_____________________', rightCol - 40, signY);
+  doc.text(shopSettings.authorized_signatory || 'Authorized Signatory', rightCol - 40, signY + 4);
+
+  return doc;
+};
+
+/**
+ * Fetch shop settings and download the voucher PDF
+ */
+export const downloadPaymentVoucherPDF = async (voucher) => {
+  let shopSettings = {};
+  try {
+    const response = await API.get(`/api/settings/shop`);
+    shopSettings = response.data || {};
+  } catch (error) {
+    // Print with the default header when settings are unavailable
+  }
+  generatePaymentVoucherPDF(voucher, shopSettings).save(`${voucher.voucher_number}.pdf`);
+};
+
+export default generatePaymentVoucherPDF;
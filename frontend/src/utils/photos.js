@@ -0,0 +1,97 @@
+import { API } from '../contexts/AuthContext';
+
+// Phone and webcam photos are shrunk before upload to keep storage and PDFs small
+const MAX_PHOTO_DIMENSION = 1600;
+const PHOTO_JPEG_QUALITY = 0.85;
+
+const loadImage = (blob) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(blob);
+  const img = new Image();
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(img);
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not read the image'));
+  };
+  img.src = url;
+});
+
+/**
+ * Downscale an image file or blob to a JPEG no larger than MAX_PHOTO_DIMENSION
+ * on its longest side
+ */
+export const resizePhoto = async (blob) => {
+  const img = await loadImage(blob);
+  const scale = Math.min(1, MAX_PHOTO_DIMENSION / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.naturalWidth * scale);
+  canvas.height = Math.round(img.naturalHeight * scale);
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) => (result ? resolve(result) : reject(new Error('Could not process the image'))),
+      'image/jpeg',
+      PHOTO_JPEG_QUALITY
+    );
+  });
+};
+
+/**
+ * Upload a photo of a piece. Returns the stored photo, ready to be attached
+ * to a line item.
+ *
+ * @param {Blob} blob - Image file or camera capture
+ * @param {string} stage - 'intake' or 'delivery'
+ */
+export const uploadPhoto = async (blob, stage = 'intake') => {
+  const resized = await resizePhoto(blob);
+  const formData = new FormData();
+  formData.append('file', resized, 'photo.jpg');
+  formData.append('stage', stage);
+  const response = await API.post(`/api/photos`, formData);
+  return response.data;
+};
+
+/**
+ * Fetch a stored photo as a Blob (photos need the auth header, so a plain
+ * <img src> to the API cannot be used)
+ */
+export const fetchPhotoBlob = async (photoId) => {
+  const response = await API.get(`/api/photos/${photoId}`, { responseType: 'blob' });
+  return response.data;
+};
+
+/**
+ * Fetch a stored photo as a data URL for embedding in a PDF
+ */
+export const fetchPhotoDataUrl = async (photoId) => {
+  const blob = await fetchPhotoBlob(photoId);
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Could not read the photo'));
+    reader.readAsDataURL(blob);
+  });
+};
+
+/**
+ * Attach an uploaded photo to a saved document line. Works on locked
+ * documents too, so delivery photos can be added after invoicing.
+ *
+ * @param {string} parent - 'jobcards', 'invoices' or 'returns'
+ */
+export const attachItemPhoto = async (parent, docId, itemId, photo) => {
+  const response = await API.post(`/api/${parent}/${docId}/items/${itemId}/photos`, { photo_id: photo.id });
+  return response.data;
+};
+
+export const removeItemPhoto = async (parent, docId, itemId, photo) => {
+  await API.delete(`/api/${parent}/${docId}/items/${itemId}/photos/${photo.id}`);
+};
+
+export const PHOTO_STAGE_LABELS = {
+  intake: 'Intake',
+  delivery: 'Delivery'
+};
@@ -1,6 +1,148 @@
 import { jsPDF } from 'jspdf';
 import autoTable from 'jspdf-autotable';
 
+// Arabic labels for the bilingual Oman VAT tax invoice
+const AR = {
+  title: 'فاتورة ضريبية',
+  vatin: 'الرقم الضريبي',
+  invoiceNumber: 'رقم الفاتورة',
+  invoiceDate: 'تاريخ الفاتورة',
+  invoiceType: 'نوع الفاتورة',
+  invoiceStatus: 'حالة الفاتورة',
+  billTo: 'العميل',
+  customerVatin: 'الرقم الضريبي للعميل',
+  subtotal: 'المجموع الفرعي',
+  taxable: 'المبلغ الخاضع للضريبة',
+  vat: 'ضريبة القيمة المضافة',
+  goldVat: 'الضريبة على قيمة الذهب',
+  makingVat: 'الضريبة على المصنعية',
+  grandTotal: 'الإجمالي شامل الضريبة',
+  creditNote: 'إشعار دائن',
+  creditNoteNumber: 'رقم الإشعار',
+  creditNoteDate: 'تاريخ الإشعار',
+  originalInvoice: 'الفاتورة الأصلية'
+};
+
+const VAT_TABLE_HEADERS = [
+  ['Description', 'الوصف'],
+  ['Qty', 'العدد'],
+  ['Purity', 'العيار'],
+  ['Weight(g)', 'الوزن'],
+  ['Gold Rate', 'سعر الذهب'],
+  ['Gold Value', 'قيمة الذهب'],
+  ['Making', 'المصنعية'],
+  ['Taxable', 'الخاضع للضريبة'],
+  ['VAT %', 'النسبة'],
+  ['VAT Amt', 'الضريبة'],
+  ['Line Total', 'الإجمالي']
+];
+
+// The standard PDF fonts have no Arabic glyphs, so Noto Naskh Arabic (public/fonts, OFL)
+// is embedded; jsPDF shapes the letters and puts the RTL text in visual order
+const ARABIC_FONT = 'NotoNaskhArabic';
+const ARABIC_FONT_FILES = {
+  normal: 'NotoNaskhArabic-Regular.ttf',
+  bold: 'NotoNaskhArabic-Bold.ttf'
+};
+
+let arabicFontData = null;
+let arabicFontRequest = null;
+
+const arrayBufferToBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Fetch the Arabic font files once; PDFs fall back to English only if this fails
+ */
+const loadArabicFont = () => {
+  if (arabicFontData) return Promise.resolve(arabicFontData);
+  if (!arabicFontRequest) {
+    arabicFontRequest = Promise.all(Object.entries(ARABIC_FONT_FILES).map(async ([style, file]) => {
+      const response = await fetch(`${process.env.PUBLIC_URL || ''}/fonts/${file}`);
+      if (!response.ok) throw new Error(`Failed to load ${file}`);
+      return [style, arrayBufferToBase64(await response.arrayBuffer())];
+    }))
+      .then((files) => {
+        arabicFontData = Object.fromEntries(files);
+        return arabicFontData;
+      })
+      .catch((error) => {
+        console.error('Failed to load Arabic font:', error);
+        return null;
+      })
+      .finally(() => {
+        arabicFontRequest = null;
+      });
+  }
+  return arabicFontRequest;
+};
+
+const registerArabicFont = (doc) => {
+  if (!arabicFontData) return;
+  Object.entries(ARABIC_FONT_FILES).forEach(([style, file]) => {
+    doc.addFileToVFS(file, arabicFontData[style]);
+    doc.addFont(file, ARABIC_FONT, style);
+  });
+};
+
+const hasArabicFont = (doc) => Boolean(doc.getFontList()[ARABIC_FONT]);
+
+// Lines priced before the VAT basis setting carry no taxable amount: VAT was on the whole line
+const getTaxableAmount = (item) => item.taxable_amount ?? (
+  (item.gold_value || 0) + (item.making_value || 0) + (item.stone_charges || 0) + (item.wastage_charges || 0) - (item.item_discount || 0)
+);
+
+/**
+ * Draw Arabic text with its baseline at y, like doc.text, leaving the current font and color as they were
+ * @returns {number} Width drawn in mm (0 when the Arabic font is not loaded)
+ */
+const drawArabicText = (doc, text, x, y, { fontSize = 9, bold = false, color = [0, 0, 0], align = 'left' } = {}) => {
+  if (!text || !hasArabicFont(doc)) return 0;
+  const { fontName, fontStyle } = doc.getFont();
+  const previousSize = doc.getFontSize();
+  const previousColor = doc.getTextColor();
+  doc.setFont(ARABIC_FONT, bold ? 'bold' : 'normal');
+  doc.setFontSize(fontSize);
+  doc.setTextColor(...color);
+  const width = doc.getTextWidth(text);
+  doc.text(text, x, y, { align });
+  doc.setFont(fontName, fontStyle);
+  doc.setFontSize(previousSize);
+  doc.setTextColor(previousColor);
+  return width;
+};
+
+/**
+ * "English / عربي" on one line; English only when the Arabic font is not loaded
+ */
+const drawBilingualText = (doc, english, arabic, x, y, { fontSize = 9, bold = false, color = [0, 0, 0], align = 'left' } = {}) => {
+  doc.setFontSize(fontSize);
+  doc.setFont(undefined, bold ? 'bold' : 'normal');
+  doc.setTextColor(...color);
+  const withArabic = Boolean(arabic) && hasArabicFont(doc);
+  const englishText = withArabic ? `${english} / ` : english;
+  const englishWidth = doc.getTextWidth(englishText);
+  let arabicWidth = 0;
+  if (withArabic) {
+    const { fontName, fontStyle } = doc.getFont();
+    doc.setFont(ARABIC_FONT, bold ? 'bold' : 'normal');
+    arabicWidth = doc.getTextWidth(arabic);
+    doc.setFont(fontName, fontStyle);
+  }
+  const totalWidth = englishWidth + arabicWidth;
+  const left = align === 'right' ? x - totalWidth : align === 'center' ? x - totalWidth / 2 : x;
+  doc.text(englishText, left, y);
+  if (withArabic) {
+    drawArabicText(doc, arabic, left + englishWidth, y, { fontSize, bold, color });
+  }
+  doc.setTextColor(0, 0, 0);
+};
 
 /**
  * Generate Professional Gold ERP Invoice PDF
@@ -11,19 +153,37 @@ import autoTable from 'jspdf-autotable';
  * - Detailed item breakdown with all charges
  * - Full calculation summary with formulas
  * - Payment history and status
- * - Draft/Final watermarks
+ * - Draft/Final/Cancelled watermarks
  * - Professional formatting for audit compliance
+ * - Oman VAT invoices (tax_type "oman_vat"): bilingual English/Arabic tax invoice
+ *   with shop and customer VATIN and per-line taxable amounts; the Arabic is only
+ *   printed once the download helpers below have loaded the Arabic font
+ * - Credit notes: pass the credit note to print it in the same layout, with the
+ *   credited lines and totals, the original invoice and the refund in place of payments
  */
-export const generateProfessionalInvoicePDF = (invoiceData, shopSettings, payments = []) => {
+export const generateProfessionalInvoicePDF = (invoiceData, shopSettings, payments = [], creditNote = null) => {
   try {
-    const { invoice } = invoiceData;
+    const isCreditNote = !!creditNote;
+    const invoice = isCreditNote
+      ? {
+          ...invoiceData.invoice,
+          items: creditNote.items,
+          subtotal: creditNote.subtotal,
+          discount_amount: creditNote.discount_amount,
+          vat_total: creditNote.vat_total,
+          grand_total: creditNote.grand_total
+        }
+      : invoiceData.invoice;
     const doc = new jsPDF();
+    registerArabicFont(doc);
     const pageWidth = doc.internal.pageSize.getWidth();
     const pageHeight = doc.internal.pageSize.getHeight();
     
-    // Determine invoice status for watermark
-    const isDraft = !invoice.status || invoice.status === 'draft';
-    const isFinalized = invoice.status === 'finalized';
+    // Determine invoice status for watermark (a credit note is its own document and carries none)
+    const isDraft = !isCreditNote && (!invoice.status || invoice.status === 'draft');
+    const isFinalized = !isCreditNote && invoice.status === 'finalized';
+    const isCancelled = !isCreditNote && invoice.status === 'cancelled';
+    const isOmanVat = invoice.tax_type === 'oman_vat';
     
     // Add watermark for draft invoices
     if (isDraft) {
@@ -37,6 +197,21 @@ export const generateProfessionalInvoicePDF = (invoiceData, shopSettings, paymen
       doc.setTextColor(0, 0, 0); // Reset to black
     }
     
+    // Cancelled invoices stay printable for the record, stamped across the page
+    if (isCancelled) {
+      doc.setFontSize(60);
+      doc.setTextColor(245, 200, 200);
+      doc.setFont(undefined, 'bold');
+      doc.text('CANCELLED', pageWidth / 2, pageHeight / 2, {
+        align: 'center',
+        angle: 45
+      });
+      doc.setFontSize(12);
+      doc.setTextColor(200, 0, 0);
+      doc.text('CANCELLED', pageWidth - 15, 15, { align: 'right' });
+      doc.setTextColor(0, 0, 0); // Reset to black
+    }
+    
     // Add "FINAL INVOICE" badge for finalized invoices
     if (isFinalized) {
       doc.setFontSize(12);
@@ -46,6 +221,14 @@ export const generateProfessionalInvoicePDF = (invoiceData, shopSettings, paymen
       doc.setTextColor(0, 0, 0); // Reset to black
     }
     
+    if (isCreditNote) {
+      doc.setFontSize(12);
+      doc.setTextColor(200, 0, 0);
+      doc.setFont(undefined, 'bold');
+      doc.text('CREDIT NOTE', pageWidth - 15, 15, { align: 'right' });
+      doc.setTextColor(0, 0, 0); // Reset to black
+    }
+    
     // ============================================================================
     // HEADER SECTION - Company Information
     // ============================================================================
@@ -53,31 +236,55 @@ export const generateProfessionalInvoicePDF = (invoiceData, shopSettings, paymen
     doc.setFont(undefined, 'bold');
     doc.text(shopSettings.shop_name || 'Gold Jewellery ERP', 105, 15, { align: 'center' });
     
+    // Arabic trade name and address under the English ones on VAT invoices
+    let headerShift = 0;
+    if (isOmanVat && shopSettings.shop_name_ar) {
+      drawArabicText(doc, shopSettings.shop_name_ar, 105, 22, { fontSize: 13, bold: true, align: 'center' });
+      headerShift += 7;
+    }
+    
     doc.setFontSize(9);
     doc.setFont(undefined, 'normal');
     const address = shopSettings.address || '123 Main Street, City, Country';
-    doc.text(address, 105, 22, { align: 'center' });
+    doc.text(address, 105, 22 + headerShift, { align: 'center' });
+    if (isOmanVat && shopSettings.address_ar) {
+      drawArabicText(doc, shopSettings.address_ar, 105, 27 + headerShift, { fontSize: 9, align: 'center' });
+      headerShift += 5;
+    }
     
     const phone = shopSettings.phone || '+968 1234 5678';
     const email = shopSettings.email || 'contact@shop.com';
-    doc.text(`Phone: ${phone} | Email: ${email}`, 105, 27, { align: 'center' });
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'normal');
+    doc.text(`Phone: ${phone} | Email: ${email}`, 105, 27 + headerShift, { align: 'center' });
     
-    const gstin = shopSettings.gstin || shopSettings.vat_number || 'N/A';
+    // VAT invoices carry the VATIN stamped at finalization (drafts show the current one)
+    const gstin = isOmanVat
+      ? invoice.shop_vatin || shopSettings.vatin || 'N/A'
+      : shopSettings.gstin || shopSettings.vat_number || 'N/A';
     if (gstin && gstin !== 'N/A') {
-      doc.text(`GST/VAT Number: ${gstin}`, 105, 32, { align: 'center' });
+      if (isOmanVat) {
+        drawBilingualText(doc, `VATIN: ${gstin}`, `${AR.vatin}`, 105, 32 + headerShift, { bold: true, align: 'center' });
+      } else {
+        doc.text(`GST/VAT Number: ${gstin}`, 105, 32 + headerShift, { align: 'center' });
+      }
     }
     
     // Horizontal line
     doc.setLineWidth(0.5);
-    doc.line(15, gstin !== 'N/A' ? 36 : 32, 195, gstin !== 'N/A' ? 36 : 32);
+    doc.line(15, (gstin !== 'N/A' ? 36 : 32) + headerShift, 195, (gstin !== 'N/A' ? 36 : 32) + headerShift);
     
     // ============================================================================
     // INVOICE TITLE
     // ============================================================================
-    const titleY = gstin !== 'N/A' ? 45 : 41;
-    doc.setFontSize(16);
-    doc.setFont(undefined, 'bold');
-    doc.text('TAX INVOICE', 105, titleY, { align: 'center' });
+    const titleY = (gstin !== 'N/A' ? 45 : 41) + headerShift;
+    if (isOmanVat) {
+      drawBilingualText(doc, isCreditNote ? 'Credit Note' : 'Tax Invoice', isCreditNote ? AR.creditNote : AR.title, 105, titleY, { fontSize: 16, bold: true, align: 'center' });
+    } else {
+      doc.setFontSize(16);
+      doc.setFont(undefined, 'bold');
+      doc.text(isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE', 105, titleY, { align: 'center' });
+    }
     
     // ============================================================================
     // INVOICE METADATA (Enhanced with Customer Type Badge)
@@ -86,26 +293,54 @@ export const generateProfessionalInvoicePDF = (invoiceData, shopSettings, paymen
     doc.setFontSize(10);
     
     // Left side - Invoice details
-    doc.setFont(undefined, 'bold');
-    doc.text('Invoice Number:', 15, metaStartY);
-    doc.text('Invoice Date:', 15, metaStartY + 6);
-    doc.text('Invoice Type:', 15, metaStartY + 12);
-    doc.text('Invoice Status:', 15, metaStartY + 18);
-    
-    doc.setFont(undefined, 'normal');
-    doc.text(invoice.invoice_number || 'N/A', 55, metaStartY);
-    doc.text(invoice.date ? new Date(invoice.date).toLocaleDateString() : 'N/A', 55, metaStartY + 6);
-    doc.text((invoice.invoice_type || 'sale').toUpperCase(), 55, metaStartY + 12);
-    
-    // Status with color
-    const status = (invoice.status || 'draft').toUpperCase();
-    if (status === 'FINALIZED') {
-      doc.setTextColor(0, 128, 0);
+    const formatMetaDate = (value) => (value ? new Date(value).toLocaleDateString() : 'N/A');
+    if (isCreditNote) {
+      [
+        ['Credit Note No:', creditNote.credit_note_number || 'N/A'],
+        ['Credit Note Date:', formatMetaDate(creditNote.date)],
+        ['Against Invoice:', invoice.invoice_number || 'N/A'],
+        ['Invoice Date:', formatMetaDate(invoice.date)]
+      ].forEach(([label, value], index) => {
+        doc.setFont(undefined, 'bold');
+        doc.text(label, 15, metaStartY + index * 6);
+        doc.setFont(undefined, 'normal');
+        doc.text(value, 55, metaStartY + index * 6);
+      });
+    } else {
       doc.setFont(undefined, 'bold');
+      doc.text('Invoice Number:', 15, metaStartY);
+      doc.text('Invoice Date:', 15, metaStartY + 6);
+      doc.text('Invoice Type:', 15, metaStartY + 12);
+      doc.text('Invoice Status:', 15, metaStartY + 18);
+      
+      doc.setFont(undefined, 'normal');
+      doc.text(invoice.invoice_number || 'N/A', 55, metaStartY);
+      doc.text(formatMetaDate(invoice.date), 55, metaStartY + 6);
+      doc.text((invoice.invoice_type || 'sale').toUpperCase(), 55, metaStartY + 12);
+      
+      // Status with color
+      const status = (invoice.status || 'draft').toUpperCase();
+      if (status === 'FINALIZED') {
+        doc.setTextColor(0, 128, 0);
+        doc.setFont(undefined, 'bold');
+      } else if (status === 'CANCELLED') {
+        doc.setTextColor(200, 0, 0);
+        doc.setFont(undefined, 'bold');
+      }
+      doc.text(status, 55, metaStartY + 18);
+      doc.setTextColor(0, 0, 0);
+      doc.setFont(undefined, 'normal');
+    }
+    
+    if (isOmanVat) {
+      const metaLabels = isCreditNote
+        ? [AR.creditNoteNumber, AR.creditNoteDate, AR.originalInvoice, AR.invoiceDate]
+        : [AR.invoiceNumber, AR.invoiceDate, AR.invoiceType, AR.invoiceStatus];
+      metaLabels.forEach((label, index) => {
+        drawArabicText(doc, label, 112, metaStartY + index * 6, { fontSize: 8, color: [90, 90, 90], align: 'right' });
+      });
+      drawArabicText(doc, AR.billTo, 195, metaStartY, { fontSize: 8, color: [90, 90, 90], align: 'right' });
     }
-    doc.text(status, 55, metaStartY + 18);
-    doc.setTextColor(0, 0, 0);
-    doc.setFont(undefined, 'normal');
     
     // Right side - Customer details
     doc.setFont(undefined, 'bold');
@@ -145,6 +380,14 @@ export const generateProfessionalInvoicePDF = (invoiceData, shopSettings, paymen
       doc.text(`Phone: ${customerPhone}`, 120, metaStartY + 16);
     }
     
+    const customerVatin = invoice.customer_vatin || invoiceData.customer_details?.vatin;
+    if (isOmanVat && customerVatin) {
+      doc.setFont(undefined, 'bold');
+      doc.text(`VATIN: ${customerVatin}`, 120, metaStartY + 21);
+      doc.setFont(undefined, 'normal');
+      drawArabicText(doc, AR.customerVatin, 195, metaStartY + 21, { fontSize: 8, color: [90, 90, 90], align: 'right' });
+    }
+    
     // ============================================================================
     // ITEMS TABLE - Comprehensive Gold Jewellery Breakdown
     // ============================================================================
@@ -190,37 +433,106 @@ export const generateProfessionalInvoicePDF = (invoiceData, shopSettings, paymen
       ];
     });
     
-    autoTable(doc, {
-      startY: tableStartY,
-      head: [tableHeaders],
-      body: tableData,
-      theme: 'grid',
-      headStyles: { 
-        fillColor: [41, 128, 185],
-        fontSize: 8,
-        fontStyle: 'bold',
-        halign: 'center',
-        cellPadding: 2
-      },
-      bodyStyles: { 
-        fontSize: 8,
-        cellPadding: 2
-      },
-      columnStyles: {
-        0: { cellWidth: 22, halign: 'left' },    // Category
-        1: { cellWidth: 32, halign: 'left' },    // Description
-        2: { cellWidth: 10, halign: 'center' },  // Qty
-        3: { cellWidth: 14, halign: 'center' },  // Purity
-        4: { cellWidth: 16, halign: 'right' },   // Weight
-        5: { cellWidth: 16, halign: 'right' },   // Gold Rate
-        6: { cellWidth: 18, halign: 'right' },   // Gold Value
-        7: { cellWidth: 16, halign: 'right' },   // Making
-        8: { cellWidth: 12, halign: 'center' },  // VAT %
-        9: { cellWidth: 16, halign: 'right' },   // VAT Amt
-        10: { cellWidth: 18, halign: 'right' }   // Line Total
-      },
-      margin: { left: 10, right: 10 }
-    });
+    if (isOmanVat) {
+      // Taxable amount per line shows which part VAT was charged on (gold value and/or charges)
+      const vatTableData = (invoice.items || []).map(item => {
+        const weight = item.net_gold_weight || item.weight || 0;
+        const goldValue = item.gold_value || 0;
+        const making = item.making_value || 0;
+        const taxable = getTaxableAmount(item);
+        return [
+          item.category ? `${item.description || '-'}\n${item.category}` : (item.description || '-'),
+          item.qty || 1,
+          `${item.purity || 916}K`,
+          weight.toFixed(3),
+          (item.metal_rate || 0).toFixed(3),
+          goldValue.toFixed(3),
+          making.toFixed(3),
+          taxable.toFixed(3),
+          `${item.vat_percent ?? 5}%`,
+          (item.vat_amount || 0).toFixed(3),
+          (item.line_total || 0).toFixed(3)
+        ];
+      });
+      
+      autoTable(doc, {
+        startY: tableStartY,
+        head: [
+          VAT_TABLE_HEADERS.map(([english]) => english),
+          VAT_TABLE_HEADERS.map(() => ({ content: '', styles: { minCellHeight: 5, cellPadding: 0 } }))
+        ],
+        body: vatTableData,
+        theme: 'grid',
+        headStyles: {
+          fillColor: [41, 128, 185],
+          fontSize: 8,
+          fontStyle: 'bold',
+          halign: 'center',
+          cellPadding: 2
+        },
+        bodyStyles: {
+          fontSize: 8,
+          cellPadding: 2
+        },
+        columnStyles: {
+          0: { cellWidth: 34, halign: 'left' },    // Description (+ category)
+          1: { cellWidth: 9, halign: 'center' },   // Qty
+          2: { cellWidth: 13, halign: 'center' },  // Purity
+          3: { cellWidth: 16, halign: 'right' },   // Weight
+          4: { cellWidth: 16, halign: 'right' },   // Gold Rate
+          5: { cellWidth: 18, halign: 'right' },   // Gold Value
+          6: { cellWidth: 16, halign: 'right' },   // Making
+          7: { cellWidth: 18, halign: 'right' },   // Taxable
+          8: { cellWidth: 12, halign: 'center' },  // VAT %
+          9: { cellWidth: 18, halign: 'right' },   // VAT Amt
+          10: { cellWidth: 20, halign: 'right' }   // Line Total
+        },
+        // Second header row carries the Arabic column names
+        didDrawCell: (data) => {
+          if (data.section === 'head' && data.row.index === 1) {
+            drawArabicText(doc, VAT_TABLE_HEADERS[data.column.index][1], data.cell.x + data.cell.width / 2, data.cell.y + data.cell.height - 1.3, {
+              fontSize: 6.5,
+              bold: true,
+              color: [255, 255, 255],
+              align: 'center'
+            });
+          }
+        },
+        margin: { left: 10, right: 10 }
+      });
+    } else {
+      autoTable(doc, {
+        startY: tableStartY,
+        head: [tableHeaders],
+        body: tableData,
+        theme: 'grid',
+        headStyles: { 
+          fillColor: [41, 128, 185],
+          fontSize: 8,
+          fontStyle: 'bold',
+          halign: 'center',
+          cellPadding: 2
+        },
+        bodyStyles: { 
+          fontSize: 8,
+          cellPadding: 2
+        },
+        columnStyles: {
+          0: { cellWidth: 22, halign: 'left' },    // Category
+          1: { cellWidth: 32, halign: 'left' },    // Description
+          2: { cellWidth: 10, halign: 'center' },  // Qty
+          3: { cellWidth: 14, halign: 'center' },  // Purity
+          4: { cellWidth: 16, halign: 'right' },   // Weight
+          5: { cellWidth: 16, halign: 'right' },   // Gold Rate
+          6: { cellWidth: 18, halign: 'right' },   // Gold Value
+          7: { cellWidth: 16, halign: 'right' },   // Making
+          8: { cellWidth: 12, halign: 'center' },  // VAT %
+          9: { cellWidth: 16, halign: 'right' },   // VAT Amt
+          10: { cellWidth: 18, halign: 'right' }   // Line Total
+        },
+        margin: { left: 10, right: 10 }
+      });
+    }
     
     // ============================================================================
     // CALCULATION SUMMARY - Full Transparency with Formulas
@@ -269,10 +581,14 @@ export const generateProfessionalInvoicePDF = (invoiceData, shopSettings, paymen
     // Subtotal calculation
     currentY += 7;
     const subtotal = invoice.subtotal || (metalTotal + makingTotal);
-    doc.setFont(undefined, 'bold');
-    doc.text('Subtotal:', leftCol, currentY);
-    doc.setFont(undefined, 'normal');
-    doc.text(`Metal + Making`, leftCol + 35, currentY);
+    if (isOmanVat) {
+      drawBilingualText(doc, 'Subtotal:', AR.subtotal, leftCol, currentY, { bold: true });
+    } else {
+      doc.setFont(undefined, 'bold');
+      doc.text('Subtotal:', leftCol, currentY);
+      doc.setFont(undefined, 'normal');
+      doc.text(`Metal + Making`, leftCol + 35, currentY);
+    }
     doc.setFont(undefined, 'bold');
     doc.text(`${subtotal.toFixed(3)} OMR`, rightCol, currentY, { align: 'right' });
     
@@ -291,12 +607,38 @@ export const generateProfessionalInvoicePDF = (invoiceData, shopSettings, paymen
     currentY += 7;
     const vatTotal = invoice.vat_total || 0;
     const vatPercent = items.length > 0 ? (items[0].vat_percent || 5) : 5;
-    doc.setFont(undefined, 'bold');
-    doc.text(`VAT (${vatPercent}%):`, leftCol, currentY);
-    doc.setFont(undefined, 'normal');
-    doc.text(`Subtotal × ${vatPercent}%`, leftCol + 35, currentY);
-    doc.setFont(undefined, 'bold');
-    doc.text(`${vatTotal.toFixed(3)} OMR`, rightCol, currentY, { align: 'right' });
+    if (isOmanVat) {
+      const taxableTotal = items.reduce((sum, item) => sum + getTaxableAmount(item), 0);
+      drawBilingualText(doc, 'Total Taxable Amount:', AR.taxable, leftCol, currentY, { bold: true });
+      doc.setFont(undefined, 'bold');
+      doc.text(`${taxableTotal.toFixed(3)} OMR`, rightCol, currentY, { align: 'right' });
+      
+      currentY += 6;
+      drawBilingualText(doc, `VAT (${vatPercent}%):`, AR.vat, leftCol, currentY, { bold: true });
+      doc.setFont(undefined, 'bold');
+      doc.text(`${vatTotal.toFixed(3)} OMR`, rightCol, currentY, { align: 'right' });
+      
+      // Split shows whether VAT was charged on the gold value, the charges, or both
+      const goldVat = items.reduce((sum, item) => sum + (item.gold_vat_amount || 0), 0);
+      const makingVat = items.reduce((sum, item) => sum + (item.making_vat_amount || 0), 0);
+      if (goldVat > 0 || makingVat > 0) {
+        [['on gold value', AR.goldVat, goldVat], ['on making & charges', AR.makingVat, makingVat]].forEach(([label, arabic, amount]) => {
+          currentY += 5;
+          drawBilingualText(doc, label, arabic, leftCol + 10, currentY, { fontSize: 8, color: [100, 100, 100] });
+          doc.setFontSize(8);
+          doc.setFont(undefined, 'normal');
+          doc.text(`${amount.toFixed(3)} OMR`, rightCol, currentY, { align: 'right' });
+        });
+        doc.setFontSize(9);
+      }
+    } else {
+      doc.setFont(undefined, 'bold');
+      doc.text(`VAT (${vatPercent}%):`, leftCol, currentY);
+      doc.setFont(undefined, 'normal');
+      doc.text(`Subtotal × ${vatPercent}%`, leftCol + 35, currentY);
+      doc.setFont(undefined, 'bold');
+      doc.text(`${vatTotal.toFixed(3)} OMR`, rightCol, currentY, { align: 'right' });
+    }
     
     // Round off (if any)
     const roundOff = invoice.round_off_amount || 0;
@@ -315,7 +657,12 @@ export const generateProfessionalInvoicePDF = (invoiceData, shopSettings, paymen
     doc.setFontSize(12);
     doc.setFont(undefined, 'bold');
     doc.setTextColor(255, 255, 255);
-    doc.text('GRAND TOTAL:', leftCol + 3, currentY);
+    if (isOmanVat) {
+      drawBilingualText(doc, 'TOTAL INCL. VAT:', AR.grandTotal, leftCol + 3, currentY, { fontSize: 12, bold: true, color: [255, 255, 255] });
+      doc.setTextColor(255, 255, 255);
+    } else {
+      doc.text('GRAND TOTAL:', leftCol + 3, currentY);
+    }
     doc.text(`${(invoice.grand_total || 0).toFixed(3)} OMR`, rightCol - 3, currentY, { align: 'right' });
     doc.setTextColor(0, 0, 0);
     
@@ -324,109 +671,173 @@ export const generateProfessionalInvoicePDF = (invoiceData, shopSettings, paymen
     doc.setFont(undefined, 'italic');
     doc.text('All calculations are final after invoice finalization', leftCol, currentY);
     
-    // ============================================================================
-    // PAYMENT DETAILS SECTION - Enhanced
-    // ============================================================================
-    currentY += 12;
+    if (isCreditNote) {
+      // ============================================================================
+      // CREDIT DETAILS - what was credited and refunded, and why
+      // ============================================================================
+      currentY += 12;
+      if (currentY > 230) {
+        doc.addPage();
+        currentY = 20;
+      }
+      
+      doc.setFontSize(11);
+      doc.setFont(undefined, 'bold');
+      doc.text('CREDIT DETAILS', leftCol, currentY);
+      
+      currentY += 8;
+      doc.setFontSize(9);
+      doc.text('Amount Credited:', leftCol + 5, currentY);
+      doc.text(`${(creditNote.grand_total || 0).toFixed(3)} OMR`, rightCol, currentY, { align: 'right' });
+      
+      currentY += 6;
+      doc.text('Payments Refunded:', leftCol + 5, currentY);
+      doc.setTextColor(200, 0, 0);
+      doc.text(`${(creditNote.refund_amount || 0).toFixed(3)} OMR`, rightCol, currentY, { align: 'right' });
+      doc.setTextColor(0, 0, 0);
+      
+      currentY += 10;
+      doc.setDrawColor(200, 0, 0);
+      doc.setFillColor(253, 236, 236);
+      const reasonLines = doc.splitTextToSize(`Reason: ${creditNote.reason || '-'}`, rightCol - leftCol - 10);
+      const boxHeight = 12 + reasonLines.length * 4;
+      doc.rect(leftCol, currentY - 5, rightCol - leftCol, boxHeight, 'FD');
+      doc.setTextColor(200, 0, 0);
+      doc.setFont(undefined, 'bold');
+      doc.text(`Invoice ${invoice.invoice_number || ''} cancelled`, leftCol + 5, currentY);
+      doc.setFont(undefined, 'normal');
+      doc.setTextColor(0, 0, 0);
+      doc.text(reasonLines, leftCol + 5, currentY + 5);
+      doc.setDrawColor(0, 0, 0);
+      currentY += boxHeight - 5;
+    } else {
+      // ============================================================================
+      // PAYMENT DETAILS SECTION - Enhanced
+      // ============================================================================
+      currentY += 12;
     
-    // Check if we need a new page
-    if (currentY > 230) {
-      doc.addPage();
-      currentY = 20;
-    }
+      // Check if we need a new page
+      if (currentY > 230) {
+        doc.addPage();
+        currentY = 20;
+      }
     
-    doc.setFontSize(11);
-    doc.setFont(undefined, 'bold');
-    doc.text('PAYMENT DETAILS', leftCol, currentY);
+      doc.setFontSize(11);
+      doc.setFont(undefined, 'bold');
+      doc.text('PAYMENT DETAILS', leftCol, currentY);
     
-    currentY += 8;
-    doc.setFontSize(9);
+      currentY += 8;
+      doc.setFontSize(9);
     
-    // Payment Status
-    const paymentStatus = invoice.payment_status || 'unpaid';
-    doc.setFont(undefined, 'bold');
-    doc.text('Payment Status:', leftCol + 5, currentY);
+      // Payment Status
+      const paymentStatus = invoice.payment_status || 'unpaid';
+      doc.setFont(undefined, 'bold');
+      doc.text('Payment Status:', leftCol + 5, currentY);
     
-    // Color code the status
-    if (paymentStatus === 'paid') {
-      doc.setTextColor(0, 150, 0);
-    } else if (paymentStatus === 'partial') {
-      doc.setTextColor(200, 100, 0);
-    } else {
-      doc.setTextColor(200, 0, 0);
-    }
-    doc.text(paymentStatus.toUpperCase(), rightCol, currentY, { align: 'right' });
-    doc.setTextColor(0, 0, 0);
+      // Color code the status
+      if (paymentStatus === 'paid') {
+        doc.setTextColor(0, 150, 0);
+      } else if (paymentStatus === 'partial') {
+        doc.setTextColor(200, 100, 0);
+      } else {
+        doc.setTextColor(200, 0, 0);
+      }
+      doc.text(paymentStatus.toUpperCase(), rightCol, currentY, { align: 'right' });
+      doc.setTextColor(0, 0, 0);
     
-    // Payment breakdown table (if payments exist)
-    if (payments && payments.length > 0) {
-      currentY += 8;
+      // Payment breakdown table (if payments exist)
+      if (payments && payments.length > 0) {
+        currentY += 8;
       
-      const paymentHeaders = [['Date', 'Payment Mode', 'Amount', 'Notes']];
-      const paymentData = payments.map(payment => [
-        payment.date ? new Date(payment.date).toLocaleDateString() : 'N/A',
-        payment.mode || payment.payment_mode || 'N/A',
-        `${(payment.amount || 0).toFixed(3)} OMR`,
-        payment.notes || '-'
-      ]);
+        const paymentHeaders = [['Date', 'Payment Mode', 'Amount', 'Notes']];
+        const paymentData = payments.map(payment => [
+          payment.date ? new Date(payment.date).toLocaleDateString() : 'N/A',
+          payment.mode || payment.payment_mode || 'N/A',
+          `${(payment.amount || 0).toFixed(3)} OMR`,
+          payment.notes || '-'
+        ]);
       
-      autoTable(doc, {
-        startY: currentY,
-        head: paymentHeaders,
-        body: paymentData,
-        theme: 'striped',
-        headStyles: { 
-          fillColor: [52, 152, 219],
-          fontSize: 8,
-          fontStyle: 'bold'
-        },
-        bodyStyles: { fontSize: 8 },
-        columnStyles: {
-          0: { cellWidth: 30 },
-          1: { cellWidth: 35 },
-          2: { cellWidth: 30, halign: 'right' },
-          3: { cellWidth: 90 }
-        },
-        margin: { left: 15, right: 15 }
-      });
+        autoTable(doc, {
+          startY: currentY,
+          head: paymentHeaders,
+          body: paymentData,
+          theme: 'striped',
+          headStyles: { 
+            fillColor: [52, 152, 219],
+            fontSize: 8,
+            fontStyle: 'bold'
+          },
+          bodyStyles: { fontSize: 8 },
+          columnStyles: {
+            0: { cellWidth: 30 },
+            1: { cellWidth: 35 },
+            2: { cellWidth: 30, halign: 'right' },
+            3: { cellWidth: 90 }
+          },
+          margin: { left: 15, right: 15 }
+        });
       
-      currentY = doc.lastAutoTable.finalY + 8;
-    } else {
-      currentY += 6;
-      doc.setFont(undefined, 'italic');
-      doc.setTextColor(120, 120, 120);
-      doc.text('No payments recorded yet', leftCol + 5, currentY);
+        currentY = doc.lastAutoTable.finalY + 8;
+      } else {
+        currentY += 6;
+        doc.setFont(undefined, 'italic');
+        doc.setTextColor(120, 120, 120);
+        doc.text('No payments recorded yet', leftCol + 5, currentY);
+        doc.setTextColor(0, 0, 0);
+        currentY += 6;
+      }
+    
+      // Payment summary
+      currentY += 4;
+      doc.setFont(undefined, 'bold');
+      doc.text('Paid Amount:', leftCol + 5, currentY);
+      doc.setTextColor(0, 150, 0);
+      doc.text(`${(invoice.paid_amount || 0).toFixed(3)} OMR`, rightCol, currentY, { align: 'right' });
       doc.setTextColor(0, 0, 0);
-      currentY += 6;
-    }
     
-    // Payment summary
-    currentY += 4;
-    doc.setFont(undefined, 'bold');
-    doc.text('Paid Amount:', leftCol + 5, currentY);
-    doc.setTextColor(0, 150, 0);
-    doc.text(`${(invoice.paid_amount || 0).toFixed(3)} OMR`, rightCol, currentY, { align: 'right' });
-    doc.setTextColor(0, 0, 0);
+      // Balance due or overpayment
+      currentY += 6;
+      const balanceDue = invoice.balance_due || 0;
     
-    // Balance due or overpayment
-    currentY += 6;
-    const balanceDue = invoice.balance_due || 0;
+      doc.setFont(undefined, 'bold');
+      if (balanceDue > 0.001) {
+        doc.text('Balance Due:', leftCol + 5, currentY);
+        doc.setTextColor(200, 0, 0);
+        doc.text(`${balanceDue.toFixed(3)} OMR`, rightCol, currentY, { align: 'right' });
+      } else if (balanceDue < -0.001) {
+        doc.text('Overpayment:', leftCol + 5, currentY);
+        doc.setTextColor(0, 150, 0);
+        doc.text(`${Math.abs(balanceDue).toFixed(3)} OMR`, rightCol, currentY, { align: 'right' });
+      } else if (isCancelled) {
+        doc.text('Balance Due:', leftCol + 5, currentY);
+        doc.setTextColor(200, 0, 0);
+        doc.text('NIL - INVOICE CANCELLED', rightCol, currentY, { align: 'right' });
+      } else {
+        doc.text('Payment Status:', leftCol + 5, currentY);
+        doc.setTextColor(0, 150, 0);
+        doc.text('✓ PAID IN FULL', rightCol, currentY, { align: 'right' });
+      }
+      doc.setTextColor(0, 0, 0);
     
-    doc.setFont(undefined, 'bold');
-    if (balanceDue > 0.001) {
-      doc.text('Balance Due:', leftCol + 5, currentY);
-      doc.setTextColor(200, 0, 0);
-      doc.text(`${balanceDue.toFixed(3)} OMR`, rightCol, currentY, { align: 'right' });
-    } else if (balanceDue < -0.001) {
-      doc.text('Overpayment:', leftCol + 5, currentY);
-      doc.setTextColor(0, 150, 0);
-      doc.text(`${Math.abs(balanceDue).toFixed(3)} OMR`, rightCol, currentY, { align: 'right' });
-    } else {
-      doc.text('Payment Status:', leftCol + 5, currentY);
-      doc.setTextColor(0, 150, 0);
-      doc.text('✓ PAID IN FULL', rightCol, currentY, { align: 'right' });
+      // Cancellation reference - the credit note is the document that reverses this invoice
+      if (isCancelled) {
+        currentY += 10;
+        doc.setDrawColor(200, 0, 0);
+        doc.setFillColor(253, 236, 236);
+        const reasonLines = doc.splitTextToSize(`Reason: ${invoice.cancel_reason || '-'}`, rightCol - leftCol - 10);
+        const boxHeight = 12 + reasonLines.length * 4;
+        doc.rect(leftCol, currentY - 5, rightCol - leftCol, boxHeight, 'FD');
+        doc.setTextColor(200, 0, 0);
+        doc.setFont(undefined, 'bold');
+        doc.text(`CANCELLED - Credit Note ${invoice.credit_note_number || ''}`, leftCol + 5, currentY);
+        doc.setFont(undefined, 'normal');
+        doc.text(invoice.cancelled_at ? new Date(invoice.cancelled_at).toLocaleString() : '', rightCol - 5, currentY, { align: 'right' });
+        doc.setTextColor(0, 0, 0);
+        doc.text(reasonLines, leftCol + 5, currentY + 5);
+        doc.setDrawColor(0, 0, 0);
+        currentY += boxHeight - 5;
+      }
     }
-    doc.setTextColor(0, 0, 0);
     
     // ============================================================================
     // FOOTER - Terms, Conditions & Print Info
@@ -495,7 +906,7 @@ export const generateProfessionalInvoicePDF = (invoiceData, shopSettings, paymen
     doc.setFontSize(7);
     doc.setFont(undefined, 'italic');
     doc.setTextColor(120, 120, 120);
-    doc.text('This is a system-generated invoice and is valid without signature', 105, bottomY, { align: 'center' });
+    doc.text(`This is a system-generated ${isCreditNote ? 'credit note' : 'invoice'} and is valid without signature`, 105, bottomY, { align: 'center' });
     doc.text('All calculations are final after invoice finalization', 105, bottomY + 3, { align: 'center' });
     
     return doc;
@@ -518,6 +929,7 @@ export const downloadProfessionalInvoicePDF = async (invoiceId, apiUrl, axiosIns
     
     const invoiceData = invoiceResponse.data;
     const shopSettings = settingsResponse.data;
+    await loadArabicFont();
     
     // Generate PDF
     const doc = generateProfessionalInvoicePDF(invoiceData, shopSettings, invoiceData.payments);
@@ -531,3 +943,26 @@ export const downloadProfessionalInvoicePDF = async (invoiceId, apiUrl, axiosIns
     return { success: false, error: error.message };
   }
 };
+
+/**
+ * Download a credit note PDF, printed in the invoice layout against its original invoice
+ */
+export const downloadCreditNotePDF = async (creditNoteId, apiUrl, axiosInstance) => {
+  try {
+    const creditNoteResponse = await axiosInstance.get(`${apiUrl}/credit-notes/${creditNoteId}`);
+    const creditNote = creditNoteResponse.data;
+    const [invoiceResponse, settingsResponse] = await Promise.all([
+      axiosInstance.get(`${apiUrl}/invoices/${creditNote.invoice_id}/full-details`),
+      axiosInstance.get(`${apiUrl}/settings/shop`)
+    ]);
+    await loadArabicFont();
+    
+    const doc = generateProfessionalInvoicePDF(invoiceResponse.data, settingsResponse.data, [], creditNote);
+    doc.save(`CreditNote_${creditNote.credit_note_number || 'unknown'}.pdf`);
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error downloading credit note PDF:', error);
+    return { success: false, error: error.message };
+  }
+};
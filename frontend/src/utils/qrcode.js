@@ -0,0 +1,357 @@
+/**
+ * QR code encoding and drawing for jsPDF documents
+ *
+ * Byte mode, error correction level M, versions 1-10 (up to 213 bytes) -
+ * plenty for document numbers such as JC-2026-0001. Follows the layout
+ * rules of ISO/IEC 18004.
+ */
+
+// Error correction level M per version: [ecc codewords per block, [block count, data codewords], ...]
+const EC_BLOCKS_M = [
+  null,
+  [10, [1, 16]],
+  [16, [1, 28]],
+  [26, [1, 44]],
+  [18, [2, 32]],
+  [24, [2, 43]],
+  [16, [4, 27]],
+  [18, [4, 31]],
+  [22, [2, 38], [2, 39]],
+  [22, [3, 36], [2, 37]],
+  [26, [4, 43], [1, 44]]
+];
+
+const ALIGNMENT_POSITIONS = [
+  null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+  [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+const MAX_VERSION = 10;
+const EC_LEVEL_M_BITS = 0;
+const QUIET_ZONE_MODULES = 4;
+
+const getBit = (value, i) => ((value >>> i) & 1) !== 0;
+
+const getDataCodewords = (version) =>
+  EC_BLOCKS_M[version].slice(1).reduce((sum, [count, size]) => sum + count * size, 0);
+
+// Multiply in GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  });
+  return result;
+}
+
+/**
+ * Data codewords for the text in byte mode, padded to the version's capacity
+ */
+function encodeData(bytes, version) {
+  const capacityBits = getDataCodewords(version) * 8;
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+  };
+  push(0b0100, 4); // Byte mode
+  push(bytes.length, version >= 10 ? 16 : 8); // Character count
+  bytes.forEach(byte => push(byte, 8));
+  push(0, Math.min(4, capacityBits - bits.length)); // Terminator
+  while (bits.length % 8 !== 0) bits.push(0);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+/**
+ * Split data into blocks, add error correction and interleave
+ */
+function addErrorCorrection(data, version) {
+  const [eccLength, ...groups] = EC_BLOCKS_M[version];
+  const divisor = reedSolomonDivisor(eccLength);
+  const blocks = [];
+  let offset = 0;
+  groups.forEach(([count, size]) => {
+    for (let i = 0; i < count; i++) {
+      const blockData = data.slice(offset, offset + size);
+      offset += size;
+      blocks.push({ data: blockData, ecc: reedSolomonRemainder(blockData, divisor) });
+    }
+  });
+
+  const result = [];
+  const maxDataLength = Math.max(...blocks.map(block => block.data.length));
+  for (let i = 0; i < maxDataLength; i++) {
+    blocks.forEach(block => {
+      if (i < block.data.length) result.push(block.data[i]);
+    });
+  }
+  for (let i = 0; i < eccLength; i++) {
+    blocks.forEach(block => result.push(block.ecc[i]));
+  }
+  return result;
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            const dist = Math.max(Math.abs(dx), Math.abs(dy));
+            this.setFunction(x, y, dist !== 2 && dist !== 4);
+          }
+        }
+      }
+    });
+
+    const positions = ALIGNMENT_POSITIONS[this.version];
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        // Skip the three corners taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    this.drawFormatBits(0); // Reserves the area; redrawn once the mask is chosen
+    this.drawVersionBits();
+  }
+
+  drawFormatBits(mask) {
+    const { size } = this;
+    const data = (EC_LEVEL_M_BITS << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+    this.setFunction(8, 7, getBit(bits, 6));
+    this.setFunction(8, 8, getBit(bits, 7));
+    this.setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, getBit(bits, i));
+    this.setFunction(8, size - 8, true); // Dark module
+  }
+
+  drawVersionBits() {
+    if (this.version < 7) return;
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (this.version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = getBit(bits, i);
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  drawCodewords(codewords) {
+    const { size } = this;
+    const totalBits = codewords.length * 8;
+    let i = 0;
+    // Two-module columns, right to left, snaking up and down; column 6 is timing
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < totalBits) {
+            this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+    const finderLike = [
+      [true, false, true, true, true, false, true, false, false, false, false],
+      [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+    const line = (k, i, horizontal) => (horizontal ? modules[k][i] : modules[i][k]);
+    const finderMatches = (k, i, horizontal) => finderLike.filter(
+      pattern => pattern.every((dark, p) => line(k, i + p, horizontal) === dark)
+    ).length;
+
+    [true, false].forEach(horizontal => {
+      for (let k = 0; k < size; k++) {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+          if (i < size && line(k, i, horizontal) === line(k, i - 1, horizontal)) {
+            run++;
+          } else {
+            if (run >= 5) score += 3 + (run - 5);
+            run = 1;
+          }
+        }
+        for (let i = 0; i + 11 <= size; i++) {
+          score += 40 * finderMatches(k, i, horizontal);
+        }
+      }
+    });
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x + 1 < size && y + 1 < size) {
+          const c = modules[y][x];
+          if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+        }
+      }
+    }
+    score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+    return score;
+  }
+}
+
+/**
+ * Encode text as a QR code module matrix
+ *
+ * @param {string} text - Text to encode (UTF-8)
+ * @returns {boolean[][]} Rows of modules, true = dark
+ */
+export function encodeQRCode(text) {
+  const bytes = Array.from(new TextEncoder().encode(String(text || '')));
+  let version = 1;
+  // Mode (4) + count (8, or 16 from version 10) + data
+  while (version <= MAX_VERSION && 12 + (version >= 10 ? 8 : 0) + bytes.length * 8 > getDataCodewords(version) * 8) {
+    version++;
+  }
+  if (version > MAX_VERSION) {
+    throw new Error(`QR codes here hold up to ${getDataCodewords(MAX_VERSION) - 3} bytes`);
+  }
+
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+  let best = null;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const matrix = new QrMatrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(codewords);
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(mask);
+    const score = matrix.penalty();
+    if (score < bestPenalty) {
+      best = matrix;
+      bestPenalty = score;
+    }
+  }
+  return best.modules;
+}
+
+/**
+ * Draw a QR code on a jsPDF document, including its quiet zone
+ *
+ * @param {jsPDF} doc - Target document
+ * @param {string} text - Text to encode
+ * @param {number} x - Left edge (document units)
+ * @param {number} y - Top edge (document units)
+ * @param {number} size - Width and height of the square, quiet zone included
+ */
+export function drawQRCode(doc, text, x, y, size) {
+  const modules = encodeQRCode(text);
+  const moduleSize = size / (modules.length + QUIET_ZONE_MODULES * 2);
+  const origin = QUIET_ZONE_MODULES * moduleSize;
+
+  doc.setFillColor(0, 0, 0);
+  modules.forEach((row, r) => {
+    // Merge horizontal runs of dark modules into single rectangles
+    let runStart = -1;
+    for (let c = 0; c <= row.length; c++) {
+      if (c < row.length && row[c]) {
+        if (runStart === -1) runStart = c;
+      } else if (runStart !== -1) {
+        doc.rect(x + origin + runStart * moduleSize, y + origin + r * moduleSize, (c - runStart) * moduleSize, moduleSize, 'F');
+        runStart = -1;
+      }
+    }
+  });
+}
@@ -0,0 +1,159 @@
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { getKaratLabel } from './goldRate';
+import { displayDateOnly } from './dateTimeUtils';
+import { getQuotationCustomer } from './quotations';
+
+const money = (value) => (parseFloat(value) || 0).toFixed(3);
+
+/**
+ * Quotation / estimate PDF handed to the customer
+ *
+ * @param {Object} quotation - Quotation from /api/quotations/{id}
+ * @param {Object} shopSettings - Shop settings from /api/settings/shop
+ * @returns {jsPDF} Document ready to save or print
+ */
+export const generateQuotationPDF = (quotation, shopSettings = {}) => {
+  const doc = new jsPDF();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const leftCol = 15;
+  const rightCol = pageWidth - 15;
+
+  // Header
+  doc.setFontSize(18);
+  doc.setFont(undefined, 'bold');
+  doc.text(shopSettings.shop_name || 'Gold Jewellery ERP', pageWidth / 2, 15, { align: 'center' });
+  doc.setFontSize(9);
+  doc.setFont(undefined, 'normal');
+  if (shopSettings.address) doc.text(shopSettings.address, pageWidth / 2, 21, { align: 'center' });
+  doc.text([shopSettings.phone && `Phone: ${shopSettings.phone}`, shopSettings.email && `Email: ${shopSettings.email}`].filter(Boolean).join(' | '), pageWidth / 2, 26, { align: 'center' });
+  doc.setLineWidth(0.5);
+  doc.line(leftCol, 30, rightCol, 30);
+
+  doc.setFontSize(15);
+  doc.setFont(undefined, 'bold');
+  doc.text('QUOTATION / ESTIMATE', pageWidth / 2, 39, { align: 'center' });
+
+  // Quotation details on the left, customer on the right
+  const metaY = 49;
+  doc.setFontSize(10);
+  [
+    ['Quotation No:', quotation.quotation_number || '-'],
+    ['Date:', quotation.date ? new Date(quotation.date).toLocaleDateString() : '-'],
+    ['Valid Until:', displayDateOnly(quotation.valid_until)],
+    ['Gold Rate:', quotation.rate_locked ? 'Locked until valid date' : 'Indicative (rate on billing day applies)']
+  ].forEach(([label, value], index) => {
+    doc.setFont(undefined, 'bold');
+    doc.text(label, leftCol, metaY + index * 6);
+    doc.setFont(undefined, 'normal');
+    doc.text(String(value), leftCol + 30, metaY + index * 6);
+  });
+
+  const customer = getQuotationCustomer(quotation);
+  doc.setFont(undefined, 'bold');
+  doc.text('Prepared For:', 125, metaY);
+  doc.text(customer.name, 125, metaY + 6);
+  doc.setFont(undefined, 'normal');
+  if (customer.phone) doc.text(`Phone: ${customer.phone}`, 125, metaY + 12);
+
+  // Items
+  autoTable(doc, {
+    startY: metaY + 28,
+    head: [['#', 'Description', 'Qty', 'Purity', 'Net Wt (g)', 'Rate', 'Gold Value', 'Making', 'Other', 'VAT', 'Total']],
+    body: (quotation.items || []).map((item, index) => [
+      index + 1,
+      [item.category, item.description].filter(Boolean).join(' - '),
+      item.qty || 1,
+      `${getKaratLabel(item.purity)}`,
+      (item.net_gold_weight || item.weight || 0).toFixed(3),
+      money(item.metal_rate),
+      money(item.gold_value),
+      money(item.making_value),
+      money((item.stone_charges || 0) + (item.wastage_charges || 0) - (item.item_discount || 0)),
+      money(item.vat_amount),
+      money(item.line_total)
+    ]),
+    theme: 'grid',
+    headStyles: { fillColor: [41, 128, 185], fontSize: 8, fontStyle: 'bold', halign: 'center', cellPadding: 2 },
+    bodyStyles: { fontSize: 8, cellPadding: 2 },
+    columnStyles: {
+      0: { cellWidth: 8, halign: 'center' },
+      1: { cellWidth: 44 },
+      2: { cellWidth: 10, halign: 'center' },
+      3: { cellWidth: 13, halign: 'center' },
+      4: { cellWidth: 17, halign: 'right' },
+      5: { cellWidth: 15, halign: 'right' },
+      6: { cellWidth: 18, halign: 'right' },
+      7: { cellWidth: 16, halign: 'right' },
+      8: { cellWidth: 15, halign: 'right' },
+      9: { cellWidth: 14, halign: 'right' },
+      10: { cellWidth: 20, halign: 'right' }
+    },
+    margin: { left: 10, right: 10 }
+  });
+
+  // Totals
+  let y = doc.lastAutoTable.finalY + 10;
+  doc.setFontSize(10);
+  const totalRows = [['Subtotal:', money(quotation.subtotal)]];
+  if (quotation.discount_amount > 0) totalRows.push(['Discount:', `-${money(quotation.discount_amount)}`]);
+  totalRows.push(['VAT:', money(quotation.vat_total)]);
+  totalRows.forEach(([label, value]) => {
+    doc.setFont(undefined, 'bold');
+    doc.text(label, rightCol - 60, y);
+    doc.setFont(undefined, 'normal');
+    doc.text(`${value} OMR`, rightCol, y, { align: 'right' });
+    y += 6;
+  });
+  doc.setFillColor(41, 128, 185);
+  doc.rect(rightCol - 64, y - 4, 66, 9, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFont(undefined, 'bold');
+  doc.text('ESTIMATED TOTAL:', rightCol - 62, y + 2);
+  doc.text(`${money(quotation.grand_total)} OMR`, rightCol - 1, y + 2, { align: 'right' });
+  doc.setTextColor(0, 0, 0);
+  y += 16;
+
+  if (quotation.notes) {
+    doc.setFont(undefined, 'bold');
+    doc.text('Notes:', leftCol, y);
+    doc.setFont(undefined, 'normal');
+    const noteLines = doc.splitTextToSize(quotation.notes, rightCol - leftCol - 15);
+    doc.text(noteLines, leftCol + 15, y);
+    y += noteLines.length * 5 + 4;
+  }
+
+  // Terms
+  if (y > pageHeight - 50) {
+    doc.addPage();
+    y = 20;
+  }
+  doc.setFontSize(9);
+  doc.setFont(undefined, 'bold');
+  doc.text('Terms & Conditions:', leftCol, y);
+  y += 5;
+  doc.setFontSize(8);
+  doc.setFont(undefined, 'normal');
+  String(shopSettings.quotation_terms || '').split('\n').filter(Boolean).forEach(line => {
+    doc.splitTextToSize(line, rightCol - leftCol).forEach(part => {
+      doc.text(part, leftCol, y);
+      y += 4;
+    });
+  });
+
+  y += 12;
+  doc.setFontSize(9);
+  doc.text('_____________________', rightCol - 40, y);
+  doc.text(shopSettings.authorized_signatory || 'Authorized Signatory', rightCol - 40, y + 5);
+
+  doc.setFontSize(7);
+  doc.setFont(undefined, 'italic');
+  doc.setTextColor(120, 120, 120);
+  doc.text('This is an estimate, not a tax invoice', pageWidth / 2, pageHeight - 10, { align: 'center' });
+  doc.setTextColor(0, 0, 0);
+
+  return doc;
+};
+
+export default generateQuotationPDF;
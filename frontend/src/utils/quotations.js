@@ -0,0 +1,60 @@
+import { addDays, getLocalToday } from './jobCards';
+import { emptySaleLine, toSaleLineForm, toSaleLinePayload } from './saleLines';
+
+/**
+ * Quotation helpers. Line pricing lives in ./saleLines, shared with counter-sale invoices.
+ */
+
+export const QUOTATION_STATUSES = {
+  open: { label: 'Open', className: 'bg-blue-100 text-blue-800' },
+  expired: { label: 'Expired', className: 'bg-gray-100 text-gray-700' },
+  converted: { label: 'Converted', className: 'bg-green-100 text-green-800' }
+};
+
+export const getQuotationStatus = (quotation) => QUOTATION_STATUSES[quotation?.display_status] || QUOTATION_STATUSES.open;
+
+export const emptyQuotationForm = (validityDays = 7) => ({
+  customer_type: 'walk_in',
+  customer_id: '',
+  walk_in_name: '',
+  walk_in_phone: '',
+  valid_until: addDays(getLocalToday(), validityDays),
+  rate_locked: false,
+  discount_amount: '',
+  notes: '',
+  items: [emptySaleLine()]
+});
+
+/**
+ * Request body for POST / PUT /api/quotations
+ */
+export const toQuotationPayload = (form) => ({
+  customer_type: form.customer_type,
+  customer_id: form.customer_type === 'saved' ? form.customer_id : undefined,
+  walk_in_name: form.customer_type === 'walk_in' ? form.walk_in_name : undefined,
+  walk_in_phone: form.customer_type === 'walk_in' ? form.walk_in_phone : undefined,
+  valid_until: form.valid_until,
+  rate_locked: form.rate_locked,
+  discount_amount: parseFloat(form.discount_amount) || 0,
+  notes: form.notes,
+  items: form.items.map(toSaleLinePayload)
+});
+
+/**
+ * Form state for editing a saved quotation
+ */
+export const toQuotationForm = (quotation) => ({
+  customer_type: quotation.customer_type,
+  customer_id: quotation.customer_id || '',
+  walk_in_name: quotation.walk_in_name || '',
+  walk_in_phone: quotation.walk_in_phone || '',
+  valid_until: quotation.valid_until,
+  rate_locked: !!quotation.rate_locked,
+  discount_amount: quotation.discount_amount || '',
+  notes: quotation.notes || '',
+  items: (quotation.items || []).map(toSaleLineForm)
+});
+
+export const getQuotationCustomer = (quotation) => (quotation.customer_type === 'walk_in'
+  ? { name: quotation.walk_in_name || 'Walk-in Customer', phone: quotation.walk_in_phone || '' }
+  : { name: quotation.customer_name || '-', phone: quotation.customer_phone || '' });
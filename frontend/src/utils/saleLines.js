@@ -0,0 +1,132 @@
+/**
+ * Sale line helpers shared by quotations and counter-sale invoices
+ * Line maths mirrors calculate_line_item / calculate_invoice_totals in backend/invoice_calculator.py
+ */
+
+export const PURITY_OPTIONS = [999, 916, 875, 750];
+
+/**
+ * Half-up rounding to 3 decimals on the number's shortest decimal form, as
+ * round_money() does with Decimal(str(value)) - plain Math.round on value * 1000
+ * can land a baisa off for amounts like 123.4565
+ */
+const round3 = (value) => {
+  const abs = Math.abs(value);
+  const text = String(abs);
+  const rounded = text.includes('e') ? Math.round(abs * 1000) / 1000 : Number(`${Math.round(Number(`${text}e3`))}e-3`);
+  return value < 0 ? -rounded : rounded;
+};
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+export const emptySaleLine = () => ({
+  category: '',
+  description: '',
+  qty: 1,
+  gross_weight: '',
+  stone_weight: '',
+  purity: 916,
+  metal_rate: '',
+  making_charge_type: 'per_gram',
+  making_rate: '',
+  inches: '',
+  stone_charges: '',
+  wastage_charges: '',
+  item_discount: '',
+  vat_percent: 5
+});
+
+/**
+ * Parts of a line Oman VAT applies to, from shop settings (vat_on_gold_value /
+ * vat_on_making_charges). Both default to taxed.
+ */
+export const getVatBasis = (shopSettings) => ({
+  vatOnGold: shopSettings?.vat_on_gold_value !== false,
+  vatOnMaking: shopSettings?.vat_on_making_charges !== false
+});
+
+export const getNetWeight = (line) => round3(Math.max(toNumber(line.gross_weight) - toNumber(line.stone_weight), 0));
+
+/**
+ * Making charge amount for a line from the rate typed in the form
+ */
+export const getMakingValue = (line) => {
+  const rate = toNumber(line.making_rate);
+  if (line.making_charge_type === 'per_gram') return round3(rate * getNetWeight(line));
+  if (line.making_charge_type === 'per_inch') return round3(rate * toNumber(line.inches));
+  return round3(rate);
+};
+
+/**
+ * Priced line preview: gold value, VAT and line total
+ *
+ * @param {Object} line - Form line
+ * @param {number|null} publishedRate - Rate used when no rate is typed
+ * @param {Object} vatBasis - From getVatBasis(); VAT on gold value and/or on the charges
+ */
+export const priceSaleLine = (line, publishedRate, vatBasis = getVatBasis()) => {
+  const metalRate = round3(toNumber(line.metal_rate) || publishedRate || 0);
+  const goldValue = round3(getNetWeight(line) * metalRate);
+  const makingValue = getMakingValue(line);
+  const beforeVat = round3(goldValue + makingValue + toNumber(line.stone_charges) + toNumber(line.wastage_charges) - toNumber(line.item_discount));
+  const vatPercent = line.vat_percent === '' || line.vat_percent === undefined ? 5 : toNumber(line.vat_percent);
+  const taxableAmount = round3((vatBasis.vatOnGold ? goldValue : 0) + (vatBasis.vatOnMaking ? round3(beforeVat - goldValue) : 0));
+  const vatAmount = round3(taxableAmount * (vatPercent / 100));
+  return { metalRate, goldValue, makingValue, beforeVat, taxableAmount, vatAmount, lineTotal: round3(beforeVat + vatAmount) };
+};
+
+export const getSaleTotals = (lines, discount, getRate, vatBasis = getVatBasis()) => {
+  const priced = lines.map(line => priceSaleLine(line, getRate(line.purity), vatBasis));
+  const subtotal = round3(priced.reduce((sum, p) => sum + p.beforeVat, 0));
+  const vatTotal = round3(priced.reduce((sum, p) => sum + p.vatAmount, 0));
+  return { subtotal, vatTotal, grandTotal: round3(subtotal - toNumber(discount) + vatTotal) };
+};
+
+/**
+ * Line as sent to the API; the server re-prices it with invoice_calculator
+ */
+export const toSaleLinePayload = (line) => ({
+  id: line.id,
+  category: line.category,
+  description: line.description,
+  qty: parseInt(line.qty, 10) || 1,
+  gross_weight: toNumber(line.gross_weight),
+  stone_weight: toNumber(line.stone_weight),
+  purity: parseInt(line.purity, 10) || 916,
+  metal_rate: toNumber(line.metal_rate) || undefined,
+  making_charge_type: line.making_charge_type,
+  making_value: getMakingValue(line),
+  inches: line.making_charge_type === 'per_inch' ? toNumber(line.inches) : undefined,
+  stone_charges: toNumber(line.stone_charges),
+  wastage_charges: toNumber(line.wastage_charges),
+  item_discount: toNumber(line.item_discount),
+  vat_percent: line.vat_percent === '' ? 5 : toNumber(line.vat_percent)
+});
+
+/**
+ * Form line for a saved item. Saved items hold the making amount, so the
+ * per-gram / per-inch rate is worked back from it.
+ */
+export const toSaleLineForm = (item) => {
+  const netWeight = item.net_gold_weight || item.weight || 0;
+  let makingRate = item.making_value || 0;
+  if (item.making_charge_type === 'per_gram' && netWeight > 0) makingRate = round3(makingRate / netWeight);
+  if (item.making_charge_type === 'per_inch' && item.inches > 0) makingRate = round3(makingRate / item.inches);
+  return {
+    id: item.id,
+    category: item.category || '',
+    description: item.description,
+    qty: item.qty,
+    gross_weight: item.gross_weight,
+    stone_weight: item.stone_weight || '',
+    purity: item.purity,
+    metal_rate: item.metal_rate,
+    making_charge_type: item.making_charge_type || 'flat',
+    making_rate: makingRate,
+    inches: item.inches || '',
+    stone_charges: item.stone_charges || '',
+    wastage_charges: item.wastage_charges || '',
+    item_discount: item.item_discount || '',
+    vat_percent: item.vat_percent
+  };
+};
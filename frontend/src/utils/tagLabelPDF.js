@@ -0,0 +1,148 @@
+import { jsPDF } from 'jspdf';
+import { drawCode128 } from './barcode';
+import { getKaratLabel } from './goldRate';
+import { safeToFixed } from './numberFormat';
+
+/**
+ * Jewellery tag label sheets
+ * All sizes in millimetres. Sheet layouts print left-to-right, top-to-bottom;
+ * roll layouts put one label on each page.
+ */
+export const LABEL_LAYOUTS = {
+  a4_65: {
+    name: 'A4 sheet - 65 labels (38.1 × 21.2 mm)',
+    pageWidth: 210, pageHeight: 297,
+    columns: 5, rows: 13,
+    labelWidth: 38.1, labelHeight: 21.2,
+    marginLeft: 4.65, marginTop: 10.7,
+    gapX: 2.5, gapY: 0,
+    fontSize: 6
+  },
+  a4_24: {
+    name: 'A4 sheet - 24 labels (70 × 37 mm)',
+    pageWidth: 210, pageHeight: 297,
+    columns: 3, rows: 8,
+    labelWidth: 70, labelHeight: 37,
+    marginLeft: 0, marginTop: 0.5,
+    gapX: 0, gapY: 0,
+    fontSize: 9
+  },
+  roll_50x25: {
+    name: 'Thermal roll - 50 × 25 mm',
+    pageWidth: 50, pageHeight: 25,
+    columns: 1, rows: 1,
+    labelWidth: 50, labelHeight: 25,
+    marginLeft: 0, marginTop: 0,
+    gapX: 0, gapY: 0,
+    fontSize: 7
+  },
+  roll_tag_72x12: {
+    name: 'Jewellery tag roll - 72 × 12 mm (dumbbell)',
+    pageWidth: 72, pageHeight: 12,
+    columns: 1, rows: 1,
+    // Only the two printable flags of the tag are used - the tail wraps the piece
+    labelWidth: 72, labelHeight: 12,
+    marginLeft: 0, marginTop: 0,
+    gapX: 0, gapY: 0,
+    fontSize: 5,
+    split: true
+  }
+};
+
+const formatMakingCharge = (piece) => (
+  `MC ${safeToFixed(piece.making_charge, 3)}${piece.making_charge_type === 'per_gram' ? '/g' : ''}`
+);
+
+/**
+ * Draw one label: barcode, tag number, net weight, purity and making charge
+ */
+const drawLabel = (doc, piece, x, y, layout, shopName) => {
+  const pad = 1.5;
+  const lineHeight = layout.fontSize * 0.42;
+  const details = [
+    `N.Wt ${safeToFixed(piece.net_weight, 3)}g  ${getKaratLabel(piece.purity)} (${piece.purity})`,
+    formatMakingCharge(piece)
+  ];
+
+  doc.setTextColor(0, 0, 0);
+
+  if (layout.split) {
+    // Dumbbell tag: barcode on the left flag, text on the right flag
+    const flagWidth = (layout.labelWidth - 12) / 2;
+    drawCode128(doc, piece.tag_number, x + pad, y + pad, flagWidth - pad * 2, layout.labelHeight - pad * 2 - lineHeight);
+    doc.setFontSize(layout.fontSize);
+    doc.setFont(undefined, 'bold');
+    doc.text(piece.tag_number, x + flagWidth / 2, y + layout.labelHeight - pad, { align: 'center' });
+    const textX = x + flagWidth + 12 + pad;
+    doc.text(piece.tag_number, textX, y + pad + lineHeight);
+    doc.setFont(undefined, 'normal');
+    details.forEach((line, idx) => doc.text(line, textX, y + pad + lineHeight * (idx + 2)));
+    return;
+  }
+
+  let cursorY = y + pad;
+  if (shopName && layout.labelHeight >= 30) {
+    doc.setFontSize(layout.fontSize);
+    doc.setFont(undefined, 'bold');
+    doc.text(shopName, x + layout.labelWidth / 2, cursorY + lineHeight, { align: 'center' });
+    cursorY += lineHeight + 0.5;
+  }
+
+  // Barcode takes whatever height the three text lines leave
+  const barcodeHeight = layout.labelHeight - pad * 2 - lineHeight * 3 - (cursorY - y - pad) - 0.5;
+  drawCode128(doc, piece.tag_number, x + pad, cursorY, layout.labelWidth - pad * 2, barcodeHeight);
+  cursorY += barcodeHeight + lineHeight;
+
+  doc.setFontSize(layout.fontSize);
+  doc.setFont(undefined, 'bold');
+  doc.text(piece.tag_number, x + layout.labelWidth / 2, cursorY, { align: 'center' });
+  doc.setFont(undefined, 'normal');
+  details.forEach(line => {
+    cursorY += lineHeight;
+    doc.text(line, x + layout.labelWidth / 2, cursorY, { align: 'center' });
+  });
+};
+
+/**
+ * Generate tag labels for a batch of pieces
+ *
+ * @param {Array} pieces - Tagged pieces from /api/inventory/items
+ * @param {string} layoutKey - Key of LABEL_LAYOUTS
+ * @param {Object} options - { shopName, skipLabels } - skipLabels leaves the first
+ *   N positions blank so a partly used sheet can be fed again
+ * @returns {jsPDF} Label document
+ */
+export const generateTagLabelsPDF = (pieces, layoutKey = 'a4_65', options = {}) => {
+  const layout = LABEL_LAYOUTS[layoutKey] || LABEL_LAYOUTS.a4_65;
+  const perPage = layout.columns * layout.rows;
+  const skipLabels = perPage > 1 ? Math.max(parseInt(options.skipLabels, 10) || 0, 0) % perPage : 0;
+  const doc = new jsPDF({
+    orientation: layout.pageWidth > layout.pageHeight ? 'landscape' : 'portrait',
+    unit: 'mm',
+    format: [layout.pageWidth, layout.pageHeight]
+  });
+
+  pieces.forEach((piece, idx) => {
+    const position = idx + skipLabels;
+    if (position > 0 && position % perPage === 0) {
+      doc.addPage([layout.pageWidth, layout.pageHeight], layout.pageWidth > layout.pageHeight ? 'landscape' : 'portrait');
+    }
+    const slot = position % perPage;
+    const column = slot % layout.columns;
+    const row = Math.floor(slot / layout.columns);
+    const x = layout.marginLeft + column * (layout.labelWidth + layout.gapX);
+    const y = layout.marginTop + row * (layout.labelHeight + layout.gapY);
+    drawLabel(doc, piece, x, y, layout, options.shopName);
+  });
+
+  return doc;
+};
+
+/**
+ * Generate and download tag labels
+ */
+export const downloadTagLabelsPDF = (pieces, layoutKey, options = {}) => {
+  const doc = generateTagLabelsPDF(pieces, layoutKey, options);
+  const name = pieces.length === 1 ? pieces[0].tag_number : `${pieces.length}_pieces`;
+  doc.save(`Tag_Labels_${name}.pdf`);
+};
@@ -0,0 +1,81 @@
+/**
+ * Tagged item register helpers
+ * Mirrors TAGGED_ITEM_STATUSES in backend/server.py
+ */
+
+/**
+ * Piece statuses with display labels and badge colours
+ */
+export const TAGGED_ITEM_STATUSES = [
+  { value: 'in_stock', label: 'In Stock', className: 'bg-green-100 text-green-800' },
+  { value: 'reserved', label: 'Reserved', className: 'bg-blue-100 text-blue-800' },
+  { value: 'sold', label: 'Sold', className: 'bg-gray-100 text-gray-800' },
+  { value: 'on_approval', label: 'On Approval', className: 'bg-amber-100 text-amber-800' },
+  { value: 'returned', label: 'Returned', className: 'bg-purple-100 text-purple-800' },
+  { value: 'returned_to_vendor', label: 'Returned to Vendor', className: 'bg-red-100 text-red-800' }
+];
+
+/**
+ * Statuses staff can set by hand - "sold" is only set by invoice finalization,
+ * "returned_to_vendor" by purchase return finalization
+ */
+export const MANUAL_TAGGED_ITEM_STATUSES = TAGGED_ITEM_STATUSES.filter(s => !['sold', 'returned_to_vendor'].includes(s.value));
+
+/**
+ * @param {string} status - Piece status
+ * @returns {{value: string, label: string, className: string}} Status display info
+ */
+export function getTaggedItemStatus(status) {
+  return TAGGED_ITEM_STATUSES.find(s => s.value === status) || { value: status, label: status, className: 'bg-gray-100 text-gray-800' };
+}
+
+/**
+ * Making charge for a piece in OMR
+ *
+ * @param {Object} piece - Tagged piece
+ * @returns {number} Flat charge, or per-gram charge × net weight
+ */
+export function getPieceMakingCharge(piece) {
+  const charge = parseFloat(piece?.making_charge) || 0;
+  return piece?.making_charge_type === 'per_gram' ? charge * (parseFloat(piece.net_weight) || 0) : charge;
+}
+
+/**
+ * Statuses a piece can be sold from
+ */
+export const SELLABLE_TAGGED_ITEM_STATUSES = ['in_stock', 'on_approval', 'returned'];
+
+/**
+ * Extract a tag number from scanner input
+ *
+ * Barcode labels carry the bare tag number. QR codes may carry a link
+ * (…/items/TAG-000123 or ?tag=TAG-000123) or JSON with a tag_number field.
+ *
+ * @param {string} raw - Text received from the scanner
+ * @returns {string} Upper-case tag number, or '' if nothing usable was scanned
+ */
+export function parseScannedTag(raw) {
+  const text = String(raw || '').trim();
+  if (!text) return '';
+
+  if (text.startsWith('{')) {
+    try {
+      const data = JSON.parse(text);
+      return String(data.tag_number || data.tag || '').trim().toUpperCase();
+    } catch (err) {
+      // Not JSON - fall through and treat as plain text
+    }
+  }
+
+  if (/^https?:\/\//i.test(text)) {
+    try {
+      const url = new URL(text);
+      const tag = url.searchParams.get('tag') || url.pathname.split('/').filter(Boolean).pop() || '';
+      return decodeURIComponent(tag).trim().toUpperCase();
+    } catch (err) {
+      return '';
+    }
+  }
+
+  return text.toUpperCase();
+}
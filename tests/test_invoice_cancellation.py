@@ -0,0 +1,30 @@
+import os
+import sys
+
+sys.path.insert(0, os.path.join(os.path.dirname(__file__), '..', 'backend'))
+
+from invoice_calculator import calculate_payment_reversal_deltas
+
+
+def apply_deltas(balances, deltas):
+    return {account_id: round(balance + deltas.get(account_id, 0.0), 3) for account_id, balance in balances.items()}
+
+
+def test_cancellation_returns_cash_to_pre_payment_balance():
+    before = {'cash': 500.0, 'sales': 2000.0, 'gold_received': 0.0}
+    # Postings of a paid invoice: each one was applied with $inc +amount
+    payments = [
+        {'account_id': 'cash', 'transaction_type': 'debit', 'amount': 120.5},
+        {'account_id': 'sales', 'transaction_type': 'credit', 'amount': 120.5},
+        {'account_id': 'gold_received', 'transaction_type': 'debit', 'amount': 80.0},
+        {'account_id': 'sales', 'transaction_type': 'credit', 'amount': 80.0},
+    ]
+    after_payment = apply_deltas(before, {'cash': 120.5, 'sales': 200.5, 'gold_received': 80.0})
+
+    after_cancel = apply_deltas(after_payment, calculate_payment_reversal_deltas(payments))
+
+    assert after_cancel == before
+
+
+def test_postings_without_account_are_skipped():
+    assert calculate_payment_reversal_deltas([{'account_id': None, 'amount': 10}]) == {}
@@ -0,0 +1,65 @@
+import os
+import sys
+
+sys.path.insert(0, os.path.join(os.path.dirname(__file__), '..', 'backend'))
+
+from invoice_calculator import calculate_line_item, calculate_invoice_totals
+
+
+def make_line(**overrides):
+    # 10 g at 25 OMR/g with 30 OMR making: gold value 250, charges 30
+    line = {'weight': 10.0, 'metal_rate': 25.0, 'making_value': 30.0, 'vat_percent': 5}
+    line.update(overrides)
+    return line
+
+
+def test_vat_on_whole_line_by_default():
+    item = calculate_line_item(make_line())
+
+    assert item['taxable_amount'] == 280.0
+    assert item['vat_amount'] == 14.0
+    assert item['gold_vat_amount'] == 12.5
+    assert item['making_vat_amount'] == 1.5
+    assert item['line_total'] == 294.0
+
+
+def test_zero_rated_gold_taxes_only_the_charges():
+    item = calculate_line_item(make_line(vat_on_gold=False))
+
+    assert item['taxable_amount'] == 30.0
+    assert item['vat_amount'] == 1.5
+    assert item['gold_vat_amount'] == 0.0
+    assert item['making_vat_amount'] == 1.5
+    assert item['line_total'] == 281.5
+
+
+def test_vat_on_gold_only_leaves_the_charges_out():
+    item = calculate_line_item(make_line(vat_on_making=False))
+
+    assert item['taxable_amount'] == 250.0
+    assert item['vat_amount'] == 12.5
+    assert item['gold_vat_amount'] == 12.5
+    assert item['making_vat_amount'] == 0.0
+
+
+def test_item_discount_comes_off_the_charges_part():
+    item = calculate_line_item(make_line(item_discount=10.0, vat_on_gold=False))
+
+    assert item['taxable_amount'] == 20.0
+    assert item['vat_amount'] == 1.0
+
+
+def test_split_adds_up_to_the_line_vat():
+    for vat_on_gold in (True, False):
+        for vat_on_making in (True, False):
+            item = calculate_line_item(make_line(metal_rate=24.437, vat_on_gold=vat_on_gold, vat_on_making=vat_on_making))
+            assert round(item['gold_vat_amount'] + item['making_vat_amount'], 3) == item['vat_amount']
+
+
+def test_invoice_vat_total_follows_each_line_basis():
+    items = [calculate_line_item(make_line()), calculate_line_item(make_line(vat_on_gold=False))]
+
+    totals = calculate_invoice_totals(items)
+
+    assert totals['vat_total'] == 15.5
+    assert totals['grand_total'] == 575.5
@@ -0,0 +1,44 @@
+import os
+import sys
+
+sys.path.insert(0, os.path.join(os.path.dirname(__file__), '..', 'backend'))
+
+from jobcard_stages import derive_jobcard_status, get_item_stage
+
+
+def test_all_items_ready_completes_the_card():
+    items = [{'stage': 'ready'}, {'stage': 'ready'}]
+
+    assert derive_jobcard_status(items, 'in_progress') == 'completed'
+
+
+def test_any_started_item_puts_the_card_in_progress():
+    items = [{'stage': 'received'}, {'stage': 'qc'}]
+
+    assert derive_jobcard_status(items, 'created') == 'in_progress'
+
+
+def test_card_moves_back_when_an_item_is_reopened():
+    items = [{'stage': 'ready'}, {'stage': 'at_worker'}]
+
+    assert derive_jobcard_status(items, 'completed') == 'in_progress'
+
+
+def test_nothing_started_keeps_created_or_pending():
+    items = [{'stage': 'received'}]
+
+    assert derive_jobcard_status(items, 'created') == 'created'
+    assert derive_jobcard_status(items, 'pending') == 'pending'
+    assert derive_jobcard_status(items, 'in_progress') == 'pending'
+
+
+def test_delivered_and_empty_cards_keep_their_status():
+    assert derive_jobcard_status([{'stage': 'received'}], 'delivered') == 'delivered'
+    assert derive_jobcard_status([], 'in_progress') == 'in_progress'
+
+
+def test_items_saved_before_stages_follow_the_card_status():
+    assert get_item_stage({}, 'in_progress') == 'at_worker'
+    assert get_item_stage({'stage': 'unknown'}, 'completed') == 'ready'
+    assert get_item_stage({}, 'cancelled') == 'received'
+    assert derive_jobcard_status([{}, {}], 'completed') == 'completed'